@@ -0,0 +1,57 @@
+import { Banner, Link, List, Text } from "@shopify/polaris";
+
+/**
+ * ApplyResultsBanner Component
+ *
+ * Shows the per-product outcome of the last "Apply Options" run.
+ * The banner turns critical when at least one product failed.
+ *
+ * For each product it also explains which options became native Shopify
+ * options and which overflowed into extended options (line item properties).
+ */
+export default function ApplyResultsBanner({ results, onDismiss }) {
+  const failedCount = results.filter((result) => !result.success).length;
+
+  return (
+    <Banner
+      title={
+        failedCount === 0
+          ? `Options applied to ${results.length} product${results.length === 1 ? "" : "s"}`
+          : `${failedCount} of ${results.length} product${results.length === 1 ? "" : "s"} failed`
+      }
+      tone={failedCount === 0 ? "success" : "critical"}
+      onDismiss={onDismiss}
+    >
+      <List type="bullet">
+        {results.map((result) => (
+          <List.Item key={result.productId}>
+            <Text as="span" fontWeight="semibold">
+              {result.title || result.productId}
+            </Text>
+            {": "}
+            {result.success ? (
+              <>
+                {`${result.created} variant${result.created === 1 ? "" : "s"} created, ${result.existing} already existed${result.excluded ? `, ${result.excluded} excluded` : ""} `}
+                <Link
+                  url={`/app/variants?productId=${encodeURIComponent(result.productId)}`}
+                >
+                  Edit variants
+                </Link>
+                <Text as="p" variant="bodySm" tone="subdued">
+                  Native options:{" "}
+                  {result.nativeOptions.length > 0
+                    ? result.nativeOptions.join(", ")
+                    : "none"}
+                  {result.extendedOptions.length > 0 &&
+                    ` · Extended options (line item properties): ${result.extendedOptions.join(", ")}`}
+                </Text>
+              </>
+            ) : (
+              result.error
+            )}
+          </List.Item>
+        ))}
+      </List>
+    </Banner>
+  );
+}
@@ -0,0 +1,123 @@
+/**
+ * AuditLogTable Component
+ *
+ * Table of audit log entries: when, who, what happened to which option and
+ * the fields that changed. Entries that hold a version of an option can be
+ * restored from here.
+ */
+
+import { Badge, Button, Card, IndexTable, Text } from "@shopify/polaris";
+import { getAuditActionLabel } from "../utils/auditUtils.js";
+
+const ACTION_TONES = {
+  create: "success",
+  delete: "critical",
+  restore: "attention",
+  apply: "info",
+};
+
+/**
+ * Format a recorded field value for display
+ * @param {*} value - Value from a snapshot
+ * @returns {string} Readable text
+ */
+const formatValue = (value) => {
+  if (value === null || value === undefined || value === "") return "—";
+  return typeof value === "object" ? JSON.stringify(value) : String(value);
+};
+
+/**
+ * Short description of what an entry changed
+ * @param {Object} entry - Entry in UI format
+ * @returns {Array<string>} Lines to show
+ */
+const describeEntry = (entry) => {
+  if (entry.action === "apply") {
+    const products = entry.after?.products || [];
+    const failed = products.filter((product) => !product.success).length;
+    return [
+      `Applied to ${products.length} product(s)` +
+        (failed > 0 ? `, ${failed} failed` : ""),
+    ];
+  }
+  if (entry.action === "create") {
+    return [`${entry.after.values.length} value(s)`];
+  }
+  if (entry.action === "delete") {
+    return [`${entry.before.values.length} value(s) removed with it`];
+  }
+  return entry.changes.map(
+    (change) =>
+      `${change.field}: ${formatValue(change.before)} → ${formatValue(change.after)}`,
+  );
+};
+
+export default function AuditLogTable({
+  entries, // Array - entries in UI format (see transformAuditEntries)
+  onRestore, // Function - called with the entry to restore
+  restoringId, // String - ID of the entry being restored, if any
+}) {
+  const rowMarkup = entries.map((entry, index) => (
+    <IndexTable.Row id={entry.id} key={entry.id} position={index}>
+      <IndexTable.Cell>
+        <Text as="span" variant="bodySm">
+          {new Date(entry.createdAt).toLocaleString()}
+        </Text>
+      </IndexTable.Cell>
+      <IndexTable.Cell>
+        <Text as="span">{entry.user}</Text>
+      </IndexTable.Cell>
+      <IndexTable.Cell>
+        <Badge tone={ACTION_TONES[entry.action]}>
+          {getAuditActionLabel(entry.action)}
+        </Badge>
+      </IndexTable.Cell>
+      <IndexTable.Cell>
+        <Text as="span" fontWeight="semibold">
+          {entry.optionName || "—"}
+        </Text>
+      </IndexTable.Cell>
+      <IndexTable.Cell>
+        <div style={{ whiteSpace: "normal", maxWidth: "420px" }}>
+          {describeEntry(entry).map((line, lineIndex) => (
+            <Text as="p" variant="bodySm" key={lineIndex}>
+              {line}
+            </Text>
+          ))}
+        </div>
+      </IndexTable.Cell>
+      <IndexTable.Cell>
+        {entry.canRestore && (
+          <Button
+            size="slim"
+            onClick={() => onRestore(entry)}
+            loading={restoringId === entry.id}
+            disabled={Boolean(restoringId)}
+          >
+            Restore
+          </Button>
+        )}
+      </IndexTable.Cell>
+    </IndexTable.Row>
+  ));
+
+  return (
+    <Card padding="0">
+      <IndexTable
+        resourceName={{ singular: "change", plural: "changes" }}
+        itemCount={entries.length}
+        selectable={false}
+        headings={[
+          { title: "Date" },
+          { title: "User" },
+          { title: "Action" },
+          { title: "Option" },
+          { title: "Changes" },
+          { title: "" },
+        ]}
+      >
+        {rowMarkup}
+      </IndexTable>
+    </Card>
+  );
+}
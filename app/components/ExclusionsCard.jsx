@@ -0,0 +1,145 @@
+/**
+ * ExclusionsCard Component
+ *
+ * Editor for combinations that don't exist, e.g. "Linen" doesn't come in
+ * "Neon Green". The merchant picks one value in two or more options and
+ * excludes that tuple; applying options then skips every combination that
+ * contains it, and the preview disables the values that would complete it.
+ */
+
+import { Card, Box, Text, Select, Button, InlineError } from "@shopify/polaris";
+import { DeleteIcon } from "@shopify/polaris-icons";
+import { useEffect, useState } from "react";
+import { useFetcher } from "@remix-run/react";
+import {
+  validateExclusion,
+  describeExclusion,
+} from "../utils/exclusionUtils.js";
+
+export default function ExclusionsCard({
+  options, // Array - all options (UI format)
+  exclusions, // Array - existing exclusions in UI format
+}) {
+  const [draft, setDraft] = useState({}); // Picked value ID per option ID
+  const [error, setError] = useState(null); // Validation or save error
+  const fetcher = useFetcher();
+
+  const isSaving = fetcher.state !== "idle";
+  const pickableOptions = options.filter((option) => option.values.length > 0);
+
+  /**
+   * Clear the form once an exclusion was added, or show why it wasn't
+   */
+  useEffect(() => {
+    if (fetcher.state !== "idle" || !fetcher.data) return;
+    if (!fetcher.data.success) {
+      setError(fetcher.data.error);
+    } else if (fetcher.data.actionType === "Add Exclusion") {
+      setDraft({});
+    }
+  }, [fetcher.state, fetcher.data]);
+
+  const handlePick = (optionId, valueId) => {
+    setDraft((prev) => ({ ...prev, [optionId]: valueId }));
+    setError(null);
+  };
+
+  const handleAdd = () => {
+    const valueIds = Object.values(draft).filter(Boolean);
+    const validationError = validateExclusion(valueIds, options, exclusions);
+    if (validationError) {
+      setError(validationError);
+      return;
+    }
+
+    fetcher.submit(
+      { actionType: "Add Exclusion", valueIds: JSON.stringify(valueIds) },
+      { method: "post" },
+    );
+  };
+
+  const handleDelete = (exclusionId) => {
+    setError(null);
+    fetcher.submit(
+      { actionType: "Delete Exclusion", exclusionId },
+      { method: "post" },
+    );
+  };
+
+  return (
+    <Card>
+      <Box padding="500">
+        <div style={{ display: "flex", flexDirection: "column", gap: "16px" }}>
+          <div style={{ display: "flex", flexDirection: "column", gap: "4px" }}>
+            <Text variant="headingMd" as="h2">
+              Excluded Combinations
+            </Text>
+            <Text variant="bodySm" tone="subdued">
+              Combinations that don&apos;t exist are skipped when options are
+              applied and can&apos;t be picked in the preview.
+            </Text>
+          </div>
+
+          {pickableOptions.length < 2 ? (
+            <Text variant="bodySm" tone="subdued">
+              Add at least two options to exclude combinations.
+            </Text>
+          ) : (
+            <>
+              <div style={{ display: "flex", flexWrap: "wrap", gap: "12px" }}>
+                {pickableOptions.map((option) => (
+                  <div key={option.id} style={{ minWidth: "140px", flex: 1 }}>
+                    <Select
+                      label={option.name}
+                      options={[
+                        { label: "Any", value: "" },
+                        ...option.values.map((value) => ({
+                          label: value.name,
+                          value: value.id,
+                        })),
+                      ]}
+                      value={draft[option.id] || ""}
+                      onChange={(valueId) => handlePick(option.id, valueId)}
+                    />
+                  </div>
+                ))}
+              </div>
+              {error && (
+                <InlineError message={error} fieldID="exclusion-values" />
+              )}
+              <div>
+                <Button onClick={handleAdd} loading={isSaving}>
+                  Exclude combination
+                </Button>
+              </div>
+            </>
+          )}
+
+          {exclusions.map((exclusion) => (
+            <div
+              key={exclusion.id}
+              style={{
+                display: "flex",
+                justifyContent: "space-between",
+                alignItems: "center",
+                gap: "12px",
+              }}
+            >
+              <Text variant="bodyMd">
+                {describeExclusion(exclusion, options)}
+              </Text>
+              <Button
+                size="slim"
+                icon={DeleteIcon}
+                variant="tertiary"
+                tone="critical"
+                accessibilityLabel="Allow this combination again"
+                onClick={() => handleDelete(exclusion.id)}
+              />
+            </div>
+          ))}
+        </div>
+      </Box>
+    </Card>
+  );
+}
@@ -4,25 +4,45 @@ import {
   Text,
   Badge,
   Checkbox,
-  Button
+  Button,
+  Spinner,
+  Icon
 } from "@shopify/polaris";
 import {
   EditIcon,
   ChevronDownIcon,
   ChevronUpIcon,
   DeleteIcon,
+  DragHandleIcon,
 } from "@shopify/polaris-icons";
+import { formatPriceAdjustment } from "../utils/variantUtils.js";
+import { getSwatchBackground } from "../utils/swatchUtils.js";
+import { formatNumberValue, describeNumberSettings } from "../utils/numberUtils.js";
+import { isCustomerInputType, describeInputSettings } from "../utils/inputUtils.js";
+import { getDisplayStyleLabel } from "../utils/displayUtils.js";
+import { useDragReorder } from "../hooks/useDragReorder.js";
 
 export default function OptionItem({
   option,
+  saveStatus,      // String - "saving", "saved" or "error" for value toggles
+  visibilitySummary, // String - when the option is shown, e.g. "Shown when Engraving is Yes"
   isExpanded,
   onToggleExpansion,
   onToggleAllValues,
   onToggleValueChecked,
+  onMoveValue,     // Function - called with (optionId, fromIndex, toIndex) when a value is dropped
   onEdit,
   onDelete
 }) {
   const { id, name, values, type } = option;
+  // Customer-input options have no values to toggle, only limits
+  const isInputType = isCustomerInputType(type);
+  // Number values are shown with their unit, e.g. "25 cm"
+  const valueName = (value) =>
+    type === "number" ? formatNumberValue(value.name, option.unit) : value.name;
+  const { getItemProps } = useDragReorder(
+    (fromIndex, toIndex) => onMoveValue && onMoveValue(id, fromIndex, toIndex)
+  );
 
   return (
     <ResourceItem
@@ -52,6 +72,9 @@ export default function OptionItem({
                 gap: "8px",
               }}
             >
+              <div style={{ cursor: "grab" }} title="Drag to reorder">
+                <Icon source={DragHandleIcon} tone="subdued" />
+              </div>
               <Text variant="headingMd" as="h3">
                 {name}
               </Text>
@@ -63,20 +86,42 @@ export default function OptionItem({
                       ? "success"
                       : type === "image"
                         ? "warning"
-                        : "default"
+                        : isInputType
+                          ? "magic"
+                          : "default"
                 }
               >
                 {type}
               </Badge>
-              <Checkbox
-                label="Select All"
-                checked={values.every((v) => v.checked)}
-                indeterminate={
-                  values.some((v) => v.checked) &&
-                  !values.every((v) => v.checked)
-                }
-                onChange={() => onToggleAllValues(id)}
-              />
+              <Badge tone={option.isRequired ? "attention" : undefined}>
+                {option.isRequired ? "Required" : "Optional"}
+              </Badge>
+              {!isInputType && (
+                <Text variant="bodySm" color="subdued">
+                  {getDisplayStyleLabel(option.displayStyle)}
+                </Text>
+              )}
+              {type === "number" && describeNumberSettings(option) && (
+                <Text variant="bodySm" color="subdued">
+                  {describeNumberSettings(option)}
+                </Text>
+              )}
+              {visibilitySummary && (
+                <Text variant="bodySm" color="subdued">
+                  {visibilitySummary}
+                </Text>
+              )}
+              {!isInputType && (
+                <Checkbox
+                  label="Select All"
+                  checked={values.every((v) => v.checked)}
+                  indeterminate={
+                    values.some((v) => v.checked) &&
+                    !values.every((v) => v.checked)
+                  }
+                  onChange={() => onToggleAllValues(id)}
+                />
+              )}
             </div>
             <div
               style={{
@@ -86,23 +131,38 @@ export default function OptionItem({
               }}
             >
               <Text variant="bodySm" color="subdued">
-                {values.filter((v) => v.checked).length}{" "}
-                of {values.length} values active
+                {isInputType
+                  ? `Entered by the customer: ${describeInputSettings(option)}`
+                  : `${values.filter((v) => v.checked).length} of ${values.length} values active`}
               </Text>
-              <Button
-                variant="plain"
-                size="slim"
-                icon={
-                  isExpanded
-                    ? ChevronUpIcon
-                    : ChevronDownIcon
-                }
-                onClick={() => onToggleExpansion(id)}
-              >
-                {isExpanded ? "Collapse" : "Expand"}
-              </Button>
+              {saveStatus === "saving" && (
+                <div style={{ display: "flex", alignItems: "center", gap: "4px" }}>
+                  <Spinner size="small" accessibilityLabel="Saving values" />
+                  <Text variant="bodySm" color="subdued">Saving…</Text>
+                </div>
+              )}
+              {saveStatus === "saved" && (
+                <Text variant="bodySm" tone="success">Saved</Text>
+              )}
+              {saveStatus === "error" && (
+                <Text variant="bodySm" tone="critical">Couldn't save</Text>
+              )}
+              {!isInputType && (
+                <Button
+                  variant="plain"
+                  size="slim"
+                  icon={
+                    isExpanded
+                      ? ChevronUpIcon
+                      : ChevronDownIcon
+                  }
+                  onClick={() => onToggleExpansion(id)}
+                >
+                  {isExpanded ? "Collapse" : "Expand"}
+                </Button>
+              )}
             </div>
-            {isExpanded && (
+            {isExpanded && !isInputType && (
               <Box paddingBlockStart="200">
                 <div
                   style={{
@@ -111,16 +171,59 @@ export default function OptionItem({
                     gap: "4px",
                   }}
                 >
-                  {values.map((value) => (
-                    <Checkbox
-                      key={`${id}-${value.name}`}
-                      label={value.name}
-                      checked={value.checked}
-                      onChange={() =>
-                        onToggleValueChecked(id, value.name)
-                      }
-                    />
-                  ))}
+                  {values.map((value, index) => {
+                    const dragProps = getItemProps(index);
+                    return (
+                      <div
+                        key={`${id}-${value.name}`}
+                        {...dragProps}
+                        style={{
+                          ...dragProps.style,
+                          cursor: "grab",
+                          display: "flex",
+                          alignItems: "center",
+                          gap: "4px",
+                          padding: "0 4px",
+                          borderRadius: "4px",
+                        }}
+                      >
+                        {type === "image" && value.imageUrl && (
+                          <img
+                            src={value.imageUrl}
+                            alt=""
+                            style={{
+                              width: "20px",
+                              height: "20px",
+                              objectFit: "cover",
+                              borderRadius: "4px",
+                            }}
+                          />
+                        )}
+                        {type === "color" && (
+                          <span
+                            style={{
+                              width: "14px",
+                              height: "14px",
+                              borderRadius: "50%",
+                              border: "1px solid #e1e1e1",
+                              background: getSwatchBackground(value),
+                            }}
+                          />
+                        )}
+                        <Checkbox
+                          label={
+                            formatPriceAdjustment(value)
+                              ? `${valueName(value)} (${formatPriceAdjustment(value)})`
+                              : valueName(value)
+                          }
+                          checked={value.checked}
+                          onChange={() =>
+                            onToggleValueChecked(id, value.name)
+                          }
+                        />
+                      </div>
+                    );
+                  })}
                 </div>
               </Box>
             )}
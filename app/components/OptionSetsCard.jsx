@@ -0,0 +1,114 @@
+/**
+ * OptionSetsCard Component
+ *
+ * Lists the shop's option sets - reusable groups of options such as
+ * "Apparel: Color + Size + Fit" - next to the options list. Each set can be
+ * edited, deleted or applied to products in one go.
+ */
+
+import { Card, Box, Text, Badge, Button, EmptyState } from "@shopify/polaris";
+import { EditIcon, DeleteIcon, PlusIcon } from "@shopify/polaris-icons";
+
+export default function OptionSetsCard({
+  optionSets, // Array - sets in UI format (see transformOptionSets)
+  onCreate, // Function - open the modal for a new set
+  onEdit, // Function - called with the set to edit
+  onDelete, // Function - called with the ID of the set to delete
+  onApply, // Function - called with the ID of the set to apply to products
+}) {
+  return (
+    <Card>
+      <Box padding="500">
+        <div style={{ display: "flex", flexDirection: "column", gap: "16px" }}>
+          <div
+            style={{
+              display: "flex",
+              justifyContent: "space-between",
+              alignItems: "center",
+            }}
+          >
+            <Text variant="headingMd" as="h2">
+              Option Sets
+            </Text>
+            <Button icon={PlusIcon} onClick={onCreate}>
+              New set
+            </Button>
+          </div>
+
+          {optionSets.length === 0 ? (
+            <EmptyState
+              heading="Group options you apply together"
+              action={{ content: "Create an option set", onAction: onCreate }}
+              image="https://cdn.shopify.com/s/files/1/0262/4071/2726/files/emptystate-files.png"
+            >
+              <Text variant="bodyMd" as="p">
+                Save combinations like Color + Size + Fit once and apply them to
+                products in one step.
+              </Text>
+            </EmptyState>
+          ) : (
+            optionSets.map((set) => (
+              <Box
+                key={set.id}
+                padding="300"
+                borderWidth="025"
+                borderColor="border"
+                borderRadius="200"
+              >
+                <div
+                  style={{
+                    display: "flex",
+                    justifyContent: "space-between",
+                    alignItems: "flex-start",
+                    gap: "12px",
+                  }}
+                >
+                  <div
+                    style={{
+                      display: "flex",
+                      flexDirection: "column",
+                      gap: "6px",
+                    }}
+                  >
+                    <Text variant="headingSm" as="h3">
+                      {set.name}
+                    </Text>
+                    <div
+                      style={{ display: "flex", flexWrap: "wrap", gap: "4px" }}
+                    >
+                      {set.options.map((option) => (
+                        <Badge key={option.optionId}>
+                          {`${option.name} (${option.valueIds.length})`}
+                        </Badge>
+                      ))}
+                    </div>
+                  </div>
+                  <div style={{ display: "flex", gap: "8px" }}>
+                    <Button size="slim" onClick={() => onApply(set.id)}>
+                      Apply
+                    </Button>
+                    <Button
+                      size="slim"
+                      icon={EditIcon}
+                      variant="tertiary"
+                      accessibilityLabel={`Edit ${set.name}`}
+                      onClick={() => onEdit(set)}
+                    />
+                    <Button
+                      size="slim"
+                      icon={DeleteIcon}
+                      variant="tertiary"
+                      tone="critical"
+                      accessibilityLabel={`Delete ${set.name}`}
+                      onClick={() => onDelete(set.id)}
+                    />
+                  </div>
+                </div>
+              </Box>
+            ))
+          )}
+        </div>
+      </Box>
+    </Card>
+  );
+}
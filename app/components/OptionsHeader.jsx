@@ -5,10 +5,11 @@ import {
   Button,
   Divider
 } from "@shopify/polaris";
-import { PlusIcon } from "@shopify/polaris-icons";
+import { PlusIcon, ImportIcon } from "@shopify/polaris-icons";
 
 export default function OptionsHeader({
   onAddOption,
+  onImportOptions,
   onSelectProducts,
   onApplyOptions,
   optionsCount,
@@ -56,6 +57,9 @@ export default function OptionsHeader({
             >
               Add New Option
             </Button>
+            <Button icon={ImportIcon} onClick={onImportOptions}>
+              Import from Shopify
+            </Button>
             <Button
               onClick={onSelectProducts}
               disabled={optionsCount === 0}
@@ -7,20 +7,28 @@ import {
   ResourceList
 } from "@shopify/polaris";
 import OptionItem from "./OptionItem.jsx";
+import { useDragReorder } from "../hooks/useDragReorder.js";
+import { describeVisibilityRules } from "../utils/visibilityUtils.js";
 
 export default function OptionsList({
   options,
+  saveStatus = {},
+  orderStatus,
   expandedOptions,
   selectedItems,
   onSelectionChange,
   onToggleExpansion,
   onToggleAllValues,
   onToggleValueChecked,
+  onMoveOption,
+  onMoveValue,
   onEdit,
   onBulkDelete,
   onSingleDelete,
   onAddOption
 }) {
+  const { getItemProps } = useDragReorder(onMoveOption);
+
   const promotedBulkActions = [
     { content: "Delete options", onAction: onBulkDelete },
   ];
@@ -45,7 +53,21 @@ export default function OptionsList({
             <Text variant="headingMd" as="h2">
               Current Options
             </Text>
-            <Badge tone="info">{options.length}</Badge>
+            <div
+              style={{
+                display: "flex",
+                alignItems: "center",
+                gap: "8px",
+              }}
+            >
+              {orderStatus === "saving" && (
+                <Text variant="bodySm" color="subdued">Saving order…</Text>
+              )}
+              {orderStatus === "error" && (
+                <Text variant="bodySm" tone="critical">Couldn't save order</Text>
+              )}
+              <Badge tone="info">{options.length}</Badge>
+            </div>
           </div>
           {options.length === 0 ? (
             <EmptyState
@@ -68,17 +90,21 @@ export default function OptionsList({
               selectedItems={selectedItems}
               onSelectionChange={onSelectionChange}
               promotedBulkActions={promotedBulkActions}
-              renderItem={(item) => (
-                <OptionItem
-                  key={item.id}
-                  option={item}
-                  isExpanded={expandedOptions[item.id] || false}
-                  onToggleExpansion={onToggleExpansion}
-                  onToggleAllValues={onToggleAllValues}
-                  onToggleValueChecked={onToggleValueChecked}
-                  onEdit={onEdit}
-                  onDelete={onSingleDelete}
-                />
+              renderItem={(item, _id, index) => (
+                <div key={item.id} {...getItemProps(index)}>
+                  <OptionItem
+                    option={item}
+                    saveStatus={saveStatus[item.id]}
+                    visibilitySummary={describeVisibilityRules(item, options)}
+                    isExpanded={expandedOptions[item.id] || false}
+                    onToggleExpansion={onToggleExpansion}
+                    onToggleAllValues={onToggleAllValues}
+                    onToggleValueChecked={onToggleValueChecked}
+                    onMoveValue={onMoveValue}
+                    onEdit={onEdit}
+                    onDelete={onSingleDelete}
+                  />
+                </div>
               )}
             />
           )}
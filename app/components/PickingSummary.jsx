@@ -0,0 +1,49 @@
+/**
+ * PickingSummary Component
+ *
+ * The chosen values of an order grouped by option: for each value, how many
+ * units need it and on which line items. Meant to be printed and taken to
+ * the shelves or the workbench.
+ */
+
+import { Card, DataTable, Text } from "@shopify/polaris";
+
+/**
+ * Describe a line item of a value, e.g. "2 × Ring (Gold / 7)"
+ * @param {Object} lineItem - Line item with title, variantTitle and quantity
+ * @returns {string} Text for the table
+ */
+const describeLineItem = (lineItem) =>
+  `${lineItem.quantity} × ${lineItem.title}` +
+  (lineItem.variantTitle ? ` (${lineItem.variantTitle})` : "");
+
+export default function PickingSummary({
+  summary, // Array - options with their values (see buildPickingSummary)
+}) {
+  return summary.map((option) => (
+    <div key={option.optionName} style={{ marginBottom: "16px" }}>
+      <Card>
+        <Text as="h2" variant="headingMd">
+          {option.optionName}
+        </Text>
+        <DataTable
+          columnContentTypes={["text", "numeric", "text"]}
+          headings={["Value", "Units", "Line items"]}
+          rows={option.values.map((entry) => [
+            <Text as="span" fontWeight="semibold" key="value">
+              {entry.value}
+            </Text>,
+            entry.quantity,
+            <div style={{ whiteSpace: "normal" }} key="lineItems">
+              {entry.lineItems.map((lineItem, index) => (
+                <Text as="p" variant="bodySm" key={index}>
+                  {describeLineItem(lineItem)}
+                </Text>
+              ))}
+            </div>,
+          ])}
+        />
+      </Card>
+    </div>
+  ));
+}
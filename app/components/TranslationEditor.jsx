@@ -0,0 +1,117 @@
+/**
+ * TranslationEditor Component
+ *
+ * Form for translating every option into one locale. Each option gets a card
+ * with its name, help text and value labels; the default text is shown as the
+ * placeholder, and fields left empty fall back to it on the storefront.
+ */
+
+import { Button, Card, FormLayout, Text, TextField } from "@shopify/polaris";
+import { useEffect, useState } from "react";
+import {
+  createTranslationDraft,
+  parseTranslationDraft,
+} from "../utils/translationUtils.js";
+
+export default function TranslationEditor({
+  options, // Array - options in UI format (see transformTranslatedOptions)
+  locale, // String - locale being edited
+  onSave, // Function - called with the entries of parseTranslationDraft
+  isSaving, // Boolean - whether a save is in flight
+}) {
+  const [draft, setDraft] = useState(() =>
+    createTranslationDraft(options, locale),
+  );
+
+  /**
+   * Reset the form when the locale changes or fresh options arrive
+   */
+  useEffect(() => {
+    setDraft(createTranslationDraft(options, locale));
+  }, [options, locale]);
+
+  /**
+   * Update one field of an option's translation
+   * @param {string} optionId - Option being translated
+   * @param {Object} changes - Fields to replace, e.g. `{ name }`
+   */
+  const updateOption = (optionId, changes) => {
+    setDraft((current) => ({
+      ...current,
+      [optionId]: { ...current[optionId], ...changes },
+    }));
+  };
+
+  /**
+   * Update the label of one value
+   * @param {string} optionId - Option the value belongs to
+   * @param {string} valueId - Value being translated
+   * @param {string} label - Translated label
+   */
+  const updateValue = (optionId, valueId, label) => {
+    setDraft((current) => ({
+      ...current,
+      [optionId]: {
+        ...current[optionId],
+        values: { ...current[optionId].values, [valueId]: label },
+      },
+    }));
+  };
+
+  return (
+    <div style={{ display: "flex", flexDirection: "column", gap: "16px" }}>
+      {options.map((option) => {
+        const entry = draft[option.id];
+        if (!entry) return null;
+
+        return (
+          <Card key={option.id}>
+            <FormLayout>
+              <Text as="h2" variant="headingMd">
+                {option.name}
+              </Text>
+              <TextField
+                label="Option name"
+                value={entry.name}
+                onChange={(name) => updateOption(option.id, { name })}
+                placeholder={option.name}
+                autoComplete="off"
+              />
+              <TextField
+                label="Help text"
+                value={entry.helpText}
+                onChange={(helpText) => updateOption(option.id, { helpText })}
+                placeholder={option.helpText}
+                autoComplete="off"
+                disabled={!option.helpText && !entry.helpText}
+                helpText={
+                  option.helpText ? undefined : "This option has no help text"
+                }
+              />
+              {option.values.map((value) => (
+                <TextField
+                  key={value.id}
+                  label={value.name}
+                  value={entry.values[value.id] || ""}
+                  onChange={(label) => updateValue(option.id, value.id, label)}
+                  placeholder={value.name}
+                  autoComplete="off"
+                />
+              ))}
+            </FormLayout>
+          </Card>
+        );
+      })}
+
+      <div style={{ display: "flex", justifyContent: "flex-end" }}>
+        <Button
+          variant="primary"
+          onClick={() => onSave(parseTranslationDraft(draft))}
+          loading={isSaving}
+        >
+          Save translations
+        </Button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,260 @@
+/**
+ * VariantMatrix Component
+ *
+ * Grid editor for the variants of one product. Each row is a combination of
+ * option values; price, compare-at price, SKU, inventory and the active flag
+ * can be edited inline.
+ *
+ * Bulk tools work on the selected rows, or on every row when none are selected:
+ * - Fill down copies the first row's value of a column into the others
+ * - Percentage adjustment raises or lowers price / compare-at price
+ */
+
+import {
+  Card,
+  Box,
+  Text,
+  Badge,
+  Button,
+  Checkbox,
+  Select,
+  TextField,
+  IndexTable,
+  useIndexResourceState,
+} from "@shopify/polaris";
+import { useEffect, useState } from "react";
+import { fillDown, adjustByPercentage } from "../utils/variantUtils.js";
+
+const FILL_FIELDS = [
+  { label: "Price", value: "price" },
+  { label: "Compare-at price", value: "compareAtPrice" },
+  { label: "SKU", value: "sku" },
+  { label: "Inventory", value: "inventory" },
+  { label: "Active", value: "isActive" },
+];
+
+const PRICE_FIELDS = [
+  { label: "Price", value: "price" },
+  { label: "Compare-at price", value: "compareAtPrice" },
+];
+
+export default function VariantMatrix({
+  rows: initialRows, // Array - matrix rows from the loader
+  onSave, // Function - called with the edited rows
+  isSaving, // Boolean - whether a save is in flight
+}) {
+  const [rows, setRows] = useState(initialRows);
+  const [fillField, setFillField] = useState("price");
+  const [adjustField, setAdjustField] = useState("price");
+  const [adjustPercent, setAdjustPercent] = useState("");
+
+  // Only rows backed by a Shopify variant can be edited
+  const editableRows = rows.filter((row) => row.variantId);
+  const { selectedResources, allResourcesSelected, handleSelectionChange } =
+    useIndexResourceState(editableRows.map((row) => ({ id: row.key })));
+
+  /**
+   * Reset the grid whenever fresh rows arrive from the server
+   */
+  useEffect(() => {
+    setRows(initialRows);
+  }, [initialRows]);
+
+  /**
+   * Rows targeted by bulk tools, in display order
+   * @returns {Array<string>} Row keys
+   */
+  const getTargetKeys = () => {
+    const keys = editableRows.map((row) => row.key);
+    if (allResourcesSelected || selectedResources.length === 0) return keys;
+    return keys.filter((key) => selectedResources.includes(key));
+  };
+
+  /**
+   * Update a single cell
+   * @param {string} key - Row key
+   * @param {string} field - Column field
+   * @param {string|boolean} value - New cell value
+   */
+  const updateCell = (key, field, value) => {
+    setRows((prev) =>
+      prev.map((row) => (row.key === key ? { ...row, [field]: value } : row)),
+    );
+  };
+
+  const handleFillDown = () => {
+    setRows((prev) => fillDown(prev, fillField, getTargetKeys()));
+  };
+
+  const handleAdjust = () => {
+    const percent = parseFloat(adjustPercent);
+    if (Number.isNaN(percent)) return;
+    setRows((prev) =>
+      adjustByPercentage(prev, adjustField, percent, getTargetKeys()),
+    );
+    setAdjustPercent("");
+  };
+
+  const rowMarkup = rows.map((row, index) => {
+    const disabled = !row.variantId;
+    return (
+      <IndexTable.Row
+        id={row.key}
+        key={row.key}
+        position={index}
+        selected={selectedResources.includes(row.key)}
+        disabled={disabled}
+      >
+        <IndexTable.Cell>
+          <div style={{ display: "flex", flexDirection: "column", gap: "4px" }}>
+            <Text variant="bodyMd" fontWeight="semibold" as="span">
+              {row.label}
+            </Text>
+            {disabled && <Badge tone="attention">Not on product</Badge>}
+          </div>
+        </IndexTable.Cell>
+        <IndexTable.Cell>
+          <TextField
+            label="SKU"
+            labelHidden
+            value={row.sku}
+            onChange={(value) => updateCell(row.key, "sku", value)}
+            disabled={disabled}
+            autoComplete="off"
+          />
+        </IndexTable.Cell>
+        <IndexTable.Cell>
+          <TextField
+            label="Price"
+            labelHidden
+            type="number"
+            min={0}
+            step={0.01}
+            prefix="$"
+            value={row.price}
+            onChange={(value) => updateCell(row.key, "price", value)}
+            disabled={disabled}
+            autoComplete="off"
+          />
+        </IndexTable.Cell>
+        <IndexTable.Cell>
+          <TextField
+            label="Compare-at price"
+            labelHidden
+            type="number"
+            min={0}
+            step={0.01}
+            prefix="$"
+            value={row.compareAtPrice}
+            onChange={(value) => updateCell(row.key, "compareAtPrice", value)}
+            disabled={disabled}
+            autoComplete="off"
+          />
+        </IndexTable.Cell>
+        <IndexTable.Cell>
+          <TextField
+            label="Inventory"
+            labelHidden
+            type="number"
+            step={1}
+            value={row.inventory}
+            onChange={(value) => updateCell(row.key, "inventory", value)}
+            disabled={disabled}
+            autoComplete="off"
+          />
+        </IndexTable.Cell>
+        <IndexTable.Cell>
+          <div onClick={(e) => e.stopPropagation()}>
+            <Checkbox
+              label="Active"
+              labelHidden
+              checked={row.isActive}
+              onChange={(checked) => updateCell(row.key, "isActive", checked)}
+              disabled={disabled}
+            />
+          </div>
+        </IndexTable.Cell>
+      </IndexTable.Row>
+    );
+  });
+
+  return (
+    <Card padding="0">
+      <Box padding="400">
+        <div
+          style={{
+            display: "flex",
+            flexWrap: "wrap",
+            alignItems: "flex-end",
+            gap: "12px",
+          }}
+        >
+          <Select
+            label="Fill down"
+            options={FILL_FIELDS}
+            value={fillField}
+            onChange={setFillField}
+          />
+          <Button onClick={handleFillDown} disabled={editableRows.length < 2}>
+            Fill down
+          </Button>
+          <div style={{ width: "120px" }}>
+            <TextField
+              label="Adjust by"
+              type="number"
+              suffix="%"
+              value={adjustPercent}
+              onChange={setAdjustPercent}
+              placeholder="e.g., 10 or -5"
+              autoComplete="off"
+            />
+          </div>
+          <Select
+            label="Field"
+            labelHidden
+            options={PRICE_FIELDS}
+            value={adjustField}
+            onChange={setAdjustField}
+          />
+          <Button onClick={handleAdjust} disabled={!adjustPercent}>
+            Apply
+          </Button>
+          <div style={{ marginLeft: "auto" }}>
+            <Button
+              variant="primary"
+              onClick={() => onSave(editableRows)}
+              loading={isSaving}
+              disabled={editableRows.length === 0}
+            >
+              Save and sync
+            </Button>
+          </div>
+        </div>
+        <Box paddingBlockStart="200">
+          <Text variant="bodySm" color="subdued">
+            Bulk tools apply to the selected rows, or to every row when none are
+            selected.
+          </Text>
+        </Box>
+      </Box>
+      <IndexTable
+        resourceName={{ singular: "variant", plural: "variants" }}
+        itemCount={rows.length}
+        selectedItemsCount={
+          allResourcesSelected ? "All" : selectedResources.length
+        }
+        onSelectionChange={handleSelectionChange}
+        headings={[
+          { title: "Variant" },
+          { title: "SKU" },
+          { title: "Price" },
+          { title: "Compare-at price" },
+          { title: "Inventory" },
+          { title: "Active" },
+        ]}
+      >
+        {rowMarkup}
+      </IndexTable>
+    </Card>
+  );
+}
@@ -3,13 +3,25 @@
  * 
  * A modal dialog for creating new product options. This modal allows users to:
  * - Enter an option name (e.g., "Color", "Size")
- * - Select an option type (text, number, image, color)
+ * - Select an option type (text, number, image, color, or a customer-input
+ *   type: custom text, multiline text, date or file upload)
  * - Add multiple values for the option
- * - Remove values by clicking on them
+ * - Set a fixed or percentage price adjustment per value
+ * - Pick swatch colors or a pattern image for color values
+ * - Set the unit, range and price per unit of number options, and generate
+ *   their values from the range
+ * - Remove values from the list
+ * - Set the limits of customer-input options (characters, format, dates,
+ *   file size and types)
+ * - Pick how customers choose values (buttons, dropdown, radio list, swatches,
+ *   slider or multi-select checkboxes)
+ * - Mark the option as required or optional
  * 
  * Key Features:
- * - Form validation ensures at least one value is added
+ * - Form validation ensures at least one value is added (customer-input
+ *   options have no values)
  * - Prevents duplicate values
+ * - Rejects non-numeric or out-of-range values for number options
  * - Resets form state after successful submission
  * - Different option types affect how values are displayed to customers
  */
@@ -21,10 +33,27 @@ import {
   TextField,
   Button,
   Select,
-  Text,
-  Badge
+  Checkbox
 } from "@shopify/polaris";
 import { useState } from "react";
+import ValueEditorList from "./ValueEditorList.jsx";
+import NumberOptionSettings from "./NumberOptionSettings.jsx";
+import CustomerInputSettings from "./CustomerInputSettings.jsx";
+import { addValueDrafts } from "../../utils/optionUtils.js";
+import {
+  createNumberSettingsDraft,
+  parseNumberSettings,
+  validateNumberValue,
+} from "../../utils/numberUtils.js";
+import {
+  isCustomerInputType,
+  createInputSettingsDraft,
+  parseInputSettings,
+} from "../../utils/inputUtils.js";
+import {
+  getDisplayStyleChoices,
+  getDefaultDisplayStyle,
+} from "../../utils/displayUtils.js";
 
 export default function AddOptionModal({
   active,      // Boolean - whether modal is open
@@ -34,53 +63,87 @@ export default function AddOptionModal({
 }) {
   // Form state management
   const [optionName, setOptionName] = useState("");        // Name of the new option
-  const [optionValues, setOptionValues] = useState([]);    // Array of values for the option
+  const [optionValues, setOptionValues] = useState([]);    // Array of value drafts for the option
   const [currentValue, setCurrentValue] = useState("");    // Current value being typed
   const [optionType, setOptionType] = useState("text");    // Type of option (text, color, number, image)
+  const [numberSettings, setNumberSettings] = useState(createNumberSettingsDraft(null)); // Unit and range of number options
+  const [valueError, setValueError] = useState(null);      // Validation error of the typed value
+  const [isRequired, setIsRequired] = useState(true);      // Whether customers must pick a value
+  const [inputSettings, setInputSettings] = useState(createInputSettingsDraft(null)); // Limits of customer-input options
+  const [inputError, setInputError] = useState(null);      // Validation error of the input settings
+  const [displayStyle, setDisplayStyle] = useState(getDefaultDisplayStyle("text")); // How customers pick values
+  const [helpText, setHelpText] = useState("");            // Shown to customers under the option name
+
+  const isInputType = isCustomerInputType(optionType);
 
   /**
    * Add a new value to the option's value list
    * Prevents duplicate values and clears the input field
+   * Number options only accept numbers within their range
    */
   const addValueToList = () => {
-    if (currentValue && !optionValues.includes(currentValue)) {
-      setOptionValues([...optionValues, currentValue]);
-      setCurrentValue(""); // Clear input after adding
+    if (!currentValue) return;
+
+    const trimmed = currentValue.trim();
+    if (optionType === "number") {
+      const error = validateNumberValue(trimmed, parseNumberSettings(numberSettings));
+      if (error) {
+        setValueError(error);
+        return;
+      }
     }
+
+    setOptionValues(addValueDrafts(optionValues, [trimmed], optionType));
+    setCurrentValue(""); // Clear input after adding
+    setValueError(null);
   };
 
   /**
-   * Remove a value from the option's value list
-   * This is called when a user clicks on a value badge
-   * @param {string} valueToRemove - The value to remove from the list
+   * Reset the whole form to its initial state
    */
-  const removeValue = (valueToRemove) => {
-    setOptionValues(optionValues.filter((value) => value !== valueToRemove));
+  const resetForm = () => {
+    setOptionName("");
+    setOptionValues([]);
+    setCurrentValue("");
+    setOptionType("text");
+    setNumberSettings(createNumberSettingsDraft(null));
+    setValueError(null);
+    setIsRequired(true);
+    setInputSettings(createInputSettingsDraft(null));
+    setInputError(null);
+    setDisplayStyle(getDefaultDisplayStyle("text"));
+    setHelpText("");
   };
 
   const handleSubmit = (e) => {
     e.preventDefault();
-    if (optionName && optionValues.length > 0) {
+    if (isInputType) {
+      try {
+        parseInputSettings(optionType, inputSettings);
+      } catch (error) {
+        setInputError(error.message);
+        return;
+      }
+    }
+
+    if (optionName && (isInputType || optionValues.length > 0)) {
       onSubmit({
         optionName,
-        values: optionValues,
-        optionType
+        values: isInputType ? [] : optionValues,
+        optionType,
+        settings: optionType === "number" ? numberSettings : isInputType ? inputSettings : {},
+        isRequired,
+        displayStyle,
+        helpText
       });
       
-      // Reset form
-      setOptionName("");
-      setOptionValues([]);
-      setCurrentValue("");
-      setOptionType("text");
+      resetForm();
     }
   };
 
   const handleClose = () => {
     // Reset form when closing
-    setOptionName("");
-    setOptionValues([]);
-    setCurrentValue("");
-    setOptionType("text");
+    resetForm();
     onClose();
   };
 
@@ -110,6 +173,15 @@ export default function AddOptionModal({
                 requiredIndicator
               />
 
+              <TextField
+                label="Help Text"
+                value={helpText}
+                onChange={setHelpText}
+                autoComplete="off"
+                placeholder="e.g., Measure around the widest part"
+                helpText="Optional. Shown to customers under the option name."
+              />
+
               <div
                 style={{
                   display: "flex",
@@ -117,81 +189,103 @@ export default function AddOptionModal({
                   gap: "8px",
                 }}
               >
-                <TextField
-                  label="Add Values"
-                  value={currentValue}
-                  onChange={setCurrentValue}
-                  autoComplete="off"
-                  placeholder="e.g., Red, Blue, Green"
-                  helpText="Press Enter or click Add to create multiple options"
-                  onKeyDown={(e) => {
-                    if (e.key === "Enter") {
-                      e.preventDefault();
-                      addValueToList();
+                {optionType === "number" && (
+                  <NumberOptionSettings
+                    settings={numberSettings}
+                    onChange={setNumberSettings}
+                    onGenerate={(names) =>
+                      setOptionValues(addValueDrafts(optionValues, names, optionType))
                     }
-                  }}
-                  connectedRight={
-                    <Button
-                      onClick={addValueToList}
-                      disabled={!currentValue}
-                    >
-                      Add
-                    </Button>
-                  }
-                />
-                {optionValues.length > 0 && (
-                  <Box paddingBlockStart="300">
-                    <div
-                      style={{
-                        display: "flex",
-                        flexDirection: "column",
-                        gap: "8px",
+                  />
+                )}
+                {isInputType ? (
+                  <CustomerInputSettings
+                    optionType={optionType}
+                    settings={inputSettings}
+                    onChange={(settings) => {
+                      setInputSettings(settings);
+                      setInputError(null);
+                    }}
+                    error={inputError}
+                  />
+                ) : (
+                  <>
+                    <TextField
+                      label="Add Values"
+                      value={currentValue}
+                      onChange={(value) => {
+                        setCurrentValue(value);
+                        setValueError(null);
+                      }}
+                      autoComplete="off"
+                      type={optionType === "number" ? "number" : "text"}
+                      placeholder={optionType === "number" ? "e.g., 10, 12.5, 15" : "e.g., Red, Blue, Green"}
+                      error={valueError}
+                      helpText="Press Enter or click Add to create multiple options"
+                      onKeyDown={(e) => {
+                        if (e.key === "Enter") {
+                          e.preventDefault();
+                          addValueToList();
+                        }
                       }}
-                    >
-                      <Text variant="bodySm" color="subdued">
-                        Added values ({optionValues.length}):
-                      </Text>
-                      <Box
-                        background="bg-surface-secondary"
-                        padding="300"
-                        borderRadius="200"
-                      >
-                        <div
-                          style={{
-                            display: "flex",
-                            flexWrap: "wrap",
-                            gap: "8px",
-                          }}
+                      connectedRight={
+                        <Button
+                          onClick={addValueToList}
+                          disabled={!currentValue}
                         >
-                          {optionValues.map((value, index) => (
-                            <Badge
-                              key={index}
-                              tone="info"
-                              onClick={() => removeValue(value)}
-                              style={{ cursor: "pointer" }}
-                            >
-                              {value} ✕
-                            </Badge>
-                          ))}
-                        </div>
-                      </Box>
-                    </div>
-                  </Box>
+                          Add
+                        </Button>
+                      }
+                    />
+                    <ValueEditorList
+                      title="Added values"
+                      values={optionValues}
+                      onChange={setOptionValues}
+                      optionType={optionType}
+                    />
+                  </>
                 )}
               </div>
 
               <Select
                 label="Option Type"
                 value={optionType}
-                onChange={setOptionType}
+                onChange={(type) => {
+                  setOptionType(type);
+                  setDisplayStyle(getDefaultDisplayStyle(type));
+                  setInputError(null);
+                }}
                 options={[
                   { label: "📝 Text Input", value: "text" },
                   { label: "🔢 Number Input", value: "number" },
                   { label: "🖼️ Image Upload", value: "image" },
                   { label: "🎨 Color Picker", value: "color" },
+                  { label: "✏️ Custom Text (customer enters)", value: "custom_text" },
+                  { label: "📄 Multiline Text (customer enters)", value: "textarea" },
+                  { label: "📅 Date (customer picks)", value: "date" },
+                  { label: "📎 File Upload (customer uploads)", value: "file" },
                 ]}
                 helpText="Choose how customers will interact with this option"
               />
+
+              {!isInputType && (
+                <Select
+                  label="Display Style"
+                  value={displayStyle}
+                  onChange={setDisplayStyle}
+                  options={getDisplayStyleChoices(optionType)}
+                  helpText="How customers pick values. Checkboxes let them pick several add-ons, so those options never become native variant options."
+                />
+              )}
+
+              <Checkbox
+                label="Required"
+                checked={isRequired}
+                onChange={setIsRequired}
+                helpText={isInputType
+                  ? "Customers must fill this in before adding to cart."
+                  : 'Customers must choose a value before adding to cart. Optional options offer a "None" choice.'}
+              />
             </div>
           </FormLayout>
 
@@ -210,7 +304,7 @@ export default function AddOptionModal({
                 primary
                 size="large"
                 onClick={handleSubmit}
-                disabled={!optionName || optionValues.length === 0}
+                disabled={!optionName || (!isInputType && optionValues.length === 0)}
                 loading={isLoading}
               >
                 {isLoading ? "Creating..." : "Add Option"}
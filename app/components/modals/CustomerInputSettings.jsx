@@ -0,0 +1,149 @@
+/**
+ * CustomerInputSettings Component
+ *
+ * Settings block shown in the Add/Edit option modals for options the
+ * customer fills in instead of picking a value:
+ * - Custom text: character limit, placeholder and an optional regex format
+ * - Multiline text: character limit and placeholder
+ * - Date: earliest and latest allowed date
+ * - File: size limit and accepted file types
+ */
+
+import {
+  Box,
+  Text,
+  TextField,
+  ChoiceList,
+  InlineError,
+} from "@shopify/polaris";
+import { FILE_TYPE_CHOICES, MAX_FILE_SIZE_MB } from "../../utils/inputUtils.js";
+
+export default function CustomerInputSettings({
+  optionType, // String - "custom_text", "textarea", "date" or "file"
+  settings, // Object - input settings draft (see createInputSettingsDraft)
+  onChange, // Function - called with the updated settings
+  error, // String - validation error to show, if any
+}) {
+  const updateSetting = (field, value) =>
+    onChange({ ...settings, [field]: value });
+
+  const isText = optionType === "custom_text" || optionType === "textarea";
+
+  return (
+    <Box background="bg-surface-secondary" padding="300" borderRadius="200">
+      <div style={{ display: "flex", flexDirection: "column", gap: "12px" }}>
+        <div style={{ display: "flex", flexDirection: "column", gap: "4px" }}>
+          <Text variant="headingSm" as="h3">
+            Customer input
+          </Text>
+          <Text variant="bodySm" tone="subdued">
+            Customers fill this in themselves; it is added to the order as a
+            line item property.
+          </Text>
+        </div>
+
+        {isText && (
+          <div style={{ display: "flex", gap: "12px" }}>
+            <div style={{ flex: 1 }}>
+              <TextField
+                label="Character limit"
+                type="number"
+                min={1}
+                value={settings.maxLength}
+                onChange={(value) => updateSetting("maxLength", value)}
+                placeholder="No limit"
+                autoComplete="off"
+              />
+            </div>
+            <div style={{ flex: 2 }}>
+              <TextField
+                label="Placeholder"
+                value={settings.placeholder}
+                onChange={(value) => updateSetting("placeholder", value)}
+                placeholder="e.g., Up to 3 initials"
+                autoComplete="off"
+              />
+            </div>
+          </div>
+        )}
+
+        {optionType === "custom_text" && (
+          <div style={{ display: "flex", gap: "12px" }}>
+            <div style={{ flex: 1 }}>
+              <TextField
+                label="Format (regular expression)"
+                value={settings.pattern}
+                onChange={(value) => updateSetting("pattern", value)}
+                placeholder="e.g., [A-Za-z ]+"
+                helpText="The whole entry must match"
+                autoComplete="off"
+                monospaced
+              />
+            </div>
+            <div style={{ flex: 1 }}>
+              <TextField
+                label="Message when the format doesn't match"
+                value={settings.patternMessage}
+                onChange={(value) => updateSetting("patternMessage", value)}
+                placeholder="e.g., Letters and spaces only"
+                autoComplete="off"
+                disabled={!settings.pattern}
+              />
+            </div>
+          </div>
+        )}
+
+        {optionType === "date" && (
+          <div style={{ display: "flex", gap: "12px" }}>
+            <div style={{ flex: 1 }}>
+              <TextField
+                label="Earliest date"
+                type="date"
+                value={settings.minDate}
+                onChange={(value) => updateSetting("minDate", value)}
+                autoComplete="off"
+              />
+            </div>
+            <div style={{ flex: 1 }}>
+              <TextField
+                label="Latest date"
+                type="date"
+                value={settings.maxDate}
+                onChange={(value) => updateSetting("maxDate", value)}
+                autoComplete="off"
+              />
+            </div>
+          </div>
+        )}
+
+        {optionType === "file" && (
+          <>
+            <TextField
+              label="Size limit"
+              type="number"
+              min={1}
+              max={MAX_FILE_SIZE_MB}
+              suffix="MB"
+              value={settings.maxFileSizeMb}
+              onChange={(value) => updateSetting("maxFileSizeMb", value)}
+              placeholder={String(MAX_FILE_SIZE_MB)}
+              autoComplete="off"
+            />
+            <ChoiceList
+              title="Accepted file types"
+              allowMultiple
+              choices={FILE_TYPE_CHOICES}
+              selected={settings.fileTypes}
+              onChange={(value) => updateSetting("fileTypes", value)}
+            />
+            <Text variant="bodySm" tone="subdued">
+              Leave all unchecked to accept any file type.
+            </Text>
+          </>
+        )}
+
+        {error && <InlineError message={error} fieldID="input-settings" />}
+      </div>
+    </Box>
+  );
+}
@@ -4,13 +4,23 @@
  * A modal dialog for editing existing product options. This modal allows users to:
  * - Modify the option name
  * - Add new values to the option
- * - Remove existing values by clicking on them
+ * - Adjust the price adjustment of each value
+ * - Edit the swatch colors or pattern image of color values
+ * - Edit the unit, range and price per unit of number options
+ * - Edit the limits of customer-input options (custom text, multiline text,
+ *   date and file upload)
+ * - Change how customers pick values (buttons, dropdown, radio list, swatches,
+ *   slider or multi-select checkboxes)
+ * - Mark the option as required or optional
+ * - Show the option only when earlier options have certain values
+ * - Remove existing values from the list
  * - View the option type (disabled for editing as it affects data structure)
  * 
  * Key Features:
  * - Populates form with existing option data when opened
  * - Validates that option has at least one value before submission
- * - Supports removing values by clicking on badges
+ *   (customer-input options have no values)
+ * - Supports removing values from the list
  * - Resets form state properly when closed/reopened
  */
 
@@ -21,23 +31,52 @@ import {
   TextField,
   Button,
   Select,
-  Text,
-  Badge
+  Checkbox
 } from "@shopify/polaris";
 import { useState, useEffect } from "react";
+import ValueEditorList from "./ValueEditorList.jsx";
+import NumberOptionSettings from "./NumberOptionSettings.jsx";
+import VisibilityRulesEditor from "./VisibilityRulesEditor.jsx";
+import CustomerInputSettings from "./CustomerInputSettings.jsx";
+import { createValueDraft, addValueDrafts } from "../../utils/optionUtils.js";
+import {
+  createNumberSettingsDraft,
+  parseNumberSettings,
+  validateNumberValue,
+} from "../../utils/numberUtils.js";
+import { validateVisibilityRules } from "../../utils/visibilityUtils.js";
+import {
+  isCustomerInputType,
+  createInputSettingsDraft,
+  parseInputSettings,
+} from "../../utils/inputUtils.js";
+import { getDisplayStyleChoices, getDisplayStyle } from "../../utils/displayUtils.js";
 
 export default function EditOptionModal({
   active,           // Boolean - whether modal is open
   onClose,          // Function - called when modal should close
   onSubmit,         // Function - called when form is submitted
   isLoading,        // Boolean - whether form is currently submitting
-  editingOption     // Object - the option being edited (null when modal closed)
+  editingOption,    // Object - the option being edited (null when modal closed)
+  options = []      // Array - all options, for visibility conditions
 }) {
   // Form state management
   const [editOptionName, setEditOptionName] = useState("");          // Name of the option being edited
-  const [editOptionValues, setEditOptionValues] = useState([]);      // Array of value strings
+  const [editOptionValues, setEditOptionValues] = useState([]);      // Array of value drafts
   const [editCurrentValue, setEditCurrentValue] = useState("");      // Current value being typed
   const [editOptionType, setEditOptionType] = useState("text");      // Type of option (text, color, etc.)
+  const [editNumberSettings, setEditNumberSettings] = useState(createNumberSettingsDraft(null)); // Unit and range of number options
+  const [editValueError, setEditValueError] = useState(null);        // Validation error of the typed value
+  const [editIsRequired, setEditIsRequired] = useState(true);        // Whether customers must pick a value
+  const [editVisibilityRules, setEditVisibilityRules] = useState([]); // When the option is shown
+  const [visibilityRulesChanged, setVisibilityRulesChanged] = useState(false); // Rules are only saved when edited
+  const [visibilityError, setVisibilityError] = useState(null);      // Validation error of the rules
+  const [editInputSettings, setEditInputSettings] = useState(createInputSettingsDraft(null)); // Limits of customer-input options
+  const [inputError, setInputError] = useState(null);                // Validation error of the input settings
+  const [editDisplayStyle, setEditDisplayStyle] = useState(null);    // How customers pick values
+  const [editHelpText, setEditHelpText] = useState("");              // Shown to customers under the option name
+
+  const isInputType = isCustomerInputType(editOptionType);
 
   /**
    * Effect to populate form when modal opens with an option
@@ -47,9 +86,19 @@ export default function EditOptionModal({
   useEffect(() => {
     if (editingOption && active) {
       setEditOptionName(editingOption.name);
-      setEditOptionValues(editingOption.values.map((v) => v.name)); // Extract just the names
+      setEditOptionValues(editingOption.values.map(createValueDraft)); // Keep names and price adjustments
       setEditOptionType(editingOption.type);
+      setEditNumberSettings(createNumberSettingsDraft(editingOption));
       setEditCurrentValue(""); // Reset the input field
+      setEditValueError(null);
+      setEditIsRequired(editingOption.isRequired ?? true);
+      setEditVisibilityRules(editingOption.visibilityRules || []);
+      setVisibilityRulesChanged(false);
+      setVisibilityError(null);
+      setEditInputSettings(createInputSettingsDraft(editingOption));
+      setInputError(null);
+      setEditDisplayStyle(getDisplayStyle(editingOption));
+      setEditHelpText(editingOption.helpText || "");
     }
   }, [editingOption, active]);
 
@@ -58,21 +107,20 @@ export default function EditOptionModal({
    * Prevents duplicate values and clears the input field
    */
   const addEditValueToList = () => {
-    if (editCurrentValue && !editOptionValues.includes(editCurrentValue)) {
-      setEditOptionValues([...editOptionValues, editCurrentValue]);
-      setEditCurrentValue(""); // Clear input after adding
+    if (!editCurrentValue) return;
+
+    const trimmed = editCurrentValue.trim();
+    if (editOptionType === "number") {
+      const error = validateNumberValue(trimmed, parseNumberSettings(editNumberSettings));
+      if (error) {
+        setEditValueError(error);
+        return;
+      }
     }
-  };
 
-  /**
-   * Remove a value from the option's value list
-   * This is called when a user clicks on a value badge
-   * @param {string} valueToRemove - The value to remove from the list
-   */
-  const removeEditValue = (valueToRemove) => {
-    setEditOptionValues(
-      editOptionValues.filter((value) => value !== valueToRemove),
-    );
+    setEditOptionValues(addValueDrafts(editOptionValues, [trimmed], editOptionType));
+    setEditCurrentValue(""); // Clear input after adding
+    setEditValueError(null);
   };
 
   /**
@@ -83,12 +131,37 @@ export default function EditOptionModal({
   const handleSubmit = (e) => {
     e.preventDefault();
     // Validate we have all required data
-    if (editOptionName && editOptionValues.length > 0 && editingOption) {
+    if (editOptionName && (isInputType || editOptionValues.length > 0) && editingOption) {
+      if (isInputType) {
+        try {
+          parseInputSettings(editOptionType, editInputSettings);
+        } catch (error) {
+          setInputError(error.message);
+          return;
+        }
+      }
+
+      // Untouched rules are left out so the server keeps the stored ones
+      let visibilityRules;
+      if (visibilityRulesChanged) {
+        visibilityRules = editVisibilityRules.filter((rule) => rule.valueIds.length > 0);
+        const error = validateVisibilityRules(editingOption.id, visibilityRules, options);
+        if (error) {
+          setVisibilityError(error);
+          return;
+        }
+      }
+
       onSubmit({
         optionId: editingOption.id,
         optionName: editOptionName,
-        values: editOptionValues,
+        values: isInputType ? [] : editOptionValues,
         optionType: editOptionType,
+        settings: editOptionType === "number" ? editNumberSettings : isInputType ? editInputSettings : {},
+        isRequired: editIsRequired,
+        displayStyle: editDisplayStyle,
+        helpText: editHelpText,
+        visibilityRules,
         originalOption: editingOption // Pass original for comparison
       });
     }
@@ -103,6 +176,16 @@ export default function EditOptionModal({
     setEditOptionValues([]);
     setEditCurrentValue("");
     setEditOptionType("text");
+    setEditNumberSettings(createNumberSettingsDraft(null));
+    setEditValueError(null);
+    setEditIsRequired(true);
+    setEditVisibilityRules([]);
+    setVisibilityRulesChanged(false);
+    setVisibilityError(null);
+    setEditInputSettings(createInputSettingsDraft(null));
+    setInputError(null);
+    setEditDisplayStyle(null);
+    setEditHelpText("");
     onClose();
   };
 
@@ -132,6 +215,15 @@ export default function EditOptionModal({
                 requiredIndicator
               />
 
+              <TextField
+                label="Help Text"
+                value={editHelpText}
+                onChange={setEditHelpText}
+                autoComplete="off"
+                placeholder="e.g., Measure around the widest part"
+                helpText="Optional. Shown to customers under the option name."
+              />
+
               <div
                 style={{
                   display: "flex",
@@ -139,67 +231,62 @@ export default function EditOptionModal({
                   gap: "8px",
                 }}
               >
-                <TextField
-                  label="Add New Values"
-                  value={editCurrentValue}
-                  onChange={setEditCurrentValue}
-                  autoComplete="off"
-                  placeholder="e.g., Red, Blue, Green"
-                  helpText="Press Enter or click Add to add new values to this option"
-                  onKeyDown={(e) => {
-                    if (e.key === "Enter") {
-                      e.preventDefault();
-                      addEditValueToList();
+                {editOptionType === "number" && (
+                  <NumberOptionSettings
+                    settings={editNumberSettings}
+                    onChange={setEditNumberSettings}
+                    onGenerate={(names) =>
+                      setEditOptionValues(addValueDrafts(editOptionValues, names, editOptionType))
                     }
-                  }}
-                  connectedRight={
-                    <Button
-                      onClick={addEditValueToList}
-                      disabled={!editCurrentValue}
-                    >
-                      Add
-                    </Button>
-                  }
-                />
-
-                {editOptionValues.length > 0 && (
-                  <Box paddingBlockStart="300">
-                    <div
-                      style={{
-                        display: "flex",
-                        flexDirection: "column",
-                        gap: "8px",
+                  />
+                )}
+                {isInputType ? (
+                  <CustomerInputSettings
+                    optionType={editOptionType}
+                    settings={editInputSettings}
+                    onChange={(settings) => {
+                      setEditInputSettings(settings);
+                      setInputError(null);
+                    }}
+                    error={inputError}
+                  />
+                ) : (
+                  <>
+                    <TextField
+                      label="Add New Values"
+                      value={editCurrentValue}
+                      onChange={(value) => {
+                        setEditCurrentValue(value);
+                        setEditValueError(null);
                       }}
-                    >
-                      <Text variant="bodySm" color="subdued">
-                        All values ({editOptionValues.length}):
-                      </Text>
-                      <Box
-                        background="bg-surface-secondary"
-                        padding="300"
-                        borderRadius="200"
-                      >
-                        <div
-                          style={{
-                            display: "flex",
-                            flexWrap: "wrap",
-                            gap: "8px",
-                          }}
+                      autoComplete="off"
+                      type={editOptionType === "number" ? "number" : "text"}
+                      placeholder={editOptionType === "number" ? "e.g., 10, 12.5, 15" : "e.g., Red, Blue, Green"}
+                      error={editValueError}
+                      helpText="Press Enter or click Add to add new values to this option"
+                      onKeyDown={(e) => {
+                        if (e.key === "Enter") {
+                          e.preventDefault();
+                          addEditValueToList();
+                        }
+                      }}
+                      connectedRight={
+                        <Button
+                          onClick={addEditValueToList}
+                          disabled={!editCurrentValue}
                         >
-                          {editOptionValues.map((value, index) => (
-                            <Badge
-                              key={index}
-                              tone="info"
-                              onClick={() => removeEditValue(value)}
-                              style={{ cursor: "pointer" }}
-                            >
-                              {value} ✕
-                            </Badge>
-                          ))}
-                        </div>
-                      </Box>
-                    </div>
-                  </Box>
+                          Add
+                        </Button>
+                      }
+                    />
+
+                    <ValueEditorList
+                      title="All values"
+                      values={editOptionValues}
+                      onChange={setEditOptionValues}
+                      optionType={editOptionType}
+                    />
+                  </>
                 )}
               </div>
 
@@ -212,10 +299,45 @@ export default function EditOptionModal({
                   { label: "🔢 Number Input", value: "number" },
                   { label: "🖼️ Image Upload", value: "image" },
                   { label: "🎨 Color Picker", value: "color" },
+                  { label: "✏️ Custom Text (customer enters)", value: "custom_text" },
+                  { label: "📄 Multiline Text (customer enters)", value: "textarea" },
+                  { label: "📅 Date (customer picks)", value: "date" },
+                  { label: "📎 File Upload (customer uploads)", value: "file" },
                 ]}
                 helpText="Option type cannot be changed after creation"
                 disabled
               />
+
+              {!isInputType && (
+                <Select
+                  label="Display Style"
+                  value={editDisplayStyle || ""}
+                  onChange={setEditDisplayStyle}
+                  options={getDisplayStyleChoices(editOptionType)}
+                  helpText="How customers pick values. Checkboxes let them pick several add-ons, so those options never become native variant options."
+                />
+              )}
+
+              <Checkbox
+                label="Required"
+                checked={editIsRequired}
+                onChange={setEditIsRequired}
+                helpText={isInputType
+                  ? "Customers must fill this in before adding to cart."
+                  : 'Customers must choose a value before adding to cart. Optional options offer a "None" choice.'}
+              />
+
+              <VisibilityRulesEditor
+                optionId={editingOption?.id}
+                rules={editVisibilityRules}
+                options={options}
+                onChange={(rules) => {
+                  setEditVisibilityRules(rules);
+                  setVisibilityRulesChanged(true);
+                  setVisibilityError(null);
+                }}
+                error={visibilityError}
+              />
             </div>
           </FormLayout>
 
@@ -234,7 +356,7 @@ export default function EditOptionModal({
                 primary
                 size="large"
                 onClick={handleSubmit}
-                disabled={!editOptionName || editOptionValues.length === 0}
+                disabled={!editOptionName || (!isInputType && editOptionValues.length === 0)}
                 loading={isLoading}
               >
                 {isLoading ? "Updating..." : "Update Option"}
@@ -0,0 +1,186 @@
+/**
+ * ImportOptionsModal Component
+ *
+ * A modal dialog for importing options already defined on Shopify products
+ * into the option library. Merchants can import from:
+ * - Selected products (chosen with the App Bridge resource picker)
+ * - The whole catalog
+ *
+ * Options are merged by name, so running an import twice is safe. Once the
+ * import finishes the modal shows which options were created and which
+ * existing options received new values.
+ */
+
+import {
+  Modal,
+  Box,
+  Text,
+  Badge,
+  Button,
+  ChoiceList,
+  Banner,
+  List,
+} from "@shopify/polaris";
+import { useEffect, useState } from "react";
+import { useFetcher } from "@remix-run/react";
+
+export default function ImportOptionsModal({
+  active, // Boolean - whether modal is open
+  onClose, // Function - called when modal should close
+}) {
+  const [scope, setScope] = useState("products"); // "products" or "catalog"
+  const [products, setProducts] = useState([]); // Products picked for import
+  const [summary, setSummary] = useState(null); // Result of the last import
+  const fetcher = useFetcher();
+
+  const isImporting = fetcher.state !== "idle";
+  const importError =
+    fetcher.data?.actionType === "Import Options" && !fetcher.data.success
+      ? fetcher.data.error
+      : null;
+
+  /**
+   * Show the summary once the import finishes
+   */
+  useEffect(() => {
+    if (fetcher.data?.actionType === "Import Options" && fetcher.data.success) {
+      setSummary(fetcher.data.summary);
+    }
+  }, [fetcher.data]);
+
+  /**
+   * Open the App Bridge product picker
+   */
+  const handlePickProducts = async () => {
+    const selection = await shopify.resourcePicker({
+      type: "product",
+      multiple: true,
+      selectionIds: products.map((product) => ({ id: product.id })),
+    });
+    if (selection) {
+      setProducts(selection.map(({ id, title }) => ({ id, title })));
+    }
+  };
+
+  const handleImport = () => {
+    setSummary(null);
+    fetcher.submit(
+      {
+        actionType: "Import Options",
+        scope,
+        productIds: JSON.stringify(products.map((product) => product.id)),
+      },
+      { method: "post" },
+    );
+  };
+
+  const handleClose = () => {
+    // Reset form when closing
+    setScope("products");
+    setProducts([]);
+    setSummary(null);
+    onClose();
+  };
+
+  return (
+    <Modal
+      open={active}
+      onClose={handleClose}
+      title="Import Options from Shopify"
+      primaryAction={{
+        content: isImporting ? "Importing..." : "Import",
+        onAction: handleImport,
+        loading: isImporting,
+        disabled: scope === "products" && products.length === 0,
+      }}
+      secondaryActions={[{ content: "Close", onAction: handleClose }]}
+    >
+      <Modal.Section>
+        <Box padding="400">
+          <div
+            style={{
+              display: "flex",
+              flexDirection: "column",
+              gap: "16px",
+            }}
+          >
+            <ChoiceList
+              title="Import options from"
+              choices={[
+                { label: "Selected products", value: "products" },
+                {
+                  label: "Whole catalog",
+                  value: "catalog",
+                  helpText: "Reads every product; large catalogs take longer.",
+                },
+              ]}
+              selected={[scope]}
+              onChange={([value]) => setScope(value)}
+            />
+
+            {scope === "products" && (
+              <div
+                style={{
+                  display: "flex",
+                  alignItems: "center",
+                  gap: "12px",
+                  flexWrap: "wrap",
+                }}
+              >
+                <Button onClick={handlePickProducts}>
+                  {products.length > 0 ? "Change products" : "Choose products"}
+                </Button>
+                {products.map((product) => (
+                  <Badge key={product.id}>{product.title}</Badge>
+                ))}
+              </div>
+            )}
+
+            <Text variant="bodySm" color="subdued">
+              Options are matched by name. Existing options keep their values
+              and only receive the ones they are missing.
+            </Text>
+
+            {importError && (
+              <Banner tone="critical" title="Import failed">
+                <p>{importError}</p>
+              </Banner>
+            )}
+
+            {summary && (
+              <Banner
+                tone="success"
+                title={`Scanned ${summary.productsScanned} product${summary.productsScanned === 1 ? "" : "s"}`}
+              >
+                <List type="bullet">
+                  <List.Item>
+                    Created {summary.created.length} option
+                    {summary.created.length === 1 ? "" : "s"}
+                    {summary.created.length > 0 &&
+                      `: ${summary.created
+                        .map((o) => `${o.name} (${o.values.length} values)`)
+                        .join(", ")}`}
+                  </List.Item>
+                  <List.Item>
+                    Merged into {summary.merged.length} existing option
+                    {summary.merged.length === 1 ? "" : "s"}
+                    {summary.merged.length > 0 &&
+                      `: ${summary.merged
+                        .map((o) => `${o.name} (+${o.values.join(", ")})`)
+                        .join("; ")}`}
+                  </List.Item>
+                  {summary.unchanged.length > 0 && (
+                    <List.Item>
+                      Already up to date:{" "}
+                      {summary.unchanged.map((o) => o.name).join(", ")}
+                    </List.Item>
+                  )}
+                </List>
+              </Banner>
+            )}
+          </div>
+        </Box>
+      </Modal.Section>
+    </Modal>
+  );
+}
@@ -0,0 +1,120 @@
+/**
+ * NumberOptionSettings Component
+ *
+ * Settings block shown in the Add/Edit option modals for number options:
+ * - Unit the values are measured in (cm, in, ml, g)
+ * - Allowed range (min, max, step), enforced when values are added
+ * - Price per unit, added to variant prices as `price per unit × value`
+ * - A generator that fills in every value of the range, e.g. 10–50 step 5
+ */
+
+import {
+  Box,
+  Text,
+  TextField,
+  Select,
+  Button,
+  InlineError,
+} from "@shopify/polaris";
+import { useState } from "react";
+import {
+  NUMBER_UNITS,
+  generateNumberRange,
+  parseNumber,
+} from "../../utils/numberUtils.js";
+
+export default function NumberOptionSettings({
+  settings, // Object - number settings draft (see createNumberSettingsDraft)
+  onChange, // Function - called with the updated settings
+  onGenerate, // Function - called with the generated value strings
+}) {
+  const [generateError, setGenerateError] = useState(null);
+
+  const updateSetting = (field, value) => {
+    setGenerateError(null);
+    onChange({ ...settings, [field]: value });
+  };
+
+  const handleGenerate = () => {
+    try {
+      onGenerate(
+        generateNumberRange(
+          parseNumber(settings.minValue),
+          parseNumber(settings.maxValue),
+          parseNumber(settings.step),
+        ),
+      );
+      setGenerateError(null);
+    } catch (error) {
+      setGenerateError(error.message);
+    }
+  };
+
+  const unitSuffix = settings.unit || undefined;
+
+  return (
+    <Box background="bg-surface-secondary" padding="300" borderRadius="200">
+      <div style={{ display: "flex", flexDirection: "column", gap: "12px" }}>
+        <Text variant="headingSm" as="h3">
+          Number settings
+        </Text>
+        <div style={{ display: "flex", flexWrap: "wrap", gap: "8px" }}>
+          <Select
+            label="Unit"
+            options={NUMBER_UNITS}
+            value={settings.unit}
+            onChange={(unit) => updateSetting("unit", unit)}
+          />
+          <div style={{ width: "100px" }}>
+            <TextField
+              label="Minimum"
+              type="number"
+              value={settings.minValue}
+              onChange={(value) => updateSetting("minValue", value)}
+              suffix={unitSuffix}
+              autoComplete="off"
+            />
+          </div>
+          <div style={{ width: "100px" }}>
+            <TextField
+              label="Maximum"
+              type="number"
+              value={settings.maxValue}
+              onChange={(value) => updateSetting("maxValue", value)}
+              suffix={unitSuffix}
+              autoComplete="off"
+            />
+          </div>
+          <div style={{ width: "100px" }}>
+            <TextField
+              label="Step"
+              type="number"
+              min={0}
+              value={settings.step}
+              onChange={(value) => updateSetting("step", value)}
+              autoComplete="off"
+            />
+          </div>
+          <div style={{ width: "140px" }}>
+            <TextField
+              label={`Price per ${settings.unit || "unit"}`}
+              type="number"
+              step={0.01}
+              prefix="$"
+              value={settings.pricePerUnit}
+              onChange={(value) => updateSetting("pricePerUnit", value)}
+              placeholder="0.00"
+              autoComplete="off"
+            />
+          </div>
+        </div>
+        <div style={{ display: "flex", alignItems: "center", gap: "8px" }}>
+          <Button onClick={handleGenerate}>Generate values from range</Button>
+          {generateError && (
+            <InlineError message={generateError} fieldID="number-range" />
+          )}
+        </div>
+      </div>
+    </Box>
+  );
+}
@@ -0,0 +1,269 @@
+/**
+ * OptionSetModal Component
+ *
+ * A modal dialog for creating or editing an option set - a reusable group of
+ * options that are applied to products together. For each option in the set
+ * the merchant picks which of its values to include.
+ *
+ * Key Features:
+ * - Options are added from the option library and removed individually
+ * - Options are ordered within the set by drag and drop
+ * - Saves through its own fetcher so errors like duplicate names stay in the modal
+ */
+
+import {
+  Modal,
+  Box,
+  Text,
+  TextField,
+  Select,
+  Button,
+  Checkbox,
+  Banner,
+  Icon,
+} from "@shopify/polaris";
+import { DeleteIcon, DragHandleIcon } from "@shopify/polaris-icons";
+import { useCallback, useEffect, useState } from "react";
+import { useFetcher } from "@remix-run/react";
+import { useDragReorder } from "../../hooks/useDragReorder.js";
+import { moveItem } from "../../utils/optionUtils.js";
+
+export default function OptionSetModal({
+  active, // Boolean - whether modal is open
+  onClose, // Function - called when modal should close
+  onSaved, // Function - called with the saved set's name after a successful save
+  options, // Array - the option library to pick options from
+  editingSet, // Object - the set being edited, null for a new set
+}) {
+  const [name, setName] = useState(""); // Name of the set
+  const [entries, setEntries] = useState([]); // [{ optionId, valueIds }] in set order
+  const [optionToAdd, setOptionToAdd] = useState(""); // Option picked in the "Add option" select
+  const fetcher = useFetcher();
+
+  const isSaving = fetcher.state !== "idle";
+  const saveError =
+    fetcher.data?.actionType === "Save Option Set" && !fetcher.data.success
+      ? fetcher.data.error
+      : null;
+
+  /**
+   * Populate the form whenever the modal opens
+   */
+  useEffect(() => {
+    if (!active) return;
+    setName(editingSet?.name || "");
+    setEntries(
+      editingSet
+        ? editingSet.options.map(({ optionId, valueIds }) => ({
+            optionId,
+            valueIds,
+          }))
+        : [],
+    );
+    setOptionToAdd("");
+  }, [active, editingSet]);
+
+  /**
+   * Close once the save succeeds
+   */
+  useEffect(() => {
+    if (
+      fetcher.state === "idle" &&
+      fetcher.data?.actionType === "Save Option Set" &&
+      fetcher.data.success
+    ) {
+      onSaved(fetcher.data.optionSet.name);
+    }
+  }, [fetcher.state, fetcher.data, onSaved]);
+
+  const moveEntry = useCallback(
+    (fromIndex, toIndex) =>
+      setEntries((prev) => moveItem(prev, fromIndex, toIndex)),
+    [],
+  );
+  const { getItemProps } = useDragReorder(moveEntry);
+
+  const availableOptions = options.filter(
+    (option) => !entries.some((entry) => entry.optionId === option.id),
+  );
+
+  /**
+   * Add the picked option with all of its values
+   */
+  const handleAddOption = () => {
+    const option = options.find((o) => o.id === optionToAdd);
+    if (!option) return;
+
+    setEntries((prev) => [
+      ...prev,
+      {
+        optionId: option.id,
+        valueIds: option.values.map((value) => value.id),
+      },
+    ]);
+    setOptionToAdd("");
+  };
+
+  /**
+   * Include or exclude a value of an option in the set
+   * Values keep the order they have in the option library
+   * @param {Object} option - Library option the value belongs to
+   * @param {string} valueId - ID of the value to toggle
+   */
+  const handleToggleValue = (option, valueId) => {
+    setEntries((prev) =>
+      prev.map((entry) => {
+        if (entry.optionId !== option.id) return entry;
+
+        const included = entry.valueIds.includes(valueId)
+          ? entry.valueIds.filter((id) => id !== valueId)
+          : [...entry.valueIds, valueId];
+        return {
+          ...entry,
+          valueIds: option.values
+            .map((value) => value.id)
+            .filter((id) => included.includes(id)),
+        };
+      }),
+    );
+  };
+
+  const handleRemoveOption = (optionId) => {
+    setEntries((prev) => prev.filter((entry) => entry.optionId !== optionId));
+  };
+
+  const handleSave = () => {
+    fetcher.submit(
+      {
+        actionType: "Save Option Set",
+        optionSet: JSON.stringify({
+          id: editingSet?.id,
+          name,
+          options: entries,
+        }),
+      },
+      { method: "post" },
+    );
+  };
+
+  const canSave =
+    name.trim() !== "" && entries.some((entry) => entry.valueIds.length > 0);
+
+  return (
+    <Modal
+      open={active}
+      onClose={onClose}
+      title={editingSet ? `Edit "${editingSet.name}"` : "New Option Set"}
+      primaryAction={{
+        content: isSaving ? "Saving..." : "Save set",
+        onAction: handleSave,
+        loading: isSaving,
+        disabled: !canSave,
+      }}
+      secondaryActions={[{ content: "Cancel", onAction: onClose }]}
+    >
+      <Modal.Section>
+        <Box padding="400">
+          <div
+            style={{ display: "flex", flexDirection: "column", gap: "16px" }}
+          >
+            {saveError && <Banner tone="critical">{saveError}</Banner>}
+
+            <TextField
+              label="Set name"
+              value={name}
+              onChange={setName}
+              placeholder="e.g., Apparel"
+              autoComplete="off"
+            />
+
+            <div
+              style={{ display: "flex", gap: "8px", alignItems: "flex-end" }}
+            >
+              <div style={{ flex: 1 }}>
+                <Select
+                  label="Add option"
+                  options={[
+                    { label: "Choose an option", value: "" },
+                    ...availableOptions.map((option) => ({
+                      label: option.name,
+                      value: option.id,
+                    })),
+                  ]}
+                  value={optionToAdd}
+                  onChange={setOptionToAdd}
+                  disabled={availableOptions.length === 0}
+                />
+              </div>
+              <Button onClick={handleAddOption} disabled={!optionToAdd}>
+                Add
+              </Button>
+            </div>
+
+            {entries.length === 0 && (
+              <Text variant="bodySm" tone="subdued">
+                Add the options this set should contain.
+              </Text>
+            )}
+
+            {entries.map((entry, index) => {
+              const option = options.find((o) => o.id === entry.optionId);
+              if (!option) return null; // Option was deleted from the library
+
+              return (
+                <div key={entry.optionId} {...getItemProps(index)}>
+                  <Box
+                    padding="300"
+                    borderWidth="025"
+                    borderColor="border"
+                    borderRadius="200"
+                  >
+                    <div
+                      style={{
+                        display: "flex",
+                        alignItems: "center",
+                        gap: "8px",
+                        marginBottom: "8px",
+                      }}
+                    >
+                      <div style={{ cursor: "grab" }}>
+                        <Icon source={DragHandleIcon} tone="subdued" />
+                      </div>
+                      <div style={{ flex: 1 }}>
+                        <Text variant="headingSm" as="h3">
+                          {option.name}
+                        </Text>
+                      </div>
+                      <Text variant="bodySm" tone="subdued">
+                        {entry.valueIds.length} of {option.values.length} values
+                      </Text>
+                      <Button
+                        size="slim"
+                        icon={DeleteIcon}
+                        variant="tertiary"
+                        accessibilityLabel={`Remove ${option.name}`}
+                        onClick={() => handleRemoveOption(option.id)}
+                      />
+                    </div>
+                    <div
+                      style={{ display: "flex", flexWrap: "wrap", gap: "12px" }}
+                    >
+                      {option.values.map((value) => (
+                        <Checkbox
+                          key={value.id}
+                          label={value.name}
+                          checked={entry.valueIds.includes(value.id)}
+                          onChange={() => handleToggleValue(option, value.id)}
+                        />
+                      ))}
+                    </div>
+                  </Box>
+                </div>
+              );
+            })}
+          </div>
+        </Box>
+      </Modal.Section>
+    </Modal>
+  );
+}
@@ -1,48 +1,128 @@
-import { Modal, Box, Text, Badge, Checkbox, TextField } from "@shopify/polaris";
-import { useEffect, useState } from "react";
-import { useSubmit } from "@remix-run/react";
+/**
+ * ProductSelectionModal Component
+ *
+ * A modal dialog for choosing the products that options get applied to.
+ * Products are searched through the route's "search-products" action and
+ * loaded page by page as the list is scrolled.
+ *
+ * Key Features:
+ * - Debounced search against the Shopify Admin API
+ * - Infinite scroll using cursor pagination
+ * - Selections are kept across searches and pages
+ * - Applies either all options or a chosen option set
+ */
+
+import {
+  Modal,
+  Box,
+  Text,
+  Badge,
+  Checkbox,
+  TextField,
+  Spinner,
+  Thumbnail,
+  Select,
+} from "@shopify/polaris";
+import { ImageIcon } from "@shopify/polaris-icons";
+import { useCallback, useEffect, useRef, useState } from "react";
+import { useFetcher } from "@remix-run/react";
+
+// Distance from the bottom of the list (px) at which the next page loads
+const LOAD_MORE_THRESHOLD = 80;
 
 export default function ProductSelectionModal({
   active,
   onClose,
   options,
   selectedProducts,
-  availableProducts,
   onProductSelection,
+  optionSets = [],
+  selectedSetId,
+  onSelectSet,
 }) {
   const [searchQuery, setSearchQuery] = useState("");
-  const submit = useSubmit();
+  const [products, setProducts] = useState([]); // Results of the current search
+  const [pageInfo, setPageInfo] = useState(null); // Cursor info of the last page
+  const fetcher = useFetcher();
+  const submitSearch = fetcher.submit; // Stable across renders, unlike fetcher
+  const activeQuery = useRef(null); // Query the current results belong to
 
-  const filteredProducts = availableProducts.filter(
-    (product) =>
-      product.title.toLowerCase().includes(searchQuery.toLowerCase()) ||
-      product.handle.toLowerCase().includes(searchQuery.toLowerCase()),
+  const isSearching = fetcher.state !== "idle";
+
+  /**
+   * Request a page of search results
+   * @param {string} query - Search query
+   * @param {string|null} after - Cursor to continue from, null for the first page
+   */
+  const loadProducts = useCallback(
+    (query, after = null) => {
+      activeQuery.current = query.trim();
+      const formData = new FormData();
+      formData.append("actionType", "search-products");
+      formData.append("query", query);
+      if (after) {
+        formData.append("after", after);
+      }
+      submitSearch(formData, { method: "post" });
+    },
+    [submitSearch],
   );
 
+  /**
+   * Run the search when the modal opens and whenever the query changes
+   * Debounced so we don't query on every keystroke
+   */
   useEffect(() => {
-    console.log("Search Query: ", searchQuery);
-
-    const handleSubmit = () => {
-      if (searchQuery.trim()) {
-        const formData = new FormData();
-        formData.append("query", searchQuery);
-        formData.append("selectedProducts", JSON.stringify(selectedProducts));
-        formData.append("options", JSON.stringify(options));
-        formData.append("actionType", "search-products");
-
-        submit(formData, {
-          method: "post",
-          replace: false,
-        });
-      }
-    };
+    if (!active) return;
 
     const debounceTimer = setTimeout(() => {
-      handleSubmit();
+      loadProducts(searchQuery);
     }, 500);
 
     return () => clearTimeout(debounceTimer);
-  }, [searchQuery, selectedProducts, options, submit]);
+  }, [active, searchQuery, loadProducts]);
+
+  /**
+   * Merge incoming pages into the list
+   * Responses for an outdated query are ignored
+   */
+  useEffect(() => {
+    const data = fetcher.data;
+    if (!data || data.actionType !== "search-products") return;
+    if (data.query !== activeQuery.current) return;
+    if (!data.success) {
+      setPageInfo(null);
+      return;
+    }
+
+    setProducts((prev) =>
+      data.after ? [...prev, ...data.products] : data.products,
+    );
+    setPageInfo(data.pageInfo);
+  }, [fetcher.data]);
+
+  /**
+   * Load the next page once the list is scrolled near its end
+   * @param {Event} event - Scroll event of the results container
+   */
+  const handleScroll = (event) => {
+    const { scrollTop, scrollHeight, clientHeight } = event.currentTarget;
+    const nearBottom =
+      scrollHeight - scrollTop - clientHeight < LOAD_MORE_THRESHOLD;
+
+    if (nearBottom && pageInfo?.hasNextPage && !isSearching) {
+      loadProducts(searchQuery, pageInfo.endCursor);
+    }
+  };
+
+  const selectedSet = optionSets.find((set) => set.id === selectedSetId);
+  const optionCount = selectedSet ? selectedSet.options.length : options.length;
+  const optionsLabel = `${optionCount} option${optionCount !== 1 ? "s" : ""}`;
+
+  const searchError =
+    fetcher.data?.actionType === "search-products" && !fetcher.data.success
+      ? fetcher.data.error
+      : null;
 
   return (
     <Modal
@@ -73,25 +153,47 @@ export default function ProductSelectionModal({
               }}
             >
               <Text variant="headingMd">
-                Choose products to apply your {options.length} option
-                {options.length !== 1 ? "s" : ""}
+                {selectedSet
+                  ? `Choose products to apply "${selectedSet.name}" (${optionsLabel})`
+                  : `Choose products to apply your ${optionsLabel}`}
               </Text>
               <Badge tone="info">{selectedProducts.length} selected</Badge>
             </div>
 
+            {optionSets.length > 0 && (
+              <Select
+                label="Apply"
+                options={[
+                  { label: "All options", value: "" },
+                  ...optionSets.map((set) => ({
+                    label: `Option set: ${set.name}`,
+                    value: set.id,
+                  })),
+                ]}
+                value={selectedSetId}
+                onChange={onSelectSet}
+              />
+            )}
+
             <TextField
               label="Search products"
               value={searchQuery}
               onChange={setSearchQuery}
-              placeholder="Search by product name or handle"
+              placeholder="Search by product name, handle or vendor"
               autoComplete="off"
+              clearButton
+              onClearButtonClick={() => setSearchQuery("")}
             />
 
-            <Box
-              background="bg-surface-secondary"
-              padding="300"
-              borderRadius="200"
-              style={{ maxHeight: "400px", overflowY: "auto" }}
+            <div
+              onScroll={handleScroll}
+              style={{
+                maxHeight: "400px",
+                overflowY: "auto",
+                padding: "12px",
+                borderRadius: "8px",
+                backgroundColor: "#f7f7f7",
+              }}
             >
               <div
                 style={{
@@ -100,12 +202,14 @@ export default function ProductSelectionModal({
                   gap: "8px",
                 }}
               >
-                {filteredProducts.map((product) => {
-                  const isSelected = selectedProducts.includes(product.id);
+                {products.map((product) => {
+                  const isSelected = selectedProducts.some(
+                    (p) => p.id === product.id,
+                  );
                   return (
                     <div
                       key={product.id}
-                      onClick={() => onProductSelection(product.id)}
+                      onClick={() => onProductSelection(product)}
                       style={{
                         display: "flex",
                         alignItems: "center",
@@ -120,20 +224,18 @@ export default function ProductSelectionModal({
                         transition: "all 0.2s ease",
                       }}
                     >
-                      <Checkbox
-                        checked={isSelected}
-                        onChange={() => onProductSelection(product.id)}
-                        onClick={(e) => e.stopPropagation()}
-                      />
-                      <img
-                        src={product.image}
+                      <div onClick={(e) => e.stopPropagation()}>
+                        <Checkbox
+                          label={product.title}
+                          labelHidden
+                          checked={isSelected}
+                          onChange={() => onProductSelection(product)}
+                        />
+                      </div>
+                      <Thumbnail
+                        source={product.image || ImageIcon}
                         alt={product.title}
-                        style={{
-                          width: "40px",
-                          height: "40px",
-                          borderRadius: "6px",
-                          objectFit: "cover",
-                        }}
+                        size="small"
                       />
                       <div style={{ flex: 1 }}>
                         <Text
@@ -144,14 +246,52 @@ export default function ProductSelectionModal({
                         </Text>
                         <Text variant="bodySm" color="subdued">
                           {product.handle}
+                          {product.vendor ? ` · ${product.vendor}` : ""}
+                        </Text>
+                        <Text variant="bodySm" color="subdued">
+                          {product.optionsCount} option
+                          {product.optionsCount !== 1 ? "s" : ""} ·{" "}
+                          {product.variantsCount} variant
+                          {product.variantsCount !== 1 ? "s" : ""}
                         </Text>
                       </div>
-                      {isSelected && <Badge tone="success">Selected</Badge>}
+                      <Badge
+                        tone={
+                          product.status === "ACTIVE"
+                            ? "success"
+                            : product.status === "DRAFT"
+                              ? "info"
+                              : undefined
+                        }
+                      >
+                        {product.status.toLowerCase()}
+                      </Badge>
                     </div>
                   );
                 })}
+
+                {isSearching && (
+                  <div
+                    style={{
+                      display: "flex",
+                      justifyContent: "center",
+                      padding: "12px",
+                    }}
+                  >
+                    <Spinner
+                      size="small"
+                      accessibilityLabel="Loading products"
+                    />
+                  </div>
+                )}
+
+                {!isSearching && products.length === 0 && (
+                  <Text variant="bodySm" color="subdued" alignment="center">
+                    {searchError || "No products found"}
+                  </Text>
+                )}
               </div>
-            </Box>
+            </div>
 
             {selectedProducts.length > 0 && (
               <Box
@@ -161,19 +301,19 @@ export default function ProductSelectionModal({
               >
                 <Text variant="bodySm" color="subdued">
                   <strong>Selected Products:</strong>{" "}
-                  {selectedProducts
-                    .map(
-                      (id) => availableProducts.find((p) => p.id === id)?.title,
-                    )
-                    .join(", ")}
+                  {selectedProducts.map((p) => p.title).join(", ")}
                 </Text>
               </Box>
             )}
 
             <Text variant="bodySm" color="subdued">
-              Select products where you want to apply these custom options. All{" "}
-              {options.length} option{options.length !== 1 ? "s" : ""} will be
-              applied to the selected products.
+              Select products where you want to apply these custom options.{" "}
+              {selectedSet
+                ? `The ${optionsLabel} of "${selectedSet.name}", with the values chosen in the set,`
+                : `All ${optionsLabel}`}{" "}
+              will be applied to the selected products. Options beyond
+              Shopify&apos;s limits (3 options or 2048 variants per product) are
+              added as extended options that customers choose at add-to-cart.
             </Text>
           </div>
         </Box>
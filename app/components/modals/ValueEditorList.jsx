@@ -0,0 +1,341 @@
+/**
+ * ValueEditorList Component
+ *
+ * Lists the values of an option inside the Add/Edit option modals and lets
+ * merchants set a price adjustment for each one:
+ * - Fixed amount, e.g. "XL" adds $5.00
+ * - Percentage of the base price, e.g. "Gold" adds 10%
+ *
+ * For color options each value also gets a swatch: a hex color, an optional
+ * second color for two-tone swatches and an optional pattern image URL.
+ * For image options each value gets an image, uploaded to the shop's Files.
+ *
+ * Values are form drafts created with `createValueDraft`.
+ */
+
+import {
+  Box,
+  Text,
+  TextField,
+  Select,
+  Button,
+  DropZone,
+  Thumbnail,
+  Spinner,
+  InlineError,
+} from "@shopify/polaris";
+import { DeleteIcon, ImageIcon } from "@shopify/polaris-icons";
+import { useEffect, useRef } from "react";
+import { useFetcher } from "@remix-run/react";
+import {
+  DEFAULT_SWATCH_COLOR,
+  getSwatchBackground,
+  normalizeHex,
+  normalizeImageUrl,
+} from "../../utils/swatchUtils.js";
+
+const ADJUSTMENT_TYPES = [
+  { label: "Fixed ($)", value: "fixed" },
+  { label: "Percent (%)", value: "percentage" },
+];
+
+/**
+ * Hex color field with a native color picker next to it
+ */
+function ColorField({ label, value, onChange }) {
+  return (
+    <div style={{ display: "flex", alignItems: "center", gap: "4px" }}>
+      <input
+        type="color"
+        aria-label={`${label} picker`}
+        value={normalizeHex(value) || DEFAULT_SWATCH_COLOR}
+        onChange={(event) => onChange(event.target.value)}
+        style={{
+          width: "32px",
+          height: "32px",
+          padding: 0,
+          border: "none",
+          background: "none",
+        }}
+      />
+      <div style={{ width: "110px" }}>
+        <TextField
+          label={label}
+          labelHidden
+          value={value}
+          onChange={onChange}
+          placeholder="#000000"
+          error={value && !normalizeHex(value) ? "Invalid hex" : undefined}
+          autoComplete="off"
+        />
+      </div>
+    </div>
+  );
+}
+
+/**
+ * Image picker for one value; uploads the dropped file to Shopify Files
+ */
+function ImageField({ label, value, onChange }) {
+  const fetcher = useFetcher();
+  const handledResult = useRef(null); // Upload result already passed to onChange
+
+  const isUploading = fetcher.state !== "idle";
+  const result =
+    fetcher.data?.actionType === "Upload Value Image" ? fetcher.data : null;
+
+  useEffect(() => {
+    if (result?.success && handledResult.current !== result) {
+      handledResult.current = result;
+      onChange(result.fileId, result.url);
+    }
+  }, [result, onChange]);
+
+  const handleDrop = (_files, acceptedFiles) => {
+    if (acceptedFiles.length === 0) return;
+    const formData = new FormData();
+    formData.append("actionType", "Upload Value Image");
+    formData.append("image", acceptedFiles[0]);
+    fetcher.submit(formData, {
+      method: "post",
+      encType: "multipart/form-data",
+    });
+  };
+
+  return (
+    <div style={{ display: "flex", alignItems: "center", gap: "8px" }}>
+      <Thumbnail
+        source={value.imageUrl || ImageIcon}
+        alt={value.name}
+        size="small"
+      />
+      <div style={{ width: "120px" }}>
+        <DropZone
+          label={label}
+          labelHidden
+          accept="image/*"
+          type="image"
+          allowMultiple={false}
+          onDrop={handleDrop}
+          disabled={isUploading}
+          variableHeight
+        >
+          <Box padding="100">
+            {isUploading ? (
+              <Spinner size="small" accessibilityLabel="Uploading image" />
+            ) : (
+              <Text variant="bodySm" alignment="center">
+                {value.imageUrl ? "Replace image" : "Upload image"}
+              </Text>
+            )}
+          </Box>
+        </DropZone>
+      </div>
+      {value.imageUrl && !isUploading && (
+        <Button variant="plain" onClick={() => onChange(null, null)}>
+          Remove
+        </Button>
+      )}
+      {result && !result.success && !isUploading && (
+        <InlineError message={result.error} fieldID={label} />
+      )}
+    </div>
+  );
+}
+
+export default function ValueEditorList({
+  title, // String - heading above the list
+  values, // Array - value drafts
+  onChange, // Function - called with the updated drafts
+  optionType = "text", // String - option type; "color" shows swatch fields, "image" an upload
+}) {
+  /**
+   * Update one field of a value draft
+   * @param {string} name - Name of the value to update
+   * @param {string} field - Field to update
+   * @param {string} fieldValue - New field value
+   */
+  const updateValue = (name, field, fieldValue) => {
+    onChange(
+      values.map((value) =>
+        value.name === name ? { ...value, [field]: fieldValue } : value,
+      ),
+    );
+  };
+
+  /**
+   * Store the uploaded image of a value
+   * @param {string} name - Name of the value
+   * @param {string|null} imageFileId - MediaImage GID, or null to remove
+   * @param {string|null} imageUrl - CDN URL of the image
+   */
+  const updateImage = (name, imageFileId, imageUrl) => {
+    onChange(
+      values.map((value) =>
+        value.name === name ? { ...value, imageFileId, imageUrl } : value,
+      ),
+    );
+  };
+
+  /**
+   * Remove a value from the list
+   * @param {string} name - Name of the value to remove
+   */
+  const removeValue = (name) => {
+    onChange(values.filter((value) => value.name !== name));
+  };
+
+  if (values.length === 0) return null;
+
+  return (
+    <Box paddingBlockStart="300">
+      <div
+        style={{
+          display: "flex",
+          flexDirection: "column",
+          gap: "8px",
+        }}
+      >
+        <Text variant="bodySm" color="subdued">
+          {title} ({values.length}):
+        </Text>
+        <Box background="bg-surface-secondary" padding="300" borderRadius="200">
+          <div
+            style={{
+              display: "flex",
+              flexDirection: "column",
+              gap: "8px",
+            }}
+          >
+            {values.map((value) => (
+              <div
+                key={value.name}
+                style={{
+                  display: "flex",
+                  flexDirection: "column",
+                  gap: "8px",
+                }}
+              >
+                <div
+                  style={{
+                    display: "flex",
+                    alignItems: "center",
+                    gap: "8px",
+                  }}
+                >
+                  <div style={{ flex: 1 }}>
+                    <Text variant="bodyMd" fontWeight="semibold">
+                      {value.name}
+                    </Text>
+                  </div>
+                  <div style={{ width: "110px" }}>
+                    <TextField
+                      label={`Price adjustment for ${value.name}`}
+                      labelHidden
+                      type="number"
+                      step={
+                        value.priceAdjustmentType === "percentage" ? 1 : 0.01
+                      }
+                      value={value.priceAdjustment}
+                      onChange={(amount) =>
+                        updateValue(value.name, "priceAdjustment", amount)
+                      }
+                      prefix={
+                        value.priceAdjustmentType === "fixed" ? "$" : undefined
+                      }
+                      suffix={
+                        value.priceAdjustmentType === "percentage"
+                          ? "%"
+                          : undefined
+                      }
+                      placeholder="0"
+                      autoComplete="off"
+                    />
+                  </div>
+                  <Select
+                    label={`Adjustment type for ${value.name}`}
+                    labelHidden
+                    options={ADJUSTMENT_TYPES}
+                    value={value.priceAdjustmentType}
+                    onChange={(type) =>
+                      updateValue(value.name, "priceAdjustmentType", type)
+                    }
+                  />
+                  <Button
+                    icon={DeleteIcon}
+                    variant="tertiary"
+                    tone="critical"
+                    accessibilityLabel={`Remove ${value.name}`}
+                    onClick={() => removeValue(value.name)}
+                  />
+                </div>
+                {optionType === "color" && (
+                  <div
+                    style={{
+                      display: "flex",
+                      alignItems: "center",
+                      flexWrap: "wrap",
+                      gap: "8px",
+                    }}
+                  >
+                    <div
+                      title="Swatch preview"
+                      style={{
+                        width: "32px",
+                        height: "32px",
+                        borderRadius: "50%",
+                        border: "1px solid #e1e1e1",
+                        background: getSwatchBackground(value),
+                      }}
+                    />
+                    <ColorField
+                      label={`Color for ${value.name}`}
+                      value={value.colorHex}
+                      onChange={(hex) =>
+                        updateValue(value.name, "colorHex", hex)
+                      }
+                    />
+                    <ColorField
+                      label={`Second color for ${value.name}`}
+                      value={value.secondaryColorHex}
+                      onChange={(hex) =>
+                        updateValue(value.name, "secondaryColorHex", hex)
+                      }
+                    />
+                    <div style={{ flex: 1, minWidth: "160px" }}>
+                      <TextField
+                        label={`Pattern image for ${value.name}`}
+                        labelHidden
+                        value={value.patternImageUrl}
+                        onChange={(url) =>
+                          updateValue(value.name, "patternImageUrl", url)
+                        }
+                        placeholder="Pattern image URL (optional)"
+                        autoComplete="off"
+                        error={
+                          value.patternImageUrl &&
+                          !normalizeImageUrl(value.patternImageUrl)
+                            ? "Use an http(s) URL"
+                            : undefined
+                        }
+                      />
+                    </div>
+                  </div>
+                )}
+                {optionType === "image" && (
+                  <ImageField
+                    label={`Image for ${value.name}`}
+                    value={value}
+                    onChange={(imageFileId, imageUrl) =>
+                      updateImage(value.name, imageFileId, imageUrl)
+                    }
+                  />
+                )}
+              </div>
+            ))}
+          </div>
+        </Box>
+      </div>
+    </Box>
+  );
+}
@@ -0,0 +1,138 @@
+/**
+ * VisibilityRulesEditor Component
+ *
+ * Settings block shown in the Edit option modal for conditional options,
+ * e.g. "show Engraving font only when Engraving is Yes". Each condition picks
+ * a controlling option and the values of it that show this option; the
+ * option is shown only when all conditions match.
+ */
+
+import {
+  Box,
+  Text,
+  Select,
+  Button,
+  Checkbox,
+  InlineError,
+} from "@shopify/polaris";
+import { DeleteIcon, PlusIcon } from "@shopify/polaris-icons";
+
+export default function VisibilityRulesEditor({
+  optionId, // String - ID of the option being edited
+  rules, // Array - [{ dependsOnOptionId, valueIds }]
+  options, // Array - all options (UI format) to pick controlling options from
+  onChange, // Function - called with the updated rules
+  error, // String - validation error to show, if any
+}) {
+  // Customer-input options have no values to match, so they can't control
+  const otherOptions = options.filter(
+    (option) => option.id !== optionId && option.values.length > 0,
+  );
+
+  const updateRule = (index, changes) =>
+    onChange(
+      rules.map((rule, i) => (i === index ? { ...rule, ...changes } : rule)),
+    );
+
+  const handleAddRule = () => {
+    const unused = otherOptions.find(
+      (option) => !rules.some((rule) => rule.dependsOnOptionId === option.id),
+    );
+    if (!unused) return;
+    onChange([...rules, { dependsOnOptionId: unused.id, valueIds: [] }]);
+  };
+
+  const handleToggleValue = (index, valueId) => {
+    const { valueIds } = rules[index];
+    updateRule(index, {
+      valueIds: valueIds.includes(valueId)
+        ? valueIds.filter((id) => id !== valueId)
+        : [...valueIds, valueId],
+    });
+  };
+
+  return (
+    <Box background="bg-surface-secondary" padding="300" borderRadius="200">
+      <div style={{ display: "flex", flexDirection: "column", gap: "12px" }}>
+        <div style={{ display: "flex", flexDirection: "column", gap: "4px" }}>
+          <Text variant="headingSm" as="h3">
+            Visibility
+          </Text>
+          <Text variant="bodySm" tone="subdued">
+            {rules.length === 0
+              ? "Always shown. Add a condition to show this option only after an earlier choice."
+              : "Shown only when all conditions below match."}
+          </Text>
+        </div>
+
+        {rules.map((rule, index) => {
+          const controlling = options.find(
+            (option) => option.id === rule.dependsOnOptionId,
+          );
+          return (
+            <div
+              key={rule.dependsOnOptionId}
+              style={{ display: "flex", flexDirection: "column", gap: "8px" }}
+            >
+              <div
+                style={{ display: "flex", gap: "8px", alignItems: "flex-end" }}
+              >
+                <div style={{ flex: 1 }}>
+                  <Select
+                    label="Show when"
+                    options={otherOptions
+                      .filter(
+                        (option) =>
+                          option.id === rule.dependsOnOptionId ||
+                          !rules.some((r) => r.dependsOnOptionId === option.id),
+                      )
+                      .map((option) => ({
+                        label: option.name,
+                        value: option.id,
+                      }))}
+                    value={rule.dependsOnOptionId}
+                    onChange={(dependsOnOptionId) =>
+                      updateRule(index, { dependsOnOptionId, valueIds: [] })
+                    }
+                  />
+                </div>
+                <Button
+                  icon={DeleteIcon}
+                  variant="tertiary"
+                  tone="critical"
+                  accessibilityLabel="Remove condition"
+                  onClick={() => onChange(rules.filter((_, i) => i !== index))}
+                />
+              </div>
+              <div style={{ display: "flex", flexWrap: "wrap", gap: "12px" }}>
+                <Text variant="bodySm" tone="subdued">
+                  is one of:
+                </Text>
+                {controlling?.values.map((value) => (
+                  <Checkbox
+                    key={value.id}
+                    label={value.name}
+                    checked={rule.valueIds.includes(value.id)}
+                    onChange={() => handleToggleValue(index, value.id)}
+                  />
+                ))}
+              </div>
+            </div>
+          );
+        })}
+
+        {error && <InlineError message={error} fieldID="visibility-rules" />}
+
+        <div>
+          <Button
+            icon={PlusIcon}
+            onClick={handleAddRule}
+            disabled={rules.length >= otherOptions.length}
+          >
+            Add condition
+          </Button>
+        </div>
+      </div>
+    </Box>
+  );
+}
@@ -1,13 +1,69 @@
 import { useState } from "react";
-import { Card, Button, Box, Text, Badge, Divider, TextField, Select, Checkbox } from "@shopify/polaris";
+import { Card, Button, Box, Text, Badge, Divider, TextField, Select, Checkbox, RangeSlider, DropZone, ChoiceList } from "@shopify/polaris";
 import { ViewIcon, HideIcon } from "@shopify/polaris-icons";
+import { computeVariantPrice, formatPriceAdjustment } from "../utils/variantUtils.js";
+import { getSwatchBackground, getSwatchColor, isLightColor } from "../utils/swatchUtils.js";
+import { formatNumberValue, sortNumericValues } from "../utils/numberUtils.js";
+import { isOptionVisible } from "../utils/visibilityUtils.js";
+import { getBlockedValueIds } from "../utils/exclusionUtils.js";
+import { isCustomerInputType, readInputSettings, validateCustomerInput, MAX_FILE_SIZE_MB } from "../utils/inputUtils.js";
+import { getDisplayStyle, isMultiSelect } from "../utils/displayUtils.js";
 
-export default function Preview({ options = [] }) {
+// Base price of the sample product shown in the preview
+const BASE_PREVIEW_PRICE = 99.99;
+
+export default function Preview({ options = [], exclusions = [] }) {
     const [isPreviewMode, setIsPreviewMode] = useState(false);
     const [selectedValues, setSelectedValues] = useState({});
     const [customInputs, setCustomInputs] = useState({});
 
-    const activeOptions = options.filter(opt => opt.values.some(v => v.checked));
+    // Customer-input options have no values to enable, so they are always shown
+    const activeOptions = options.filter(opt => opt.values.some(v => v.checked) || isCustomerInputType(opt.type));
+
+    // Names of the values picked for an option; multi-select options keep an array
+    const getSelectedNames = (opt) => [].concat(selectedValues[opt.id] || []);
+    const getSelectedValues = (opt) => opt.values.filter(v => v.checked && getSelectedNames(opt).includes(v.name));
+
+    // Conditional options only show once their controlling options have a matching value
+    const selectedValueIds = Object.fromEntries(
+        activeOptions.map(opt => {
+            const ids = getSelectedValues(opt).map(v => v.id);
+            return [opt.id, isMultiSelect(opt) ? ids : ids[0]];
+        })
+    );
+    const visibleOptions = activeOptions.filter(opt => isOptionVisible(opt, options, selectedValueIds));
+
+    // Values currently selected, used to price the sample product
+    // Number options carry their price per unit into the calculation
+    // Hidden options don't count, even if a value was picked before they were hidden
+    // Every add-on picked in a multi-select option adds its own adjustment
+    const selectedOptionValues = visibleOptions
+        .flatMap(opt => getSelectedValues(opt).map(value =>
+            opt.type === 'number' ? { ...value, pricePerUnit: opt.pricePerUnit } : value
+        ));
+    const previewPrice = computeVariantPrice(BASE_PREVIEW_PRICE, selectedOptionValues);
+
+    // What the customer entered for each visible customer-input option
+    const getEntry = (option) => customInputs[option.id];
+    const hasEntry = (option) => {
+        const entry = getEntry(option);
+        return typeof entry === 'string' ? entry.trim() !== '' : Boolean(entry);
+    };
+    const getInputError = (option) => (hasEntry(option) ? validateCustomerInput(option, getEntry(option)) : null);
+
+    // Required options without a choice or entry block adding to cart; optional
+    // options can be left unset or set to "None" (an empty selection)
+    const missingRequired = visibleOptions.filter(opt =>
+        opt.isRequired && (isCustomerInputType(opt.type) ? !hasEntry(opt) : getSelectedNames(opt).length === 0)
+    );
+    const invalidInputs = visibleOptions.filter(opt => isCustomerInputType(opt.type) && getInputError(opt));
+
+    // Value name with its price adjustment, e.g. "XL (+$5.00)" or "25 cm (+$2.00)"
+    const getValueLabel = (value, option) => {
+        const name = option?.type === 'number' ? formatNumberValue(value.name, option.unit) : value.name;
+        const adjustment = formatPriceAdjustment(value);
+        return adjustment ? `${name} (${adjustment})` : name;
+    };
 
     // Handle option selection
     const handleOptionSelect = (optionId, value) => {
@@ -17,6 +73,15 @@ export default function Preview({ options = [] }) {
         }));
     };
 
+    // Add or remove an add-on of a multi-select option
+    const handleToggleMultiValue = (option, valueName) => {
+        const names = getSelectedNames(option);
+        handleOptionSelect(
+            option.id,
+            names.includes(valueName) ? names.filter(name => name !== valueName) : [...names, valueName]
+        );
+    };
+
     // Handle custom input changes
     const handleCustomInputChange = (optionId, value) => {
         setCustomInputs(prev => ({
@@ -25,12 +90,139 @@ export default function Preview({ options = [] }) {
         }));
     };
 
-    // Render different input types based on option type
+    // Render the field of a customer-input option, checked against its limits
+    const renderCustomerInput = (option) => {
+        const settings = readInputSettings(option.inputSettings);
+        const entry = getEntry(option);
+
+        if (option.type === 'file') {
+            return (
+                <div style={{ display: 'flex', flexDirection: 'column', gap: '8px' }}>
+                    <DropZone
+                        label={option.name}
+                        labelHidden
+                        allowMultiple={false}
+                        onDrop={(files) => handleCustomInputChange(option.id, files[0] || null)}
+                        error={Boolean(getInputError(option))}
+                    >
+                        {entry ? (
+                            <Box padding="400">
+                                <Text variant="bodySm" alignment="center">
+                                    {entry.name} ({(entry.size / 1024 / 1024).toFixed(1)} MB)
+                                </Text>
+                            </Box>
+                        ) : (
+                            <DropZone.FileUpload actionHint={`Up to ${settings.maxFileSizeMb ?? MAX_FILE_SIZE_MB} MB`} />
+                        )}
+                    </DropZone>
+                    {entry && (
+                        <div>
+                            <Button size="slim" variant="plain" onClick={() => handleCustomInputChange(option.id, null)}>
+                                Remove file
+                            </Button>
+                        </div>
+                    )}
+                    {getInputError(option) && (
+                        <Text variant="bodySm" tone="critical">{getInputError(option)}</Text>
+                    )}
+                </div>
+            );
+        }
+
+        return (
+            <TextField
+                label={option.name}
+                labelHidden
+                type={option.type === 'date' ? 'date' : 'text'}
+                multiline={option.type === 'textarea' ? 4 : undefined}
+                value={entry || ''}
+                onChange={(value) => handleCustomInputChange(option.id, value)}
+                placeholder={settings.placeholder || undefined}
+                maxLength={settings.maxLength || undefined}
+                showCharacterCount={Boolean(settings.maxLength)}
+                min={settings.minDate || undefined}
+                max={settings.maxDate || undefined}
+                error={getInputError(option) || undefined}
+                autoComplete="off"
+            />
+        );
+    };
+
+    // Image values drawn as tiles, used by image options shown as swatches
+    const renderImageTiles = (option, activeValues, isBlocked) => (
+        <div style={{ display: 'flex', flexWrap: 'wrap', gap: '12px' }}>
+            {activeValues.map((value) => {
+                const isSelected = selectedValues[option.id] === value.name;
+                return (
+                    <div
+                        key={value.name}
+                        onClick={() => !isBlocked(value) && handleOptionSelect(option.id, value.name)}
+                        style={{
+                            width: '80px',
+                            height: '80px',
+                            border: isSelected ? '3px solid #000' : '2px solid #e1e1e1',
+                            borderRadius: '8px',
+                            cursor: isBlocked(value) ? 'not-allowed' : 'pointer',
+                            opacity: isBlocked(value) ? 0.3 : 1,
+                            display: 'flex',
+                            alignItems: 'center',
+                            justifyContent: 'center',
+                            backgroundColor: '#f7f7f7',
+                            position: 'relative',
+                            overflow: 'hidden',
+                            transition: 'all 0.2s ease'
+                        }}
+                        title={getValueLabel(value)}
+                    >
+                        {value.imageUrl ? (
+                            <img
+                                src={value.imageUrl}
+                                alt={value.name}
+                                style={{ width: '100%', height: '100%', objectFit: 'cover' }}
+                            />
+                        ) : (
+                            <Text variant="bodySm" alignment="center">{getValueLabel(value)}</Text>
+                        )}
+                        {isSelected && (
+                            <div style={{
+                                position: 'absolute',
+                                top: '4px',
+                                right: '4px',
+                                backgroundColor: '#000',
+                                color: '#fff',
+                                borderRadius: '50%',
+                                width: '20px',
+                                height: '20px',
+                                display: 'flex',
+                                alignItems: 'center',
+                                justifyContent: 'center',
+                                fontSize: '12px'
+                            }}>
+                                ✓
+                            </div>
+                        )}
+                    </div>
+                );
+            })}
+        </div>
+    );
+
+    // Render an option in its display style, independent of its value type
+    // Values that would complete an excluded combination can't be picked
     const renderOptionInput = (option) => {
+        if (isCustomerInputType(option.type)) {
+            return renderCustomerInput(option);
+        }
+
         const activeValues = option.values.filter(v => v.checked);
+        const blockedIds = getBlockedValueIds(option, selectedValueIds, exclusions);
+        const isBlocked = (value) => blockedIds.has(value.id);
 
-        switch (option.type) {
-            case 'color':
+        switch (getDisplayStyle(option)) {
+            case 'swatch':
+                if (option.type === 'image') {
+                    return renderImageTiles(option, activeValues, isBlocked);
+                }
                 return (
                     <div style={{ display: 'flex', flexWrap: 'wrap', gap: '12px' }}>
                         {activeValues.map((value) => {
@@ -38,19 +230,20 @@ export default function Preview({ options = [] }) {
                             return (
                                 <div
                                     key={value.name}
-                                    onClick={() => handleOptionSelect(option.id, value.name)}
+                                    onClick={() => !isBlocked(value) && handleOptionSelect(option.id, value.name)}
                                     style={{
                                         width: '40px',
                                         height: '40px',
                                         borderRadius: '50%',
-                                        backgroundColor: getColorValue(value.name),
+                                        background: getSwatchBackground(value),
                                         border: isSelected ? '3px solid #000' : '2px solid #e1e1e1',
-                                        cursor: 'pointer',
+                                        cursor: isBlocked(value) ? 'not-allowed' : 'pointer',
+                                        opacity: isBlocked(value) ? 0.3 : 1,
                                         position: 'relative',
                                         boxShadow: isSelected ? '0 0 0 2px #fff, 0 0 0 4px #000' : 'none',
                                         transition: 'all 0.2s ease'
                                     }}
-                                    title={value.name}
+                                    title={getValueLabel(value)}
                                 >
                                     {isSelected && (
                                         <div style={{
@@ -58,7 +251,8 @@ export default function Preview({ options = [] }) {
                                             top: '50%',
                                             left: '50%',
                                             transform: 'translate(-50%, -50%)',
-                                            color: isLightColor(getColorValue(value.name)) ? '#000' : '#fff',
+                                            color: isLightColor(getSwatchColor(value)) ? '#000' : '#fff',
+                                            textShadow: value.patternImageUrl ? '0 0 3px rgba(0, 0, 0, 0.8)' : 'none',
                                             fontSize: '14px',
                                             fontWeight: 'bold'
                                         }}>
@@ -71,89 +265,81 @@ export default function Preview({ options = [] }) {
                     </div>
                 );
 
-            case 'text':
-                return (
-                    <div style={{ display: 'flex', flexWrap: 'wrap', gap: '8px' }}>
-                        {activeValues.map((value) => {
-                            const isSelected = selectedValues[option.id] === value.name;
-                            return (
-                                <Button
-                                    key={value.name}
-                                    variant={isSelected ? "primary" : "secondary"}
-                                    size="medium"
-                                    onClick={() => handleOptionSelect(option.id, value.name)}
-                                    style={{
-                                        minWidth: '60px',
-                                        transition: 'all 0.2s ease'
-                                    }}
-                                >
-                                    {value.name}
-                                </Button>
-                            );
-                        })}
-                    </div>
-                );
-
-            case 'number':
+            case 'dropdown':
                 return (
                     <Select
+                        label={option.name}
+                        labelHidden
                         options={[
-                            { label: 'Select an option', value: '' },
-                            ...activeValues.map(v => ({ label: v.name, value: v.name }))
+                            { label: option.isRequired ? `Choose ${option.name}` : 'None', value: '', disabled: option.isRequired },
+                            ...activeValues.map(value => ({
+                                label: getValueLabel(value, option),
+                                value: value.name,
+                                disabled: isBlocked(value)
+                            }))
                         ]}
                         value={selectedValues[option.id] || ''}
                         onChange={(value) => handleOptionSelect(option.id, value)}
                     />
                 );
 
-            case 'image':
+            case 'radio':
                 return (
-                    <div style={{ display: 'flex', flexWrap: 'wrap', gap: '12px' }}>
-                        {activeValues.map((value) => {
-                            const isSelected = selectedValues[option.id] === value.name;
-                            return (
-                                <div
-                                    key={value.name}
-                                    onClick={() => handleOptionSelect(option.id, value.name)}
-                                    style={{
-                                        width: '80px',
-                                        height: '80px',
-                                        border: isSelected ? '3px solid #000' : '2px solid #e1e1e1',
-                                        borderRadius: '8px',
-                                        cursor: 'pointer',
-                                        display: 'flex',
-                                        alignItems: 'center',
-                                        justifyContent: 'center',
-                                        backgroundColor: '#f7f7f7',
-                                        position: 'relative',
-                                        transition: 'all 0.2s ease'
-                                    }}
-                                >
-                                    <Text variant="bodySm" alignment="center">{value.name}</Text>
-                                    {isSelected && (
-                                        <div style={{
-                                            position: 'absolute',
-                                            top: '4px',
-                                            right: '4px',
-                                            backgroundColor: '#000',
-                                            color: '#fff',
-                                            borderRadius: '50%',
-                                            width: '20px',
-                                            height: '20px',
-                                            display: 'flex',
-                                            alignItems: 'center',
-                                            justifyContent: 'center',
-                                            fontSize: '12px'
-                                        }}>
-                                            ✓
-                                        </div>
-                                    )}
-                                </div>
-                            );
-                        })}
+                    <ChoiceList
+                        title={option.name}
+                        titleHidden
+                        choices={activeValues.map(value => ({
+                            label: getValueLabel(value, option),
+                            value: value.name,
+                            disabled: isBlocked(value)
+                        }))}
+                        selected={getSelectedNames(option)}
+                        onChange={([value]) => handleOptionSelect(option.id, value)}
+                    />
+                );
+
+            case 'checkboxes':
+                return (
+                    <div style={{ display: 'flex', flexDirection: 'column', gap: '4px' }}>
+                        {activeValues.map((value) => (
+                            <Checkbox
+                                key={value.name}
+                                label={getValueLabel(value, option)}
+                                checked={getSelectedNames(option).includes(value.name)}
+                                disabled={isBlocked(value)}
+                                onChange={() => handleToggleMultiValue(option, value.name)}
+                            />
+                        ))}
                     </div>
                 );
 
+            case 'slider': {
+                // Slide through the allowed values in numeric order
+                const sortedValues = sortNumericValues(activeValues.filter(v => !isBlocked(v)));
+                if (sortedValues.length === 0) {
+                    return <Text variant="bodySm" color="subdued">No values available with this selection</Text>;
+                }
+                const selectedIndex = sortedValues.findIndex(v => v.name === selectedValues[option.id]);
+                const selected = sortedValues[selectedIndex];
+                return (
+                    <RangeSlider
+                        label={option.name}
+                        labelHidden
+                        min={0}
+                        max={Math.max(sortedValues.length - 1, 0)}
+                        step={1}
+                        value={Math.max(selectedIndex, 0)}
+                        onChange={(index) => handleOptionSelect(option.id, sortedValues[index].name)}
+                        prefix={<Text variant="bodySm">{formatNumberValue(sortedValues[0].name, option.unit)}</Text>}
+                        suffix={<Text variant="bodySm">{formatNumberValue(sortedValues[sortedValues.length - 1].name, option.unit)}</Text>}
+                        helpText={selected
+                            ? `Selected: ${formatNumberValue(selected.name, option.unit)}${formatPriceAdjustment(selected) ? ` (${formatPriceAdjustment(selected)})` : ''}`
+                            : 'Drag to choose a value'}
+                    />
+                );
+            }
+
+            case 'buttons':
             default:
                 return (
                     <div style={{ display: 'flex', flexWrap: 'wrap', gap: '8px' }}>
@@ -164,9 +350,14 @@ export default function Preview({ options = [] }) {
                                     key={value.name}
                                     variant={isSelected ? "primary" : "secondary"}
                                     size="medium"
+                                    disabled={isBlocked(value)}
                                     onClick={() => handleOptionSelect(option.id, value.name)}
+                                    style={{
+                                        minWidth: '60px',
+                                        transition: 'all 0.2s ease'
+                                    }}
                                 >
-                                    {value.name}
+                                    {getValueLabel(value, option)}
                                 </Button>
                             );
                         })}
@@ -175,38 +366,6 @@ export default function Preview({ options = [] }) {
         }
     };
 
-    // Helper functions
-    const getColorValue = (colorName) => {
-        const colorMap = {
-            'red': '#ff0000',
-            'blue': '#0000ff',
-            'green': '#008000',
-            'black': '#000000',
-            'white': '#ffffff',
-            'yellow': '#ffff00',
-            'orange': '#ffa500',
-            'purple': '#800080',
-            'pink': '#ffc0cb',
-            'gray': '#808080',
-            'grey': '#808080',
-            'brown': '#a52a2a',
-            'navy': '#000080',
-            'maroon': '#800000',
-            'teal': '#008080',
-            'lime': '#00ff00'
-        };
-        return colorMap[colorName.toLowerCase()] || '#e1e1e1';
-    };
-
-    const isLightColor = (color) => {
-        const hex = color.replace('#', '');
-        const r = parseInt(hex.substr(0, 2), 16);
-        const g = parseInt(hex.substr(2, 2), 16);
-        const b = parseInt(hex.substr(4, 2), 16);
-        const brightness = ((r * 299) + (g * 587) + (b * 114)) / 1000;
-        return brightness > 155;
-    };
-
     return (
         <Card>
             <Box padding="500">
@@ -243,25 +402,51 @@ export default function Preview({ options = [] }) {
                                     <Text variant="headingLg" as="h1">Premium Product</Text>
                                     <Badge tone="success">In Stock</Badge>
                                 </div>
-                                <Text variant="bodyLg" color="subdued">$99.99</Text>
+                                <div style={{ display: 'flex', alignItems: 'baseline', gap: '8px' }}>
+                                    <Text variant="bodyLg" fontWeight="semibold">${previewPrice.toFixed(2)}</Text>
+                                    {previewPrice !== BASE_PREVIEW_PRICE && (
+                                        <Text variant="bodySm" color="subdued">
+                                            Base ${BASE_PREVIEW_PRICE.toFixed(2)}
+                                        </Text>
+                                    )}
+                                </div>
                             </div>
 
                             {/* Product Options */}
                             {activeOptions.length > 0 ? (
                                 <div style={{ display: 'flex', flexDirection: 'column', gap: '24px' }}>
-                                    {activeOptions.map((option) => (
+                                    {visibleOptions.map((option) => (
                                         <div key={option.id} style={{ display: 'flex', flexDirection: 'column', gap: '12px' }}>
                                             <div style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
                                                 <Text variant="bodyLg" fontWeight="semibold">
                                                     {option.name}
                                                 </Text>
-                                                {selectedValues[option.id] && (
+                                                {!option.isRequired && (
+                                                    <Text variant="bodySm" color="subdued">(optional)</Text>
+                                                )}
+                                                {getSelectedNames(option).length > 0 && (
                                                     <Badge tone="info">
-                                                        {selectedValues[option.id]}
+                                                        {getSelectedNames(option).join(', ')}
                                                     </Badge>
                                                 )}
                                             </div>
+                                            {option.helpText && (
+                                                <Text variant="bodySm" color="subdued">{option.helpText}</Text>
+                                            )}
 
+                                            {/* Dropdowns offer "None" themselves and checkboxes can be left unticked */}
+                                            {!option.isRequired && !isCustomerInputType(option.type) &&
+                                                !['dropdown', 'checkboxes'].includes(getDisplayStyle(option)) && (
+                                                <div>
+                                                    <Button
+                                                        size="slim"
+                                                        variant={selectedValues[option.id] === '' ? "primary" : "secondary"}
+                                                        onClick={() => handleOptionSelect(option.id, '')}
+                                                    >
+                                                        None
+                                                    </Button>
+                                                </div>
+                                            )}
                                             {renderOptionInput(option)}
                                         </div>
                                     ))}
@@ -297,7 +482,7 @@ export default function Preview({ options = [] }) {
                                                 primary
                                                 size="large"
                                                 style={{ flex: 1 }}
-                                                disabled={activeOptions.some(opt => !selectedValues[opt.id])}
+                                                disabled={missingRequired.length > 0 || invalidInputs.length > 0}
                                             >
                                                 Add to Cart
                                             </Button>
@@ -305,9 +490,19 @@ export default function Preview({ options = [] }) {
                                                 Buy Now
                                             </Button>
                                         </div>
+                                        {missingRequired.length > 0 && (
+                                            <Text variant="bodySm" tone="critical">
+                                                Complete {missingRequired.map(opt => opt.name).join(', ')} to add to cart
+                                            </Text>
+                                        )}
+                                        {invalidInputs.length > 0 && (
+                                            <Text variant="bodySm" tone="critical">
+                                                Fix {invalidInputs.map(opt => opt.name).join(', ')} to add to cart
+                                            </Text>
+                                        )}
 
                                         {/* Selection Summary */}
-                                        {Object.keys(selectedValues).length > 0 && (
+                                        {(Object.keys(selectedValues).length > 0 || Object.keys(customInputs).length > 0) && (
                                             <div style={{
                                                 backgroundColor: '#f7f7f7',
                                                 padding: '16px',
@@ -319,13 +514,19 @@ export default function Preview({ options = [] }) {
                                                 </Text>
                                                 <div style={{ display: 'flex', flexWrap: 'wrap', gap: '8px' }}>
                                                     {Object.entries(selectedValues).map(([optionId, value]) => {
-                                                        const option = activeOptions.find(opt => opt.id.toString() === optionId);
-                                                        return option ? (
+                                                        const option = visibleOptions.find(opt => opt.id.toString() === optionId);
+                                                        return option && getSelectedNames(option).length > 0 ? (
                                                             <Text key={optionId} variant="bodySm">
-                                                                <strong>{option.name}:</strong> {value}
+                                                                <strong>{option.name}:</strong> {[].concat(value).join(', ')}
                                                             </Text>
                                                         ) : null;
                                                     })}
+                                                    {/* Customer entries become line item properties */}
+                                                    {visibleOptions.filter(hasEntry).map((option) => (
+                                                        <Text key={option.id} variant="bodySm">
+                                                            <strong>{option.name}:</strong> {option.type === 'file' ? getEntry(option).name : getEntry(option)}
+                                                        </Text>
+                                                    ))}
                                                 </div>
                                             </div>
                                         )}
@@ -0,0 +1,64 @@
+/**
+ * useDragReorder Hook
+ *
+ * Native HTML5 drag-and-drop for reordering a list.
+ * Spread `getItemProps(index)` onto each list item; when an item is dropped
+ * onto another, `onMove(fromIndex, toIndex)` is called.
+ *
+ * Separate lists (e.g. options and the values inside them) each use their own
+ * instance, and a drag that started in another list is ignored.
+ *
+ * @param {Function} onMove - Called with (fromIndex, toIndex) on drop
+ * @returns {Object} Item props getter and the index being dragged
+ */
+
+import { useState, useCallback } from "react";
+
+export function useDragReorder(onMove) {
+  const [dragIndex, setDragIndex] = useState(null);   // Index of the item being dragged
+  const [overIndex, setOverIndex] = useState(null);   // Index of the item under the cursor
+
+  const reset = useCallback(() => {
+    setDragIndex(null);
+    setOverIndex(null);
+  }, []);
+
+  /**
+   * Build the drag-and-drop props for the item at the given index
+   * @param {number} index - Position of the item in the list
+   * @returns {Object} Props to spread onto the item element
+   */
+  const getItemProps = useCallback((index) => ({
+    draggable: true,
+    onDragStart: (event) => {
+      event.stopPropagation(); // Don't start a drag of the enclosing list
+      event.dataTransfer.effectAllowed = "move";
+      setDragIndex(index);
+    },
+    onDragOver: (event) => {
+      if (dragIndex === null) return; // Drag belongs to another list
+      event.preventDefault();
+      event.stopPropagation();
+      setOverIndex(index);
+    },
+    onDrop: (event) => {
+      if (dragIndex === null) return;
+      event.preventDefault();
+      event.stopPropagation();
+      if (dragIndex !== index) onMove(dragIndex, index);
+      reset();
+    },
+    onDragEnd: reset,
+    style: {
+      opacity: dragIndex === index ? 0.4 : 1,
+      outline: overIndex === index && dragIndex !== index
+        ? "2px dashed var(--p-color-border-emphasis)"
+        : "none",
+    },
+  }), [dragIndex, overIndex, onMove, reset]);
+
+  return {
+    getItemProps,
+    dragIndex,          // Number|null - index of the item being dragged
+  };
+}
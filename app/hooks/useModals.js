@@ -15,6 +15,8 @@ export function useModals() {
   const [modalActive, setModalActive] = useState(false);           // Add Option modal
   const [editModalActive, setEditModalActive] = useState(false);   // Edit Option modal  
   const [productModalActive, setProductModalActive] = useState(false); // Product Selection modal
+  const [importModalActive, setImportModalActive] = useState(false);   // Import Options modal
+  const [optionSetModalActive, setOptionSetModalActive] = useState(false); // Option Set modal
 
   /**
    * Toggle the Add Option modal
@@ -42,15 +44,37 @@ export function useModals() {
     [],
   );
 
+  /**
+   * Toggle the Import Options modal
+   * Memoized with useCallback to prevent unnecessary re-renders
+   */
+  const toggleImportModal = useCallback(
+    () => setImportModalActive((active) => !active),
+    [],
+  );
+
+  /**
+   * Toggle the Option Set modal
+   * Memoized with useCallback to prevent unnecessary re-renders
+   */
+  const toggleOptionSetModal = useCallback(
+    () => setOptionSetModalActive((active) => !active),
+    [],
+  );
+
   return {
     // Modal states
     modalActive,        // Boolean - Add Option modal open state
     editModalActive,    // Boolean - Edit Option modal open state
     productModalActive, // Boolean - Product Selection modal open state
+    importModalActive,  // Boolean - Import Options modal open state
+    optionSetModalActive, // Boolean - Option Set modal open state
     
     // Toggle functions
     toggleModal,        // Function - Toggle Add Option modal
     toggleEditModal,    // Function - Toggle Edit Option modal
-    toggleProductModal  // Function - Toggle Product Selection modal
+    toggleProductModal, // Function - Toggle Product Selection modal
+    toggleImportModal,  // Function - Toggle Import Options modal
+    toggleOptionSetModal // Function - Toggle Option Set modal
   };
 }
\ No newline at end of file
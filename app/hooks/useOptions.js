@@ -4,36 +4,43 @@
  * Custom hook for managing product options state and operations.
  * Handles the transformation of server data to client state and provides
  * functions for manipulating options (toggle values, add/update/remove options).
+ *
+ * Value checked/unchecked toggles are applied optimistically and persisted in
+ * debounced batches through the "Update Value States" action. A failed save
+ * rolls the affected values back.
+ *
+ * Drag-and-drop reorders work the same way: the new order of options and
+ * values is shown immediately and saved with the "Reorder Options" action.
  * 
  * @param {Array} loadedOptions - Initial options from server loader
  * @returns {Object} Options state and manipulation functions
  */
 
-import { useState, useEffect, useCallback } from "react";
+import { useState, useEffect, useCallback, useRef } from "react";
+import { useFetcher } from "@remix-run/react";
+import { moveItem, getOptionsOrder, transformLoadedOptions } from "../utils/optionUtils.js";
+
+// Wait this long after the last toggle before saving the batch
+const SAVE_DEBOUNCE_MS = 600;
 
 export function useOptions(loadedOptions = []) {
   const [options, setOptions] = useState([]);
   const [isInitialized, setIsInitialized] = useState(false);
+  const [saveStatus, setSaveStatus] = useState({}); // optionId -> "saving" | "saved" | "error"
 
-  /**
-   * Transform database format to UI state format
-   * @param {Array} serverOptions - Options from server/database
-   * @returns {Array} Transformed options for UI
-   */
-  const transformOptions = useCallback((serverOptions) => {
-    return serverOptions.map(option => ({
-      id: option.id,
-      name: option.name,
-      type: option.type || "text", // Fallback to text for backward compatibility
-      position: option.position || 0,
-      isRequired: option.isRequired || true,
-      values: option.values.map(value => ({
-        name: value.value,        // Database field is 'value'
-        checked: value.isActive,  // Database field is 'isActive'
-        position: value.position || 0
-      }))
-    }));
-  }, []);
+  // Persistence of value toggles
+  const fetcher = useFetcher();
+  const submitValueStates = fetcher.submit; // Stable across renders, unlike fetcher
+  const pendingChanges = useRef(new Map()); // valueId -> change waiting to be saved
+  const inFlightBatch = useRef(null);       // Changes currently being saved
+  const debounceTimer = useRef(null);
+  const latestOptions = useRef([]);         // Options as last rendered, for event handlers
+
+  // Persistence of drag-and-drop order
+  const orderFetcher = useFetcher();
+  const submitOrder = orderFetcher.submit;
+  const orderSnapshot = useRef(null);       // Options as they were before unsaved reorders
+  const [orderStatus, setOrderStatus] = useState(null); // "saving" | "saved" | "error"
 
   /**
    * Transform and set initial options when loaded from server
@@ -41,12 +48,16 @@ export function useOptions(loadedOptions = []) {
    */
   useEffect(() => {
     if (loadedOptions && Array.isArray(loadedOptions)) {
-      const transformedOptions = transformOptions(loadedOptions);
+      const transformedOptions = transformLoadedOptions(loadedOptions);
       setOptions(transformedOptions);
       setIsInitialized(true);
       console.log("Options synced from server:", transformedOptions);
     }
-  }, [loadedOptions, transformOptions]);
+  }, [loadedOptions]);
+
+  useEffect(() => {
+    latestOptions.current = options;
+  }, [options]);
 
   /**
    * Reset options state (useful for testing or manual refresh)
@@ -56,6 +67,153 @@ export function useOptions(loadedOptions = []) {
     setOptions([]);
   }, []);
 
+  /**
+   * Send all pending value changes to the server in one batch
+   * Only one batch is in flight at a time; changes made meanwhile wait for
+   * the next flush
+   */
+  const flushValueChanges = useCallback(() => {
+    if (inFlightBatch.current || pendingChanges.current.size === 0) return;
+
+    const batch = [...pendingChanges.current.values()];
+    pendingChanges.current.clear();
+    inFlightBatch.current = batch;
+
+    submitValueStates(
+      {
+        actionType: "Update Value States",
+        changes: JSON.stringify(
+          batch.map(({ valueId, isActive }) => ({ valueId, isActive })),
+        ),
+      },
+      { method: "post" },
+    );
+  }, [submitValueStates]);
+
+  /**
+   * Queue value changes for saving and restart the debounce timer
+   *
+   * @param {Array<Object>} changes - Changes with optionId, valueId, isActive
+   *   and the previous (last saved) checked state
+   */
+  const queueValueChanges = useCallback((changes) => {
+    changes.forEach((change) => {
+      const queued = pendingChanges.current.get(change.valueId);
+      pendingChanges.current.set(change.valueId, {
+        ...change,
+        // Keep the state from before the first unsaved toggle for rollbacks
+        previous: queued ? queued.previous : change.previous,
+      });
+    });
+
+    setSaveStatus((prev) => ({
+      ...prev,
+      ...Object.fromEntries(changes.map((c) => [c.optionId, "saving"])),
+    }));
+
+    clearTimeout(debounceTimer.current);
+    debounceTimer.current = setTimeout(flushValueChanges, SAVE_DEBOUNCE_MS);
+  }, [flushValueChanges]);
+
+  /**
+   * Settle the in-flight batch once the server responds
+   * On failure the values are rolled back unless they were toggled again
+   */
+  useEffect(() => {
+    const batch = inFlightBatch.current;
+    const data = fetcher.data;
+    if (!batch || fetcher.state !== "idle" || data?.actionType !== "Update Value States") {
+      return;
+    }
+    inFlightBatch.current = null;
+
+    const pendingOptionIds = new Set(
+      [...pendingChanges.current.values()].map((c) => c.optionId),
+    );
+    const batchOptionIds = [...new Set(batch.map((c) => c.optionId))];
+
+    if (data.success) {
+      setSaveStatus((prev) => ({
+        ...prev,
+        ...Object.fromEntries(
+          batchOptionIds
+            .filter((id) => !pendingOptionIds.has(id))
+            .map((id) => [id, "saved"]),
+        ),
+      }));
+    } else {
+      console.error("Failed to save value states:", data.error);
+      const rollback = new Map();
+      batch.forEach((change) => {
+        const queued = pendingChanges.current.get(change.valueId);
+        if (queued) {
+          // Toggled again meanwhile - the server still holds the old state
+          queued.previous = change.previous;
+        } else {
+          rollback.set(change.valueId, change.previous);
+        }
+      });
+
+      setOptions((currentOptions) =>
+        currentOptions.map((option) => ({
+          ...option,
+          values: option.values.map((v) =>
+            rollback.has(v.id) ? { ...v, checked: rollback.get(v.id) } : v,
+          ),
+        })),
+      );
+      setSaveStatus((prev) => ({
+        ...prev,
+        ...Object.fromEntries(batchOptionIds.map((id) => [id, "error"])),
+      }));
+    }
+
+    flushValueChanges();
+  }, [fetcher.data, fetcher.state, flushValueChanges]);
+
+  /**
+   * Save queued toggles right away when the component unmounts, so leaving
+   * the page within the debounce window doesn't lose them. Fetchers persist
+   * until their submission settles (v3_fetcherPersist). A new submit on the
+   * fetcher supersedes the in-flight one, so its changes are sent again;
+   * the latest queued state of a value wins.
+   */
+  useEffect(() => {
+    const pending = pendingChanges.current;
+    const inFlight = inFlightBatch;
+    const timer = debounceTimer;
+    return () => {
+      clearTimeout(timer.current);
+      if (pending.size === 0) return;
+
+      const changes = new Map([
+        ...(inFlight.current || []).map((change) => [change.valueId, change]),
+        ...pending,
+      ]);
+      submitValueStates(
+        {
+          actionType: "Update Value States",
+          changes: JSON.stringify(
+            [...changes.values()].map(({ valueId, isActive }) => ({ valueId, isActive })),
+          ),
+        },
+        { method: "post" },
+      );
+    };
+  }, [submitValueStates]);
+
+  /**
+   * Checked state of a value including toggles not rendered yet
+   * Quick repeated toggles read the last queued state, not a stale render
+   *
+   * @param {Object} value - Value in UI format
+   * @returns {boolean} Latest checked state
+   */
+  const getLatestChecked = useCallback((value) => {
+    const queued = pendingChanges.current.get(value.id);
+    return queued ? queued.isActive : value.checked;
+  }, []);
+
   /**
    * Toggle the checked state of a specific value within an option
    * Used when user clicks on individual value checkboxes
@@ -64,20 +222,30 @@ export function useOptions(loadedOptions = []) {
    * @param {string} valueNameToToggle - Name of the value to toggle
    */
   const handleToggleValueChecked = useCallback((optionId, valueNameToToggle) => {
+    const option = latestOptions.current.find((o) => o.id === optionId);
+    const value = option?.values.find((v) => v.name === valueNameToToggle);
+    if (!value) return;
+
+    const checked = getLatestChecked(value);
+
     setOptions((currentOptions) => {
       return currentOptions.map((option) => {
         if (option.id === optionId) {
           return {
             ...option,
             values: option.values.map((v) =>
-              v.name === valueNameToToggle ? { ...v, checked: !v.checked } : v,
+              v.id === value.id ? { ...v, checked: !checked } : v,
             ),
           };
         }
         return option;
       });
     });
-  }, []);
+
+    queueValueChanges([
+      { optionId, valueId: value.id, isActive: !checked, previous: checked },
+    ]);
+  }, [getLatestChecked, queueValueChanges]);
 
   /**
    * Toggle all values within an option (select all / deselect all)
@@ -86,10 +254,15 @@ export function useOptions(loadedOptions = []) {
    * @param {string} optionId - ID of the option to toggle all values for
    */
   const handleToggleAllValues = useCallback((optionId) => {
+    const option = latestOptions.current.find((o) => o.id === optionId);
+    if (!option) return;
+
+    const values = option.values.map((v) => ({ ...v, checked: getLatestChecked(v) }));
+    const allChecked = values.every((v) => v.checked);
+
     setOptions((currentOptions) => {
       return currentOptions.map((option) => {
         if (option.id === optionId) {
-          const allChecked = option.values.every((v) => v.checked);
           return {
             ...option,
             values: option.values.map((v) => ({ ...v, checked: !allChecked })),
@@ -98,7 +271,96 @@ export function useOptions(loadedOptions = []) {
         return option;
       });
     });
-  }, []);
+
+    queueValueChanges(
+      values
+        .filter((v) => v.checked === allChecked)
+        .map((v) => ({ optionId, valueId: v.id, isActive: !allChecked, previous: v.checked })),
+    );
+  }, [getLatestChecked, queueValueChanges]);
+
+  /**
+   * Show a new order right away and save it
+   * The full order is sent every time, so only the latest submit matters
+   *
+   * @param {Array<Object>} nextOptions - Options in their new order
+   */
+  const applyOrder = useCallback((nextOptions) => {
+    if (!orderSnapshot.current) orderSnapshot.current = options;
+    setOptions(nextOptions);
+    setOrderStatus("saving");
+
+    submitOrder(
+      {
+        actionType: "Reorder Options",
+        order: JSON.stringify(getOptionsOrder(nextOptions)),
+      },
+      { method: "post" },
+    );
+  }, [options, submitOrder]);
+
+  /**
+   * Move an option to a new position (drag-and-drop in the options list)
+   *
+   * @param {number} fromIndex - Current position of the option
+   * @param {number} toIndex - Position to move the option to
+   */
+  const moveOption = useCallback((fromIndex, toIndex) => {
+    applyOrder(moveItem(options, fromIndex, toIndex));
+  }, [options, applyOrder]);
+
+  /**
+   * Move a value to a new position within its option
+   *
+   * @param {string} optionId - ID of the option containing the value
+   * @param {number} fromIndex - Current position of the value
+   * @param {number} toIndex - Position to move the value to
+   */
+  const moveValue = useCallback((optionId, fromIndex, toIndex) => {
+    applyOrder(
+      options.map((option) =>
+        option.id === optionId
+          ? { ...option, values: moveItem(option.values, fromIndex, toIndex) }
+          : option,
+      ),
+    );
+  }, [options, applyOrder]);
+
+  /**
+   * Settle the reorder once the server responds
+   * On failure the last saved order is restored, keeping any value toggles
+   */
+  useEffect(() => {
+    const snapshot = orderSnapshot.current;
+    const data = orderFetcher.data;
+    if (!snapshot || orderFetcher.state !== "idle" || data?.actionType !== "Reorder Options") {
+      return;
+    }
+    orderSnapshot.current = null;
+
+    if (data.success) {
+      setOrderStatus("saved");
+      return;
+    }
+
+    console.error("Failed to save option order:", data.error);
+    setOptions((currentOptions) => {
+      const currentById = new Map(currentOptions.map((o) => [o.id, o]));
+      return snapshot
+        .filter((o) => currentById.has(o.id))
+        .map((o) => {
+          const current = currentById.get(o.id);
+          const valuesById = new Map(current.values.map((v) => [v.id, v]));
+          return {
+            ...current,
+            values: o.values
+              .filter((v) => valuesById.has(v.id))
+              .map((v) => valuesById.get(v.id)),
+          };
+        });
+    });
+    setOrderStatus("error");
+  }, [orderFetcher.data, orderFetcher.state]);
 
   /**
    * Add a new option to the options list
@@ -191,12 +453,16 @@ export function useOptions(loadedOptions = []) {
     // State
     options,
     isInitialized,
+    saveStatus,         // Object - save state of value toggles per option ID
+    orderStatus,        // String|null - save state of the last reorder
     
     // Actions
     setOptions,
     resetOptions,
     handleToggleValueChecked,
     handleToggleAllValues,
+    moveOption,
+    moveValue,
     addOption,
     updateOption,
     removeOptions,
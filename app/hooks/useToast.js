@@ -1,17 +1,18 @@
-import { useState } from "react";
+import { useState, useCallback } from "react";
 
 export function useToast() {
   const [toastActive, setToastActive] = useState(false);
   const [toastMessage, setToastMessage] = useState("");
 
-  const showToast = (message) => {
+  // Memoized so effects can depend on these without re-running every render
+  const showToast = useCallback((message) => {
     setToastMessage(message);
     setToastActive(true);
-  };
+  }, []);
 
-  const hideToast = () => {
+  const hideToast = useCallback(() => {
     setToastActive(false);
-  };
+  }, []);
 
   return {
     toastActive,
@@ -19,4 +20,4 @@ export function useToast() {
     showToast,
     hideToast
   };
-}
\ No newline at end of file
+}
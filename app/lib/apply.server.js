@@ -0,0 +1,421 @@
+/**
+ * Apply Pipeline for Product Options
+ *
+ * Turns the checked values of the shop's options into native Shopify variants.
+ * For each selected product it:
+ * 1. Adds any missing options/values to the product
+ * 2. Creates a variant for every combination that doesn't exist yet, priced
+ *    from the product's first variant plus the values' price adjustments
+ * 3. Records each variant in the `ProductVariant` table
+ * 4. Registers the shop's translations of the native options with Shopify
+ *
+ * Variants of image-type values get the value's uploaded image as their
+ * variant media. Combinations matching one of the shop's exclusions (e.g.
+ * Linen + Neon Green) are skipped.
+ *
+ * Options beyond Shopify's native limits (3 options, 2048 variants) overflow
+ * into "extended options": they are saved in a product metafield and the
+ * theme extension captures them as line item properties at add-to-cart. The
+ * same metafield tells the option picker block how to draw native options.
+ * Price adjustments of extended options are added at checkout by the cart
+ * transform function (extensions/option-surcharges), which is activated on
+ * the shop the first time such options are applied.
+ * Which options went where is also recorded in `ProductOptionAssignment`
+ * for the app proxy.
+ * Customer-input options (text, date, file) have no values to make variants
+ * from, and checkbox options let customers pick several values, so both are
+ * always extended.
+ *
+ * Products are processed one at a time and failures are reported per product,
+ * so one bad product doesn't stop the rest of the batch.
+ */
+
+import { getOptions } from "./shop.server.js";
+import { getOptionSetOptions } from "./optionSets.server.js";
+import { registerProductTranslations } from "./translations.server.js";
+import { saveProductAssignments } from "./storefront.server.js";
+import { getExclusions } from "./exclusions.server.js";
+import { upsertProductVariant } from "./variants.server.js";
+import { getProductOptions } from "../../graphql/getProductOptions.js";
+import { productOptionsCreate } from "../../graphql/productOptionsCreate.js";
+import { addProductOptionValues } from "../../graphql/productOptionUpdate.js";
+import { productVariantsBulkCreate } from "../../graphql/productVariantsBulkCreate.js";
+import { setJsonMetafield } from "../../graphql/metafieldsSet.js";
+import { attachFilesToProduct } from "../../graphql/fileUpdate.js";
+import { ensureCartTransform } from "../../graphql/cartTransformCreate.js";
+import {
+  MAX_NATIVE_OPTIONS,
+  EXTENDED_OPTIONS_METAFIELD,
+  generateCombinations,
+  splitNativeOptions,
+  buildExtendedOptionsConfig,
+  combinationKey,
+  computeVariantPrice,
+  hasSurcharges,
+} from "../utils/variantUtils.js";
+import { isCustomerInputType } from "../utils/inputUtils.js";
+import { canBeNativeOption } from "../utils/displayUtils.js";
+import {
+  transformExclusions,
+  filterExcludedCombinations,
+} from "../utils/exclusionUtils.js";
+
+// Number of variants sent per productVariantsBulkCreate call
+const VARIANT_BATCH_SIZE = 100;
+
+/**
+ * Check whether a product option is Shopify's placeholder "Title" option
+ * that products without real options carry
+ *
+ * @param {Object} productOption - Option from the Admin API
+ * @returns {boolean} True for the default option
+ */
+const isDefaultOption = (productOption) =>
+  productOption.name === "Title" &&
+  productOption.optionValues.length === 1 &&
+  productOption.optionValues[0].name === "Default Title";
+
+/**
+ * Find a product option by name, ignoring case
+ *
+ * @param {Array<Object>} productOptions - Options from the Admin API
+ * @param {string} name - Option name to look for
+ * @returns {Object|undefined} The matching product option
+ */
+const findProductOption = (productOptions, name) =>
+  productOptions.find(
+    (productOption) => productOption.name.toLowerCase() === name.toLowerCase(),
+  );
+
+/**
+ * Load the requested options and keep only their checked (active) values
+ * Customer-input options are kept although they have no values
+ *
+ * @param {string} shop - The shop identifier
+ * @param {Array<string>} optionIds - IDs of the options to apply
+ * @returns {Array<Object>} Options with active values only
+ */
+const loadActiveOptions = async (shop, optionIds) => {
+  const options = await getOptions(shop);
+
+  return options
+    .filter((option) => optionIds.includes(option.id))
+    .map((option) => ({
+      ...option,
+      values: option.values.filter((value) => value.isActive),
+    }))
+    .filter(
+      (option) => option.values.length > 0 || isCustomerInputType(option.type),
+    );
+};
+
+/**
+ * Apply options to a single product
+ * Options that don't fit within Shopify's native limits are stored as
+ * extended options in a product metafield instead of failing the product
+ *
+ * @param {Object} admin - The admin API context
+ * @param {string} shop - The shop identifier
+ * @param {string} productId - Product GID
+ * @param {Array<Object>} allOptions - Options with active values, in position order
+ * @param {Array<Object>} exclusions - Excluded value tuples (UI format)
+ * @returns {Object} Summary of what was created for the product
+ * @throws {Error} If a Shopify call fails
+ */
+const applyToProduct = async (
+  admin,
+  shop,
+  productId,
+  allOptions,
+  exclusions,
+) => {
+  const product = await getProductOptions(admin, productId);
+
+  // Native options the app doesn't manage keep the value of the first variant
+  const foreignOptions = product.options.filter(
+    (productOption) =>
+      !isDefaultOption(productOption) &&
+      !allOptions.some(
+        (option) =>
+          option.name.toLowerCase() === productOption.name.toLowerCase(),
+      ),
+  );
+
+  // Customer-input options have no values and multi-select options take
+  // several, so neither can become native
+  const valueOptions = allOptions.filter(canBeNativeOption);
+
+  // Options already native on the product keep their slot
+  const prioritizedOptions = [
+    ...valueOptions.filter((option) =>
+      findProductOption(product.options, option.name),
+    ),
+    ...valueOptions.filter(
+      (option) => !findProductOption(product.options, option.name),
+    ),
+  ];
+  const split = splitNativeOptions(
+    prioritizedOptions,
+    MAX_NATIVE_OPTIONS - foreignOptions.length,
+  );
+  const options = split.native;
+  const extendedOptions = [
+    ...split.extended,
+    ...allOptions.filter((option) => !canBeNativeOption(option)),
+  ];
+  const allCombinations = generateCombinations(options);
+  const combinations = filterExcludedCombinations(allCombinations, exclusions);
+
+  await setJsonMetafield(
+    admin,
+    productId,
+    EXTENDED_OPTIONS_METAFIELD.namespace,
+    EXTENDED_OPTIONS_METAFIELD.key,
+    buildExtendedOptionsConfig(extendedOptions, allOptions, options),
+  );
+  await saveProductAssignments(shop, productId, options, extendedOptions);
+
+  // Add missing values to options the product already has
+  for (const option of options) {
+    const productOption = findProductOption(product.options, option.name);
+    if (!productOption) continue;
+
+    const missingValues = option.values
+      .map((value) => value.value)
+      .filter(
+        (value) =>
+          !productOption.optionValues.some(
+            (optionValue) => optionValue.name === value,
+          ),
+      );
+
+    if (missingValues.length > 0) {
+      await addProductOptionValues(
+        admin,
+        productId,
+        productOption.id,
+        missingValues,
+      );
+    }
+  }
+
+  // Create the options the product doesn't have yet
+  const newOptions = options.filter(
+    (option) => !findProductOption(product.options, option.name),
+  );
+
+  let productOptions = product.options;
+  let existingVariants = product.variants;
+
+  if (newOptions.length > 0) {
+    await productOptionsCreate(
+      admin,
+      productId,
+      newOptions.map((option) => ({
+        name: option.name,
+        values: option.values.map((value) => value.value),
+      })),
+    );
+    // Existing variants picked up the new options; page through all of them
+    const updatedProduct = await getProductOptions(admin, productId);
+    productOptions = updatedProduct.options;
+    existingVariants = updatedProduct.variants;
+  }
+
+  const optionNames = new Set(
+    options.map((option) => option.name.toLowerCase()),
+  );
+  const baseVariant = product.variants[0];
+  const basePrice = baseVariant?.price ?? "0.00";
+  const baseCompareAtPrice = baseVariant?.compareAtPrice ?? null;
+  const foreignValues = foreignOptions.map((productOption) => ({
+    optionName: productOption.name,
+    name:
+      baseVariant?.selectedOptions.find(
+        (selected) => selected.name === productOption.name,
+      )?.value ?? productOption.optionValues[0].name,
+  }));
+
+  // Index existing variants by the app-managed part of their options
+  const variantsByKey = new Map();
+  for (const variant of existingVariants) {
+    const key = combinationKey(
+      variant.selectedOptions.filter((selected) =>
+        optionNames.has(selected.name.toLowerCase()),
+      ),
+    );
+    if (!variantsByKey.has(key)) {
+      variantsByKey.set(key, variant);
+    }
+  }
+
+  const missingCombinations = combinations.filter(
+    (combination) => !variantsByKey.has(combinationKey(combination)),
+  );
+
+  // Variant media must belong to the product, so attach value images first
+  const missingImageIds = [
+    ...new Set(
+      missingCombinations.flatMap((combination) =>
+        combination.map((part) => part.imageFileId).filter(Boolean),
+      ),
+    ),
+  ].filter((fileId) => !product.mediaIds.includes(fileId));
+
+  if (missingImageIds.length > 0) {
+    await attachFilesToProduct(admin, productId, missingImageIds);
+  }
+
+  // Create the missing variants in batches
+  for (let i = 0; i < missingCombinations.length; i += VARIANT_BATCH_SIZE) {
+    const batch = missingCombinations.slice(i, i + VARIANT_BATCH_SIZE);
+    const createdVariants = await productVariantsBulkCreate(
+      admin,
+      productId,
+      batch.map((combination) => ({
+        optionValues: [
+          ...combination.map((part) => ({
+            optionName:
+              findProductOption(productOptions, part.optionName)?.name ??
+              part.optionName,
+            name: part.value,
+          })),
+          ...foreignValues,
+        ],
+        price: computeVariantPrice(basePrice, combination).toFixed(2),
+        compareAtPrice: baseCompareAtPrice
+          ? computeVariantPrice(baseCompareAtPrice, combination).toFixed(2)
+          : null,
+        // The first value with an image decides the variant image
+        mediaId: combination.find((part) => part.imageFileId)?.imageFileId,
+      })),
+    );
+
+    for (const variant of createdVariants) {
+      const key = combinationKey(
+        variant.selectedOptions.filter((selected) =>
+          optionNames.has(selected.name.toLowerCase()),
+        ),
+      );
+      variantsByKey.set(key, variant);
+    }
+  }
+
+  // Record every combination that now has a Shopify variant
+  let recorded = 0;
+  for (const combination of combinations) {
+    const variant = variantsByKey.get(combinationKey(combination));
+    if (!variant) continue;
+
+    await upsertProductVariant(shop, {
+      productId,
+      shopifyVariantId: variant.id,
+      sku: variant.sku || null,
+      price: parseFloat(variant.price) || 0,
+      compareAtPrice: variant.compareAtPrice
+        ? parseFloat(variant.compareAtPrice)
+        : null,
+      optionIds: combination.map((part) => part.optionId),
+      valueIds: combination.map((part) => part.valueId),
+    });
+    recorded += 1;
+  }
+
+  // Translate the native options, including values added above; a failure
+  // here leaves the variants in place, so it doesn't fail the product
+  if (options.length > 0) {
+    try {
+      const { options: translatableOptions } = await getProductOptions(
+        admin,
+        productId,
+      );
+      await registerProductTranslations(admin, shop, translatableOptions);
+    } catch (error) {
+      console.error(`Error translating options of ${productId}:`, error);
+    }
+  }
+
+  return {
+    title: product.title,
+    created: missingCombinations.length,
+    existing: combinations.length - missingCombinations.length,
+    excluded: allCombinations.length - combinations.length,
+    recorded,
+    nativeOptions: options.map((option) => option.name),
+    extendedOptions: extendedOptions.map((option) => option.name),
+  };
+};
+
+/**
+ * Apply the checked values of the given options to several products
+ * When an option set is given, its options and value subsets are applied
+ * instead, in the set's order
+ *
+ * @param {Object} admin - The admin API context
+ * @param {string} shop - The shop identifier (from Shopify session)
+ * @param {Object} applyData - What to apply where
+ * @param {Array<string>} applyData.productIds - Product GIDs to apply options to
+ * @param {Array<string>} applyData.optionIds - IDs of the options to apply
+ * @param {string} applyData.optionSetId - ID of an option set to apply instead
+ * @returns {Array<Object>} One result per product with `success` and either
+ *   the created/existing counts or an `error` message
+ * @throws {Error} If there is nothing to apply
+ */
+export const applyOptionsToProducts = async (admin, shop, applyData) => {
+  const { productIds = [], optionIds = [], optionSetId = null } = applyData;
+
+  if (productIds.length === 0) {
+    throw new Error("No products provided");
+  }
+
+  const options = optionSetId
+    ? await getOptionSetOptions(shop, optionSetId)
+    : await loadActiveOptions(shop, optionIds);
+  if (options.length === 0) {
+    throw new Error(
+      optionSetId
+        ? "The option set has no options"
+        : "None of the selected options have checked values",
+    );
+  }
+
+  const exclusions = transformExclusions(await getExclusions(shop));
+  const results = [];
+
+  for (const productId of productIds) {
+    try {
+      const summary = await applyToProduct(
+        admin,
+        shop,
+        productId,
+        options,
+        exclusions,
+      );
+      results.push({ productId, success: true, ...summary });
+    } catch (error) {
+      console.error(`Error applying options to product ${productId}:`, error);
+      results.push({ productId, success: false, error: error.message });
+    }
+  }
+
+  // Extended options can only change the price through the cart transform;
+  // without it they are still captured, just not charged, so it doesn't fail
+  // the apply
+  const surchargedNames = new Set(
+    options.filter(hasSurcharges).map((option) => option.name),
+  );
+  const needsCartTransform = results.some(
+    (result) =>
+      result.success &&
+      result.extendedOptions.some((name) => surchargedNames.has(name)),
+  );
+  if (needsCartTransform) {
+    try {
+      await ensureCartTransform(admin);
+    } catch (error) {
+      console.error("Error activating the option surcharges function:", error);
+    }
+  }
+
+  return results;
+};
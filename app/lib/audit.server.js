@@ -0,0 +1,425 @@
+/**
+ * Server-side Operations for the Option Audit Log
+ *
+ * Every create, update, delete, reorder and apply of a shop's options is
+ * recorded with the staff user who made it. Changes are found by comparing
+ * the options a change can touch before and after it, so each changed option
+ * gets its own entry with both snapshots.
+ *
+ * Option changes, their snapshots and their entries share one transaction:
+ * a change is never saved without its entries, and the snapshots can't pick
+ * up someone else's change made at the same time. Applies happen in Shopify,
+ * so they are recorded afterwards and a failed write is only logged.
+ */
+
+import { RequestedTokenType } from "@shopify/shopify-api";
+import prisma from "../db.server.js";
+import { shopifyApiClient } from "../shopify.server.js";
+import {
+  getOptions,
+  createOptions,
+  updateOptions,
+  setValuesActive,
+} from "./shop.server.js";
+import { getOptionSetOptions } from "./optionSets.server.js";
+import {
+  getAuditActor,
+  buildOptionAuditEntries,
+  transformAuditEntries,
+  getRestoreSnapshot,
+  snapshotToOptionData,
+} from "../utils/auditUtils.js";
+
+// Most entries the History page shows at once
+const AUDIT_LOG_LIMIT = 200;
+
+// Most staff users whose details are kept between requests
+const STAFF_USER_CACHE_SIZE = 100;
+
+// Staff user details by shop and user ID, oldest first
+const staffUsers = new Map();
+
+/**
+ * Look up the name and email of the staff user behind a session token
+ * The app works with offline tokens, which aren't tied to a user. Exchanging
+ * the session token for an online token returns the user's details; the
+ * online session itself is not stored.
+ *
+ * @param {string} shop - The shop's myshopify domain
+ * @param {string} idToken - Encoded session token of the request
+ * @returns {Object|null} The online session's `associated_user`
+ * @throws {Error} If the token exchange fails
+ */
+const fetchStaffUser = async (shop, idToken) => {
+  const { session } = await shopifyApiClient.auth.tokenExchange({
+    shop,
+    sessionToken: idToken,
+    requestedTokenType: RequestedTokenType.OnlineAccessToken,
+  });
+  return session.onlineAccessInfo?.associated_user || null;
+};
+
+/**
+ * Name and email of a staff user, from the cache or a token exchange
+ * A failed lookup is logged and leaves the user unnamed.
+ *
+ * @param {string} shop - The shop's myshopify domain
+ * @param {string} userId - Staff user ID
+ * @param {string|null} idToken - Encoded session token of the request
+ * @returns {Object|null} The user's `associated_user` details
+ */
+const getStaffUser = async (shop, userId, idToken) => {
+  const key = `${shop}:${userId}`;
+  if (staffUsers.has(key)) return staffUsers.get(key);
+  if (!idToken) return null;
+
+  try {
+    const user = await fetchStaffUser(shop, idToken);
+    staffUsers.set(key, user);
+    if (staffUsers.size > STAFF_USER_CACHE_SIZE) {
+      staffUsers.delete(staffUsers.keys().next().value);
+    }
+    return user;
+  } catch (error) {
+    console.error("Error looking up staff user:", error);
+    return null;
+  }
+};
+
+/**
+ * Who changes the options in a request, for the entries it causes
+ * The staff user ID is the session token's `sub`. Their name and email are
+ * only looked up once the request records a change, so read-only requests
+ * don't exchange tokens; without them entries show the user ID only.
+ *
+ * @param {Request} request - The incoming HTTP request
+ * @param {Object} context - Result of `authenticate.admin(request)`
+ * @returns {Object} Auditor `{ shop, getActor }`; `getActor()` resolves to
+ *   `{ userId, userEmail, userName }`
+ */
+export const getAuditor = (request, { session, sessionToken }) => {
+  const userId = sessionToken?.sub || null;
+  const idToken =
+    request.headers.get("authorization")?.replace("Bearer ", "") ||
+    new URL(request.url).searchParams.get("id_token");
+  let actor = null;
+
+  return {
+    shop: session.shop,
+    getActor: () => {
+      actor ??= userId
+        ? getStaffUser(session.shop, userId, idToken).then((user) =>
+            getAuditActor(userId, user),
+          )
+        : Promise.resolve(getAuditActor(null));
+      return actor;
+    },
+  };
+};
+
+/**
+ * Rows for `AuditLogEntry`
+ *
+ * @param {string} shop - The shop identifier
+ * @param {Object} actor - From the auditor's `getActor()`
+ * @param {Array<Object>} entries - Entries from buildOptionAuditEntries, or
+ *   `{ action, optionId, optionName, before, after }` built by hand
+ * @returns {Array<Object>} Rows to create
+ */
+const toAuditRows = (shop, actor, entries) =>
+  entries.map((entry) => ({
+    shop,
+    action: entry.action,
+    optionId: entry.optionId || null,
+    optionName: entry.optionName || null,
+    userId: actor.userId,
+    userEmail: actor.userEmail,
+    userName: actor.userName,
+    before: entry.before ? JSON.stringify(entry.before) : null,
+    after: entry.after ? JSON.stringify(entry.after) : null,
+  }));
+
+/**
+ * Write entries to the audit log outside of a change's transaction
+ *
+ * @param {Object} auditor - From getAuditor
+ * @param {Array<Object>} entries - Entries as for toAuditRows
+ * @returns {number} Number of entries written (0 when writing failed)
+ */
+export const recordAuditEntries = async (auditor, entries) => {
+  if (entries.length === 0) return 0;
+
+  try {
+    const actor = await auditor.getActor();
+    const result = await prisma.auditLogEntry.createMany({
+      data: toAuditRows(auditor.shop, actor, entries),
+    });
+    return result.count;
+  } catch (error) {
+    console.error("Error recording audit log entries:", error);
+    return 0;
+  }
+};
+
+/**
+ * Touched options of a change that matches options by name ignoring case, as
+ * importOptions does: the options named like one of `names`, including the
+ * ones the change creates
+ *
+ * @param {Array<string>} names - Option names
+ * @returns {Function} `touched` filter for auditOptionChanges
+ */
+export const optionsNamed = (names) => async (tx, shop) => {
+  const lowerNames = new Set(names.map((name) => name.toLowerCase()));
+  const existing = await tx.variantOption.findMany({
+    where: { shop },
+    select: { id: true, name: true },
+  });
+
+  return {
+    OR: [
+      { name: { in: names } },
+      {
+        id: {
+          in: existing
+            .filter((option) => lowerNames.has(option.name.toLowerCase()))
+            .map((option) => option.id),
+        },
+      },
+    ],
+  };
+};
+
+/**
+ * Run a change to the shop's options and record what it changed
+ * The change gets the transaction client to make its writes with.
+ *
+ * @param {Object} auditor - From getAuditor
+ * @param {string} action - Action recorded for changed options ("update",
+ *   "reorder" or "restore"); created and deleted options are detected
+ * @param {Object|Function} touched - Prisma filter for the options the change
+ *   can touch, e.g. `{ id: optionId }`, or `(tx, shop) => filter`. It is
+ *   matched before and after the change, so `{ name }` finds a created option.
+ * @param {Function} change - Async function making the change, given the
+ *   transaction client
+ * @returns {*} Whatever `change` returns
+ * @throws {Error} If the change or its entries fail (nothing is saved then)
+ */
+export const auditOptionChanges = async (auditor, action, touched, change) => {
+  // Looked up first so the token exchange doesn't hold the transaction open
+  const actor = await auditor.getActor();
+
+  return prisma.$transaction(async (tx) => {
+    const where =
+      typeof touched === "function" ? await touched(tx, auditor.shop) : touched;
+
+    const before = await getOptions(auditor.shop, where, tx);
+    const result = await change(tx);
+    const after = await getOptions(auditor.shop, where, tx);
+
+    const entries = buildOptionAuditEntries(action, before, after);
+    if (entries.length > 0) {
+      await tx.auditLogEntry.createMany({
+        data: toAuditRows(auditor.shop, actor, entries),
+      });
+    }
+    return result;
+  });
+};
+
+/**
+ * Record that options were applied to products
+ * Each applied option gets an entry with the per-product results.
+ *
+ * @param {Object} auditor - From getAuditor
+ * @param {Object} applyData - What was applied (as for applyOptionsToProducts)
+ * @param {Array<Object>} results - Results of applyOptionsToProducts
+ * @returns {number} Number of entries written
+ */
+export const recordApply = async (auditor, applyData, results) => {
+  try {
+    const { optionIds = [], optionSetId = null } = applyData;
+    const options = optionSetId
+      ? await getOptionSetOptions(auditor.shop, optionSetId)
+      : await prisma.variantOption.findMany({
+          where: { shop: auditor.shop, id: { in: optionIds } },
+          select: { id: true, name: true },
+        });
+
+    const products = results.map((result) => ({
+      productId: result.productId,
+      title: result.title || null,
+      success: result.success,
+      created: result.created || 0,
+    }));
+
+    return await recordAuditEntries(
+      auditor,
+      options.map((option) => ({
+        action: "apply",
+        optionId: option.id,
+        optionName: option.name,
+        before: null,
+        after: { optionSetId, products },
+      })),
+    );
+  } catch (error) {
+    console.error("Error recording applied options:", error);
+    return 0;
+  }
+};
+
+/**
+ * Get the latest audit entries of a shop
+ *
+ * @param {string} shop - The shop identifier (from Shopify session)
+ * @param {Object} filters - Optional filters
+ * @param {string} filters.optionId - Only entries of this option
+ * @param {string} filters.userId - Only entries made by this staff user
+ * @param {string} filters.from - Only entries on or after this day (YYYY-MM-DD)
+ * @param {string} filters.to - Only entries on or before this day (YYYY-MM-DD)
+ * @returns {Array<Object>} Entries in UI format, newest first
+ * @throws {Error} If database operation fails
+ */
+export const getAuditLog = async (shop, filters = {}) => {
+  const { optionId, userId, from, to } = filters;
+
+  try {
+    const createdAt = {};
+    if (from) createdAt.gte = new Date(`${from}T00:00:00Z`);
+    if (to) {
+      const end = new Date(`${to}T00:00:00Z`);
+      end.setUTCDate(end.getUTCDate() + 1);
+      createdAt.lt = end;
+    }
+
+    const entries = await prisma.auditLogEntry.findMany({
+      where: {
+        shop,
+        ...(optionId && { optionId }),
+        ...(userId && { userId }),
+        ...((from || to) && { createdAt }),
+      },
+      orderBy: { createdAt: "desc" },
+      take: AUDIT_LOG_LIMIT,
+    });
+
+    return transformAuditEntries(entries);
+  } catch (error) {
+    console.error("Error fetching audit log:", error);
+    throw error; // Re-throw to be handled by calling function
+  }
+};
+
+/**
+ * Options and staff users that appear in a shop's audit log, for the
+ * History page filters. Deleted options are included under their last name.
+ *
+ * @param {string} shop - The shop identifier (from Shopify session)
+ * @returns {{options: Array<{id: string, name: string}>, users: Array<{id: string, name: string}>}}
+ * @throws {Error} If database operation fails
+ */
+export const getAuditFilterChoices = async (shop) => {
+  try {
+    const [options, users] = await Promise.all([
+      prisma.auditLogEntry.findMany({
+        where: { shop, optionId: { not: null } },
+        distinct: ["optionId"],
+        orderBy: { createdAt: "desc" },
+        select: { optionId: true, optionName: true },
+      }),
+      prisma.auditLogEntry.findMany({
+        where: { shop, userId: { not: null } },
+        distinct: ["userId"],
+        orderBy: { createdAt: "desc" },
+        select: { userId: true, userEmail: true, userName: true },
+      }),
+    ]);
+
+    return {
+      options: options.map((o) => ({ id: o.optionId, name: o.optionName })),
+      users: users.map((u) => ({
+        id: u.userId,
+        name: u.userName || u.userEmail || u.userId,
+      })),
+    };
+  } catch (error) {
+    console.error("Error fetching audit filter choices:", error);
+    throw error; // Re-throw to be handled by calling function
+  }
+};
+
+/**
+ * Restore an option to the version recorded in an audit entry
+ * Options that still exist are updated in place; deleted options are created
+ * again (with new IDs). Value checked states are restored too. The restore is
+ * itself recorded in the log.
+ *
+ * @param {Object} auditor - From getAuditor
+ * @param {string} entryId - ID of the audit entry to restore
+ * @returns {Object} The restored option
+ * @throws {Error} If the entry can't be restored or the save fails
+ */
+export const restoreOptionVersion = async (auditor, entryId) => {
+  try {
+    const entry = await prisma.auditLogEntry.findFirst({
+      where: { id: entryId, shop: auditor.shop },
+    });
+    if (!entry) {
+      throw new Error(`History entry ${entryId} not found`);
+    }
+
+    const snapshot = getRestoreSnapshot(transformAuditEntries([entry])[0]);
+    if (!snapshot) {
+      throw new Error("This change can't be restored");
+    }
+
+    // The recorded option, or the one a deleted option is created again as
+    const touched = entry.optionId
+      ? { OR: [{ id: entry.optionId }, { name: snapshot.name }] }
+      : { name: snapshot.name };
+
+    return await auditOptionChanges(auditor, "restore", touched, async (tx) => {
+      const existing = entry.optionId
+        ? await tx.variantOption.findFirst({
+            where: { id: entry.optionId, shop: auditor.shop },
+          })
+        : null;
+
+      const clash = await tx.variantOption.findFirst({
+        where: {
+          shop: auditor.shop,
+          name: snapshot.name,
+          ...(existing && { id: { not: existing.id } }),
+        },
+      });
+      if (clash) {
+        throw new Error(`Another option is already named "${snapshot.name}"`);
+      }
+
+      const data = snapshotToOptionData(snapshot);
+      if (!existing) return createOptions(auditor.shop, data, tx);
+
+      const option = await updateOptions(existing.id, data, tx);
+
+      // updateOptions keeps the checked state of existing values
+      const changes = option.values
+        .map((value) => {
+          const recorded = snapshot.values.find(
+            (v) => v.value.toLowerCase() === value.value.toLowerCase(),
+          );
+          return recorded && recorded.isActive !== value.isActive
+            ? { valueId: value.id, isActive: recorded.isActive }
+            : null;
+        })
+        .filter(Boolean);
+      if (changes.length > 0) {
+        await setValuesActive(auditor.shop, changes, tx);
+      }
+      return option;
+    });
+  } catch (error) {
+    console.error("Error restoring option:", error);
+    throw error; // Re-throw to be handled by calling function
+  }
+};
@@ -0,0 +1,96 @@
+/**
+ * Server-side Database Operations for Combination Exclusions
+ *
+ * An exclusion marks a tuple of values that doesn't exist as a product,
+ * e.g. "Linen" + "Neon Green". The apply pipeline and the variant matrix skip
+ * every combination that contains all values of an exclusion.
+ */
+
+import prisma from "../db.server.js";
+import {
+  transformExclusions,
+  validateExclusion,
+} from "../utils/exclusionUtils.js";
+
+/**
+ * Get all exclusions of a shop
+ *
+ * @param {string} shop - The shop identifier (from Shopify session)
+ * @returns {Array<Object>} Exclusions with their values, oldest first
+ * @throws {Error} If database operation fails
+ */
+export const getExclusions = async (shop) => {
+  try {
+    return await prisma.combinationExclusion.findMany({
+      where: { shop },
+      include: { values: true },
+      orderBy: { createdAt: "asc" },
+    });
+  } catch (error) {
+    console.error("Error fetching exclusions:", error);
+    throw error; // Re-throw to be handled by calling function
+  }
+};
+
+/**
+ * Exclude a combination of values
+ *
+ * @param {string} shop - The shop identifier (from Shopify session)
+ * @param {Array<string>} valueIds - IDs of the values, one per option
+ * @returns {Object} The created exclusion with its values
+ * @throws {Error} If the values are invalid, already excluded or the save fails
+ */
+export const createExclusion = async (shop, valueIds) => {
+  try {
+    const [options, exclusions] = await Promise.all([
+      prisma.variantOption.findMany({
+        where: { shop },
+        include: { values: true },
+      }),
+      getExclusions(shop),
+    ]);
+
+    const error = validateExclusion(
+      valueIds,
+      options,
+      transformExclusions(exclusions),
+    );
+    if (error) throw new Error(error);
+
+    return await prisma.combinationExclusion.create({
+      data: {
+        shop,
+        valueCount: valueIds.length,
+        values: {
+          create: valueIds.map((valueId) => ({
+            variantOptionValueId: valueId,
+          })),
+        },
+      },
+      include: { values: true },
+    });
+  } catch (error) {
+    console.error("Error creating exclusion:", error);
+    throw error; // Re-throw to be handled by calling function
+  }
+};
+
+/**
+ * Delete an exclusion, allowing its combination again
+ *
+ * @param {string} shop - The shop identifier (from Shopify session)
+ * @param {string} exclusionId - ID of the exclusion to delete
+ * @returns {number} Number of exclusions deleted
+ * @throws {Error} If database operation fails
+ */
+export const deleteExclusion = async (shop, exclusionId) => {
+  try {
+    const { count } = await prisma.combinationExclusion.deleteMany({
+      where: { id: exclusionId, shop },
+    });
+    return count;
+  } catch (error) {
+    console.error("Error deleting exclusion:", error);
+    throw error; // Re-throw to be handled by calling function
+  }
+};
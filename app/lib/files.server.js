@@ -0,0 +1,97 @@
+/**
+ * Image Uploads for Option Values
+ *
+ * Uploads images for image-type option values to the shop's Files using
+ * Shopify's staged upload flow:
+ * 1. `stagedUploadsCreate` reserves an upload target
+ * 2. The file is POSTed to that target
+ * 3. `fileCreate` turns the upload into a MediaImage
+ * 4. The file is polled until Shopify has processed it and it has a URL
+ */
+
+import { stagedUploadsCreate } from "../../graphql/stagedUploadsCreate.js";
+import { fileCreate } from "../../graphql/fileCreate.js";
+import { getImageFile } from "../../graphql/getImageFile.js";
+
+// Shopify accepts images up to 20 MB
+const MAX_IMAGE_SIZE = 20 * 1024 * 1024;
+
+// How often and how long to wait for Shopify to process an upload
+const POLL_INTERVAL_MS = 1000;
+const POLL_ATTEMPTS = 15;
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Wait until an uploaded file is processed
+ *
+ * @param {Object} admin - The admin API context
+ * @param {string} fileId - MediaImage GID
+ * @returns {Object} The READY file with its image URL
+ * @throws {Error} If processing fails or takes too long
+ */
+const waitForImageFile = async (admin, fileId) => {
+  for (let attempt = 0; attempt < POLL_ATTEMPTS; attempt += 1) {
+    const file = await getImageFile(admin, fileId);
+
+    if (file.fileStatus === "READY" && file.image?.url) {
+      return file;
+    }
+    if (file.fileStatus === "FAILED") {
+      throw new Error(
+        file.fileErrors?.[0]?.message || "Shopify could not process the image",
+      );
+    }
+
+    await wait(POLL_INTERVAL_MS);
+  }
+
+  throw new Error("Timed out waiting for Shopify to process the image");
+};
+
+/**
+ * Upload an image to the shop's Files
+ *
+ * @param {Object} admin - The admin API context
+ * @param {File} file - Image from the submitted form data
+ * @returns {{fileId: string, url: string}} The MediaImage GID and its CDN URL
+ * @throws {Error} If the file isn't a valid image or any upload step fails
+ */
+export const uploadImageFile = async (admin, file) => {
+  if (!file || typeof file === "string" || file.size === 0) {
+    throw new Error("Choose an image to upload");
+  }
+  if (!file.type.startsWith("image/")) {
+    throw new Error("Only image files can be uploaded");
+  }
+  if (file.size > MAX_IMAGE_SIZE) {
+    throw new Error("Images must be 20 MB or smaller");
+  }
+
+  try {
+    const target = await stagedUploadsCreate(admin, {
+      filename: file.name,
+      mimeType: file.type,
+      fileSize: file.size,
+    });
+
+    const form = new FormData();
+    for (const { name, value } of target.parameters) {
+      form.append(name, value);
+    }
+    form.append("file", file); // Must come after the target's parameters
+
+    const response = await fetch(target.url, { method: "POST", body: form });
+    if (!response.ok) {
+      throw new Error(`Upload failed with status ${response.status}`);
+    }
+
+    const created = await fileCreate(admin, target.resourceUrl, file.name);
+    const ready = await waitForImageFile(admin, created.id);
+
+    return { fileId: ready.id, url: ready.image.url };
+  } catch (error) {
+    console.error("Error uploading image file:", error);
+    throw error; // Re-throw to be handled by calling function
+  }
+};
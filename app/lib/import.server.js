@@ -0,0 +1,82 @@
+/**
+ * Import Pipeline for Product Options
+ *
+ * Reads the native options already defined on Shopify products so they can be
+ * merged into the shop's option library (importOptions in shop.server.js),
+ * and merchants don't have to re-type Color/Size values by hand.
+ */
+
+import {
+  getOptionsForProducts,
+  getCatalogOptions,
+} from "../../graphql/getProductsOptions.js";
+
+/**
+ * Combine the options of several products into one list
+ * Options with the same name (case-insensitive) are merged and their values
+ * de-duplicated, keeping the order in which values were first seen.
+ * Shopify's placeholder "Title" option is ignored.
+ *
+ * @param {Array<Object>} products - Products with `options` from the Admin API
+ * @returns {Array<{name: string, values: Array<string>}>} Combined options
+ */
+const collectProductOptions = (products) => {
+  const optionsByName = new Map();
+
+  for (const product of products) {
+    for (const productOption of product.options) {
+      const values = productOption.optionValues.map((value) => value.name);
+      if (productOption.name === "Title" && values.includes("Default Title")) {
+        continue;
+      }
+
+      const key = productOption.name.toLowerCase();
+      if (!optionsByName.has(key)) {
+        optionsByName.set(key, { name: productOption.name, values: [] });
+      }
+
+      const collected = optionsByName.get(key);
+      for (const value of values) {
+        if (
+          !collected.values.some((v) => v.toLowerCase() === value.toLowerCase())
+        ) {
+          collected.values.push(value);
+        }
+      }
+    }
+  }
+
+  return [...optionsByName.values()];
+};
+
+/**
+ * Read the options of selected products, or of the whole catalog, ready to
+ * be merged with importOptions
+ * Shopify is queried here, outside of the database transaction that saves
+ * (and audits) the import.
+ *
+ * @param {Object} admin - The admin API context
+ * @param {Object} importData - What to import
+ * @param {string} importData.scope - "products" or "catalog"
+ * @param {Array<string>} importData.productIds - Product GIDs when scope is "products"
+ * @returns {{options: Array<{name: string, values: Array<string>}>, productsScanned: number}}
+ *   Combined options and the number of products scanned
+ * @throws {Error} If no products were given or a Shopify call fails
+ */
+export const readProductOptions = async (admin, importData) => {
+  const { scope = "products", productIds = [] } = importData;
+
+  if (scope === "products" && productIds.length === 0) {
+    throw new Error("Select at least one product to import from");
+  }
+
+  const products =
+    scope === "catalog"
+      ? await getCatalogOptions(admin)
+      : await getOptionsForProducts(admin, productIds);
+
+  return {
+    options: collectProductOptions(products),
+    productsScanned: products.length,
+  };
+};
@@ -0,0 +1,179 @@
+/**
+ * Server-side Database Operations for Option Sets
+ *
+ * An option set is a reusable template that groups several of the shop's
+ * options, each with its own subset of values and in its own order, e.g.
+ * "Apparel: Color + Size + Fit". Sets are applied to products as a whole.
+ */
+
+import prisma from "../db.server.js";
+
+// Relations loaded with every set, in the set's order
+const OPTION_SET_INCLUDE = {
+  options: {
+    orderBy: { position: "asc" },
+    include: {
+      variantOption: {
+        include: { visibilityRules: { include: { values: true } } },
+      },
+      values: {
+        orderBy: { position: "asc" },
+        include: { variantOptionValue: true },
+      },
+    },
+  },
+};
+
+/**
+ * Get all option sets of a shop
+ *
+ * @param {string} shop - The shop identifier (from Shopify session)
+ * @returns {Array<Object>} Sets with their options and values, in set order
+ * @throws {Error} If database operation fails
+ */
+export const getOptionSets = async (shop) => {
+  try {
+    return await prisma.optionSet.findMany({
+      where: { shop },
+      include: OPTION_SET_INCLUDE,
+      orderBy: { name: "asc" },
+    });
+  } catch (error) {
+    console.error("Error fetching option sets:", error);
+    throw error; // Re-throw to be handled by calling function
+  }
+};
+
+/**
+ * Create an option set, or replace the contents of an existing one
+ * The options and values of the set are rewritten from the submitted order
+ * in a single transaction.
+ *
+ * @param {string} shop - The shop identifier (from Shopify session)
+ * @param {Object} setData - The set to save
+ * @param {string} setData.id - ID of the set to update; omit to create one
+ * @param {string} setData.name - Name of the set (e.g., "Apparel")
+ * @param {Array<Object>} setData.options - Options in set order
+ * @param {string} setData.options[].optionId - ID of the VariantOption
+ * @param {Array<string>} setData.options[].valueIds - IDs of the values to include, in order
+ * @returns {Object} The saved set with its options and values
+ * @throws {Error} If the set is empty, references another shop's options or the save fails
+ */
+export const saveOptionSet = async (shop, setData) => {
+  const { id, name, options = [] } = setData;
+
+  if (!name?.trim()) {
+    throw new Error("Give the option set a name");
+  }
+  if (!options.some((option) => option.valueIds.length > 0)) {
+    throw new Error("Add at least one option with values to the set");
+  }
+
+  try {
+    return await prisma.$transaction(async (tx) => {
+      // Only the shop's own options and values may be used
+      const ownOptions = await tx.variantOption.findMany({
+        where: { shop, id: { in: options.map((option) => option.optionId) } },
+        include: { values: true },
+      });
+
+      let optionSet;
+      if (id) {
+        const existing = await tx.optionSet.findFirst({ where: { id, shop } });
+        if (!existing) throw new Error(`Option set ${id} not found`);
+
+        await tx.optionSetOption.deleteMany({ where: { optionSetId: id } });
+        optionSet = await tx.optionSet.update({
+          where: { id },
+          data: { name: name.trim() },
+        });
+      } else {
+        optionSet = await tx.optionSet.create({
+          data: { name: name.trim(), shop },
+        });
+      }
+
+      let position = 0;
+      for (const { optionId, valueIds } of options) {
+        const option = ownOptions.find((o) => o.id === optionId);
+        if (!option) throw new Error(`Option ${optionId} not found`);
+
+        const values = valueIds.filter((valueId) =>
+          option.values.some((value) => value.id === valueId),
+        );
+        if (values.length === 0) continue;
+
+        await tx.optionSetOption.create({
+          data: {
+            position: position++,
+            optionSetId: optionSet.id,
+            variantOptionId: optionId,
+            values: {
+              create: values.map((valueId, index) => ({
+                position: index,
+                variantOptionValueId: valueId,
+              })),
+            },
+          },
+        });
+      }
+
+      return tx.optionSet.findUnique({
+        where: { id: optionSet.id },
+        include: OPTION_SET_INCLUDE,
+      });
+    });
+  } catch (error) {
+    console.error("Error saving option set:", error);
+    if (error.code === "P2002") {
+      throw new Error(`An option set named "${name.trim()}" already exists`);
+    }
+    throw error; // Re-throw to be handled by calling function
+  }
+};
+
+/**
+ * Delete an option set
+ * The options and values themselves are not affected.
+ *
+ * @param {string} shop - The shop identifier (from Shopify session)
+ * @param {string} optionSetId - ID of the set to delete
+ * @returns {number} Number of sets deleted
+ * @throws {Error} If database operation fails
+ */
+export const deleteOptionSet = async (shop, optionSetId) => {
+  try {
+    const { count } = await prisma.optionSet.deleteMany({
+      where: { id: optionSetId, shop },
+    });
+    return count;
+  } catch (error) {
+    console.error("Error deleting option set:", error);
+    throw error; // Re-throw to be handled by calling function
+  }
+};
+
+/**
+ * Load a set's options in the shape the apply pipeline expects
+ * Each option only carries the set's values, in the set's order.
+ *
+ * @param {string} shop - The shop identifier (from Shopify session)
+ * @param {string} optionSetId - ID of the set
+ * @returns {Array<Object>} Options in database format with `values`
+ * @throws {Error} If the set doesn't exist
+ */
+export const getOptionSetOptions = async (shop, optionSetId) => {
+  const optionSet = await prisma.optionSet.findFirst({
+    where: { id: optionSetId, shop },
+    include: OPTION_SET_INCLUDE,
+  });
+
+  if (!optionSet) {
+    throw new Error(`Option set ${optionSetId} not found`);
+  }
+
+  return optionSet.options.map((setOption) => ({
+    ...setOption.variantOption,
+    values: setOption.values.map((setValue) => setValue.variantOptionValue),
+  }));
+};
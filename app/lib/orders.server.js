@@ -0,0 +1,116 @@
+/**
+ * Server-side Operations for Order Option Selections
+ *
+ * The orders/create webhook records the options chosen on every line item
+ * in `OrderOptionSelection`, so fulfillment can see them per order and as a
+ * picking summary without reading line item properties one by one.
+ */
+
+import prisma from "../db.server.js";
+import { getOptions } from "./shop.server.js";
+import { buildOrderSelections, toGid } from "../utils/orderUtils.js";
+
+// Number of orders listed on the Orders page
+const RECENT_ORDERS_LIMIT = 50;
+
+/**
+ * Record the options chosen on an order
+ * Replaces what was recorded for the order before, so webhook retries don't
+ * duplicate rows.
+ *
+ * @param {string} shop - The shop identifier (from the webhook)
+ * @param {Object} payload - Order payload of the orders/create webhook
+ * @returns {number} Number of selections recorded
+ * @throws {Error} If database operation fails
+ */
+export const recordOrderSelections = async (shop, payload) => {
+  try {
+    const variantIds = (payload.line_items || [])
+      .map((lineItem) => toGid("ProductVariant", lineItem.variant_id))
+      .filter(Boolean);
+
+    const [variants, options] = await Promise.all([
+      prisma.productVariant.findMany({
+        where: { shop, shopifyVariantId: { in: variantIds } },
+        include: { optionValues: { include: { variantOption: true } } },
+      }),
+      getOptions(shop),
+    ]);
+
+    // Native values of the recorded variants, in option order
+    const variantValues = new Map(
+      variants.map((variant) => [
+        variant.shopifyVariantId,
+        [...variant.optionValues]
+          .sort((a, b) => a.variantOption.position - b.variantOption.position)
+          .map((value) => ({
+            optionName: value.variantOption.name,
+            value: value.value,
+          })),
+      ]),
+    );
+
+    const selections = buildOrderSelections(payload, variantValues, options);
+    const orderId = payload.admin_graphql_api_id || toGid("Order", payload.id);
+
+    await prisma.$transaction([
+      prisma.orderOptionSelection.deleteMany({ where: { shop, orderId } }),
+      prisma.orderOptionSelection.createMany({
+        data: selections.map((selection) => ({ shop, ...selection })),
+      }),
+    ]);
+
+    return selections.length;
+  } catch (error) {
+    console.error("Error recording order option selections:", error);
+    throw error; // Re-throw to be handled by calling function
+  }
+};
+
+/**
+ * Get the most recent orders with recorded selections
+ * Grouped in the database, so only the listed orders are read.
+ *
+ * @param {string} shop - The shop identifier (from Shopify session)
+ * @returns {Array<{orderId: string, orderName: string, orderedAt: Date}>} Orders, newest first
+ * @throws {Error} If database operation fails
+ */
+export const getRecentOrders = async (shop) => {
+  try {
+    return await prisma.orderOptionSelection.groupBy({
+      by: ["orderId", "orderName", "orderedAt"],
+      where: { shop },
+      orderBy: { orderedAt: "desc" },
+      take: RECENT_ORDERS_LIMIT,
+    });
+  } catch (error) {
+    console.error("Error fetching orders:", error);
+    throw error; // Re-throw to be handled by calling function
+  }
+};
+
+/**
+ * Get the selections recorded for an order
+ *
+ * @param {string} shop - The shop identifier (from Shopify session)
+ * @param {string} orderId - Order GID
+ * @returns {Array<Object>} `OrderOptionSelection` rows in the order's line item order
+ * @throws {Error} If database operation fails
+ */
+export const getOrderSelections = async (shop, orderId) => {
+  try {
+    return await prisma.orderOptionSelection.findMany({
+      where: { shop, orderId },
+      // Rows recorded before lineItemIndex existed all have 0; the line item
+      // ID still keeps each line item's selections together
+      orderBy: [
+        { lineItemIndex: "asc" },
+        { lineItemId: "asc" },
+        { position: "asc" },
+      ],
+    });
+  } catch (error) {
+    console.error("Error fetching order selections:", error);
+    throw error; // Re-throw to be handled by calling function
+  }
+};
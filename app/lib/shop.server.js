@@ -7,6 +7,25 @@
  */
 
 import prisma from "../db.server.js";
+import { validateVisibilityRules } from "../utils/visibilityUtils.js";
+
+// Visibility rules loaded with options, with the values that satisfy them
+const VISIBILITY_RULES_INCLUDE = {
+  visibilityRules: {
+    include: { values: true },
+  },
+};
+
+/**
+ * Run `work` in a transaction of its own, or in the caller's transaction when
+ * `db` is already a transaction client (e.g. the audit log's, see audit.server.js)
+ *
+ * @param {Object} db - Prisma client or transaction client
+ * @param {Function} work - Async function receiving the transaction client
+ * @returns {Promise<*>} Whatever `work` returns
+ */
+const inTransaction = (db, work) =>
+  db === prisma ? prisma.$transaction(work) : work(db);
 
 /**
  * Create a new product option in the database
@@ -16,29 +35,73 @@ import prisma from "../db.server.js";
  * @param {Object} optionData - The option data to create
  * @param {string} optionData.name - Name of the option (e.g., "Color")
  * @param {string} optionData.type - Type of option (e.g., "color", "text", "number", "image")
- * @param {number} optionData.position - Display order position (default: 0)
+ * @param {number} optionData.position - Display order position (default: after the last option)
  * @param {boolean} optionData.isRequired - Whether option is required (default: true)
+ * @param {string} optionData.unit - Number options: unit such as "cm"
+ * @param {number} optionData.minValue - Number options: smallest allowed value
+ * @param {number} optionData.maxValue - Number options: largest allowed value
+ * @param {number} optionData.step - Number options: allowed increment
+ * @param {number} optionData.pricePerUnit - Number options: amount added per unit
+ * @param {string} optionData.inputSettings - Customer-input options: JSON limits
+ * @param {string} optionData.displayStyle - How customers pick values (default: the type's default)
+ * @param {string} optionData.helpText - Text shown to customers under the option name
  * @param {Array} optionData.values - Array of value objects or strings
+ *   (objects may carry `priceAdjustment` and `priceAdjustmentType`)
+ * @param {Object} db - Prisma client, or a transaction client to join (default: prisma)
  * @returns {Object} The created option with its values included
  * @throws {Error} If database operation fails
  */
-export const createOptions = async (shop, optionData) => {
+export const createOptions = async (shop, optionData, db = prisma) => {
   try {
-    const { name, type = "text", position = 0, isRequired = true, values = [] } = optionData;
+    const { name, type = "text", isRequired = true, values = [] } = optionData;
+    const {
+      unit = null,
+      minValue = null,
+      maxValue = null,
+      step = null,
+      pricePerUnit = 0,
+    } = optionData; // Number options only
+    const { inputSettings = null } = optionData; // Customer-input options only
+    const { displayStyle = null, helpText = null } = optionData;
+
+    // New options go to the end of the list unless a position is given
+    let position = optionData.position;
+    if (position === undefined) {
+      const { _max } = await db.variantOption.aggregate({
+        where: { shop },
+        _max: { position: true },
+      });
+      position = (_max.position ?? -1) + 1;
+    }
 
     // Create the variant option with its values in a single transaction
-    const variantOption = await prisma.variantOption.create({
+    const variantOption = await db.variantOption.create({
       data: {
         name,
         type, // Stores the option type (text, color, number, image)
         position,
         isRequired,
+        unit,
+        minValue,
+        maxValue,
+        step,
+        pricePerUnit,
+        inputSettings,
+        displayStyle,
+        helpText,
         shop, // Links option to specific shop
         values: {
           create: values.map((value, index) => ({
             value: value.value || value, // Handle both string and object formats
             position: value.position || index,
             isActive: value.isActive !== undefined ? value.isActive : true,
+            priceAdjustment: value.priceAdjustment || 0,
+            priceAdjustmentType: value.priceAdjustmentType || "fixed",
+            colorHex: value.colorHex || null,
+            secondaryColorHex: value.secondaryColorHex || null,
+            patternImageUrl: value.patternImageUrl || null,
+            imageFileId: value.imageFileId || null,
+            imageUrl: value.imageUrl || null,
           })),
         },
       },
@@ -56,16 +119,19 @@ export const createOptions = async (shop, optionData) => {
 
 /**
  * Retrieve all product options for a specific shop
- * Returns options with their values, ordered by position
+ * Returns options with their values and visibility rules, ordered by position
  * 
  * @param {string} shop - The shop identifier (from Shopify session)
+ * @param {Object} where - Optional extra filter, e.g. `{ id: { in: optionIds } }`
+ * @param {Object} db - Prisma client, or a transaction client to read in (default: prisma)
  * @returns {Array} Array of option objects with their values included
  * @throws {Error} If database query fails
  */
-export const getOptions = async (shop) => {
+export const getOptions = async (shop, where = {}, db = prisma) => {
   try {
-    const options = await prisma.variantOption.findMany({
+    const options = await db.variantOption.findMany({
       where: {
+        ...where,
         shop, // Filter options by shop
       },
       include: {
@@ -74,6 +140,7 @@ export const getOptions = async (shop) => {
             position: 'asc', // Order values by their position
           },
         },
+        ...VISIBILITY_RULES_INCLUDE,
       },
       orderBy: {
         position: 'asc', // Order options by their position
@@ -87,53 +154,201 @@ export const getOptions = async (shop) => {
   }
 };
 
+/**
+ * Replace the visibility rules of an option inside a transaction
+ * Rules may only reference the shop's other options and their own values,
+ * and must not make options depend on each other in a loop
+ *
+ * @param {Object} tx - Prisma transaction client
+ * @param {string} optionId - Option whose rules are replaced
+ * @param {Array<{dependsOnOptionId: string, valueIds: Array<string>}>} rules - New rules
+ * @throws {Error} If a rule is invalid
+ */
+const replaceVisibilityRules = async (tx, optionId, rules) => {
+  const option = await tx.variantOption.findUniqueOrThrow({
+    where: { id: optionId },
+  });
+  const shopOptions = await tx.variantOption.findMany({
+    where: { shop: option.shop },
+    include: { values: true, ...VISIBILITY_RULES_INCLUDE },
+  });
+
+  // Keep only values that belong to the controlling option
+  const cleanRules = rules
+    .map((rule) => {
+      const controlling = shopOptions.find((o) => o.id === rule.dependsOnOptionId);
+      if (!controlling) {
+        throw new Error(`Option ${rule.dependsOnOptionId} not found`);
+      }
+      return {
+        dependsOnOptionId: controlling.id,
+        valueIds: rule.valueIds.filter((valueId) =>
+          controlling.values.some((value) => value.id === valueId)
+        ),
+      };
+    })
+    .filter((rule) => rule.valueIds.length > 0);
+
+  const error = validateVisibilityRules(
+    optionId,
+    cleanRules,
+    shopOptions.map((o) => ({
+      id: o.id,
+      name: o.name,
+      visibilityRules: o.visibilityRules.map((rule) => ({
+        dependsOnOptionId: rule.dependsOnOptionId,
+        valueIds: rule.values.map((value) => value.variantOptionValueId),
+      })),
+    }))
+  );
+  if (error) throw new Error(error);
+
+  await tx.optionVisibilityRule.deleteMany({ where: { variantOptionId: optionId } });
+  for (const rule of cleanRules) {
+    await tx.optionVisibilityRule.create({
+      data: {
+        variantOptionId: optionId,
+        dependsOnOptionId: rule.dependsOnOptionId,
+        values: {
+          create: rule.valueIds.map((valueId) => ({ variantOptionValueId: valueId })),
+        },
+      },
+    });
+  }
+};
+
 /**
  * Update an existing product option in the database
- * Replaces all existing values with new ones (delete + create pattern)
- * This ensures clean updates without orphaned values
+ * Values are updated in place so their IDs - and the ProductVariant links that
+ * reference them - survive the edit. Submitted values are matched to existing
+ * ones by ID, falling back to the value name (case-insensitive):
+ * - Matched values are renamed/re-priced in place and keep their `isActive`;
+ *   renames go through a temporary name, so values can swap names
+ * - Unmatched submitted values are created
+ * - Existing values that weren't submitted are deleted
+ * Everything runs in a single transaction.
  * 
  * @param {string} optionId - The ID of the option to update
  * @param {Object} optionData - The updated option data
  * @param {string} optionData.name - Updated name of the option
  * @param {string} optionData.type - Updated type of option (default: "text")
- * @param {Array} optionData.values - New array of values to replace existing ones
- * @returns {Object} The updated option with its new values included
- * @throws {Error} If database operation fails
+ * @param {boolean} optionData.isRequired - Whether customers must pick a value (default: true)
+ * @param {string} optionData.unit - Number options: unit, min/max/step and
+ *   pricePerUnit as in createOptions (cleared when omitted)
+ * @param {string} optionData.inputSettings - Customer-input options: JSON limits
+ * @param {string} optionData.displayStyle - How customers pick values (null = the type's default)
+ * @param {string} optionData.helpText - Text shown under the option name (null = none)
+ * @param {Array} optionData.values - Complete list of values, in display order
+ * @param {Array<Object>} optionData.visibilityRules - When given, replaces the
+ *   option's rules: `[{ dependsOnOptionId, valueIds }]`
+ * @param {Object} db - Prisma client, or a transaction client to join (default: prisma)
+ * @returns {Object} The updated option with its values and rules included
+ * @throws {Error} If a rule is invalid or the database operation fails
  */
-export const updateOptions = async (optionId, optionData) => {
+export const updateOptions = async (optionId, optionData, db = prisma) => {
   try {
-    const { name, type = "text", values = [] } = optionData;
+    const { name, type = "text", isRequired = true, values = [] } = optionData;
+    const {
+      unit = null,
+      minValue = null,
+      maxValue = null,
+      step = null,
+      pricePerUnit = 0,
+    } = optionData; // Number options only
+    const { inputSettings = null, displayStyle = null, helpText = null, visibilityRules } = optionData;
 
-    // First, delete all existing values for this option
-    // This ensures we don't have orphaned values after update
-    await prisma.variantOptionValue.deleteMany({
-      where: {
-        variantOptionId: optionId,
-      },
-    });
+    return await inTransaction(db, async (tx) => {
+      const existingValues = await tx.variantOptionValue.findMany({
+        where: { variantOptionId: optionId },
+      });
 
-    // Update the variant option and create new values in a single transaction
-    const updatedOption = await prisma.variantOption.update({
-      where: {
-        id: optionId,
-      },
-      data: {
-        name,
-        type, // Update the option type
-        values: {
-          create: values.map((value, index) => ({
-            value: value.value || value, // Handle both string and object formats
-            position: value.position || index,
-            isActive: value.isActive !== undefined ? value.isActive : true,
-          })),
+      // Pair each submitted value with the existing value it replaces, if any
+      const unmatched = new Map(existingValues.map((v) => [v.id, v]));
+      const pairs = values.map((value, index) => {
+        const input = typeof value === "string" ? { value } : value;
+        const match =
+          (input.id && unmatched.get(input.id)) ||
+          [...unmatched.values()].find(
+            (v) => v.value.toLowerCase() === input.value.toLowerCase()
+          );
+        if (match) unmatched.delete(match.id);
+        return { input, match, position: index };
+      });
+
+      // Remove dropped values first so their names are free again
+      if (unmatched.size > 0) {
+        await tx.variantOptionValue.deleteMany({
+          where: { id: { in: [...unmatched.keys()] } },
+        });
+      }
+
+      // Kept values are renamed one row at a time, so swaps (A -> B, B -> A)
+      // would collide on the unique name; park renamed values under a name
+      // only they can have before giving them their final names below
+      for (const { input, match } of pairs) {
+        if (match && match.value !== input.value) {
+          await tx.variantOptionValue.update({
+            where: { id: match.id },
+            data: { value: `__renaming__${match.id}` },
+          });
+        }
+      }
+
+      for (const { input, match, position } of pairs) {
+        const data = {
+          value: input.value,
+          position,
+          priceAdjustment: input.priceAdjustment || 0,
+          priceAdjustmentType: input.priceAdjustmentType || "fixed",
+          colorHex: input.colorHex || null,
+          secondaryColorHex: input.secondaryColorHex || null,
+          patternImageUrl: input.patternImageUrl || null,
+          imageFileId: input.imageFileId || null,
+          imageUrl: input.imageUrl || null,
+        };
+
+        if (match) {
+          await tx.variantOptionValue.update({ where: { id: match.id }, data });
+        } else {
+          await tx.variantOptionValue.create({
+            data: {
+              ...data,
+              isActive: input.isActive !== undefined ? input.isActive : true,
+              variantOptionId: optionId,
+            },
+          });
+        }
+      }
+
+      if (visibilityRules) {
+        await replaceVisibilityRules(tx, optionId, visibilityRules);
+      }
+
+      return tx.variantOption.update({
+        where: {
+          id: optionId,
         },
-      },
-      include: {
-        values: true, // Include the new values in the response
-      },
+        data: {
+          name,
+          type, // Update the option type
+          isRequired,
+          unit,
+          minValue,
+          maxValue,
+          step,
+          pricePerUnit,
+          inputSettings,
+          displayStyle,
+          helpText,
+        },
+        include: {
+          values: {
+            orderBy: { position: "asc" },
+          },
+          ...VISIBILITY_RULES_INCLUDE,
+        },
+      });
     });
-
-    return updatedOption;
   } catch (error) {
     console.error("Error updating variant option:", error);
     throw error; // Re-throw to be handled by calling function
@@ -147,10 +362,11 @@ export const updateOptions = async (optionId, optionData) => {
  *
  * @param {string|string[]} optionIds - An option ID or array of option IDs to delete.
  * @param {string} shop - The shop identifier to ensure we only delete options belonging to this shop.
+ * @param {Object} db - Prisma client, or a transaction client to join (default: prisma)
  * @returns {Object} Result object with success status and deleted count.
  * @throws {Error} If the database operation fails.
  */
-export const deleteOptions = async (optionIds, shop) => {
+export const deleteOptions = async (optionIds, shop, db = prisma) => {
   try {
     // Ensure optionIds is always an array
     const idsArray = Array.isArray(optionIds) ? optionIds : [optionIds];
@@ -165,7 +381,7 @@ export const deleteOptions = async (optionIds, shop) => {
     }
 
     // First, verify that all options belong to this shop for security
-    const existingOptions = await prisma.variantOption.findMany({
+    const existingOptions = await db.variantOption.findMany({
       where: {
         id: { in: idsArray },
         shop: shop
@@ -180,7 +396,7 @@ export const deleteOptions = async (optionIds, shop) => {
     }
 
     // Delete the options (cascade will handle related values)
-    const deletedResult = await prisma.variantOption.deleteMany({
+    const deletedResult = await db.variantOption.deleteMany({
       where: {
         id: { in: idsArray },
         shop: shop // Extra security - ensure we only delete from current shop
@@ -199,3 +415,160 @@ export const deleteOptions = async (optionIds, shop) => {
     throw new Error(`Failed to delete options: ${error.message}`);
   }
 };
+
+/**
+ * Merge options read from Shopify products into the shop's option library
+ * Options are matched by name (case-insensitive) to respect the
+ * `@@unique([shop, name])` constraint: existing options only get their missing
+ * values appended, unknown options are created. Runs in a single transaction.
+ *
+ * @param {string} shop - The shop identifier (from Shopify session)
+ * @param {Array<Object>} importedOptions - Options to merge
+ * @param {string} importedOptions[].name - Option name (e.g., "Color")
+ * @param {Array<string>} importedOptions[].values - Value names in display order
+ * @param {Object} db - Prisma client, or a transaction client to join (default: prisma)
+ * @returns {Object} Summary with `created`, `merged` and `unchanged` lists
+ * @throws {Error} If database operation fails
+ */
+export const importOptions = async (shop, importedOptions, db = prisma) => {
+  try {
+    return await inTransaction(db, async (tx) => {
+      const summary = { created: [], merged: [], unchanged: [] };
+
+      const existingOptions = await tx.variantOption.findMany({
+        where: { shop },
+        include: { values: true },
+      });
+      let nextPosition =
+        existingOptions.reduce((max, option) => Math.max(max, option.position), -1) + 1;
+
+      for (const imported of importedOptions) {
+        const existing = existingOptions.find(
+          (option) => option.name.toLowerCase() === imported.name.toLowerCase()
+        );
+
+        if (!existing) {
+          await tx.variantOption.create({
+            data: {
+              name: imported.name,
+              // Guess swatches for color options, everything else starts as text
+              type: /^colou?r$/i.test(imported.name) ? "color" : "text",
+              position: nextPosition++,
+              shop,
+              values: {
+                create: imported.values.map((value, index) => ({
+                  value,
+                  position: index,
+                })),
+              },
+            },
+          });
+          summary.created.push({ name: imported.name, values: imported.values });
+          continue;
+        }
+
+        const missingValues = imported.values.filter(
+          (value) => !existing.values.some((v) => v.value.toLowerCase() === value.toLowerCase())
+        );
+
+        if (missingValues.length === 0) {
+          summary.unchanged.push({ name: existing.name });
+          continue;
+        }
+
+        const lastPosition = existing.values.reduce((max, v) => Math.max(max, v.position), -1);
+        await tx.variantOptionValue.createMany({
+          data: missingValues.map((value, index) => ({
+            value,
+            position: lastPosition + 1 + index,
+            variantOptionId: existing.id,
+          })),
+        });
+        summary.merged.push({ name: existing.name, values: missingValues });
+      }
+
+      return summary;
+    });
+  } catch (error) {
+    console.error("Error importing variant options:", error);
+    throw error; // Re-throw to be handled by calling function
+  }
+};
+
+/**
+ * Save the checked/unchecked state of option values
+ * All changes are applied in one transaction, and only to values whose
+ * option belongs to the shop, so a partial or foreign batch is rejected.
+ *
+ * @param {string} shop - The shop identifier (from Shopify session)
+ * @param {Array<Object>} changes - Value states to save
+ * @param {string} changes[].valueId - ID of the VariantOptionValue
+ * @param {boolean} changes[].isActive - Whether the value is checked
+ * @param {Object} db - Prisma client, or a transaction client to join (default: prisma)
+ * @returns {number} Number of values updated
+ * @throws {Error} If a value doesn't exist for this shop or the update fails
+ */
+export const setValuesActive = async (shop, changes, db = prisma) => {
+  try {
+    return await inTransaction(db, async (tx) => {
+      let updated = 0;
+
+      for (const { valueId, isActive } of changes) {
+        const result = await tx.variantOptionValue.updateMany({
+          where: { id: valueId, variantOption: { shop } },
+          data: { isActive: Boolean(isActive) },
+        });
+        if (result.count === 0) {
+          throw new Error(`Value ${valueId} not found`);
+        }
+        updated += result.count;
+      }
+
+      return updated;
+    });
+  } catch (error) {
+    console.error("Error updating value states:", error);
+    throw error; // Re-throw to be handled by calling function
+  }
+};
+
+/**
+ * Save the display order of a shop's options and of the values within them
+ * Positions are rewritten from the submitted order in one transaction; the
+ * same order is used by the preview and when options are applied to products.
+ *
+ * @param {string} shop - The shop identifier (from Shopify session)
+ * @param {Array<Object>} order - Options in display order
+ * @param {string} order[].id - ID of the option
+ * @param {Array<string>} order[].valueIds - IDs of the option's values in display order
+ * @param {Object} db - Prisma client, or a transaction client to join (default: prisma)
+ * @returns {number} Number of options reordered
+ * @throws {Error} If an option doesn't belong to the shop or the update fails
+ */
+export const reorderOptions = async (shop, order, db = prisma) => {
+  try {
+    return await inTransaction(db, async (tx) => {
+      for (const [position, { id, valueIds = [] }] of order.entries()) {
+        const result = await tx.variantOption.updateMany({
+          where: { id, shop },
+          data: { position },
+        });
+        if (result.count === 0) {
+          throw new Error(`Option ${id} not found`);
+        }
+
+        for (const [valuePosition, valueId] of valueIds.entries()) {
+          await tx.variantOptionValue.updateMany({
+            where: { id: valueId, variantOptionId: id },
+            data: { position: valuePosition },
+          });
+        }
+      }
+
+      return order.length;
+    });
+  } catch (error) {
+    console.error("Error reordering variant options:", error);
+    throw error; // Re-throw to be handled by calling function
+  }
+};
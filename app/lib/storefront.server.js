@@ -0,0 +1,163 @@
+/**
+ * Server-side Operations for the Storefront Option Config
+ *
+ * The apply pipeline records which options it placed on each product, native
+ * or extended, in `ProductOptionAssignment`. From those records, the stored
+ * variants and the shop's exclusions, the app proxy serves each product's
+ * option config without calling the Admin API.
+ *
+ * Configs are served in the customer's language, with an ETag derived from
+ * their content and locale, so unchanged configs cost the storefront a 304
+ * and no body.
+ */
+
+import { createHash } from "node:crypto";
+import prisma from "../db.server.js";
+import { getProductVariants } from "./variants.server.js";
+import { getExclusions } from "./exclusions.server.js";
+import { buildStorefrontConfig } from "../utils/variantUtils.js";
+import { transformExclusions } from "../utils/exclusionUtils.js";
+import {
+  transformTranslatedOptions,
+  buildTranslationsConfig,
+  resolveLocale,
+} from "../utils/translationUtils.js";
+
+/**
+ * Replace the options recorded for a product with those just applied
+ *
+ * @param {string} shop - The shop identifier (from Shopify session)
+ * @param {string} productId - Product GID
+ * @param {Array<Object>} nativeOptions - Options that became native options
+ * @param {Array<Object>} extendedOptions - Options stored as extended options
+ * @returns {number} Number of options recorded
+ * @throws {Error} If database operation fails
+ */
+export const saveProductAssignments = async (
+  shop,
+  productId,
+  nativeOptions,
+  extendedOptions,
+) => {
+  try {
+    const assignments = [
+      ...nativeOptions.map((option) => ({ option, isNative: true })),
+      ...extendedOptions.map((option) => ({ option, isNative: false })),
+    ];
+
+    await prisma.$transaction([
+      prisma.productOptionAssignment.deleteMany({ where: { shop, productId } }),
+      prisma.productOptionAssignment.createMany({
+        data: assignments.map(({ option, isNative }, position) => ({
+          shop,
+          productId,
+          isNative,
+          position,
+          variantOptionId: option.id,
+        })),
+      }),
+    ]);
+
+    return assignments.length;
+  } catch (error) {
+    console.error("Error saving product option assignments:", error);
+    throw error; // Re-throw to be handled by calling function
+  }
+};
+
+/**
+ * Build the option config of a product for the storefront
+ * Options show their currently checked values, so edits made after applying
+ * (price adjustments, swatches, rules) reach the storefront right away.
+ *
+ * @param {string} shop - The shop identifier (from the app proxy session)
+ * @param {string} productId - Product GID
+ * @param {string|null} locale - Customer's locale, e.g. "fr-CA"; the closest
+ *   translated locale is used (see resolveLocale)
+ * @returns {Object|null} Config from buildStorefrontConfig, or null when no
+ *   options were applied to the product
+ * @throws {Error} If database operation fails
+ */
+export const getStorefrontConfig = async (shop, productId, locale = null) => {
+  try {
+    const assignments = await prisma.productOptionAssignment.findMany({
+      where: { shop, productId },
+      include: {
+        variantOption: {
+          include: {
+            values: {
+              where: { isActive: true },
+              orderBy: { position: "asc" },
+              include: { translations: true },
+            },
+            visibilityRules: { include: { values: true } },
+            translations: true,
+          },
+        },
+      },
+      orderBy: { position: "asc" },
+    });
+
+    if (assignments.length === 0) return null;
+
+    const [records, exclusions] = await Promise.all([
+      getProductVariants(shop, productId),
+      getExclusions(shop),
+    ]);
+
+    const options = assignments.map((assignment) => ({
+      ...assignment.variantOption,
+      isNative: assignment.isNative,
+    }));
+    const translations = buildTranslationsConfig(
+      transformTranslatedOptions(options),
+    );
+    const resolved = resolveLocale(locale, Object.keys(translations));
+
+    return buildStorefrontConfig(
+      productId,
+      options,
+      records,
+      transformExclusions(exclusions),
+      {
+        locale: resolved,
+        translations: resolved ? translations[resolved] : {},
+      },
+    );
+  } catch (error) {
+    console.error("Error building storefront config:", error);
+    throw error; // Re-throw to be handled by calling function
+  }
+};
+
+/**
+ * Strong ETag of a response body
+ *
+ * @param {string} body - Serialized response body
+ * @param {string|null} locale - Locale the body is in, for localized responses
+ * @returns {string} Quoted hash, e.g. `"3f2a…"`
+ */
+export const createETag = (body, locale = null) =>
+  `"${createHash("sha1")
+    .update(`${locale ?? ""}\n`)
+    .update(body)
+    .digest("base64url")}"`;
+
+/**
+ * Whether a request's `If-None-Match` header matches an ETag
+ * The header may list several tags separated by commas, or be `*`. Tags are
+ * compared weakly, as If-None-Match requires, so `W/"abc"` matches `"abc"`
+ * (CDNs mark compressed responses weak).
+ *
+ * @param {string|null} header - Value of the `If-None-Match` header
+ * @param {string} etag - ETag of the current response
+ * @returns {boolean} True when the client's copy is current
+ */
+export const matchesETag = (header, etag) => {
+  if (!header) return false;
+  const opaque = (tag) => tag.trim().replace(/^W\//, "");
+
+  return header
+    .split(",")
+    .some((tag) => tag.trim() === "*" || opaque(tag) === opaque(etag));
+};
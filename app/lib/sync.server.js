@@ -0,0 +1,70 @@
+/**
+ * Shopify Sync for Product Variants
+ *
+ * Pushes the fields edited in the variant matrix back to Shopify.
+ * Shopify variants have no "active" flag, so inactive variants are synced
+ * with tracked inventory, zero available and the DENY inventory policy, so
+ * checkout refuses them. Empty SKUs
+ * aren't pushed, so a variant without a recorded SKU keeps its Shopify SKU.
+ */
+
+import { productVariantsBulkUpdate } from "../../graphql/productVariantsBulkUpdate.js";
+import {
+  getPrimaryLocationId,
+  inventorySetQuantities,
+} from "../../graphql/inventorySetQuantities.js";
+
+// Number of variants sent per productVariantsBulkUpdate call
+const VARIANT_BATCH_SIZE = 100;
+
+/**
+ * Sync stored variant records to their Shopify variants
+ *
+ * @param {Object} admin - The admin API context
+ * @param {string} productId - Product GID the variants belong to
+ * @param {Array<Object>} records - `ProductVariant` records to push
+ * @returns {number} Number of variants synced
+ * @throws {Error} If a Shopify call fails
+ */
+export const syncProductVariants = async (admin, productId, records) => {
+  const syncable = records.filter((record) => record.shopifyVariantId);
+  if (syncable.length === 0) return 0;
+
+  const inventoryItemIds = new Map();
+
+  for (let i = 0; i < syncable.length; i += VARIANT_BATCH_SIZE) {
+    const batch = syncable.slice(i, i + VARIANT_BATCH_SIZE);
+    const updatedVariants = await productVariantsBulkUpdate(
+      admin,
+      productId,
+      batch.map((record) => ({
+        id: record.shopifyVariantId,
+        price: record.price.toFixed(2),
+        compareAtPrice:
+          record.compareAtPrice != null
+            ? record.compareAtPrice.toFixed(2)
+            : null,
+        sku: record.sku,
+        ...(record.isActive ? {} : { inventoryPolicy: "DENY", tracked: true }),
+      })),
+    );
+
+    for (const variant of updatedVariants) {
+      inventoryItemIds.set(variant.id, variant.inventoryItem.id);
+    }
+  }
+
+  const locationId = await getPrimaryLocationId(admin);
+  await inventorySetQuantities(
+    admin,
+    locationId,
+    syncable
+      .filter((record) => inventoryItemIds.has(record.shopifyVariantId))
+      .map((record) => ({
+        inventoryItemId: inventoryItemIds.get(record.shopifyVariantId),
+        quantity: record.isActive ? record.inventory : 0,
+      })),
+  );
+
+  return syncable.length;
+};
@@ -0,0 +1,240 @@
+/**
+ * Server-side Operations for Option Translations
+ *
+ * Option names, help text and value labels can be translated into every
+ * locale the shop has enabled. Translations are stored per option and value,
+ * then published to the storefront in two ways:
+ * - Native variant options get them through Shopify's Translations API, so
+ *   themes show translated option names and values on their own
+ * - Extended options read them from a shop metafield in the theme block
+ */
+
+import prisma from "../db.server.js";
+import { setJsonMetafield } from "../../graphql/metafieldsSet.js";
+import { getProductOptions } from "../../graphql/getProductOptions.js";
+import {
+  getShopLocales,
+  getNameDigests,
+  translationsRegister,
+} from "../../graphql/translationsRegister.js";
+import {
+  TRANSLATIONS_METAFIELD,
+  transformTranslatedOptions,
+  buildTranslationsConfig,
+  buildNativeTranslations,
+} from "../utils/translationUtils.js";
+
+// translatableResourcesByIds accepts up to 250 resources per request
+const DIGEST_BATCH_SIZE = 250;
+
+/**
+ * Get all options of a shop with their translations
+ *
+ * @param {string} shop - The shop identifier (from Shopify session)
+ * @returns {Array<Object>} Options in database format, with `translations`
+ *   on options and values
+ * @throws {Error} If database operation fails
+ */
+export const getTranslatedOptions = async (shop) => {
+  try {
+    return await prisma.variantOption.findMany({
+      where: { shop },
+      include: {
+        translations: true,
+        values: {
+          orderBy: { position: "asc" },
+          include: { translations: true },
+        },
+      },
+      orderBy: { position: "asc" },
+    });
+  } catch (error) {
+    console.error("Error fetching option translations:", error);
+    throw error; // Re-throw to be handled by calling function
+  }
+};
+
+/**
+ * Save the translations of several options into one locale
+ * Fields sent as null remove their translation.
+ *
+ * @param {string} shop - The shop identifier (from Shopify session)
+ * @param {string} locale - Locale the texts are in, e.g. "fr"
+ * @param {Array<Object>} entries - Output of parseTranslationDraft
+ * @returns {number} Number of options saved
+ * @throws {Error} If an option doesn't belong to the shop or the save fails
+ */
+export const saveTranslations = async (shop, locale, entries) => {
+  try {
+    const options = await prisma.variantOption.findMany({
+      where: { shop, id: { in: entries.map((entry) => entry.optionId) } },
+      include: { values: true },
+    });
+
+    await prisma.$transaction(async (tx) => {
+      for (const entry of entries) {
+        const option = options.find((o) => o.id === entry.optionId);
+        if (!option) {
+          throw new Error(`Option ${entry.optionId} not found`);
+        }
+
+        const where = {
+          variantOptionId_locale: { variantOptionId: option.id, locale },
+        };
+        if (entry.name || entry.helpText) {
+          const data = { name: entry.name, helpText: entry.helpText };
+          await tx.optionTranslation.upsert({
+            where,
+            create: { ...data, locale, variantOptionId: option.id },
+            update: data,
+          });
+        } else {
+          await tx.optionTranslation.deleteMany({
+            where: { variantOptionId: option.id, locale },
+          });
+        }
+
+        for (const { valueId, value } of entry.values) {
+          // Ignore values that were deleted while the editor was open
+          if (!option.values.some((v) => v.id === valueId)) continue;
+
+          if (value) {
+            await tx.optionValueTranslation.upsert({
+              where: {
+                variantOptionValueId_locale: {
+                  variantOptionValueId: valueId,
+                  locale,
+                },
+              },
+              create: { value, locale, variantOptionValueId: valueId },
+              update: { value },
+            });
+          } else {
+            await tx.optionValueTranslation.deleteMany({
+              where: { variantOptionValueId: valueId, locale },
+            });
+          }
+        }
+      }
+    });
+
+    return entries.length;
+  } catch (error) {
+    console.error("Error saving option translations:", error);
+    throw error; // Re-throw to be handled by calling function
+  }
+};
+
+/**
+ * Register the translations of a product's native options with Shopify
+ * Options and values are matched to the app's options by name.
+ *
+ * @param {Object} admin - The admin API context
+ * @param {Array<Object>} productOptions - The product's options from the Admin API
+ * @param {Array<Object>} options - App options in UI format (see transformTranslatedOptions)
+ * @returns {number} Number of option and value resources translated
+ * @throws {Error} If a Shopify call fails
+ */
+export const registerNativeTranslations = async (
+  admin,
+  productOptions,
+  options,
+) => {
+  const resources = buildNativeTranslations(productOptions, options);
+  if (resources.length === 0) return 0;
+
+  const digests = new Map();
+  for (let i = 0; i < resources.length; i += DIGEST_BATCH_SIZE) {
+    const batch = resources.slice(i, i + DIGEST_BATCH_SIZE);
+    const batchDigests = await getNameDigests(
+      admin,
+      batch.map((resource) => resource.resourceId),
+    );
+    batchDigests.forEach((digest, resourceId) =>
+      digests.set(resourceId, digest),
+    );
+  }
+
+  let registered = 0;
+  for (const resource of resources) {
+    const digest = digests.get(resource.resourceId);
+    if (!digest) continue;
+
+    await translationsRegister(
+      admin,
+      resource.resourceId,
+      resource.translations.map(({ locale, value }) => ({
+        locale,
+        key: "name",
+        value,
+        translatableContentDigest: digest,
+      })),
+    );
+    registered += 1;
+  }
+
+  return registered;
+};
+
+/**
+ * Register the translations of a product's native options, loading the
+ * shop's translations first. Used after options are applied to a product.
+ *
+ * @param {Object} admin - The admin API context
+ * @param {string} shop - The shop identifier (from Shopify session)
+ * @param {Array<Object>} productOptions - The product's options from the Admin API
+ * @returns {number} Number of option and value resources translated
+ * @throws {Error} If a Shopify call fails
+ */
+export const registerProductTranslations = async (
+  admin,
+  shop,
+  productOptions,
+) => {
+  const options = transformTranslatedOptions(await getTranslatedOptions(shop));
+  return registerNativeTranslations(admin, productOptions, options);
+};
+
+/**
+ * Publish every translation of the shop to the storefront
+ * Writes the translations metafield read by the theme block and registers
+ * native option translations on every product the app created variants for.
+ *
+ * @param {Object} admin - The admin API context
+ * @param {string} shop - The shop identifier (from Shopify session)
+ * @returns {{products: number, failed: number}} Products updated and failed
+ * @throws {Error} If the metafield can't be written
+ */
+export const publishTranslations = async (admin, shop) => {
+  const options = transformTranslatedOptions(await getTranslatedOptions(shop));
+  const { shopId } = await getShopLocales(admin);
+
+  await setJsonMetafield(
+    admin,
+    shopId,
+    TRANSLATIONS_METAFIELD.namespace,
+    TRANSLATIONS_METAFIELD.key,
+    buildTranslationsConfig(options),
+  );
+
+  const products = await prisma.productVariant.findMany({
+    where: { shop },
+    distinct: ["productId"],
+    select: { productId: true },
+  });
+
+  let updated = 0;
+  let failed = 0;
+  for (const { productId } of products) {
+    try {
+      const product = await getProductOptions(admin, productId);
+      await registerNativeTranslations(admin, product.options, options);
+      updated += 1;
+    } catch (error) {
+      console.error(`Error translating options of ${productId}:`, error);
+      failed += 1;
+    }
+  }
+
+  return { products: updated, failed };
+};
@@ -0,0 +1,133 @@
+/**
+ * Server-side Database Operations for Product Variants
+ *
+ * These functions keep the `ProductVariant` table in step with the variants
+ * this app creates on Shopify products. Each record links a Shopify variant
+ * to the option values it was generated from.
+ */
+
+import prisma from "../db.server.js";
+
+/**
+ * Create or update the record for a Shopify variant
+ * Records are matched by shop and Shopify variant ID, so re-applying options
+ * refreshes existing rows instead of duplicating them
+ *
+ * @param {string} shop - The shop identifier (from Shopify session)
+ * @param {Object} variantData - The variant data to store
+ * @param {string} variantData.productId - Product GID the variant belongs to
+ * @param {string} variantData.shopifyVariantId - ProductVariant GID
+ * @param {string|null} variantData.sku - Variant SKU; when missing, an existing
+ *   record keeps its SKU (e.g. one set in the variant matrix)
+ * @param {number} variantData.price - Variant price
+ * @param {number} variantData.compareAtPrice - Variant compare-at price (optional)
+ * @param {Array<string>} variantData.optionIds - IDs of the options used by the variant
+ * @param {Array<string>} variantData.valueIds - IDs of the option values used by the variant
+ * @returns {Object} The stored variant record
+ * @throws {Error} If database operation fails
+ */
+export const upsertProductVariant = async (shop, variantData) => {
+  try {
+    const {
+      productId,
+      shopifyVariantId,
+      sku,
+      price = 0,
+      compareAtPrice = null,
+      optionIds = [],
+      valueIds = [],
+    } = variantData;
+
+    const data = {
+      productId,
+      ...(sku !== undefined ? { sku } : {}),
+      price,
+      compareAtPrice,
+    };
+
+    return await prisma.productVariant.upsert({
+      where: {
+        shop_shopifyVariantId: { shop, shopifyVariantId },
+      },
+      create: {
+        ...data,
+        sku: sku ?? null,
+        shop,
+        shopifyVariantId,
+        variantOptions: { connect: optionIds.map((id) => ({ id })) },
+        optionValues: { connect: valueIds.map((id) => ({ id })) },
+      },
+      update: {
+        ...data,
+        variantOptions: { set: optionIds.map((id) => ({ id })) },
+        optionValues: { set: valueIds.map((id) => ({ id })) },
+      },
+    });
+  } catch (error) {
+    console.error("Error saving product variant:", error);
+    throw error; // Re-throw to be handled by calling function
+  }
+};
+
+/**
+ * Retrieve every variant record of a product for a specific shop
+ *
+ * @param {string} shop - The shop identifier (from Shopify session)
+ * @param {string} productId - Product GID
+ * @returns {Array} Variant records with their option values included
+ * @throws {Error} If database query fails
+ */
+export const getProductVariants = async (shop, productId) => {
+  try {
+    return await prisma.productVariant.findMany({
+      where: { shop, productId },
+      include: {
+        optionValues: true,
+      },
+      orderBy: {
+        createdAt: "asc",
+      },
+    });
+  } catch (error) {
+    console.error("Error fetching product variants:", error);
+    throw error; // Re-throw to be handled by calling function
+  }
+};
+
+/**
+ * Save edits from the variant matrix editor
+ * All rows are updated in a single transaction so a bad row doesn't leave
+ * the matrix half-saved
+ *
+ * @param {string} shop - The shop identifier (from Shopify session)
+ * @param {Array<Object>} rows - Edited rows
+ * @param {string} rows[].variantId - `ProductVariant` ID
+ * @param {string} rows[].sku - SKU, empty to clear
+ * @param {number} rows[].price - Price
+ * @param {number|null} rows[].compareAtPrice - Compare-at price, null to clear
+ * @param {number} rows[].inventory - Available quantity
+ * @param {boolean} rows[].isActive - Whether the variant can be sold
+ * @returns {Array} The updated variant records
+ * @throws {Error} If a row doesn't belong to the shop or the update fails
+ */
+export const updateProductVariants = async (shop, rows) => {
+  try {
+    return await prisma.$transaction(
+      rows.map((row) =>
+        prisma.productVariant.update({
+          where: { id: row.variantId, shop },
+          data: {
+            sku: row.sku || null,
+            price: row.price,
+            compareAtPrice: row.compareAtPrice,
+            inventory: row.inventory,
+            isActive: row.isActive,
+          },
+        }),
+      ),
+    );
+  } catch (error) {
+    console.error("Error updating product variants:", error);
+    throw error; // Re-throw to be handled by calling function
+  }
+};
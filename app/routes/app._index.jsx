@@ -10,6 +10,10 @@
  * - Edit existing options and their values
  * - Preview how options will appear to customers
  * - Apply options to selected products
+ * - Save reusable option sets and apply them as a whole
+ * - Exclude value combinations that don't exist
+ * - Import options already defined on Shopify products
+ * - Record every change in the audit log shown on the History page
  * - Bulk operations on options
  */
 
@@ -20,29 +24,63 @@ import {
   getOptions,
   updateOptions,
   deleteOptions,
+  setValuesActive,
+  reorderOptions,
+  importOptions,
 } from "../lib/shop.server.js";
+import {
+  getOptionSets,
+  saveOptionSet,
+  deleteOptionSet,
+} from "../lib/optionSets.server.js";
+import {
+  getExclusions,
+  createExclusion,
+  deleteExclusion,
+} from "../lib/exclusions.server.js";
+import { applyOptionsToProducts } from "../lib/apply.server.js";
+import {
+  getAuditor,
+  optionsNamed,
+  auditOptionChanges,
+  recordApply,
+} from "../lib/audit.server.js";
+import { readProductOptions } from "../lib/import.server.js";
+import { uploadImageFile } from "../lib/files.server.js";
+import { searchProducts } from "../../graphql/searchProducts.js";
 import { Page, Layout, Toast, Frame } from "@shopify/polaris";
 import Preview from "../components/preview.jsx";
 import OptionsHeader from "../components/OptionsHeader.jsx";
+import ApplyResultsBanner from "../components/ApplyResultsBanner.jsx";
 import OptionsList from "../components/OptionsList.jsx";
+import OptionSetsCard from "../components/OptionSetsCard.jsx";
+import ExclusionsCard from "../components/ExclusionsCard.jsx";
 import AddOptionModal from "../components/modals/AddOptionModal.jsx";
 import EditOptionModal from "../components/modals/EditOptionModal.jsx";
 import ProductSelectionModal from "../components/modals/ProductSelectionModal.jsx";
+import ImportOptionsModal from "../components/modals/ImportOptionsModal.jsx";
+import OptionSetModal from "../components/modals/OptionSetModal.jsx";
 import { useOptions } from "../hooks/useOptions.js";
 import { useModals } from "../hooks/useModals.js";
 import { useToast } from "../hooks/useToast.js";
-import { prepareOptionForSubmit } from "../utils/optionUtils.js";
-import { useSubmit, useLoaderData } from "@remix-run/react";
-import { useState, useCallback } from "react";
+import {
+  prepareOptionForSubmit,
+  parseOptionInput,
+  transformOptionSets,
+} from "../utils/optionUtils.js";
+import { transformExclusions } from "../utils/exclusionUtils.js";
+import { useSubmit, useLoaderData, useActionData } from "@remix-run/react";
+import { useState, useCallback, useEffect, useMemo } from "react";
 
 /**
  * Loader function - Runs on the server before the page loads
  *
- * Fetches all existing product options for the current shop from the database.
- * This data is available to the component via useLoaderData().
+ * Fetches all existing product options, option sets and exclusions for the
+ * current shop from the database. This data is available to the component via
+ * useLoaderData().
  *
  * @param {Object} request - The incoming HTTP request
- * @returns {Object} JSON response with shop options and API key
+ * @returns {Object} JSON response with shop options, option sets, exclusions and API key
  */
 export const loader = async ({ request }) => {
   const admin = await authenticate.admin(request);
@@ -50,9 +88,13 @@ export const loader = async ({ request }) => {
   try {
     // Fetch all options for this shop from the database
     const options = await getOptions(admin.session.shop);
+    const optionSets = await getOptionSets(admin.session.shop);
+    const exclusions = await getExclusions(admin.session.shop);
     return json({
       apiKey: process.env.SHOPIFY_API_KEY || "",
       options: options || [],
+      optionSets,
+      exclusions,
     });
   } catch (error) {
     console.error("Error loading options:", error);
@@ -60,6 +102,8 @@ export const loader = async ({ request }) => {
     return json({
       apiKey: process.env.SHOPIFY_API_KEY || "",
       options: [],
+      optionSets: [],
+      exclusions: [],
     });
   }
 };
@@ -79,37 +123,35 @@ export const action = async ({ request }) => {
     const actionType = formData.get("actionType");
     console.log("Action type:", actionType);
 
-    const admin = await authenticate.admin(request);
-    console.log("Authenticated shop:", admin.session.shop);
+    const { admin, session, sessionToken } = await authenticate.admin(request);
+    console.log("Authenticated shop:", session.shop);
+    const auditor = getAuditor(request, { session, sessionToken });
 
+    // Handle searching the shop's products for the product selection modal
     if (actionType === "search-products") {
-      const query = formData.get("query");
-      const selectedProducts = JSON.parse(
-        formData.get("selectedProducts") || "[]",
-      );
-
-      const options = JSON.parse(formData.get("options") || "[]");
+      const query = (formData.get("query") || "").trim();
+      const after = formData.get("after") || null;
 
       try {
-        // Import the getProductId function
-        const { getProductId } = await import("../../graphql/index.js");
-
-        // Get Product details for each selected product using their handles
-
-        const productDetails = await Promise.all(
-          selectedProducts.map(async (productId) => {
-            try {
-              // productId should be the product handle
-              const productData = await getProductId(admin, productId);
-              console.log("ProductData: ", productData);
-              return productData;
-            } catch (error) {
-              console.error(`Error fetching product ${productId}:`, error);
-              return null;
-            }
-          }),
+        const { products, pageInfo } = await searchProducts(admin, {
+          query,
+          after,
+        });
+        return json({
+          success: true,
+          actionType,
+          query,
+          after,
+          products,
+          pageInfo,
+        });
+      } catch (error) {
+        console.error("Error searching products:", error);
+        return json(
+          { success: false, actionType, query, after, error: error.message },
+          { status: 500 },
         );
-      } catch (error) {}
+      }
     }
 
     // Handle creating a new product option
@@ -134,15 +176,13 @@ export const action = async ({ request }) => {
         }
 
         // Create the option in the database with all its values
-        const savedOption = await createOptions(admin.session.shop, {
-          name: optionName,
-          type: optionType, // e.g., "text", "color", "number", "image"
-          values: values.map((value, index) => ({
-            value,
-            position: index,
-            isActive: true,
-          })),
-        });
+        const optionData = parseOptionInput(optionSet);
+        const savedOption = await auditOptionChanges(
+          auditor,
+          "update",
+          { name: optionData.name },
+          (tx) => createOptions(session.shop, optionData, tx),
+        );
 
         console.log("Option created successfully:", savedOption);
         return json({ success: true, option: savedOption });
@@ -156,19 +196,15 @@ export const action = async ({ request }) => {
     if (actionType === "Edit Option") {
       const optionId = formData.get("optionId");
       const optionSet = JSON.parse(formData.get("optionSet"));
-      const { optionName, values, optionType } = optionSet;
 
       try {
-        // Update the option and replace all its values
-        const updatedOption = await updateOptions(optionId, {
-          name: optionName,
-          type: optionType,
-          values: values.map((value, index) => ({
-            value,
-            position: index,
-            isActive: true,
-          })),
-        });
+        // Update the option; existing values keep their IDs and active state
+        const updatedOption = await auditOptionChanges(
+          auditor,
+          "update",
+          { id: optionId },
+          (tx) => updateOptions(optionId, parseOptionInput(optionSet), tx),
+        );
 
         console.log("Option updated successfully:", updatedOption);
         return json({ success: true, option: updatedOption });
@@ -184,7 +220,12 @@ export const action = async ({ request }) => {
 
       try {
         // Call the server-side function to delete the options from the database.
-        const result = await deleteOptions(optionIds, admin.session.shop);
+        const result = await auditOptionChanges(
+          auditor,
+          "update",
+          { id: { in: [].concat(optionIds) } },
+          (tx) => deleteOptions(optionIds, session.shop, tx),
+        );
         console.log("Options deleted successfully:", result);
         return json({
           success: true,
@@ -197,6 +238,193 @@ export const action = async ({ request }) => {
       }
     }
 
+    // Handle saving checked/unchecked value states from the options list
+    if (actionType === "Update Value States") {
+      const changes = JSON.parse(formData.get("changes") || "[]");
+
+      try {
+        const count = await auditOptionChanges(
+          auditor,
+          "update",
+          {
+            values: {
+              some: { id: { in: changes.map((change) => change.valueId) } },
+            },
+          },
+          (tx) => setValuesActive(session.shop, changes, tx),
+        );
+        return json({ success: true, actionType, count });
+      } catch (error) {
+        console.error("Error saving value states:", error);
+        return json(
+          { success: false, actionType, error: error.message },
+          { status: 500 },
+        );
+      }
+    }
+
+    // Handle saving the drag-and-drop order of options and values
+    if (actionType === "Reorder Options") {
+      const order = JSON.parse(formData.get("order") || "[]");
+
+      try {
+        const count = await auditOptionChanges(
+          auditor,
+          "reorder",
+          { id: { in: order.map((option) => option.id) } },
+          (tx) => reorderOptions(session.shop, order, tx),
+        );
+        return json({ success: true, actionType, count });
+      } catch (error) {
+        console.error("Error reordering options:", error);
+        return json(
+          { success: false, actionType, error: error.message },
+          { status: 500 },
+        );
+      }
+    }
+
+    // Handle uploading the image of an image-type value to Shopify Files
+    if (actionType === "Upload Value Image") {
+      try {
+        const { fileId, url } = await uploadImageFile(
+          admin,
+          formData.get("image"),
+        );
+        return json({ success: true, actionType, fileId, url });
+      } catch (error) {
+        console.error("Error uploading value image:", error);
+        return json(
+          { success: false, actionType, error: error.message },
+          { status: 500 },
+        );
+      }
+    }
+
+    // Handle creating or updating an option set
+    if (actionType === "Save Option Set") {
+      try {
+        const optionSet = await saveOptionSet(
+          session.shop,
+          JSON.parse(formData.get("optionSet")),
+        );
+        return json({ success: true, actionType, optionSet });
+      } catch (error) {
+        console.error("Error saving option set:", error);
+        return json(
+          { success: false, actionType, error: error.message },
+          { status: 500 },
+        );
+      }
+    }
+
+    // Handle deleting an option set; its options are kept
+    if (actionType === "Delete Option Set") {
+      const optionSetId = formData.get("optionSetId");
+
+      try {
+        const count = await deleteOptionSet(session.shop, optionSetId);
+        return json({ success: true, actionType, count });
+      } catch (error) {
+        console.error("Error deleting option set:", error);
+        return json(
+          { success: false, actionType, error: error.message },
+          { status: 500 },
+        );
+      }
+    }
+
+    // Handle excluding a combination of values
+    if (actionType === "Add Exclusion") {
+      const valueIds = JSON.parse(formData.get("valueIds") || "[]");
+
+      try {
+        const exclusion = await createExclusion(session.shop, valueIds);
+        return json({ success: true, actionType, exclusion });
+      } catch (error) {
+        console.error("Error adding exclusion:", error);
+        return json(
+          { success: false, actionType, error: error.message },
+          { status: 500 },
+        );
+      }
+    }
+
+    // Handle allowing an excluded combination again
+    if (actionType === "Delete Exclusion") {
+      const exclusionId = formData.get("exclusionId");
+
+      try {
+        const count = await deleteExclusion(session.shop, exclusionId);
+        return json({ success: true, actionType, count });
+      } catch (error) {
+        console.error("Error deleting exclusion:", error);
+        return json(
+          { success: false, actionType, error: error.message },
+          { status: 500 },
+        );
+      }
+    }
+
+    // Handle creating variants for the checked option values on selected products
+    // or for the options of an option set
+    if (actionType === "Apply Options to Products") {
+      const productIds = JSON.parse(formData.get("productIds") || "[]");
+      const optionIds = JSON.parse(formData.get("optionIds") || "[]");
+      const optionSetId = formData.get("optionSetId") || null;
+
+      try {
+        const results = await applyOptionsToProducts(admin, session.shop, {
+          productIds,
+          optionIds,
+          optionSetId,
+        });
+        console.log("Options applied to products:", results);
+        await recordApply(auditor, { optionIds, optionSetId }, results);
+        return json({
+          success: results.every((result) => result.success),
+          actionType,
+          results,
+        });
+      } catch (error) {
+        console.error("Error applying options to products:", error);
+        return json(
+          { success: false, actionType, error: error.message },
+          { status: 500 },
+        );
+      }
+    }
+
+    // Handle importing native options from Shopify products
+    if (actionType === "Import Options") {
+      const scope = formData.get("scope");
+      const productIds = JSON.parse(formData.get("productIds") || "[]");
+
+      try {
+        const { options: imported, productsScanned } = await readProductOptions(
+          admin,
+          { scope, productIds },
+        );
+        const summary = {
+          ...(await auditOptionChanges(
+            auditor,
+            "update",
+            optionsNamed(imported.map((option) => option.name)),
+            (tx) => importOptions(session.shop, imported, tx),
+          )),
+          productsScanned,
+        };
+        console.log("Options imported:", summary);
+        return json({ success: true, actionType, summary });
+      } catch (error) {
+        console.error("Error importing options:", error);
+        return json(
+          { success: false, actionType, error: error.message },
+          { status: 500 },
+        );
+      }
+    }
+
     return null;
   } catch (error) {
     console.error("Action function error:", error);
@@ -207,6 +435,27 @@ export const action = async ({ request }) => {
   }
 };
 
+// Actions whose result the client already reflects without the loader
+const NON_REVALIDATING_ACTIONS = [
+  "search-products",
+  "Update Value States",
+  "Reorder Options",
+  "Upload Value Image",
+];
+
+/**
+ * Skip reloading options after product searches, value toggles, reorders and
+ * image uploads. Searches and uploads don't change any options, and toggles
+ * and reorders are already applied optimistically, so re-running the loader
+ * is wasted work
+ */
+export const shouldRevalidate = ({ formData, defaultShouldRevalidate }) => {
+  if (NON_REVALIDATING_ACTIONS.includes(formData?.get("actionType"))) {
+    return false;
+  }
+  return defaultShouldRevalidate;
+};
+
 /**
  * Main Component - Product Options Manager
  *
@@ -219,19 +468,35 @@ export const action = async ({ request }) => {
  */
 export default function Index() {
   // Get initial data from the server loader
-  const { options: loadedOptions = [] } = useLoaderData();
+  const {
+    options: loadedOptions = [],
+    optionSets: loadedOptionSets = [],
+    exclusions: loadedExclusions = [],
+  } = useLoaderData();
+  const actionData = useActionData(); // Result of the last action submission
   const submit = useSubmit(); // Remix hook for form submissions
 
   // Custom hooks for state management
-  const { options, handleToggleValueChecked, handleToggleAllValues } =
-    useOptions(loadedOptions);
+  const {
+    options,
+    saveStatus,
+    orderStatus,
+    handleToggleValueChecked,
+    handleToggleAllValues,
+    moveOption,
+    moveValue,
+  } = useOptions(loadedOptions);
   const {
     modalActive,
     editModalActive,
     productModalActive,
+    importModalActive,
+    optionSetModalActive,
     toggleModal,
     toggleEditModal,
     toggleProductModal,
+    toggleImportModal,
+    toggleOptionSetModal,
   } = useModals();
   const { toastActive, toastMessage, showToast, hideToast } = useToast();
 
@@ -240,10 +505,21 @@ export default function Index() {
   const [selectedItems, setSelectedItems] = useState([]); // Selected options for bulk operations
   const [expandedOptions, setExpandedOptions] = useState({}); // Which options are expanded in the list
   const [editingOption, setEditingOption] = useState(null); // Currently selected option for editing
+  const [applyResults, setApplyResults] = useState([]); // Per-product results of the last apply
+  const [editingSet, setEditingSet] = useState(null); // Option set open in the set modal, null for a new set
+  const [applySetId, setApplySetId] = useState(""); // Option set to apply, "" for all options
 
-  // Product selection states (for applying options to specific products)
-  const [selectedProducts, setSelectedProducts] = useState([]);
-  const [availableProducts] = useState([]); // TODO: Fetch from Shopify API
+  const optionSets = useMemo(
+    () => transformOptionSets(loadedOptionSets),
+    [loadedOptionSets],
+  );
+  const exclusions = useMemo(
+    () => transformExclusions(loadedExclusions),
+    [loadedExclusions],
+  );
+
+  // Product selection state (for applying options to specific products)
+  const [selectedProducts, setSelectedProducts] = useState([]); // Product summaries from search
 
   /**
    * Toggle whether an option is expanded to show its values
@@ -258,18 +534,23 @@ export default function Index() {
 
   /**
    * Handle selecting/deselecting products for applying options
-   * @param {string} productId - The ID of the product to toggle
+   * The whole product summary is kept so selections survive new searches
+   * @param {Object} product - The product summary to toggle
    */
-  const handleProductSelection = (productId) => {
+  const handleProductSelection = useCallback((product) => {
     setSelectedProducts((prev) => {
-      if (prev.includes(productId)) {
-        return prev.filter((id) => id !== productId);
+      if (prev.some((p) => p.id === product.id)) {
+        return prev.filter((p) => p.id !== product.id);
       } else {
-        return [...prev, productId];
+        return [...prev, product];
       }
     });
-  };
+  }, []);
 
+  /**
+   * Submit the selected products and options to the apply pipeline
+   * The outcome per product arrives through the action data
+   */
   const handleApplyOptionsToProducts = () => {
     if (selectedProducts.length === 0) {
       showToast("Please select at least one product to apply options to.");
@@ -277,30 +558,101 @@ export default function Index() {
     }
 
     setIsLoading(true);
-    try {
-      submit(
-        {
-          actionType: "Apply Options to Products",
-          productIds: JSON.stringify(selectedProducts),
-          optionIds: JSON.stringify(options.map((opt) => opt.id)),
-        },
-        { method: "post" },
-      );
+    setApplyResults([]);
+    submit(
+      {
+        actionType: "Apply Options to Products",
+        productIds: JSON.stringify(selectedProducts.map((p) => p.id)),
+        ...(applySetId
+          ? { optionSetId: applySetId }
+          : { optionIds: JSON.stringify(options.map((opt) => opt.id)) }),
+      },
+      { method: "post" },
+    );
+  };
 
-      const productNames = selectedProducts
-        .map((id) => availableProducts.find((p) => p.id === id)?.title)
-        .join(", ");
+  /**
+   * Open the option set modal for a new set, or for editing the given one
+   * @param {Object|null} optionSet - The set to edit
+   */
+  const openOptionSetModal = useCallback(
+    (optionSet = null) => {
+      setEditingSet(optionSet);
+      toggleOptionSetModal();
+    },
+    [toggleOptionSetModal],
+  );
 
-      showToast(
-        `Options applied successfully to ${selectedProducts.length} product(s): ${productNames.length > 50 ? productNames.substring(0, 50) + "..." : productNames}`,
-      );
+  /**
+   * Close the option set modal and clear the editing state
+   */
+  const closeOptionSetModal = useCallback(() => {
+    toggleOptionSetModal();
+    setEditingSet(null);
+  }, [toggleOptionSetModal]);
+
+  /**
+   * Close the option set modal after its save succeeded
+   * @param {string} name - Name of the saved set
+   */
+  const handleOptionSetSaved = useCallback(
+    (name) => {
+      closeOptionSetModal();
+      showToast(`Option set "${name}" saved`);
+    },
+    [closeOptionSetModal, showToast],
+  );
+
+  /**
+   * Delete an option set; the options it references are kept
+   * @param {string} optionSetId - ID of the set to delete
+   */
+  const handleDeleteOptionSet = (optionSetId) => {
+    const optionSet = optionSets.find((set) => set.id === optionSetId);
+    submit(
+      { actionType: "Delete Option Set", optionSetId },
+      { method: "post" },
+    );
+    if (applySetId === optionSetId) setApplySetId("");
+    showToast(`Deleted option set: ${optionSet?.name}`);
+  };
+
+  /**
+   * Choose the products to apply an option set to
+   * @param {string} optionSetId - ID of the set to apply
+   */
+  const handleApplyOptionSet = (optionSetId) => {
+    setApplySetId(optionSetId);
+    toggleProductModal();
+  };
+
+  /**
+   * Report the outcome of an apply once the server responds
+   */
+  useEffect(() => {
+    if (actionData?.actionType !== "Apply Options to Products") return;
+
+    setIsLoading(false);
+
+    if (!actionData.results) {
+      showToast(`Error applying options: ${actionData.error}`);
+      return;
+    }
+
+    const failedCount = actionData.results.filter((r) => !r.success).length;
+    const succeededCount = actionData.results.length - failedCount;
+
+    setApplyResults(actionData.results);
+    showToast(
+      failedCount === 0
+        ? `Options applied successfully to ${succeededCount} product(s)`
+        : `Options applied to ${succeededCount} product(s), ${failedCount} failed`,
+    );
+
+    if (failedCount === 0) {
       setSelectedProducts([]);
-    } catch (error) {
-      showToast("Error applying options to products. Please try again.");
-    } finally {
-      setIsLoading(false);
     }
-  };
+  }, [actionData, showToast]);
 
   /**
    * Open the edit modal for a specific option
@@ -330,8 +682,10 @@ export default function Index() {
    *
    * @param {Object} optionData - The form data from the modal
    * @param {string} optionData.optionName - Name of the option (e.g., "Color")
-   * @param {Array} optionData.values - Array of values (e.g., ["Red", "Blue"])
+   * @param {Array} optionData.values - Array of value drafts (name and price adjustment)
    * @param {string} optionData.optionType - Type of option (e.g., "color", "text")
+   * @param {boolean} optionData.isRequired - Whether customers must pick a value
+   * @param {string} optionData.helpText - Text shown under the option name
    */
   const handleAddOption = async (optionData) => {
     setIsLoading(true);
@@ -345,6 +699,12 @@ export default function Index() {
               optionData.optionName,
               optionData.values,
               optionData.optionType,
+              optionData.settings,
+              {
+                isRequired: optionData.isRequired,
+                displayStyle: optionData.displayStyle,
+                helpText: optionData.helpText,
+              },
             ),
           ),
         },
@@ -368,8 +728,12 @@ export default function Index() {
    * @param {Object} editData - The form data from the edit modal
    * @param {string} editData.optionId - ID of the option being edited
    * @param {string} editData.optionName - Updated name of the option
-   * @param {Array} editData.values - Updated array of values
+   * @param {Array} editData.values - Updated array of value drafts
    * @param {string} editData.optionType - Updated type of option
+   * @param {boolean} editData.isRequired - Whether customers must pick a value
+   * @param {string} editData.helpText - Text shown under the option name
+   * @param {Array} [editData.visibilityRules] - Conditions for showing the option,
+   *   only when they were edited (the stored rules are kept otherwise)
    * @param {Object} editData.originalOption - The original option object
    */
   const handleEditOption = async (editData) => {
@@ -385,6 +749,13 @@ export default function Index() {
               editData.optionName,
               editData.values,
               editData.optionType,
+              editData.settings,
+              {
+                isRequired: editData.isRequired,
+                displayStyle: editData.displayStyle,
+                helpText: editData.helpText,
+                visibilityRules: editData.visibilityRules,
+              },
             ),
           ),
         },
@@ -490,9 +861,18 @@ export default function Index() {
       {toastActive && <Toast content={toastMessage} onDismiss={hideToast} />}
       <Page title="Product Options Manager" fullWidth>
         <Layout>
+          {applyResults.length > 0 && (
+            <Layout.Section>
+              <ApplyResultsBanner
+                results={applyResults}
+                onDismiss={() => setApplyResults([])}
+              />
+            </Layout.Section>
+          )}
           <Layout.Section variant="oneHalf">
             <OptionsHeader
               onAddOption={toggleModal}
+              onImportOptions={toggleImportModal}
               onSelectProducts={toggleProductModal}
               onApplyOptions={handleApplyOptionsToProducts}
               optionsCount={options.length}
@@ -502,20 +882,34 @@ export default function Index() {
 
             <OptionsList
               options={options}
+              saveStatus={saveStatus}
+              orderStatus={orderStatus}
               expandedOptions={expandedOptions}
               selectedItems={selectedItems}
               onSelectionChange={setSelectedItems}
               onToggleExpansion={toggleOptionExpansion}
               onToggleAllValues={handleToggleAllValues}
               onToggleValueChecked={handleToggleValueChecked}
+              onMoveOption={moveOption}
+              onMoveValue={moveValue}
               onEdit={openEditModal}
               onBulkDelete={handleBulkDelete}
               onSingleDelete={handleSingleDelete}
               onAddOption={toggleModal}
             />
+
+            <OptionSetsCard
+              optionSets={optionSets}
+              onCreate={() => openOptionSetModal()}
+              onEdit={openOptionSetModal}
+              onDelete={handleDeleteOptionSet}
+              onApply={handleApplyOptionSet}
+            />
+
+            <ExclusionsCard options={options} exclusions={exclusions} />
           </Layout.Section>
           <Layout.Section variant="oneHalf">
-            <Preview options={options} />
+            <Preview options={options} exclusions={exclusions} />
           </Layout.Section>
         </Layout>
 
@@ -532,6 +926,7 @@ export default function Index() {
           onSubmit={handleEditOption}
           isLoading={isLoading}
           editingOption={editingOption}
+          options={options}
         />
 
         <ProductSelectionModal
@@ -539,8 +934,23 @@ export default function Index() {
           onClose={toggleProductModal}
           options={options}
           selectedProducts={selectedProducts}
-          availableProducts={availableProducts}
           onProductSelection={handleProductSelection}
+          optionSets={optionSets}
+          selectedSetId={applySetId}
+          onSelectSet={setApplySetId}
+        />
+
+        <ImportOptionsModal
+          active={importModalActive}
+          onClose={toggleImportModal}
+        />
+
+        <OptionSetModal
+          active={optionSetModalActive}
+          onClose={closeOptionSetModal}
+          onSaved={handleOptionSetSaved}
+          options={options}
+          editingSet={editingSet}
         />
       </Page>
     </Frame>
@@ -0,0 +1,258 @@
+/**
+ * History - Route Component
+ *
+ * Shows the audit log of the shop's options: who created, changed, deleted,
+ * reordered or applied which option and when. Entries can be filtered by
+ * option, staff user and date range, and an option can be restored to the
+ * version recorded in an entry.
+ *
+ * Filters are passed as `?optionId=...&userId=...&from=YYYY-MM-DD&to=YYYY-MM-DD`
+ * so a filtered view can be linked to directly.
+ */
+
+import { authenticate } from "../shopify.server.js";
+import { json } from "@remix-run/node";
+import {
+  getAuditLog,
+  getAuditFilterChoices,
+  restoreOptionVersion,
+  getAuditor,
+} from "../lib/audit.server.js";
+import {
+  Page,
+  Layout,
+  Toast,
+  Frame,
+  Card,
+  EmptyState,
+  Select,
+  TextField,
+  Button,
+} from "@shopify/polaris";
+import AuditLogTable from "../components/AuditLogTable.jsx";
+import { useToast } from "../hooks/useToast.js";
+import {
+  useActionData,
+  useLoaderData,
+  useNavigate,
+  useNavigation,
+  useSubmit,
+} from "@remix-run/react";
+import { useEffect } from "react";
+
+const FILTER_PARAMS = ["optionId", "userId", "from", "to"];
+
+/**
+ * Loader function - Loads the filtered audit log and the filter choices
+ *
+ * @param {Object} request - The incoming HTTP request
+ * @returns {Object} JSON response with entries, filters and filter choices
+ */
+export const loader = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const params = new URL(request.url).searchParams;
+  const filters = Object.fromEntries(
+    FILTER_PARAMS.map((name) => [name, params.get(name) || ""]),
+  );
+
+  try {
+    const [entries, choices] = await Promise.all([
+      getAuditLog(session.shop, filters),
+      getAuditFilterChoices(session.shop),
+    ]);
+    return json({ entries, choices, filters });
+  } catch (error) {
+    console.error("Error loading history:", error);
+    return json({
+      entries: [],
+      choices: { options: [], users: [] },
+      filters,
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Action function - Restores an option to the version of an audit entry
+ *
+ * @param {Object} request - The incoming HTTP request with form data
+ * @returns {Object} JSON response indicating success/failure
+ */
+export const action = async ({ request }) => {
+  const { session, sessionToken } = await authenticate.admin(request);
+  const formData = await request.formData();
+  const actionType = formData.get("actionType");
+
+  if (actionType === "Restore Option") {
+    try {
+      const auditor = getAuditor(request, { session, sessionToken });
+      const option = await restoreOptionVersion(
+        auditor,
+        formData.get("entryId"),
+      );
+      return json({ success: true, actionType, optionName: option.name });
+    } catch (error) {
+      console.error("Error restoring option:", error);
+      return json(
+        { success: false, actionType, error: error.message },
+        { status: 500 },
+      );
+    }
+  }
+
+  return null;
+};
+
+export default function HistoryPage() {
+  const { entries, choices, filters, error } = useLoaderData();
+  const actionData = useActionData();
+  const submit = useSubmit();
+  const navigate = useNavigate();
+  const navigation = useNavigation();
+  const { toastActive, toastMessage, showToast, hideToast } = useToast();
+
+  const restoringId =
+    navigation.state === "submitting" &&
+    navigation.formData?.get("actionType") === "Restore Option"
+      ? navigation.formData.get("entryId")
+      : null;
+
+  /**
+   * Report the outcome of a restore once the server responds
+   */
+  useEffect(() => {
+    if (actionData?.actionType !== "Restore Option") return;
+    showToast(
+      actionData.success
+        ? `Option "${actionData.optionName}" restored`
+        : actionData.error,
+    );
+  }, [actionData, showToast]);
+
+  useEffect(() => {
+    if (error) showToast(`Failed to load history: ${error}`);
+  }, [error, showToast]);
+
+  /**
+   * Reload the log with one filter changed
+   * @param {string} name - Filter name, e.g. "userId"
+   * @param {string} value - New value ("" clears the filter)
+   */
+  const handleFilterChange = (name, value) => {
+    const params = new URLSearchParams();
+    for (const [key, current] of Object.entries({
+      ...filters,
+      [name]: value,
+    })) {
+      if (current) params.set(key, current);
+    }
+    navigate(`?${params}`);
+  };
+
+  /**
+   * Restore the option of an entry to the version recorded in it
+   * @param {Object} entry - Entry in UI format
+   */
+  const handleRestore = (entry) => {
+    submit(
+      { actionType: "Restore Option", entryId: entry.id },
+      { method: "post" },
+    );
+  };
+
+  const hasFilters = Object.values(filters).some(Boolean);
+
+  return (
+    <Frame>
+      {toastActive && <Toast content={toastMessage} onDismiss={hideToast} />}
+      <Page
+        title="History"
+        backAction={{ content: "Options", url: "/app" }}
+        fullWidth
+      >
+        <Layout>
+          <Layout.Section>
+            <Card>
+              <div
+                style={{
+                  display: "flex",
+                  flexWrap: "wrap",
+                  alignItems: "flex-end",
+                  gap: "12px",
+                }}
+              >
+                <Select
+                  label="Option"
+                  options={[
+                    { label: "All options", value: "" },
+                    ...choices.options.map((option) => ({
+                      label: option.name,
+                      value: option.id,
+                    })),
+                  ]}
+                  value={filters.optionId}
+                  onChange={(value) => handleFilterChange("optionId", value)}
+                />
+                <Select
+                  label="User"
+                  options={[
+                    { label: "All users", value: "" },
+                    ...choices.users.map((user) => ({
+                      label: user.name,
+                      value: user.id,
+                    })),
+                  ]}
+                  value={filters.userId}
+                  onChange={(value) => handleFilterChange("userId", value)}
+                />
+                <TextField
+                  label="From"
+                  type="date"
+                  value={filters.from}
+                  onChange={(value) => handleFilterChange("from", value)}
+                  autoComplete="off"
+                />
+                <TextField
+                  label="To"
+                  type="date"
+                  value={filters.to}
+                  onChange={(value) => handleFilterChange("to", value)}
+                  autoComplete="off"
+                />
+                {hasFilters && (
+                  <Button onClick={() => navigate("?")}>Clear filters</Button>
+                )}
+              </div>
+            </Card>
+          </Layout.Section>
+          <Layout.Section>
+            {entries.length > 0 ? (
+              <AuditLogTable
+                entries={entries}
+                onRestore={handleRestore}
+                restoringId={restoringId}
+              />
+            ) : (
+              <Card>
+                <EmptyState
+                  heading={
+                    hasFilters
+                      ? "No changes match these filters"
+                      : "No changes recorded yet"
+                  }
+                  image="https://cdn.shopify.com/s/files/1/0262/4071/2726/files/emptystate-files.png"
+                >
+                  <p>
+                    Every time an option is created, edited, deleted, reordered
+                    or applied to products, the change is listed here with the
+                    staff member who made it.
+                  </p>
+                </EmptyState>
+              </Card>
+            )}
+          </Layout.Section>
+        </Layout>
+      </Page>
+    </Frame>
+  );
+}
@@ -22,6 +22,10 @@ export default function App() {
         <Link to="/app" rel="home">
           Home
         </Link>
+        <Link to="/app/variants">Variant matrix</Link>
+        <Link to="/app/translations">Translations</Link>
+        <Link to="/app/orders">Orders</Link>
+        <Link to="/app/history">History</Link>
         <Link to="/app/additional">Additional page</Link>
       </NavMenu>
       <Outlet />
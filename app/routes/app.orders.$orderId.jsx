@@ -0,0 +1,151 @@
+/**
+ * Order Options - Route Component
+ *
+ * Shows what was chosen on one order: every line item with its native and
+ * extended options, and a picking summary that groups the line items by
+ * option value. "Print picking summary" prints the summary on its own.
+ *
+ * The order is addressed by its numeric ID, as in the Shopify admin:
+ * `/app/orders/123`.
+ */
+
+import { authenticate } from "../shopify.server.js";
+import { json } from "@remix-run/node";
+import { getOrderSelections } from "../lib/orders.server.js";
+import { Page, Layout, Card, Text, Badge, Divider } from "@shopify/polaris";
+import PickingSummary from "../components/PickingSummary.jsx";
+import { useLoaderData } from "@remix-run/react";
+import { useEffect, useState } from "react";
+import {
+  toGid,
+  groupSelectionsByLineItem,
+  buildPickingSummary,
+} from "../utils/orderUtils.js";
+
+/**
+ * Loader function - Loads the selections of one order
+ *
+ * @param {Object} request - The incoming HTTP request
+ * @param {Object} params - Route params with the numeric `orderId`
+ * @returns {Object} JSON response with the order's line items and summary
+ * @throws {Response} 404 when no options were captured for the order
+ */
+export const loader = async ({ request, params }) => {
+  const { session } = await authenticate.admin(request);
+
+  const selections = await getOrderSelections(
+    session.shop,
+    toGid("Order", params.orderId),
+  );
+  if (selections.length === 0) {
+    throw new Response("No options were captured for this order", {
+      status: 404,
+    });
+  }
+
+  return json({
+    orderName: selections[0].orderName,
+    orderedAt: selections[0].orderedAt,
+    lineItems: groupSelectionsByLineItem(selections),
+    summary: buildPickingSummary(selections),
+  });
+};
+
+export default function OrderOptionsPage() {
+  const { orderName, orderedAt, lineItems, summary } = useLoaderData();
+  const [isPrinting, setIsPrinting] = useState(false);
+
+  /**
+   * Print once only the summary is on the page, then show everything again
+   */
+  useEffect(() => {
+    if (!isPrinting) return;
+    const handleAfterPrint = () => setIsPrinting(false);
+    window.addEventListener("afterprint", handleAfterPrint);
+    window.print();
+    return () => window.removeEventListener("afterprint", handleAfterPrint);
+  }, [isPrinting]);
+
+  if (isPrinting) {
+    return (
+      <Page title={`Picking summary ${orderName}`}>
+        <PickingSummary summary={summary} />
+      </Page>
+    );
+  }
+
+  return (
+    <Page
+      title={orderName}
+      subtitle={new Date(orderedAt).toLocaleString()}
+      backAction={{ content: "Orders", url: "/app/orders" }}
+      primaryAction={{
+        content: "Print picking summary",
+        onAction: () => setIsPrinting(true),
+      }}
+    >
+      <Layout>
+        <Layout.Section>
+          <Card>
+            <Text as="h2" variant="headingMd">
+              Line items
+            </Text>
+            {lineItems.map((lineItem, index) => (
+              <div key={lineItem.lineItemId}>
+                {index > 0 && <Divider />}
+                <div style={{ padding: "12px 0" }}>
+                  <div
+                    style={{
+                      display: "flex",
+                      justifyContent: "space-between",
+                      gap: "12px",
+                    }}
+                  >
+                    <Text as="h3" variant="headingSm">
+                      {lineItem.title}
+                    </Text>
+                    <Text as="span">× {lineItem.quantity}</Text>
+                  </div>
+                  {lineItem.sku && (
+                    <Text as="p" variant="bodySm" tone="subdued">
+                      SKU {lineItem.sku}
+                    </Text>
+                  )}
+                  {lineItem.selections.map((selection, selectionIndex) => (
+                    <div
+                      key={selectionIndex}
+                      style={{
+                        display: "flex",
+                        alignItems: "center",
+                        gap: "8px",
+                        marginTop: "4px",
+                      }}
+                    >
+                      <Text as="span" tone="subdued">
+                        {selection.optionName}:
+                      </Text>
+                      <Text as="span" fontWeight="semibold">
+                        {selection.value}
+                      </Text>
+                      {selection.source === "property" && (
+                        <Badge tone="info">Extended</Badge>
+                      )}
+                    </div>
+                  ))}
+                </div>
+              </div>
+            ))}
+          </Card>
+        </Layout.Section>
+        <Layout.Section>
+          <Text as="h2" variant="headingLg">
+            Picking summary
+          </Text>
+          <div style={{ marginTop: "12px" }}>
+            <PickingSummary summary={summary} />
+          </div>
+        </Layout.Section>
+      </Layout>
+    </Page>
+  );
+}
@@ -0,0 +1,107 @@
+/**
+ * Orders - Route Component
+ *
+ * Lists the latest orders whose options were captured by the orders/create
+ * webhook. Each order opens its line items with the chosen options and a
+ * printable picking summary.
+ */
+
+import { authenticate } from "../shopify.server.js";
+import { json } from "@remix-run/node";
+import { getRecentOrders } from "../lib/orders.server.js";
+import {
+  Page,
+  Layout,
+  Toast,
+  Frame,
+  Card,
+  EmptyState,
+  IndexTable,
+  Button,
+  Text,
+} from "@shopify/polaris";
+import { useToast } from "../hooks/useToast.js";
+import { useLoaderData } from "@remix-run/react";
+import { useEffect } from "react";
+import { getNumericId } from "../utils/orderUtils.js";
+
+/**
+ * Loader function - Loads the latest orders with captured options
+ *
+ * @param {Object} request - The incoming HTTP request
+ * @returns {Object} JSON response with the orders
+ */
+export const loader = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+
+  try {
+    const orders = await getRecentOrders(session.shop);
+    return json({ orders });
+  } catch (error) {
+    console.error("Error loading orders:", error);
+    return json({ orders: [], error: error.message });
+  }
+};
+
+export default function OrdersPage() {
+  const { orders, error } = useLoaderData();
+  const { toastActive, toastMessage, showToast, hideToast } = useToast();
+
+  useEffect(() => {
+    if (error) showToast(`Failed to load orders: ${error}`);
+  }, [error, showToast]);
+
+  const rowMarkup = orders.map((order, index) => (
+    <IndexTable.Row id={order.orderId} key={order.orderId} position={index}>
+      <IndexTable.Cell>
+        <Button
+          variant="plain"
+          url={`/app/orders/${getNumericId(order.orderId)}`}
+        >
+          {order.orderName}
+        </Button>
+      </IndexTable.Cell>
+      <IndexTable.Cell>
+        <Text as="span" variant="bodySm">
+          {new Date(order.orderedAt).toLocaleString()}
+        </Text>
+      </IndexTable.Cell>
+    </IndexTable.Row>
+  ));
+
+  return (
+    <Frame>
+      {toastActive && <Toast content={toastMessage} onDismiss={hideToast} />}
+      <Page title="Orders" backAction={{ content: "Options", url: "/app" }}>
+        <Layout>
+          <Layout.Section>
+            {orders.length > 0 ? (
+              <Card padding="0">
+                <IndexTable
+                  resourceName={{ singular: "order", plural: "orders" }}
+                  itemCount={orders.length}
+                  selectable={false}
+                  headings={[{ title: "Order" }, { title: "Date" }]}
+                >
+                  {rowMarkup}
+                </IndexTable>
+              </Card>
+            ) : (
+              <Card>
+                <EmptyState
+                  heading="No orders with options yet"
+                  image="https://cdn.shopify.com/s/files/1/0262/4071/2726/files/emptystate-files.png"
+                >
+                  <p>
+                    When customers order products with options, the values they
+                    chose are listed here for fulfillment.
+                  </p>
+                </EmptyState>
+              </Card>
+            )}
+          </Layout.Section>
+        </Layout>
+      </Page>
+    </Frame>
+  );
+}
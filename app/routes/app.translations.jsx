@@ -0,0 +1,260 @@
+/**
+ * Translations - Route Component
+ *
+ * Lets merchants translate option names, help text and value labels into the
+ * shop's other locales. Saving stores the translations and publishes them:
+ * native variant options through Shopify's Translations API, extended options
+ * through the translations metafield read by the theme block.
+ *
+ * The locale is passed as `?locale=fr` so the page can be linked to directly.
+ */
+
+import { authenticate } from "../shopify.server.js";
+import { json } from "@remix-run/node";
+import {
+  getTranslatedOptions,
+  saveTranslations,
+  publishTranslations,
+} from "../lib/translations.server.js";
+import { getShopLocales } from "../../graphql/translationsRegister.js";
+import {
+  transformTranslatedOptions,
+  countTranslated,
+} from "../utils/translationUtils.js";
+import {
+  Page,
+  Layout,
+  Toast,
+  Frame,
+  Card,
+  EmptyState,
+  Select,
+  Text,
+} from "@shopify/polaris";
+import TranslationEditor from "../components/TranslationEditor.jsx";
+import { useToast } from "../hooks/useToast.js";
+import {
+  useActionData,
+  useLoaderData,
+  useNavigate,
+  useNavigation,
+  useSubmit,
+} from "@remix-run/react";
+import { useEffect } from "react";
+
+/**
+ * Loader function - Loads the options with their translations and the
+ * locales they can be translated into
+ *
+ * @param {Object} request - The incoming HTTP request
+ * @returns {Object} JSON response with options, locales and the chosen locale
+ */
+export const loader = async ({ request }) => {
+  const { admin, session } = await authenticate.admin(request);
+
+  try {
+    const [options, { locales }] = await Promise.all([
+      getTranslatedOptions(session.shop),
+      getShopLocales(admin),
+    ]);
+
+    // The primary locale holds the default text, so it isn't translated
+    const targetLocales = locales.filter((locale) => !locale.primary);
+    const requested = new URL(request.url).searchParams.get("locale");
+    const locale = targetLocales.some((l) => l.locale === requested)
+      ? requested
+      : targetLocales[0]?.locale || null;
+
+    return json({
+      options: transformTranslatedOptions(options),
+      locales: targetLocales,
+      locale,
+    });
+  } catch (error) {
+    console.error("Error loading translations:", error);
+    return json({
+      options: [],
+      locales: [],
+      locale: null,
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Action function - Saves the translations of one locale and publishes them
+ *
+ * @param {Object} request - The incoming HTTP request with form data
+ * @returns {Object} JSON response indicating success/failure
+ */
+export const action = async ({ request }) => {
+  const { admin, session } = await authenticate.admin(request);
+  const formData = await request.formData();
+  const actionType = formData.get("actionType");
+
+  if (actionType === "Save Translations") {
+    try {
+      await saveTranslations(
+        session.shop,
+        formData.get("locale"),
+        JSON.parse(formData.get("entries") || "[]"),
+      );
+    } catch (error) {
+      console.error("Error saving translations:", error);
+      return json(
+        { success: false, actionType, error: error.message },
+        { status: 500 },
+      );
+    }
+
+    try {
+      const { products, failed } = await publishTranslations(
+        admin,
+        session.shop,
+      );
+      return json({ success: true, actionType, products, failed });
+    } catch (error) {
+      console.error("Error publishing translations:", error);
+      return json(
+        {
+          success: false,
+          actionType,
+          error: `Saved, but publishing to the storefront failed: ${error.message}`,
+        },
+        { status: 500 },
+      );
+    }
+  }
+
+  return null;
+};
+
+export default function TranslationsPage() {
+  const { options, locales, locale, error } = useLoaderData();
+  const actionData = useActionData();
+  const submit = useSubmit();
+  const navigate = useNavigate();
+  const navigation = useNavigation();
+  const { toastActive, toastMessage, showToast, hideToast } = useToast();
+
+  const isSaving =
+    navigation.state === "submitting" &&
+    navigation.formData?.get("actionType") === "Save Translations";
+
+  /**
+   * Report the outcome of a save once the server responds
+   */
+  useEffect(() => {
+    if (actionData?.actionType !== "Save Translations") return;
+    if (!actionData.success) {
+      showToast(actionData.error);
+    } else if (actionData.failed > 0) {
+      showToast(
+        `Translations saved, but ${actionData.failed} product(s) couldn't be updated`,
+      );
+    } else {
+      showToast(
+        `Translations saved and published to ${actionData.products} product(s)`,
+      );
+    }
+  }, [actionData, showToast]);
+
+  useEffect(() => {
+    if (error) showToast(`Failed to load translations: ${error}`);
+  }, [error, showToast]);
+
+  /**
+   * Submit the translations of the chosen locale
+   * @param {Array<Object>} entries - Entries from parseTranslationDraft
+   */
+  const handleSave = (entries) => {
+    submit(
+      {
+        actionType: "Save Translations",
+        locale,
+        entries: JSON.stringify(entries),
+      },
+      { method: "post" },
+    );
+  };
+
+  const { translated, total } = locale
+    ? countTranslated(options, locale)
+    : { translated: 0, total: 0 };
+
+  return (
+    <Frame>
+      {toastActive && <Toast content={toastMessage} onDismiss={hideToast} />}
+      <Page
+        title="Translations"
+        backAction={{ content: "Options", url: "/app" }}
+      >
+        <Layout>
+          {locale && options.length > 0 ? (
+            <>
+              <Layout.Section>
+                <Card>
+                  <div
+                    style={{
+                      display: "flex",
+                      alignItems: "flex-end",
+                      justifyContent: "space-between",
+                      gap: "12px",
+                    }}
+                  >
+                    <Select
+                      label="Language"
+                      options={locales.map((l) => ({
+                        label: l.published ? l.name : `${l.name} (unpublished)`,
+                        value: l.locale,
+                      }))}
+                      value={locale}
+                      onChange={(value) =>
+                        navigate(`?locale=${encodeURIComponent(value)}`)
+                      }
+                    />
+                    <Text as="p" tone="subdued">
+                      {translated} of {total} texts translated
+                    </Text>
+                  </div>
+                </Card>
+              </Layout.Section>
+              <Layout.Section>
+                <TranslationEditor
+                  options={options}
+                  locale={locale}
+                  onSave={handleSave}
+                  isSaving={isSaving}
+                />
+              </Layout.Section>
+            </>
+          ) : (
+            <Layout.Section>
+              <Card>
+                <EmptyState
+                  heading={
+                    locale
+                      ? "No options to translate"
+                      : "Add a language to translate your options"
+                  }
+                  action={
+                    locale
+                      ? { content: "Create options", url: "/app" }
+                      : undefined
+                  }
+                  image="https://cdn.shopify.com/s/files/1/0262/4071/2726/files/emptystate-files.png"
+                >
+                  <p>
+                    {locale
+                      ? "Options you create can be translated here."
+                      : "Option names and values can be translated once your store has more than one language. Add languages in Settings › Languages."}
+                  </p>
+                </EmptyState>
+              </Card>
+            </Layout.Section>
+          )}
+        </Layout>
+      </Page>
+    </Frame>
+  );
+}
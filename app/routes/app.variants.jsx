@@ -0,0 +1,257 @@
+/**
+ * Variant Matrix - Route Component
+ *
+ * Lets merchants pick a product and edit every variant generated from the
+ * shop's options in one grid. Saved rows are written to `ProductVariant`
+ * and pushed to the matching Shopify variants.
+ *
+ * The product is passed as `?productId=gid://shopify/Product/...` so the
+ * page can be linked to directly (e.g. from the apply results).
+ */
+
+import { authenticate } from "../shopify.server.js";
+import { json } from "@remix-run/node";
+import { getOptions } from "../lib/shop.server.js";
+import { getExclusions } from "../lib/exclusions.server.js";
+import {
+  getProductVariants,
+  updateProductVariants,
+} from "../lib/variants.server.js";
+import { syncProductVariants } from "../lib/sync.server.js";
+import { getProductOptions } from "../../graphql/getProductOptions.js";
+import { buildVariantMatrix } from "../utils/variantUtils.js";
+import { transformExclusions } from "../utils/exclusionUtils.js";
+import { Page, Layout, Toast, Frame, Card, EmptyState } from "@shopify/polaris";
+import VariantMatrix from "../components/VariantMatrix.jsx";
+import { useToast } from "../hooks/useToast.js";
+import {
+  useActionData,
+  useLoaderData,
+  useNavigate,
+  useNavigation,
+  useSubmit,
+} from "@remix-run/react";
+import { useEffect } from "react";
+
+/**
+ * Loader function - Builds the matrix rows for the requested product
+ *
+ * @param {Object} request - The incoming HTTP request
+ * @returns {Object} JSON response with the product and its matrix rows
+ */
+export const loader = async ({ request }) => {
+  const { admin, session } = await authenticate.admin(request);
+  const productId = new URL(request.url).searchParams.get("productId");
+
+  if (!productId) {
+    return json({ product: null, rows: [] });
+  }
+
+  try {
+    const [product, options, records, exclusions] = await Promise.all([
+      getProductOptions(admin, productId),
+      getOptions(session.shop),
+      getProductVariants(session.shop, productId),
+      getExclusions(session.shop),
+    ]);
+
+    // Extended options aren't part of any variant, so once variants exist
+    // only the options they use make up the matrix
+    const usedOptionIds = new Set(
+      records.flatMap((record) =>
+        record.optionValues.map((value) => value.variantOptionId),
+      ),
+    );
+    const matrixOptions = options
+      .filter(
+        (option) => usedOptionIds.size === 0 || usedOptionIds.has(option.id),
+      )
+      .map((option) => ({
+        ...option,
+        values: option.values.filter((value) => value.isActive),
+      }));
+
+    return json({
+      product: { id: product.id, title: product.title },
+      rows: buildVariantMatrix(
+        matrixOptions,
+        records,
+        transformExclusions(exclusions),
+      ),
+    });
+  } catch (error) {
+    console.error("Error loading variant matrix:", error);
+    return json({ product: null, rows: [], error: error.message });
+  }
+};
+
+/**
+ * Action function - Saves matrix edits and syncs them to Shopify
+ *
+ * @param {Object} request - The incoming HTTP request with form data
+ * @returns {Object} JSON response indicating success/failure
+ */
+export const action = async ({ request }) => {
+  const { admin, session } = await authenticate.admin(request);
+  const formData = await request.formData();
+  const actionType = formData.get("actionType");
+
+  if (actionType === "Save Variants") {
+    const productId = formData.get("productId");
+    const rows = JSON.parse(formData.get("rows") || "[]");
+
+    let records;
+    try {
+      records = await updateProductVariants(
+        session.shop,
+        rows.map((row) => {
+          const price = parseFloat(row.price);
+          const compareAtPrice = parseFloat(row.compareAtPrice);
+          const inventory = parseInt(row.inventory, 10);
+
+          if (Number.isNaN(price) || price < 0) {
+            throw new Error(`Invalid price for ${row.label}`);
+          }
+          if (Number.isNaN(inventory)) {
+            throw new Error(`Invalid inventory for ${row.label}`);
+          }
+
+          return {
+            variantId: row.variantId,
+            sku: row.sku.trim(),
+            price,
+            compareAtPrice: Number.isNaN(compareAtPrice)
+              ? null
+              : compareAtPrice,
+            inventory,
+            isActive: row.isActive,
+          };
+        }),
+      );
+    } catch (error) {
+      console.error("Error saving variants:", error);
+      return json(
+        { success: false, actionType, error: error.message },
+        { status: 400 },
+      );
+    }
+
+    try {
+      const synced = await syncProductVariants(admin, productId, records);
+      return json({ success: true, actionType, synced });
+    } catch (error) {
+      console.error("Error syncing variants to Shopify:", error);
+      return json(
+        {
+          success: false,
+          actionType,
+          error: `Saved, but syncing to Shopify failed: ${error.message}`,
+        },
+        { status: 500 },
+      );
+    }
+  }
+
+  return null;
+};
+
+export default function VariantsPage() {
+  const { product, rows, error } = useLoaderData();
+  const actionData = useActionData();
+  const submit = useSubmit();
+  const navigate = useNavigate();
+  const navigation = useNavigation();
+  const { toastActive, toastMessage, showToast, hideToast } = useToast();
+
+  const isSaving =
+    navigation.state === "submitting" &&
+    navigation.formData?.get("actionType") === "Save Variants";
+
+  /**
+   * Report the outcome of a save once the server responds
+   */
+  useEffect(() => {
+    if (actionData?.actionType !== "Save Variants") return;
+    showToast(
+      actionData.success
+        ? `Saved and synced ${actionData.synced} variant(s)`
+        : actionData.error,
+    );
+  }, [actionData, showToast]);
+
+  useEffect(() => {
+    if (error) showToast(`Failed to load product: ${error}`);
+  }, [error, showToast]);
+
+  /**
+   * Open the App Bridge product picker and load the chosen product
+   */
+  const handleChooseProduct = async () => {
+    const selection = await shopify.resourcePicker({ type: "product" });
+    if (selection && selection.length > 0) {
+      navigate(`?productId=${encodeURIComponent(selection[0].id)}`);
+    }
+  };
+
+  /**
+   * Submit the edited rows
+   * @param {Array<Object>} editedRows - Rows backed by a Shopify variant
+   */
+  const handleSave = (editedRows) => {
+    submit(
+      {
+        actionType: "Save Variants",
+        productId: product.id,
+        rows: JSON.stringify(editedRows),
+      },
+      { method: "post" },
+    );
+  };
+
+  return (
+    <Frame>
+      {toastActive && <Toast content={toastMessage} onDismiss={hideToast} />}
+      <Page
+        title={product ? `Variants: ${product.title}` : "Variant Matrix"}
+        backAction={{ content: "Options", url: "/app" }}
+        primaryAction={{
+          content: product ? "Choose another product" : "Choose product",
+          onAction: handleChooseProduct,
+        }}
+        fullWidth
+      >
+        <Layout>
+          <Layout.Section>
+            {product && rows.length > 0 ? (
+              <VariantMatrix
+                rows={rows}
+                onSave={handleSave}
+                isSaving={isSaving}
+              />
+            ) : (
+              <Card>
+                <EmptyState
+                  heading={
+                    product
+                      ? "No combinations to edit"
+                      : "Choose a product to edit its variants"
+                  }
+                  action={{
+                    content: "Choose product",
+                    onAction: handleChooseProduct,
+                  }}
+                  image="https://cdn.shopify.com/s/files/1/0262/4071/2726/files/emptystate-files.png"
+                >
+                  <p>
+                    Every combination of your checked option values is listed
+                    here once options have been applied to the product.
+                  </p>
+                </EmptyState>
+              </Card>
+            )}
+          </Layout.Section>
+        </Layout>
+      </Page>
+    </Frame>
+  );
+}
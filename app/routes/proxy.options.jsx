@@ -0,0 +1,88 @@
+/**
+ * Storefront Option Config - App Proxy Route
+ *
+ * Public endpoint reached through the app proxy configured in
+ * shopify.app.toml: `/apps/variant-extends/options?product_id=123` on the
+ * storefront. Shopify signs proxied requests, and `authenticate.public.appProxy`
+ * rejects unsigned ones.
+ *
+ * Responds with the product's option config as compact JSON (see
+ * buildStorefrontConfig): options and values with swatches and price
+ * modifiers, visibility rules, exclusions and the value-combination to variant
+ * map. Labels come in the customer's language: the `locale` query parameter
+ * (the widget sends the page's `lang`), else the `Accept-Language` header,
+ * picks the translations added to the config.
+ *
+ * Responses carry an ETag that covers the locale; a request whose
+ * `If-None-Match` lists it gets a 304 without a body.
+ */
+
+import { authenticate } from "../shopify.server.js";
+import { json } from "@remix-run/node";
+import {
+  getStorefrontConfig,
+  createETag,
+  matchesETag,
+} from "../lib/storefront.server.js";
+
+// Short enough that edits show up quickly, long enough to absorb bursts
+const CACHE_CONTROL = "public, max-age=60, stale-while-revalidate=300";
+
+/**
+ * Loader function - Serves the option config of one product
+ *
+ * @param {Object} request - The proxied storefront request
+ * @returns {Response} JSON config, 304 when unchanged, or a JSON error
+ */
+export const loader = async ({ request }) => {
+  const { session } = await authenticate.public.appProxy(request);
+
+  // The proxy still answers for shops that uninstalled the app
+  if (!session) {
+    return json({ error: "App not installed" }, { status: 404 });
+  }
+
+  const { searchParams } = new URL(request.url);
+  const productParam = searchParams.get("product_id");
+  if (!productParam) {
+    return json({ error: "Missing product_id" }, { status: 400 });
+  }
+  // Themes know the numeric ID; the app stores GIDs
+  const productId = productParam.startsWith("gid://")
+    ? productParam
+    : `gid://shopify/Product/${productParam}`;
+
+  // First language of e.g. "fr-CA,fr;q=0.9,en;q=0.8"
+  const locale =
+    searchParams.get("locale") ||
+    request.headers
+      .get("Accept-Language")
+      ?.split(",")[0]
+      .split(";")[0]
+      .trim() ||
+    null;
+
+  try {
+    const config = await getStorefrontConfig(session.shop, productId, locale);
+    if (!config) {
+      return json({ error: "No options for this product" }, { status: 404 });
+    }
+
+    const body = JSON.stringify(config);
+    const headers = {
+      "Content-Type": "application/json",
+      "Cache-Control": CACHE_CONTROL,
+      // Without a `locale` parameter the language comes from the header
+      Vary: "Accept-Language",
+      ETag: createETag(body, config.locale),
+    };
+
+    if (matchesETag(request.headers.get("If-None-Match"), headers.ETag)) {
+      return new Response(null, { status: 304, headers });
+    }
+    return new Response(body, { headers });
+  } catch (error) {
+    console.error("Error serving storefront config:", error);
+    return json({ error: "Failed to load options" }, { status: 500 });
+  }
+};
@@ -0,0 +1,32 @@
+/**
+ * Storefront Widget Script - App Proxy Route
+ *
+ * Serves the `<variant-options>` web component (packages/variant-options-widget)
+ * at `/apps/variant-extends/widget.js`, so custom themes can load it from the
+ * shop's own domain. Headless storefronts can bundle the package instead.
+ */
+
+import { createETag, matchesETag } from "../lib/storefront.server.js";
+import widgetSource from "../../packages/variant-options-widget/src/variant-options.js?raw";
+
+const ETAG = createETag(widgetSource);
+
+/**
+ * Loader function - Serves the widget script
+ * The script is the same for every shop, so the request isn't authenticated.
+ *
+ * @param {Object} request - The storefront request
+ * @returns {Response} The script, or 304 when the browser has it already
+ */
+export const loader = async ({ request }) => {
+  const headers = {
+    "Content-Type": "text/javascript; charset=utf-8",
+    "Cache-Control": "public, max-age=3600",
+    ETag: ETAG,
+  };
+
+  if (matchesETag(request.headers.get("If-None-Match"), ETAG)) {
+    return new Response(null, { status: 304, headers });
+  }
+  return new Response(widgetSource, { headers });
+};
@@ -0,0 +1,16 @@
+import { authenticate } from "../shopify.server";
+import { recordOrderSelections } from "../lib/orders.server.js";
+
+export const action = async ({ request }) => {
+  const { payload, session, topic, shop } = await authenticate.webhook(request);
+
+  console.log(`Received ${topic} webhook for ${shop}`);
+
+  // Orders can still arrive after the app was uninstalled. A failure throws,
+  // so Shopify retries; recording the order again replaces its rows.
+  if (session) {
+    await recordOrderSelections(shop, payload);
+  }
+
+  return new Response();
+};
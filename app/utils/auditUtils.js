@@ -0,0 +1,262 @@
+/**
+ * Audit Log Utility Functions
+ *
+ * Pure helpers for the history of a shop's options. Each audit entry stores
+ * JSON snapshots of one option before and after a change:
+ *   `{ name, type, ..., values: [...], visibilityRules: [...] }`
+ * The differences are worked out from the snapshots when the log is shown,
+ * and a snapshot is what an option is restored to.
+ */
+
+// Actions recorded in the log, with the labels shown on the History page
+export const AUDIT_ACTIONS = [
+  { label: "Created", value: "create" },
+  { label: "Updated", value: "update" },
+  { label: "Deleted", value: "delete" },
+  { label: "Reordered", value: "reorder" },
+  { label: "Applied", value: "apply" },
+  { label: "Restored", value: "restore" },
+];
+
+// Option fields kept in snapshots, besides values and visibility rules
+const OPTION_FIELDS = [
+  "name",
+  "type",
+  "position",
+  "isRequired",
+  "unit",
+  "minValue",
+  "maxValue",
+  "step",
+  "pricePerUnit",
+  "inputSettings",
+  "displayStyle",
+  "helpText",
+];
+
+// Value fields kept in snapshots
+const VALUE_FIELDS = [
+  "value",
+  "position",
+  "isActive",
+  "priceAdjustment",
+  "priceAdjustmentType",
+  "colorHex",
+  "secondaryColorHex",
+  "patternImageUrl",
+  "imageFileId",
+  "imageUrl",
+];
+
+const pick = (source, fields) =>
+  Object.fromEntries(fields.map((field) => [field, source[field] ?? null]));
+
+/**
+ * Staff user who made a change
+ *
+ * @param {string|null} userId - Staff user ID (the session token's `sub`)
+ * @param {Object|null} user - The user's `associated_user` details, when known
+ * @returns {{userId: string|null, userEmail: string|null, userName: string|null}}
+ *   Nulls when the request isn't tied to a user
+ */
+export const getAuditActor = (userId, user = null) => ({
+  userId: userId ? String(userId) : null,
+  userEmail: user?.email || null,
+  userName:
+    [user?.first_name, user?.last_name].filter(Boolean).join(" ") || null,
+});
+
+/**
+ * Snapshot of an option as stored in the log
+ *
+ * @param {Object} option - Option in database format with `values` and
+ *   optionally `visibilityRules`
+ * @returns {Object} Plain option fields, values and visibility rules
+ */
+export const toOptionSnapshot = (option) => ({
+  ...pick(option, OPTION_FIELDS),
+  values: [...option.values]
+    .sort((a, b) => a.position - b.position)
+    .map((value) => ({ id: value.id, ...pick(value, VALUE_FIELDS) })),
+  visibilityRules: (option.visibilityRules || []).map((rule) => ({
+    dependsOnOptionId: rule.dependsOnOptionId,
+    valueIds: rule.values.map((value) => value.variantOptionValueId),
+  })),
+});
+
+/**
+ * Compare the options of a shop before and after a change
+ *
+ * @param {string} action - Action recorded for changed options, e.g. "update"
+ * @param {Array<Object>} beforeOptions - Options in database format before the change
+ * @param {Array<Object>} afterOptions - Options in database format after the change
+ * @returns {Array<{action: string, optionId: string, optionName: string, before: Object|null, after: Object|null}>}
+ *   One entry per created, deleted or changed option
+ */
+export const buildOptionAuditEntries = (
+  action,
+  beforeOptions,
+  afterOptions,
+) => {
+  const before = new Map(
+    beforeOptions.map((option) => [option.id, toOptionSnapshot(option)]),
+  );
+  const after = new Map(
+    afterOptions.map((option) => [option.id, toOptionSnapshot(option)]),
+  );
+  const entries = [];
+
+  for (const [optionId, snapshot] of after) {
+    const previous = before.get(optionId) || null;
+    if (previous && JSON.stringify(previous) === JSON.stringify(snapshot)) {
+      continue;
+    }
+    entries.push({
+      action: previous ? action : "create",
+      optionId,
+      optionName: snapshot.name,
+      before: previous,
+      after: snapshot,
+    });
+  }
+
+  for (const [optionId, snapshot] of before) {
+    if (after.has(optionId)) continue;
+    entries.push({
+      action: "delete",
+      optionId,
+      optionName: snapshot.name,
+      before: snapshot,
+      after: null,
+    });
+  }
+
+  return entries;
+};
+
+/**
+ * List what differs between two snapshots of an option
+ * Values are matched by ID, so renamed values show as one change.
+ *
+ * @param {Object|null} before - Snapshot before the change
+ * @param {Object|null} after - Snapshot after the change
+ * @returns {Array<{field: string, before: *, after: *}>} Changed fields;
+ *   value fields are named like `Value "Red" › priceAdjustment`
+ */
+export const diffSnapshots = (before, after) => {
+  if (!before || !after) return [];
+  const changes = [];
+
+  for (const field of OPTION_FIELDS) {
+    if (before[field] !== after[field]) {
+      changes.push({ field, before: before[field], after: after[field] });
+    }
+  }
+
+  for (const value of after.values) {
+    const previous = before.values.find((v) => v.id === value.id);
+    if (!previous) {
+      changes.push({
+        field: `Value "${value.value}"`,
+        before: null,
+        after: "added",
+      });
+      continue;
+    }
+    for (const field of VALUE_FIELDS) {
+      if (previous[field] !== value[field]) {
+        changes.push({
+          field: `Value "${previous.value}" › ${field}`,
+          before: previous[field],
+          after: value[field],
+        });
+      }
+    }
+  }
+
+  for (const value of before.values) {
+    if (!after.values.some((v) => v.id === value.id)) {
+      changes.push({
+        field: `Value "${value.value}"`,
+        before: "present",
+        after: "removed",
+      });
+    }
+  }
+
+  if (
+    JSON.stringify(before.visibilityRules) !==
+    JSON.stringify(after.visibilityRules)
+  ) {
+    changes.push({
+      field: "visibilityRules",
+      before: before.visibilityRules,
+      after: after.visibilityRules,
+    });
+  }
+
+  return changes;
+};
+
+/**
+ * Transform audit entries from the database to UI format
+ *
+ * @param {Array<Object>} loadedEntries - Entries with JSON `before` / `after`
+ * @returns {Array<Object>} Entries with parsed snapshots, their `changes`
+ *   and whether they can be restored
+ */
+export const transformAuditEntries = (loadedEntries) =>
+  loadedEntries.map((entry) => {
+    const before = entry.before ? JSON.parse(entry.before) : null;
+    const after = entry.after ? JSON.parse(entry.after) : null;
+
+    return {
+      id: entry.id,
+      action: entry.action,
+      optionId: entry.optionId,
+      optionName: entry.optionName,
+      userId: entry.userId,
+      user: entry.userName || entry.userEmail || "Unknown user",
+      userEmail: entry.userEmail,
+      createdAt: entry.createdAt,
+      before,
+      after,
+      changes: diffSnapshots(before, after),
+      canRestore: entry.action !== "apply" && Boolean(before || after),
+    };
+  });
+
+/**
+ * Snapshot an entry restores its option to: the option as it was after the
+ * change, or as it was before it was deleted
+ *
+ * @param {Object} entry - Entry in UI format
+ * @returns {Object|null} Snapshot, or null for entries without one
+ */
+export const getRestoreSnapshot = (entry) =>
+  entry.action === "apply" ? null : entry.after || entry.before;
+
+/**
+ * Convert a snapshot into the fields createOptions / updateOptions expect
+ * Position and visibility rules are left out: the options around it may have
+ * changed since, so a restored option keeps its current place and rules.
+ *
+ * @param {Object} snapshot - Option snapshot from the log
+ * @returns {Object} Option data for the database functions
+ */
+export const snapshotToOptionData = (snapshot) => ({
+  ...pick(
+    snapshot,
+    OPTION_FIELDS.filter((field) => field !== "position"),
+  ),
+  values: snapshot.values.map((value) => ({ ...value })),
+});
+
+/**
+ * Label of an audit action
+ *
+ * @param {string} action - Action value
+ * @returns {string} Label such as "Deleted"
+ */
+export const getAuditActionLabel = (action) =>
+  AUDIT_ACTIONS.find((a) => a.value === action)?.label || action;
@@ -0,0 +1,117 @@
+/**
+ * Display Style Utility Functions
+ *
+ * Pure helpers for how an option is presented to customers, independent of
+ * the kind of data its values hold. The style is stored in
+ * `VariantOption.displayStyle`; options without one use the default of their
+ * type, so options created before styles existed look the same as before.
+ *
+ * Checkbox options are multi-select add-ons: customers may pick several
+ * values, so they can never become native Shopify variant options.
+ */
+
+import { isCustomerInputType } from "./inputUtils.js";
+
+// Every display style, in the order they are offered in the option modals
+export const DISPLAY_STYLES = [
+  { label: "Buttons", value: "buttons" },
+  { label: "Dropdown", value: "dropdown" },
+  { label: "Radio list", value: "radio" },
+  { label: "Swatches", value: "swatch" },
+  { label: "Slider", value: "slider" },
+  { label: "Checkboxes (multi-select)", value: "checkboxes" },
+];
+
+// Style used when an option doesn't have one
+const DEFAULT_DISPLAY_STYLES = {
+  text: "buttons",
+  number: "slider",
+  color: "swatch",
+  image: "swatch",
+};
+
+/**
+ * Display styles that can be used for an option type
+ * Swatches need a color or image to show and sliders need numbers
+ *
+ * @param {string} type - Option type
+ * @returns {Array<{label: string, value: string}>} Styles for a Select
+ */
+export const getDisplayStyleChoices = (type) => {
+  if (isCustomerInputType(type)) return [];
+
+  return DISPLAY_STYLES.filter(
+    (style) =>
+      (style.value !== "swatch" || type === "color" || type === "image") &&
+      (style.value !== "slider" || type === "number"),
+  );
+};
+
+/**
+ * Default display style of an option type
+ *
+ * @param {string} type - Option type
+ * @returns {string|null} Style, or null for customer-input types
+ */
+export const getDefaultDisplayStyle = (type) =>
+  isCustomerInputType(type) ? null : DEFAULT_DISPLAY_STYLES[type] || "buttons";
+
+/**
+ * Display style an option is shown with
+ *
+ * @param {Object} option - Option with `type` and `displayStyle`
+ * @returns {string|null} Stored style when it suits the type, else the default
+ */
+export const getDisplayStyle = (option) =>
+  getDisplayStyleChoices(option.type).some(
+    (style) => style.value === option.displayStyle,
+  )
+    ? option.displayStyle
+    : getDefaultDisplayStyle(option.type);
+
+/**
+ * Check a submitted display style before it is stored
+ *
+ * @param {string} type - Option type
+ * @param {string} displayStyle - Submitted style (may be empty)
+ * @returns {string|null} Style to store; null keeps the type's default
+ * @throws {Error} If the style can't be used for the type
+ */
+export const parseDisplayStyle = (type, displayStyle) => {
+  if (!displayStyle || isCustomerInputType(type)) return null;
+
+  if (
+    !getDisplayStyleChoices(type).some((style) => style.value === displayStyle)
+  ) {
+    throw new Error(`"${displayStyle}" can't be used for ${type} options`);
+  }
+  return displayStyle;
+};
+
+/**
+ * Check whether customers may pick several values of an option
+ *
+ * @param {Object} option - Option with `type` and `displayStyle`
+ * @returns {boolean} True for checkbox options
+ */
+export const isMultiSelect = (option) =>
+  getDisplayStyle(option) === "checkboxes";
+
+/**
+ * Check whether an option can become a native Shopify variant option
+ * Native options have exactly one value per variant
+ *
+ * @param {Object} option - Option with `type` and `displayStyle`
+ * @returns {boolean} False for customer-input and multi-select options
+ */
+export const canBeNativeOption = (option) =>
+  !isCustomerInputType(option.type) && !isMultiSelect(option);
+
+/**
+ * Label of a display style for the options list
+ *
+ * @param {string} displayStyle - Style value
+ * @returns {string} Label such as "Dropdown"
+ */
+export const getDisplayStyleLabel = (displayStyle) =>
+  DISPLAY_STYLES.find((style) => style.value === displayStyle)?.label || "";
@@ -0,0 +1,139 @@
+/**
+ * Exclusion Rule Utility Functions
+ *
+ * Pure helpers for combinations that don't exist, e.g. "Linen" doesn't come
+ * in "Neon Green". An exclusion is a tuple of values from different options:
+ *   `{ id, valueIds }`
+ * Any combination that contains every value of an exclusion is excluded.
+ * Exclusions that lost a value (the value was deleted) are ignored: without it
+ * the rest of the tuple would exclude far more combinations than intended.
+ */
+
+/**
+ * Transform exclusions from the database to UI state format
+ * Exclusions with fewer values than they were created with are dropped.
+ *
+ * @param {Array<Object>} loadedExclusions - Exclusions with their values included
+ * @returns {Array<{id: string, valueIds: Array<string>}>} Usable exclusions
+ */
+export const transformExclusions = (loadedExclusions) =>
+  loadedExclusions
+    .filter(
+      (exclusion) =>
+        exclusion.values.length >= 2 &&
+        exclusion.values.length >= (exclusion.valueCount ?? 0),
+    )
+    .map((exclusion) => ({
+      id: exclusion.id,
+      valueIds: exclusion.values.map((value) => value.variantOptionValueId),
+    }));
+
+/**
+ * Check whether a combination of values is excluded
+ *
+ * @param {Array<string>} valueIds - IDs of the combination's values
+ * @param {Array<Object>} exclusions - Exclusions in UI format
+ * @returns {boolean} True when an exclusion matches the combination
+ */
+export const isCombinationExcluded = (valueIds, exclusions) =>
+  exclusions.some(
+    (exclusion) =>
+      exclusion.valueIds.length >= 2 &&
+      exclusion.valueIds.every((valueId) => valueIds.includes(valueId)),
+  );
+
+/**
+ * Drop excluded combinations from the output of generateCombinations
+ *
+ * @param {Array<Array<Object>>} combinations - Combinations with `valueId` parts
+ * @param {Array<Object>} exclusions - Exclusions in UI format
+ * @returns {Array<Array<Object>>} Combinations that are allowed
+ */
+export const filterExcludedCombinations = (combinations, exclusions) =>
+  exclusions.length === 0
+    ? combinations
+    : combinations.filter(
+        (combination) =>
+          !isCombinationExcluded(
+            combination.map((part) => part.valueId),
+            exclusions,
+          ),
+      );
+
+/**
+ * Find the values of an option that would complete an excluded combination
+ * given what is selected in the other options
+ *
+ * @param {Object} option - Option whose values are checked
+ * @param {Object} selectedValueIds - Selected value ID per option ID (an array
+ *   of IDs for multi-select options)
+ * @param {Array<Object>} exclusions - Exclusions in UI format
+ * @returns {Set<string>} IDs of the values that can't be picked
+ */
+export const getBlockedValueIds = (option, selectedValueIds, exclusions) => {
+  const otherSelections = Object.entries(selectedValueIds)
+    .filter(([optionId]) => optionId !== String(option.id))
+    .flatMap(([, valueIds]) => [].concat(valueIds ?? []))
+    .filter(Boolean);
+
+  return new Set(
+    option.values
+      .filter((value) =>
+        isCombinationExcluded([...otherSelections, value.id], exclusions),
+      )
+      .map((value) => value.id),
+  );
+};
+
+/**
+ * Check a new exclusion before it is saved
+ *
+ * @param {Array<string>} valueIds - IDs of the values to exclude together
+ * @param {Array<Object>} options - All options (UI format)
+ * @param {Array<Object>} exclusions - Existing exclusions in UI format
+ * @returns {string|null} Error message, or null when the exclusion is valid
+ */
+export const validateExclusion = (valueIds, options, exclusions) => {
+  if (valueIds.length < 2) {
+    return "Pick values of at least two options";
+  }
+
+  const optionIds = valueIds.map(
+    (valueId) =>
+      options.find((option) =>
+        option.values.some((value) => value.id === valueId),
+      )?.id,
+  );
+  if (optionIds.some((optionId) => !optionId)) {
+    return "Some of the values no longer exist";
+  }
+  if (new Set(optionIds).size !== optionIds.length) {
+    return "Pick at most one value per option";
+  }
+
+  const duplicate = exclusions.some(
+    (exclusion) =>
+      exclusion.valueIds.length === valueIds.length &&
+      exclusion.valueIds.every((valueId) => valueIds.includes(valueId)),
+  );
+  return duplicate ? "This combination is already excluded" : null;
+};
+
+/**
+ * Describe an exclusion for the exclusions list
+ *
+ * @param {Object} exclusion - Exclusion in UI format
+ * @param {Array<Object>} options - All options (UI format), for names
+ * @returns {string} Label such as "Material: Linen + Color: Neon Green"
+ */
+export const describeExclusion = (exclusion, options) =>
+  exclusion.valueIds
+    .map((valueId) => {
+      const option = options.find((o) =>
+        o.values.some((value) => value.id === valueId),
+      );
+      const value = option?.values.find((v) => v.id === valueId);
+      return option ? `${option.name}: ${value.name}` : null;
+    })
+    .filter(Boolean)
+    .join(" + ");
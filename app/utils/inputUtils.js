@@ -0,0 +1,267 @@
+/**
+ * Customer Input Utility Functions
+ *
+ * Pure helpers for option types whose value is entered by the customer
+ * instead of picked from a list:
+ * - `custom_text` - single-line text, e.g. an engraving, with a character
+ *   limit and an optional regex
+ * - `textarea` - multiline text with a character limit
+ * - `date` - a date within an allowed range
+ * - `file` - an uploaded file with size and type limits
+ *
+ * These options have no values; their limits are stored as JSON in
+ * `VariantOption.inputSettings` and the entry is captured as a line item
+ * property on the storefront.
+ */
+
+import { parseNumber } from "./numberUtils.js";
+
+// Option types whose value the customer enters
+export const CUSTOMER_INPUT_TYPES = ["custom_text", "textarea", "date", "file"];
+
+// Files customers may upload, as `accept` patterns
+export const FILE_TYPE_CHOICES = [
+  { label: "Images (JPG, PNG, GIF, WebP)", value: "image/*" },
+  { label: "PDF documents", value: ".pdf" },
+  { label: "Vector graphics (SVG, EPS, AI)", value: ".svg,.eps,.ai" },
+];
+
+// Largest upload Shopify accepts for line item properties, in MB
+export const MAX_FILE_SIZE_MB = 20;
+
+/**
+ * Check whether an option type is entered by the customer
+ *
+ * @param {string} type - Option type
+ * @returns {boolean} True for customer-input types
+ */
+export const isCustomerInputType = (type) =>
+  CUSTOMER_INPUT_TYPES.includes(type);
+
+/**
+ * Read the stored input settings of an option
+ *
+ * @param {string|Object|null} inputSettings - JSON from the database or a parsed object
+ * @returns {Object} Settings object, empty when there are none
+ */
+export const readInputSettings = (inputSettings) => {
+  if (!inputSettings) return {};
+  if (typeof inputSettings === "object") return inputSettings;
+  try {
+    return JSON.parse(inputSettings);
+  } catch {
+    return {};
+  }
+};
+
+/**
+ * Form state for the input settings of the option modals
+ *
+ * @param {Object} option - UI option (may be null for a new option)
+ * @returns {Object} Settings draft with string fields
+ */
+export const createInputSettingsDraft = (option) => {
+  const settings = readInputSettings(option?.inputSettings);
+  return {
+    maxLength: settings.maxLength != null ? String(settings.maxLength) : "",
+    pattern: settings.pattern || "",
+    patternMessage: settings.patternMessage || "",
+    placeholder: settings.placeholder || "",
+    minDate: settings.minDate || "",
+    maxDate: settings.maxDate || "",
+    maxFileSizeMb:
+      settings.maxFileSizeMb != null ? String(settings.maxFileSizeMb) : "",
+    fileTypes: settings.fileTypes || [],
+  };
+};
+
+/**
+ * Turn submitted input settings into the stored settings of a type
+ * Only the fields that apply to the type are kept
+ *
+ * @param {string} type - Customer-input option type
+ * @param {Object} draft - Settings from the option modals
+ * @returns {Object} Settings to store
+ * @throws {Error} If a limit is invalid
+ */
+export const parseInputSettings = (type, draft = {}) => {
+  const placeholder = String(draft.placeholder || "").trim() || null;
+
+  if (type === "custom_text" || type === "textarea") {
+    const maxLength = parseNumber(draft.maxLength);
+    if (maxLength !== null && (maxLength < 1 || !Number.isInteger(maxLength))) {
+      throw new Error("The character limit must be a whole number above 0");
+    }
+
+    const pattern =
+      type === "custom_text" ? draft.pattern?.trim() || null : null;
+    if (pattern) {
+      try {
+        new RegExp(`^(?:${pattern})$`);
+      } catch {
+        throw new Error(`"${pattern}" is not a valid pattern`);
+      }
+    }
+
+    return {
+      maxLength,
+      placeholder,
+      ...(type === "custom_text" && {
+        pattern,
+        patternMessage: pattern ? draft.patternMessage?.trim() || null : null,
+      }),
+    };
+  }
+
+  if (type === "date") {
+    const minDate = draft.minDate || null;
+    const maxDate = draft.maxDate || null;
+    if (minDate && maxDate && minDate > maxDate) {
+      throw new Error("The earliest date must not be after the latest date");
+    }
+    return { minDate, maxDate };
+  }
+
+  if (type === "file") {
+    const maxFileSizeMb = parseNumber(draft.maxFileSizeMb);
+    if (
+      maxFileSizeMb !== null &&
+      (maxFileSizeMb <= 0 || maxFileSizeMb > MAX_FILE_SIZE_MB)
+    ) {
+      throw new Error(
+        `The size limit must be between 0 and ${MAX_FILE_SIZE_MB} MB`,
+      );
+    }
+    return {
+      maxFileSizeMb: maxFileSizeMb ?? MAX_FILE_SIZE_MB,
+      fileTypes: (draft.fileTypes || []).filter((fileType) =>
+        FILE_TYPE_CHOICES.some((choice) => choice.value === fileType),
+      ),
+    };
+  }
+
+  return {};
+};
+
+/**
+ * Check whether a file matches an `accept` list such as "image/*,.pdf"
+ *
+ * @param {{name: string, type: string}} file - The file to check
+ * @param {Array<string>} fileTypes - Allowed `accept` patterns
+ * @returns {boolean} True when the file is allowed (or nothing is restricted)
+ */
+const matchesFileTypes = (file, fileTypes) => {
+  const patterns = fileTypes.flatMap((fileType) => fileType.split(","));
+  if (patterns.length === 0) return true;
+
+  const name = file.name.toLowerCase();
+  return patterns.some((pattern) =>
+    pattern.startsWith(".")
+      ? name.endsWith(pattern)
+      : pattern.endsWith("/*")
+        ? file.type.startsWith(pattern.slice(0, -1))
+        : file.type === pattern,
+  );
+};
+
+/**
+ * Validate what a customer entered for a customer-input option
+ *
+ * @param {Object} option - Option with `type`, `isRequired` and `inputSettings`
+ * @param {string|{name: string, type: string, size: number}} entry - Text, "YYYY-MM-DD" date or file
+ * @returns {string|null} Error message, or null when the entry is valid
+ */
+export const validateCustomerInput = (option, entry) => {
+  const settings = readInputSettings(option.inputSettings);
+  const isEmpty = !entry || (typeof entry === "string" && !entry.trim());
+  if (isEmpty) {
+    return option.isRequired ? `${option.name} is required` : null;
+  }
+
+  switch (option.type) {
+    case "custom_text":
+    case "textarea":
+      if (settings.maxLength && entry.length > settings.maxLength) {
+        return `Use at most ${settings.maxLength} characters`;
+      }
+      if (
+        settings.pattern &&
+        !new RegExp(`^(?:${settings.pattern})$`).test(entry)
+      ) {
+        return settings.patternMessage || "Doesn't match the required format";
+      }
+      return null;
+
+    case "date":
+      if (settings.minDate && entry < settings.minDate) {
+        return `Choose a date on or after ${settings.minDate}`;
+      }
+      if (settings.maxDate && entry > settings.maxDate) {
+        return `Choose a date on or before ${settings.maxDate}`;
+      }
+      return null;
+
+    case "file":
+      if (!matchesFileTypes(entry, settings.fileTypes || [])) {
+        return "This file type isn't accepted";
+      }
+      if (
+        entry.size >
+        (settings.maxFileSizeMb ?? MAX_FILE_SIZE_MB) * 1024 * 1024
+      ) {
+        return `Files must be ${settings.maxFileSizeMb ?? MAX_FILE_SIZE_MB} MB or smaller`;
+      }
+      return null;
+
+    default:
+      return null;
+  }
+};
+
+/**
+ * Summarize an option's input settings for the options list
+ *
+ * @param {Object} option - Option with `type` and `inputSettings`
+ * @returns {string} Summary such as "Up to 20 characters, letters only"
+ */
+export const describeInputSettings = (option) => {
+  const settings = readInputSettings(option.inputSettings);
+  const parts = [];
+
+  switch (option.type) {
+    case "custom_text":
+    case "textarea":
+      parts.push(
+        settings.maxLength
+          ? `Up to ${settings.maxLength} characters`
+          : "Any length",
+      );
+      if (settings.pattern) parts.push(`format ${settings.pattern}`);
+      break;
+    case "date":
+      if (settings.minDate || settings.maxDate) {
+        parts.push(
+          `Between ${settings.minDate || "any date"} and ${settings.maxDate || "any date"}`,
+        );
+      } else {
+        parts.push("Any date");
+      }
+      break;
+    case "file":
+      parts.push(`Up to ${settings.maxFileSizeMb ?? MAX_FILE_SIZE_MB} MB`);
+      parts.push(
+        settings.fileTypes?.length
+          ? FILE_TYPE_CHOICES.filter((choice) =>
+              settings.fileTypes.includes(choice.value),
+            )
+              .map((choice) => choice.label.split(" (")[0].toLowerCase())
+              .join(", ")
+          : "any file type",
+      );
+      break;
+    default:
+      break;
+  }
+
+  return parts.join(", ");
+};
@@ -0,0 +1,176 @@
+/**
+ * Number Option Utility Functions
+ *
+ * Pure helpers for number-type options. A number option has a unit and an
+ * optional min/max/step range; its values are numeric strings such as "12.5".
+ * Used by the option modals, the preview and the route action.
+ */
+
+// Units a number option can be measured in
+export const NUMBER_UNITS = [
+  { label: "No unit", value: "" },
+  { label: "Centimeters (cm)", value: "cm" },
+  { label: "Inches (in)", value: "in" },
+  { label: "Milliliters (ml)", value: "ml" },
+  { label: "Grams (g)", value: "g" },
+];
+
+// Upper bound for generated ranges, to keep option value lists manageable
+export const MAX_GENERATED_VALUES = 100;
+
+/**
+ * Parse a numeric value, rejecting anything that isn't a plain number
+ *
+ * @param {string|number} value - Value entered by the merchant
+ * @returns {number|null} The number, or null if the input isn't numeric
+ */
+export const parseNumber = (value) => {
+  const text = String(value ?? "").trim();
+  if (!/^-?\d+(\.\d+)?$/.test(text)) return null;
+  return Number(text);
+};
+
+/**
+ * Number of decimals of a number, used to avoid floating point noise
+ *
+ * @param {number} number - Any number
+ * @returns {number} Count of digits after the decimal point
+ */
+const countDecimals = (number) => (String(number).split(".")[1] || "").length;
+
+/**
+ * Check a value against a number option's range settings
+ *
+ * @param {string} value - Value to check
+ * @param {Object} settings - Number settings (`minValue`, `maxValue`, `step`)
+ * @returns {string|null} Error message, or null when the value is valid
+ */
+export const validateNumberValue = (value, settings = {}) => {
+  const number = parseNumber(value);
+  if (number === null) return `"${value}" is not a number`;
+
+  const { minValue, maxValue, step } = settings;
+  if (minValue != null && number < minValue) {
+    return `${number} is below the minimum of ${minValue}`;
+  }
+  if (maxValue != null && number > maxValue) {
+    return `${number} is above the maximum of ${maxValue}`;
+  }
+  if (step) {
+    const decimals = Math.max(countDecimals(step), countDecimals(number));
+    const factor = 10 ** decimals;
+    const offset = Math.round((number - (minValue ?? 0)) * factor);
+    if (offset % Math.round(step * factor) !== 0) {
+      return `${number} is not a multiple of ${step}${minValue ? ` from ${minValue}` : ""}`;
+    }
+  }
+  return null;
+};
+
+/**
+ * Generate the values of a range, e.g. 10–50 step 5
+ *
+ * @param {number} min - First value
+ * @param {number} max - Last value (included when on the step grid)
+ * @param {number} step - Increment between values
+ * @returns {Array<string>} Values as strings
+ * @throws {Error} If the range is invalid or would create too many values
+ */
+export const generateNumberRange = (min, max, step) => {
+  if (min == null || max == null || !step || step <= 0 || min > max) {
+    throw new Error("Enter a minimum, a maximum above it and a positive step");
+  }
+
+  const count = Math.floor((max - min) / step + 1e-9) + 1;
+  if (count > MAX_GENERATED_VALUES) {
+    throw new Error(
+      `That range has ${count} values; the limit is ${MAX_GENERATED_VALUES}`,
+    );
+  }
+
+  const decimals = Math.max(countDecimals(min), countDecimals(step));
+  return Array.from({ length: count }, (_, index) =>
+    String(Number((min + index * step).toFixed(decimals))),
+  );
+};
+
+/**
+ * Sort values numerically, keeping non-numeric values at the end
+ *
+ * @param {Array} values - Values to sort
+ * @param {Function} getName - Returns the numeric string of a value
+ * @returns {Array} New sorted array
+ */
+export const sortNumericValues = (values, getName = (value) => value.name) =>
+  [...values].sort(
+    (a, b) =>
+      (parseNumber(getName(a)) ?? Infinity) -
+      (parseNumber(getName(b)) ?? Infinity),
+  );
+
+/**
+ * Format a number value with its unit, e.g. "25 cm"
+ *
+ * @param {string} value - Numeric value
+ * @param {string} unit - Unit of the option
+ * @returns {string} Display label
+ */
+export const formatNumberValue = (value, unit) =>
+  unit ? `${value} ${unit}` : String(value);
+
+/**
+ * Turn submitted number settings into database fields
+ * Blank fields become null; the price per unit defaults to 0
+ *
+ * @param {Object} settings - Settings from the option modals (strings)
+ * @returns {{unit: string|null, minValue: number|null, maxValue: number|null, step: number|null, pricePerUnit: number}}
+ */
+export const parseNumberSettings = (settings = {}) => ({
+  unit: settings.unit || null,
+  minValue: parseNumber(settings.minValue),
+  maxValue: parseNumber(settings.maxValue),
+  step: parseNumber(settings.step) || null,
+  pricePerUnit: parseNumber(settings.pricePerUnit) ?? 0,
+});
+
+/**
+ * Form state for the number settings of the option modals
+ *
+ * @param {Object} option - UI option (may be null for a new option)
+ * @returns {{unit: string, minValue: string, maxValue: string, step: string, pricePerUnit: string}}
+ */
+export const createNumberSettingsDraft = (option) => ({
+  unit: option?.unit || "",
+  minValue: option?.minValue != null ? String(option.minValue) : "",
+  maxValue: option?.maxValue != null ? String(option.maxValue) : "",
+  step: option?.step != null ? String(option.step) : "",
+  pricePerUnit: option?.pricePerUnit ? String(option.pricePerUnit) : "",
+});
+
+/**
+ * Summarize a number option's settings for the options list
+ *
+ * @param {Object} option - Option with unit, range and price per unit
+ * @returns {string} Summary such as "10–50 cm, step 5, +$0.50 per cm"
+ */
+export const describeNumberSettings = (option) => {
+  const { unit, minValue, maxValue, step, pricePerUnit } = option;
+  const parts = [];
+
+  if (minValue != null || maxValue != null) {
+    parts.push(
+      formatNumberValue(`${minValue ?? "…"}–${maxValue ?? "…"}`, unit),
+    );
+  } else if (unit) {
+    parts.push(`in ${unit}`);
+  }
+  if (step) parts.push(`step ${step}`);
+  if (pricePerUnit) {
+    const sign = pricePerUnit > 0 ? "+" : "-";
+    parts.push(
+      `${sign}$${Math.abs(pricePerUnit).toFixed(2)} per ${unit || "unit"}`,
+    );
+  }
+
+  return parts.join(", ");
+};
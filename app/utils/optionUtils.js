@@ -5,6 +5,19 @@
  * between different parts of the application (UI state, database, forms).
  */
 
+import { parseSwatchInput } from "./swatchUtils.js";
+import {
+  parseNumberSettings,
+  validateNumberValue,
+  sortNumericValues
+} from "./numberUtils.js";
+import {
+  isCustomerInputType,
+  parseInputSettings,
+  readInputSettings
+} from "./inputUtils.js";
+import { getDisplayStyle, parseDisplayStyle } from "./displayUtils.js";
+
 /**
  * Create a new option object for the UI state
  * Used when adding a new option for immediate UI update (optimistic update)
@@ -57,24 +70,250 @@ export const transformLoadedOptions = (loadedOptions) => {
     id: option.id,
     name: option.name,
     type: option.type || "text", // Default to text if type is missing
+    position: option.position || 0,
+    unit: option.unit || null,   // Number options: unit and range settings
+    minValue: option.minValue ?? null,
+    maxValue: option.maxValue ?? null,
+    step: option.step ?? null,
+    pricePerUnit: option.pricePerUnit || 0,
+    isRequired: option.isRequired ?? true, // Optional options offer a "None" choice
+    inputSettings: readInputSettings(option.inputSettings), // Customer-input options: limits
+    displayStyle: getDisplayStyle(option), // How customers pick values (the type's default when unset)
+    helpText: option.helpText || "", // Shown to customers under the option name
+    visibilityRules: (option.visibilityRules || []).map(rule => ({
+      dependsOnOptionId: rule.dependsOnOptionId,
+      valueIds: rule.values.map(value => value.variantOptionValueId)
+    })),
     values: option.values.map(value => ({
+      id: value.id,
       name: value.value,        // Database uses 'value', UI uses 'name'
-      checked: value.isActive   // Database uses 'isActive', UI uses 'checked'
+      checked: value.isActive,  // Database uses 'isActive', UI uses 'checked'
+      position: value.position || 0,
+      priceAdjustment: value.priceAdjustment || 0,
+      priceAdjustmentType: value.priceAdjustmentType || "fixed",
+      colorHex: value.colorHex || null,
+      secondaryColorHex: value.secondaryColorHex || null,
+      patternImageUrl: value.patternImageUrl || null,
+      imageFileId: value.imageFileId || null,
+      imageUrl: value.imageUrl || null
     }))
   }));
 };
 
+/**
+ * Create the form state for a value in the option modals
+ * Accepts a plain string (newly typed value) or a UI value object
+ *
+ * @param {string|Object} value - Value name or UI value object
+ * @returns {Object} Value form state with name, price adjustment, swatch and image
+ */
+export const createValueDraft = (value) =>
+  typeof value === "string"
+    ? {
+        name: value,
+        priceAdjustment: "",
+        priceAdjustmentType: "fixed",
+        colorHex: "",
+        secondaryColorHex: "",
+        patternImageUrl: "",
+        imageFileId: null,
+        imageUrl: null
+      }
+    : {
+        id: value.id,
+        name: value.name,
+        priceAdjustment: value.priceAdjustment ? String(value.priceAdjustment) : "",
+        priceAdjustmentType: value.priceAdjustmentType || "fixed",
+        colorHex: value.colorHex || "",
+        secondaryColorHex: value.secondaryColorHex || "",
+        patternImageUrl: value.patternImageUrl || "",
+        imageFileId: value.imageFileId || null,
+        imageUrl: value.imageUrl || null
+      };
+
+/**
+ * Add newly typed or generated values to the value drafts of a modal
+ * Names already in the list are skipped; number options stay sorted numerically
+ *
+ * @param {Array<Object>} drafts - Current value drafts
+ * @param {Array<string>} names - Value names to add
+ * @param {string} optionType - Type of the option
+ * @returns {Array<Object>} Updated value drafts
+ */
+export const addValueDrafts = (drafts, names, optionType) => {
+  const added = names
+    .filter((name, index) => names.indexOf(name) === index)
+    .filter((name) => !drafts.some((draft) => draft.name === name))
+    .map(createValueDraft);
+  const next = [...drafts, ...added];
+  return optionType === "number" ? sortNumericValues(next) : next;
+};
+
+/**
+ * Convert a submitted value into the shape the database functions expect
+ * Used by the route action for both creating and editing options
+ *
+ * @param {string|Object} value - Value name or value form state
+ * @param {number} index - Position of the value within the option
+ * @returns {Object} Value data for createOptions / updateOptions
+ */
+export const parseValueInput = (value, index) => {
+  const draft = typeof value === "string" ? createValueDraft(value) : value;
+  return {
+    id: draft.id,             // Set for existing values, so edits keep their identity
+    value: draft.name,
+    position: index,
+    isActive: true,
+    priceAdjustment: parseFloat(draft.priceAdjustment) || 0,
+    priceAdjustmentType:
+      draft.priceAdjustmentType === "percentage" ? "percentage" : "fixed",
+    ...parseSwatchInput(draft),
+    imageFileId: draft.imageFileId || null,
+    imageUrl: draft.imageUrl || null
+  };
+};
+
+/**
+ * Convert a submitted option into the fields createOptions / updateOptions expect
+ * Number options are validated against their range settings and their values
+ * are stored in numeric order. Customer-input options have no values; their
+ * limits are stored as JSON. Visibility rules are passed on when submitted.
+ * Empty help text is stored as null.
+ *
+ * @param {Object} optionSet - Option data from prepareOptionForSubmit
+ * @returns {Object} Option data for the database functions
+ * @throws {Error} If a number option has an invalid range or value, a
+ *   customer-input option has invalid limits, or the display style doesn't
+ *   suit the type
+ */
+export const parseOptionInput = ({ optionName, values, optionType, settings, isRequired, visibilityRules, displayStyle, helpText }) => {
+  const rules = visibilityRules ? { visibilityRules } : {};
+  const required = isRequired !== false; // Options are required unless marked optional
+  const help = helpText?.trim() || null;
+  const style = parseDisplayStyle(optionType, displayStyle);
+  if (isCustomerInputType(optionType)) {
+    return {
+      name: optionName,
+      type: optionType,
+      isRequired: required,
+      helpText: help,
+      inputSettings: JSON.stringify(parseInputSettings(optionType, settings)),
+      ...rules,
+      values: []
+    };
+  }
+  if (optionType !== "number") {
+    return {
+      name: optionName,
+      type: optionType,
+      isRequired: required,
+      displayStyle: style,
+      helpText: help,
+      ...rules,
+      values: values.map(parseValueInput)
+    };
+  }
+
+  const numberSettings = parseNumberSettings(settings);
+  const { minValue, maxValue } = numberSettings;
+  if (minValue !== null && maxValue !== null && minValue > maxValue) {
+    throw new Error("The minimum must not be above the maximum");
+  }
+
+  const getName = (value) => (typeof value === "string" ? value : value.name);
+  for (const value of values) {
+    const error = validateNumberValue(getName(value), numberSettings);
+    if (error) throw new Error(error);
+  }
+
+  return {
+    name: optionName,
+    type: optionType,
+    isRequired: required,
+    displayStyle: style,
+    helpText: help,
+    ...numberSettings,
+    ...rules,
+    values: sortNumericValues(values, getName).map(parseValueInput)
+  };
+};
+
 /**
  * Prepare option data for server submission
  * Formats option data for the server action function
  * 
  * @param {string} optionName - Name of the option
- * @param {Array<string>} values - Array of value strings
+ * @param {Array<Object>} values - Array of value form states (see createValueDraft)
  * @param {string} optionType - Type of option
+ * @param {Object} settings - Type-specific settings (unit and range for number
+ *   options, limits for customer-input options)
+ * @param {Object} rules - Rules that apply to every option type
+ * @param {boolean} rules.isRequired - Whether customers must pick a value (default: true)
+ * @param {Array<Object>} rules.visibilityRules - Rules for when the option is shown (edit only)
+ * @param {string} rules.displayStyle - How customers pick values, e.g. "dropdown"
+ * @param {string} rules.helpText - Text shown to customers under the option name
  * @returns {Object} Data formatted for server submission
  */
-export const prepareOptionForSubmit = (optionName, values, optionType) => ({
+export const prepareOptionForSubmit = (
+  optionName,
+  values,
+  optionType,
+  settings = {},
+  { isRequired = true, visibilityRules, displayStyle, helpText = "" } = {}
+) => ({
   optionName,
   values,
-  optionType
-});
\ No newline at end of file
+  optionType,
+  settings,
+  isRequired,
+  visibilityRules,
+  displayStyle,
+  helpText
+});
+
+/**
+ * Move an item within a list
+ * Used by drag-and-drop reordering of options and values
+ *
+ * @param {Array} list - The list to reorder
+ * @param {number} fromIndex - Current position of the item
+ * @param {number} toIndex - Position to move the item to
+ * @returns {Array} New list with the item moved
+ */
+export const moveItem = (list, fromIndex, toIndex) => {
+  const next = [...list];
+  const [item] = next.splice(fromIndex, 1);
+  next.splice(toIndex, 0, item);
+  return next;
+};
+
+/**
+ * Describe the current order of options and their values for the server
+ *
+ * @param {Array<Object>} options - UI options in display order
+ * @returns {Array<{id: string, valueIds: Array<string>}>} Order for reorderOptions
+ */
+export const getOptionsOrder = (options) =>
+  options.map(option => ({
+    id: option.id,
+    valueIds: option.values.map(value => value.id)
+  }));
+
+/**
+ * Transform option sets from the database to UI state format
+ *
+ * @param {Array<Object>} loadedSets - Sets with options and values included
+ * @returns {Array<Object>} Sets with `options: [{ optionId, name, type, valueIds, valueNames }]`
+ */
+export const transformOptionSets = (loadedSets) =>
+  loadedSets.map(set => ({
+    id: set.id,
+    name: set.name,
+    options: set.options.map(setOption => ({
+      optionId: setOption.variantOptionId,
+      name: setOption.variantOption.name,
+      type: setOption.variantOption.type,
+      valueIds: setOption.values.map(setValue => setValue.variantOptionValueId),
+      valueNames: setOption.values.map(setValue => setValue.variantOptionValue.value)
+    }))
+  }));
@@ -0,0 +1,192 @@
+/**
+ * Order Selection Utility Functions
+ *
+ * Pure helpers for the options chosen on orders. The orders/create webhook
+ * sends each line item with its variant and line item properties:
+ *   `{ id, title, variant_title, quantity, properties: [{ name, value }] }`
+ * and every chosen value becomes one `OrderOptionSelection` row. Native
+ * options come from the recorded variant, extended options from the
+ * properties. Fulfillment views group the rows back by line item or by value.
+ */
+
+import { isMultiSelect } from "./displayUtils.js";
+
+// Properties starting with this are for apps, not for people (e.g. the
+// `_variant_extends` property the option surcharges function reads)
+const HIDDEN_PROPERTY_PREFIX = "_";
+
+// Checkbox add-ons are submitted as one comma-separated property
+const MULTI_VALUE_SEPARATOR = ", ";
+
+/**
+ * Turn a numeric REST ID into a GID
+ *
+ * @param {string} type - Resource type, e.g. "Order"
+ * @param {number|string|null} id - Numeric ID from a webhook payload
+ * @returns {string|null} GID such as "gid://shopify/Order/123", or null
+ */
+export const toGid = (type, id) => (id ? `gid://shopify/${type}/${id}` : null);
+
+/**
+ * Numeric part of a GID, as used in admin URLs
+ *
+ * @param {string} gid - e.g. "gid://shopify/Order/123"
+ * @returns {string} e.g. "123"
+ */
+export const getNumericId = (gid) => String(gid).split("/").pop();
+
+/**
+ * Read the chosen values from the properties of a line item
+ * Hidden and empty properties are skipped; properties of checkbox options
+ * are split into one entry per add-on.
+ *
+ * @param {Array<{name: string, value: string}>} properties - Line item properties
+ * @param {Array<Object>} options - The shop's options, to recognize checkbox options
+ * @returns {Array<{optionName: string, value: string}>} Chosen values
+ */
+export const parseLineItemProperties = (properties = [], options = []) =>
+  (properties || [])
+    .filter(
+      (property) =>
+        property.name &&
+        !property.name.startsWith(HIDDEN_PROPERTY_PREFIX) &&
+        String(property.value ?? "").trim() !== "",
+    )
+    .flatMap((property) => {
+      const option = options.find(
+        (candidate) => candidate.name === property.name,
+      );
+      const values =
+        option && isMultiSelect(option)
+          ? String(property.value).split(MULTI_VALUE_SEPARATOR)
+          : [String(property.value)];
+      return values.map((value) => ({
+        optionName: property.name,
+        value: value.trim(),
+      }));
+    });
+
+/**
+ * Build the selection rows of an order from the orders/create payload
+ * Variants the app recorded give their native values by option name; other
+ * variants are captured by their title, as "Variant".
+ *
+ * @param {Object} payload - Order payload of the orders/create webhook
+ * @param {Map<string, Array<{optionName: string, value: string}>>} variantValues -
+ *   Native values by variant GID
+ * @param {Array<Object>} options - The shop's options
+ * @returns {Array<Object>} Rows for `OrderOptionSelection`, without `shop`
+ */
+export const buildOrderSelections = (payload, variantValues, options = []) => {
+  const order = {
+    orderId: payload.admin_graphql_api_id || toGid("Order", payload.id),
+    orderName: payload.name || `#${payload.order_number ?? payload.id}`,
+    orderedAt: new Date(payload.created_at || Date.now()),
+  };
+
+  return (payload.line_items || []).flatMap((lineItem, lineItemIndex) => {
+    const variantId = toGid("ProductVariant", lineItem.variant_id);
+    const native =
+      variantValues.get(variantId) ||
+      (lineItem.variant_title
+        ? [{ optionName: "Variant", value: lineItem.variant_title }]
+        : []);
+    const chosen = [
+      ...native.map((entry) => ({ ...entry, source: "variant" })),
+      ...parseLineItemProperties(lineItem.properties, options).map((entry) => ({
+        ...entry,
+        source: "property",
+      })),
+    ];
+
+    return chosen.map((entry, position) => ({
+      ...order,
+      lineItemId:
+        lineItem.admin_graphql_api_id || toGid("LineItem", lineItem.id),
+      lineItemIndex,
+      productId: toGid("Product", lineItem.product_id),
+      variantId,
+      title: lineItem.title || lineItem.name || "",
+      variantTitle: lineItem.variant_title || null,
+      sku: lineItem.sku || null,
+      quantity: lineItem.quantity || 1,
+      optionName: entry.optionName,
+      value: entry.value,
+      source: entry.source,
+      position,
+    }));
+  });
+};
+
+/**
+ * Group the selections of an order by line item
+ *
+ * @param {Array<Object>} selections - `OrderOptionSelection` rows of one order
+ * @returns {Array<Object>} Line items `{ lineItemId, title, variantTitle, sku,
+ *   quantity, selections: [{ optionName, value, source }] }` in order
+ */
+export const groupSelectionsByLineItem = (selections) => {
+  const lineItems = new Map();
+
+  for (const selection of selections) {
+    if (!lineItems.has(selection.lineItemId)) {
+      lineItems.set(selection.lineItemId, {
+        lineItemId: selection.lineItemId,
+        title: selection.title,
+        variantTitle: selection.variantTitle,
+        sku: selection.sku,
+        quantity: selection.quantity,
+        selections: [],
+      });
+    }
+    lineItems.get(selection.lineItemId).selections.push({
+      optionName: selection.optionName,
+      value: selection.value,
+      source: selection.source,
+    });
+  }
+
+  return [...lineItems.values()];
+};
+
+/**
+ * Build the picking summary of an order: for each option, the chosen values
+ * with the total quantity and the line items that need them
+ *
+ * @param {Array<Object>} selections - `OrderOptionSelection` rows
+ * @returns {Array<Object>} `[{ optionName, values: [{ value, quantity,
+ *   lineItems: [{ title, variantTitle, quantity }] }] }]`, options and values
+ *   sorted by name
+ */
+export const buildPickingSummary = (selections) => {
+  const summary = new Map();
+
+  for (const selection of selections) {
+    if (!summary.has(selection.optionName)) {
+      summary.set(selection.optionName, new Map());
+    }
+    const values = summary.get(selection.optionName);
+    if (!values.has(selection.value)) {
+      values.set(selection.value, {
+        value: selection.value,
+        quantity: 0,
+        lineItems: [],
+      });
+    }
+    const entry = values.get(selection.value);
+    entry.quantity += selection.quantity;
+    entry.lineItems.push({
+      title: selection.title,
+      variantTitle: selection.variantTitle,
+      quantity: selection.quantity,
+    });
+  }
+
+  const byName = (a, b) => a.localeCompare(b, undefined, { numeric: true });
+  return [...summary.entries()]
+    .sort(([a], [b]) => byName(a, b))
+    .map(([optionName, values]) => ({
+      optionName,
+      values: [...values.values()].sort((a, b) => byName(a.value, b.value)),
+    }));
+};
@@ -0,0 +1,136 @@
+/**
+ * Swatch Utility Functions
+ *
+ * Pure helpers for drawing color-option swatches. A color value can carry:
+ * - `colorHex` - the swatch color
+ * - `secondaryColorHex` - a second color, drawn as a two-tone split
+ * - `patternImageUrl` - a pattern/texture image drawn instead of the colors
+ *
+ * Values without swatch data fall back to a guess from the value name, so
+ * options created before swatches existed still render sensibly.
+ */
+
+// Fallback colors for common names when a value has no swatch data
+const NAMED_COLORS = {
+  red: "#ff0000",
+  blue: "#0000ff",
+  green: "#008000",
+  black: "#000000",
+  white: "#ffffff",
+  yellow: "#ffff00",
+  orange: "#ffa500",
+  purple: "#800080",
+  pink: "#ffc0cb",
+  gray: "#808080",
+  grey: "#808080",
+  brown: "#a52a2a",
+  navy: "#000080",
+  maroon: "#800000",
+  teal: "#008080",
+  lime: "#00ff00",
+};
+
+// Drawn when nothing better is known
+export const DEFAULT_SWATCH_COLOR = "#e1e1e1";
+
+/**
+ * Normalize a hex color to lowercase "#rrggbb"
+ * Accepts "#RGB", "RGB", "#RRGGBB" and "RRGGBB"
+ *
+ * @param {string} hex - Color entered by the merchant
+ * @returns {string|null} Normalized color, or null if the input isn't a hex color
+ */
+export const normalizeHex = (hex) => {
+  const match = String(hex || "")
+    .trim()
+    .match(/^#?([0-9a-f]{3}|[0-9a-f]{6})$/i);
+  if (!match) return null;
+
+  const digits =
+    match[1].length === 3
+      ? match[1]
+          .split("")
+          .map((digit) => digit + digit)
+          .join("")
+      : match[1];
+  return `#${digits.toLowerCase()}`;
+};
+
+/**
+ * Normalize a pattern image URL
+ * Only absolute http(s) URLs are accepted, so a typo or a `javascript:` URL
+ * never ends up in a swatch's `background-image`
+ *
+ * @param {string} url - URL entered by the merchant
+ * @returns {string|null} Trimmed URL, or null if the input isn't an http(s) URL
+ */
+export const normalizeImageUrl = (url) => {
+  const trimmed = String(url || "").trim();
+  if (!trimmed) return null;
+
+  try {
+    const { protocol } = new URL(trimmed);
+    return protocol === "http:" || protocol === "https:" ? trimmed : null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Get the main color of a value's swatch
+ *
+ * @param {Object} value - Value with `colorHex` and `name` (UI) or `value` (database)
+ * @returns {string} Hex color
+ */
+export const getSwatchColor = (value) =>
+  normalizeHex(value.colorHex) ||
+  NAMED_COLORS[String(value.name ?? value.value ?? "").toLowerCase()] ||
+  DEFAULT_SWATCH_COLOR;
+
+/**
+ * Build the CSS `background` for a value's swatch
+ *
+ * @param {Object} value - Value with optional swatch data
+ * @returns {string} CSS background shorthand
+ */
+export const getSwatchBackground = (value) => {
+  if (value.patternImageUrl) {
+    return `url("${encodeURI(value.patternImageUrl)}") center / cover no-repeat`;
+  }
+
+  const primary = getSwatchColor(value);
+  const secondary = normalizeHex(value.secondaryColorHex);
+  return secondary
+    ? `linear-gradient(135deg, ${primary} 50%, ${secondary} 50%)`
+    : primary;
+};
+
+/**
+ * Check whether a hex color is light enough to need dark text on top
+ *
+ * @param {string} color - Hex color
+ * @returns {boolean} True for light colors
+ */
+export const isLightColor = (color) => {
+  const hex = (normalizeHex(color) || DEFAULT_SWATCH_COLOR).slice(1);
+  const r = parseInt(hex.slice(0, 2), 16);
+  const g = parseInt(hex.slice(2, 4), 16);
+  const b = parseInt(hex.slice(4, 6), 16);
+  const brightness = (r * 299 + g * 587 + b * 114) / 1000;
+  return brightness > 155;
+};
+
+/**
+ * Swatch fields to store for a value
+ * Invalid colors and pattern URLs are dropped rather than saved
+ *
+ * @param {Object} value - Value draft or imported value
+ * @returns {{colorHex: string|null, secondaryColorHex: string|null, patternImageUrl: string|null}}
+ */
+export const parseSwatchInput = (value) => ({
+  colorHex: normalizeHex(value.colorHex),
+  secondaryColorHex: normalizeHex(value.colorHex)
+    ? normalizeHex(value.secondaryColorHex)
+    : null,
+  patternImageUrl: normalizeImageUrl(value.patternImageUrl),
+});
@@ -0,0 +1,210 @@
+/**
+ * Translation Utility Functions
+ *
+ * Pure helpers for option names, help text and value labels in the shop's
+ * other locales. In UI format an option carries
+ *   `translations: { [locale]: { name, helpText } }`
+ * and each value `translations: { [locale]: label }`. Anything without a
+ * translation falls back to the default text.
+ *
+ * The storefront reads every translation from one shop metafield keyed by the
+ * default names, so the theme block can localize labels of extended options
+ * and match the localized names Shopify shows for native options.
+ */
+
+// Shop metafield holding the translations of every option
+export const TRANSLATIONS_METAFIELD = {
+  namespace: "variant_extends",
+  key: "translations",
+};
+
+/**
+ * Transform options loaded with their translations to UI format
+ *
+ * @param {Array<Object>} loadedOptions - Options with `translations` and values with `translations`
+ * @returns {Array<Object>} Options with translation maps
+ */
+export const transformTranslatedOptions = (loadedOptions) =>
+  loadedOptions.map((option) => ({
+    id: option.id,
+    name: option.name,
+    type: option.type,
+    helpText: option.helpText || "",
+    translations: Object.fromEntries(
+      option.translations.map((translation) => [
+        translation.locale,
+        { name: translation.name || "", helpText: translation.helpText || "" },
+      ]),
+    ),
+    values: option.values.map((value) => ({
+      id: value.id,
+      name: value.value,
+      translations: Object.fromEntries(
+        value.translations.map((translation) => [
+          translation.locale,
+          translation.value,
+        ]),
+      ),
+    })),
+  }));
+
+/**
+ * Form state of the translation editor for one locale
+ *
+ * @param {Array<Object>} options - Options in UI format (see transformTranslatedOptions)
+ * @param {string} locale - Locale being edited
+ * @returns {Object} Per option ID: `{ name, helpText, values: { [valueId]: label } }`
+ */
+export const createTranslationDraft = (options, locale) =>
+  Object.fromEntries(
+    options.map((option) => [
+      option.id,
+      {
+        name: option.translations[locale]?.name || "",
+        helpText: option.translations[locale]?.helpText || "",
+        values: Object.fromEntries(
+          option.values.map((value) => [
+            value.id,
+            value.translations[locale] || "",
+          ]),
+        ),
+      },
+    ]),
+  );
+
+/**
+ * Turn the editor's draft into the entries saveTranslations expects
+ * Empty fields are sent as null so their translation is removed
+ *
+ * @param {Object} draft - Draft from createTranslationDraft
+ * @returns {Array<{optionId: string, name: string|null, helpText: string|null, values: Array<{valueId: string, value: string|null}>}>}
+ */
+export const parseTranslationDraft = (draft) =>
+  Object.entries(draft).map(([optionId, entry]) => ({
+    optionId,
+    name: entry.name.trim() || null,
+    helpText: entry.helpText.trim() || null,
+    values: Object.entries(entry.values).map(([valueId, value]) => ({
+      valueId,
+      value: value.trim() || null,
+    })),
+  }));
+
+/**
+ * Count how much of the options is translated into a locale
+ * Option names and value labels count; help text only when there is one
+ *
+ * @param {Array<Object>} options - Options in UI format
+ * @param {string} locale - Locale to check
+ * @returns {{translated: number, total: number}} Counts of translatable texts
+ */
+export const countTranslated = (options, locale) =>
+  options.reduce(
+    (counts, option) => {
+      const texts = [
+        Boolean(option.translations[locale]?.name),
+        ...(option.helpText
+          ? [Boolean(option.translations[locale]?.helpText)]
+          : []),
+        ...option.values.map((value) => Boolean(value.translations[locale])),
+      ];
+      return {
+        translated: counts.translated + texts.filter(Boolean).length,
+        total: counts.total + texts.length,
+      };
+    },
+    { translated: 0, total: 0 },
+  );
+
+/**
+ * Build the value of the storefront translations metafield
+ *
+ * @param {Array<Object>} options - Options in UI format
+ * @returns {Object} Per locale, per default option name:
+ *   `{ name, helpText, values: { [default value name]: label } }`
+ */
+export const buildTranslationsConfig = (options) => {
+  const config = {};
+
+  for (const option of options) {
+    const locales = new Set([
+      ...Object.keys(option.translations),
+      ...option.values.flatMap((value) => Object.keys(value.translations)),
+    ]);
+
+    for (const locale of locales) {
+      const translation = option.translations[locale] || {};
+      config[locale] = config[locale] || {};
+      config[locale][option.name] = {
+        name: translation.name || option.name,
+        helpText: translation.helpText || option.helpText || "",
+        values: Object.fromEntries(
+          option.values
+            .filter((value) => value.translations[locale])
+            .map((value) => [value.name, value.translations[locale]]),
+        ),
+      };
+    }
+  }
+
+  return config;
+};
+
+/**
+ * Pick which of the translated locales to show a customer
+ * An exact match wins (ignoring case), then the same language, so "fr-CA"
+ * gets "fr" and "pt" gets "pt-BR".
+ *
+ * @param {string|null} requested - Locale asked for, e.g. "fr-CA"
+ * @param {Array<string>} locales - Locales with translations
+ * @returns {string|null} One of `locales`, or null for the default texts
+ */
+export const resolveLocale = (requested, locales) => {
+  if (!requested) return null;
+  const wanted = requested.toLowerCase();
+  const language = (locale) => locale.toLowerCase().split("-")[0];
+
+  return (
+    locales.find((locale) => locale.toLowerCase() === wanted) ||
+    locales.find((locale) => language(locale) === language(wanted)) ||
+    null
+  );
+};
+
+/**
+ * Pair the native options of a product with the translations of the app's
+ * options of the same name, for translationsRegister
+ *
+ * @param {Array<Object>} productOptions - Options from the Admin API with `optionValues`
+ * @param {Array<Object>} options - App options in UI format
+ * @returns {Array<{resourceId: string, translations: Array<{locale: string, value: string}>}>}
+ *   Translations of the `name` of each product option and option value
+ */
+export const buildNativeTranslations = (productOptions, options) =>
+  productOptions.flatMap((productOption) => {
+    const option = options.find(
+      (o) => o.name.toLowerCase() === productOption.name.toLowerCase(),
+    );
+    if (!option) return [];
+
+    const optionTranslations = Object.entries(option.translations)
+      .filter(([, translation]) => translation.name)
+      .map(([locale, translation]) => ({ locale, value: translation.name }));
+
+    const valueTranslations = productOption.optionValues.map((optionValue) => {
+      const value = option.values.find(
+        (v) => v.name.toLowerCase() === optionValue.name.toLowerCase(),
+      );
+      return {
+        resourceId: optionValue.id,
+        translations: Object.entries(value?.translations || {}).map(
+          ([locale, label]) => ({ locale, value: label }),
+        ),
+      };
+    });
+
+    return [
+      { resourceId: productOption.id, translations: optionTranslations },
+      ...valueTranslations,
+    ].filter((resource) => resource.translations.length > 0);
+  });
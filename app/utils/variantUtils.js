@@ -0,0 +1,415 @@
+/**
+ * Variant Utility Functions
+ *
+ * Pure helpers for turning option values into variant combinations.
+ * Shared by the apply pipeline on the server and by UI components.
+ */
+
+import { getSwatchBackground } from "./swatchUtils.js";
+import { buildVisibleWhen } from "./visibilityUtils.js";
+import { filterExcludedCombinations } from "./exclusionUtils.js";
+import { isCustomerInputType, readInputSettings } from "./inputUtils.js";
+import { getDisplayStyle } from "./displayUtils.js";
+
+// Shopify's native limits per product
+export const MAX_NATIVE_OPTIONS = 3;
+export const MAX_NATIVE_VARIANTS = 2048;
+
+// Product metafield holding the options that didn't fit as native options.
+// Read by the theme extension, so it uses a plain (non app-reserved) namespace.
+export const EXTENDED_OPTIONS_METAFIELD = {
+  namespace: "variant_extends",
+  key: "extended_options",
+};
+
+/**
+ * Build every combination (cartesian product) of the given options' values
+ * Options without any values are skipped so they don't collapse the result
+ *
+ * @param {Array<Object>} options - Options in database format
+ * @param {string} options[].id - Option ID
+ * @param {string} options[].name - Option name
+ * @param {Array<Object>} options[].values - Values to combine (`id`, `value`,
+ *   price adjustment and image)
+ * @returns {Array<Array<Object>>} One array per combination, holding
+ *   `{ optionId, optionName, valueId, value, priceAdjustment,
+ *   priceAdjustmentType, imageFileId, pricePerUnit }` for each option in order
+ */
+export const generateCombinations = (options) => {
+  const usableOptions = options.filter(
+    (option) => option.values && option.values.length > 0,
+  );
+
+  if (usableOptions.length === 0) {
+    return [];
+  }
+
+  return usableOptions.reduce(
+    (combinations, option) =>
+      combinations.flatMap((combination) =>
+        option.values.map((value) => [
+          ...combination,
+          {
+            optionId: option.id,
+            optionName: option.name,
+            valueId: value.id,
+            value: value.value,
+            priceAdjustment: value.priceAdjustment || 0,
+            priceAdjustmentType: value.priceAdjustmentType || "fixed",
+            imageFileId: value.imageFileId || null,
+            pricePerUnit:
+              option.type === "number" ? option.pricePerUnit || 0 : 0,
+          },
+        ]),
+      ),
+    [[]],
+  );
+};
+
+/**
+ * Count how many combinations the given options would produce
+ * without building them
+ *
+ * @param {Array<Object>} options - Options in database format
+ * @returns {number} Number of combinations
+ */
+export const countCombinations = (options) => {
+  const usableOptions = options.filter(
+    (option) => option.values && option.values.length > 0,
+  );
+
+  if (usableOptions.length === 0) {
+    return 0;
+  }
+
+  return usableOptions.reduce(
+    (total, option) => total * option.values.length,
+    1,
+  );
+};
+
+/**
+ * Decide which options become native Shopify options and which overflow into
+ * app-managed "extended" options
+ * Options are taken in order while both the option count and the resulting
+ * variant count stay within Shopify's limits; the rest are extended
+ *
+ * @param {Array<Object>} options - Options with their values, in priority order
+ * @param {number} availableSlots - Native option slots free on the product
+ * @returns {{native: Array<Object>, extended: Array<Object>}} The split options
+ */
+export const splitNativeOptions = (
+  options,
+  availableSlots = MAX_NATIVE_OPTIONS,
+) =>
+  options.reduce(
+    (split, option) => {
+      const variantCount = countCombinations([...split.native, option]);
+      const fits =
+        split.native.length < availableSlots &&
+        variantCount <= MAX_NATIVE_VARIANTS;
+
+      if (fits) {
+        split.native.push(option);
+      } else {
+        split.extended.push(option);
+      }
+      return split;
+    },
+    { native: [], extended: [] },
+  );
+
+/**
+ * Storefront description of one option, shared by the extended options
+ * metafield and the app proxy config
+ *
+ * @param {Object} option - Option in database format
+ * @param {Array<Object>} productOptions - All options applied to the product
+ * @returns {Object} Option with formatted values and resolved conditions
+ */
+const buildStorefrontOption = (option, productOptions) => ({
+  id: option.id,
+  name: option.name,
+  type: option.type,
+  required: option.isRequired,
+  displayStyle: getDisplayStyle(option),
+  helpText: option.helpText || "",
+  visibleWhen: buildVisibleWhen(option, productOptions),
+  ...(option.type === "number" && {
+    unit: option.unit || "",
+    pricePerUnit: option.pricePerUnit || 0,
+  }),
+  ...(isCustomerInputType(option.type) && {
+    input: readInputSettings(option.inputSettings),
+  }),
+  values: option.values.map((value) => ({
+    id: value.id,
+    name: value.value,
+    priceAdjustment: value.priceAdjustment || 0,
+    priceAdjustmentType: value.priceAdjustmentType || "fixed",
+    ...(option.type === "color" && { swatch: getSwatchBackground(value) }),
+    ...(option.type === "image" && { imageUrl: value.imageUrl || null }),
+  })),
+});
+
+/**
+ * Build the JSON stored in the extended options metafield
+ * Values carry their price adjustment as a number, which the storefront
+ * formats in its own currency, and color values carry a ready-made CSS swatch
+ * background.
+ * Conditional options carry a `visibleWhen` list; the storefront hides them
+ * until every condition matches, and hidden options are neither required nor
+ * submitted. Customer-input options carry their limits as `input` and no values.
+ * Every option carries the `displayStyle` the storefront renders it with.
+ * `nativeOptions` tells the option picker block how to draw the product's
+ * native options; their values come from the product itself, so only the
+ * swatch colors and images are kept.
+ *
+ * @param {Array<Object>} options - Extended options in database format
+ * @param {Array<Object>} productOptions - All options applied to the product
+ *   (native and extended), used to resolve the conditions
+ * @param {Array<Object>} nativeOptions - Options that became native options
+ * @returns {Object} Metafield value `{ options: [...], nativeOptions: [...] }`
+ */
+export const buildExtendedOptionsConfig = (
+  options,
+  productOptions = options,
+  nativeOptions = [],
+) => ({
+  options: options.map((option) =>
+    buildStorefrontOption(option, productOptions),
+  ),
+  nativeOptions: nativeOptions.map((option) => ({
+    name: option.name,
+    type: option.type,
+    displayStyle: getDisplayStyle(option),
+    helpText: option.helpText || "",
+    values: option.values.map((value) => ({
+      name: value.value,
+      ...(option.type === "color" && { swatch: getSwatchBackground(value) }),
+      ...(option.type === "image" && { imageUrl: value.imageUrl || null }),
+    })),
+  })),
+});
+
+/**
+ * Build the config the app proxy serves for one product
+ * Unlike the metafield it covers native and extended options alike (flagged
+ * `native`), and maps each combination of native values to its variant:
+ * `variants["<valueId>|<valueId>"] = { id, price, compareAtPrice, available }`
+ * with the value IDs sorted, as in the variant matrix.
+ *
+ * @param {string} productId - Product GID
+ * @param {Array<Object>} options - Options applied to the product in database
+ *   format, each with `isNative`
+ * @param {Array<Object>} records - `ProductVariant` records with `optionValues` included
+ * @param {Array<Object>} exclusions - Excluded value tuples (UI format)
+ * @param {Object} localized - Customer's language
+ * @param {string|null} localized.locale - Locale the translations are in (null = default texts)
+ * @param {Object} localized.translations - That locale of the translations
+ *   metafield (see buildTranslationsConfig); names stay the default ones, as
+ *   properties are submitted with them
+ * @returns {Object} `{ productId, locale, translations, options, exclusions, variants }`
+ */
+export const buildStorefrontConfig = (
+  productId,
+  options,
+  records,
+  exclusions = [],
+  { locale = null, translations = {} } = {},
+) => {
+  const valueIds = new Set(
+    options.flatMap((option) => option.values.map((value) => value.id)),
+  );
+
+  return {
+    productId,
+    locale,
+    translations,
+    options: options.map((option) => ({
+      ...buildStorefrontOption(option, options),
+      native: option.isNative,
+    })),
+    // Only exclusions that can match one of the product's combinations
+    exclusions: exclusions
+      .filter((exclusion) => exclusion.valueIds.every((id) => valueIds.has(id)))
+      .map((exclusion) => exclusion.valueIds),
+    variants: Object.fromEntries(
+      records
+        .filter((record) => record.shopifyVariantId)
+        .map((record) => [
+          record.optionValues
+            .map((value) => value.id)
+            .sort()
+            .join("|"),
+          {
+            id: record.shopifyVariantId,
+            price: record.price,
+            compareAtPrice: record.compareAtPrice,
+            available: record.isActive,
+          },
+        ]),
+    ),
+  };
+};
+
+/**
+ * Compute the price of a combination from a base price
+ * Percentage adjustments are taken from the base price and fixed amounts are
+ * added on top, so the order of options doesn't change the result.
+ * Number options with a price per unit add `pricePerUnit × value` as a fixed
+ * amount.
+ *
+ * @param {number|string} basePrice - Price before any adjustments
+ * @param {Array<{priceAdjustment: number, priceAdjustmentType: string, pricePerUnit?: number}>} parts - Values of the combination
+ * @returns {number} Adjusted price rounded to cents, never below zero
+ */
+export const computeVariantPrice = (basePrice, parts) => {
+  const base = parseFloat(basePrice) || 0;
+
+  const { fixed, percentage } = parts.reduce(
+    (totals, part) => {
+      const amount = parseFloat(part.priceAdjustment) || 0;
+      if (part.priceAdjustmentType === "percentage") {
+        totals.percentage += amount;
+      } else {
+        totals.fixed += amount;
+      }
+
+      const perUnit = parseFloat(part.pricePerUnit) || 0;
+      if (perUnit !== 0) {
+        totals.fixed += perUnit * (parseFloat(part.value ?? part.name) || 0);
+      }
+      return totals;
+    },
+    { fixed: 0, percentage: 0 },
+  );
+
+  const price = base + (base * percentage) / 100 + fixed;
+  return Math.max(0, Math.round(price * 100) / 100);
+};
+
+/**
+ * Whether choosing a value of the option can change the price
+ *
+ * @param {Object} option - Option with `values` and optional `pricePerUnit`
+ * @returns {boolean} True when a value has a price adjustment or the option
+ *   has a price per unit
+ */
+export const hasSurcharges = (option) =>
+  (parseFloat(option.pricePerUnit) || 0) !== 0 ||
+  option.values.some((value) => (parseFloat(value.priceAdjustment) || 0) !== 0);
+
+/**
+ * Format a value's price adjustment for display next to its name
+ *
+ * @param {Object} value - Value with `priceAdjustment` and `priceAdjustmentType`
+ * @returns {string} Label such as "+$5.00" or "-10%", empty when there is none
+ */
+export const formatPriceAdjustment = (value) => {
+  const amount = parseFloat(value.priceAdjustment) || 0;
+  if (amount === 0) return "";
+
+  const sign = amount > 0 ? "+" : "-";
+  return value.priceAdjustmentType === "percentage"
+    ? `${sign}${Math.abs(amount)}%`
+    : `${sign}$${Math.abs(amount).toFixed(2)}`;
+};
+
+/**
+ * Build a stable lookup key for a combination of option values
+ * Matches combinations against Shopify's `selectedOptions` regardless of order
+ *
+ * @param {Array<{optionName?: string, name?: string, value: string}>} pairs - Option name/value pairs
+ * @returns {string} Key such as "color=red|size=xl"
+ */
+export const combinationKey = (pairs) =>
+  pairs
+    .map((pair) =>
+      `${pair.optionName ?? pair.name}=${pair.value}`.toLowerCase(),
+    )
+    .sort()
+    .join("|");
+
+/**
+ * Build the rows of the variant matrix editor
+ * Every allowed combination of the options' values becomes a row; rows that
+ * already have a stored `ProductVariant` carry its editable fields
+ *
+ * @param {Array<Object>} options - Options in database format (active values only)
+ * @param {Array<Object>} records - `ProductVariant` records with `optionValues` included
+ * @param {Array<Object>} exclusions - Excluded value tuples (UI format)
+ * @returns {Array<Object>} Matrix rows keyed by their value IDs
+ */
+export const buildVariantMatrix = (options, records, exclusions = []) => {
+  const recordsByValues = new Map(
+    records.map((record) => [
+      record.optionValues
+        .map((value) => value.id)
+        .sort()
+        .join("|"),
+      record,
+    ]),
+  );
+
+  return filterExcludedCombinations(
+    generateCombinations(options),
+    exclusions,
+  ).map((combination) => {
+    const key = combination
+      .map((part) => part.valueId)
+      .sort()
+      .join("|");
+    const record = recordsByValues.get(key);
+
+    return {
+      key,
+      label: combination.map((part) => part.value).join(" / "),
+      combination,
+      variantId: record?.id ?? null,
+      shopifyVariantId: record?.shopifyVariantId ?? null,
+      sku: record?.sku ?? "",
+      price: record ? String(record.price) : "",
+      compareAtPrice:
+        record?.compareAtPrice != null ? String(record.compareAtPrice) : "",
+      inventory: record ? String(record.inventory) : "0",
+      isActive: record?.isActive ?? true,
+    };
+  });
+};
+
+/**
+ * Copy the value of the first targeted row into the other targeted rows
+ *
+ * @param {Array<Object>} rows - Matrix rows
+ * @param {string} field - Field to fill (e.g., "price", "sku")
+ * @param {Array<string>} rowKeys - Keys of the rows to fill, in display order
+ * @returns {Array<Object>} Updated rows
+ */
+export const fillDown = (rows, field, rowKeys) => {
+  const source = rows.find((row) => row.key === rowKeys[0]);
+  if (!source) return rows;
+
+  return rows.map((row) =>
+    rowKeys.includes(row.key) ? { ...row, [field]: source[field] } : row,
+  );
+};
+
+/**
+ * Raise or lower a money field by a percentage on the targeted rows
+ * Empty values are left untouched and results are rounded to cents
+ *
+ * @param {Array<Object>} rows - Matrix rows
+ * @param {string} field - "price" or "compareAtPrice"
+ * @param {number} percent - Percentage to apply, negative to lower
+ * @param {Array<string>} rowKeys - Keys of the rows to adjust
+ * @returns {Array<Object>} Updated rows
+ */
+export const adjustByPercentage = (rows, field, percent, rowKeys) =>
+  rows.map((row) => {
+    const amount = parseFloat(row[field]);
+    if (!rowKeys.includes(row.key) || Number.isNaN(amount)) return row;
+
+    const adjusted = Math.max(0, amount * (1 + percent / 100));
+    return { ...row, [field]: adjusted.toFixed(2) };
+  });
@@ -0,0 +1,141 @@
+/**
+ * Visibility Rule Utility Functions
+ *
+ * Pure helpers for conditional options. An option can carry visibility rules
+ * such as "show Engraving font when Engraving is Yes":
+ *   `{ dependsOnOptionId, valueIds }`
+ * An option is shown only when every one of its rules matches, and an option
+ * whose controlling option is hidden is hidden too. Rules without values are
+ * ignored. Used by the edit modal, the preview and the storefront config.
+ */
+
+/**
+ * Check whether an option is visible for the current selections
+ *
+ * @param {Object} option - Option with `id` and `visibilityRules`
+ * @param {Array<Object>} options - All options, to follow controlling options
+ * @param {Object} selectedValueIds - Selected value ID per option ID (an array
+ *   of IDs for multi-select options)
+ * @param {Set<string>} visiting - Options already on the path (guards against cycles)
+ * @returns {boolean} True when the option should be shown
+ */
+export const isOptionVisible = (
+  option,
+  options,
+  selectedValueIds,
+  visiting = new Set(),
+) => {
+  if (visiting.has(option.id)) return false;
+  const path = new Set(visiting).add(option.id);
+
+  return (option.visibilityRules || [])
+    .filter((rule) => rule.valueIds.length > 0)
+    .every((rule) => {
+      const controlling = options.find((o) => o.id === rule.dependsOnOptionId);
+      if (!controlling) return true; // Rule of a deleted option
+
+      // A multi-select option matches when any of its picked values does
+      const selected = [].concat(selectedValueIds[controlling.id] ?? []);
+      return (
+        selected.some((valueId) => rule.valueIds.includes(valueId)) &&
+        isOptionVisible(controlling, options, selectedValueIds, path)
+      );
+    });
+};
+
+/**
+ * Keep only the options that are visible for the current selections
+ *
+ * @param {Array<Object>} options - Options with their visibility rules
+ * @param {Object} selectedValueIds - Selected value ID per option ID
+ * @returns {Array<Object>} Visible options, in their original order
+ */
+export const getVisibleOptions = (options, selectedValueIds) =>
+  options.filter((option) =>
+    isOptionVisible(option, options, selectedValueIds),
+  );
+
+/**
+ * Find the first rule that would make options depend on each other in a loop,
+ * e.g. A shown when B is set while B is shown when A is set
+ *
+ * @param {string} optionId - Option whose rules are being edited
+ * @param {Array<Object>} rules - The option's new rules
+ * @param {Array<Object>} options - All options with their current rules
+ * @returns {string|null} Error message, or null when the rules are valid
+ */
+export const validateVisibilityRules = (optionId, rules, options) => {
+  const rulesOf = (id) =>
+    id === optionId
+      ? rules
+      : options.find((option) => option.id === id)?.visibilityRules || [];
+
+  // Walk the options the edited option depends on; reaching it again is a loop
+  const dependsOnEdited = (id, seen = new Set()) => {
+    if (id === optionId) return true;
+    if (seen.has(id)) return false;
+    seen.add(id);
+    return rulesOf(id).some((rule) =>
+      dependsOnEdited(rule.dependsOnOptionId, seen),
+    );
+  };
+
+  for (const rule of rules) {
+    if (rule.dependsOnOptionId === optionId) {
+      return "An option can't depend on itself";
+    }
+    if (dependsOnEdited(rule.dependsOnOptionId)) {
+      const name = options.find((o) => o.id === rule.dependsOnOptionId)?.name;
+      return `"${name}" already depends on this option`;
+    }
+  }
+  return null;
+};
+
+/**
+ * Describe an option's rules for the options list
+ *
+ * @param {Object} option - Option with its visibility rules
+ * @param {Array<Object>} options - All options (UI format), for names
+ * @returns {string} Summary such as "Shown when Engraving is Yes", empty without rules
+ */
+export const describeVisibilityRules = (option, options) => {
+  const conditions = (option.visibilityRules || [])
+    .map((rule) => {
+      const controlling = options.find((o) => o.id === rule.dependsOnOptionId);
+      if (!controlling || rule.valueIds.length === 0) return null;
+
+      const valueNames = controlling.values
+        .filter((value) => rule.valueIds.includes(value.id))
+        .map((value) => value.name);
+      return `${controlling.name} is ${valueNames.join(" or ")}`;
+    })
+    .filter(Boolean);
+
+  return conditions.length > 0 ? `Shown when ${conditions.join(" and ")}` : "";
+};
+
+/**
+ * Turn an option's database rules into the storefront's `visibleWhen` list
+ * Values are referenced by name, since that's what the storefront submits.
+ * A condition whose option or values aren't offered on the product keeps an
+ * empty value list, so it never matches and the option stays hidden.
+ *
+ * @param {Object} option - Option in database format with `visibilityRules`
+ * @param {Array<Object>} options - Options applied to the product, in database format
+ * @returns {Array<{optionId: string, optionName: string, values: Array<string>}>} Conditions
+ */
+export const buildVisibleWhen = (option, options) =>
+  (option.visibilityRules || [])
+    .filter((rule) => rule.values.length > 0)
+    .map((rule) => {
+      const controlling = options.find((o) => o.id === rule.dependsOnOptionId);
+      const valueIds = rule.values.map((value) => value.variantOptionValueId);
+      return {
+        optionId: rule.dependsOnOptionId,
+        optionName: controlling?.name || "",
+        values: (controlling?.values || [])
+          .filter((value) => valueIds.includes(value.id))
+          .map((value) => value.value),
+      };
+    });
@@ -0,0 +1,152 @@
+/**
+ * Option Surcharges - Cart Transform Function
+ *
+ * Extended options are submitted as line item properties, which can't change
+ * a line's price on their own. This function adds their price adjustments at
+ * checkout.
+ *
+ * The theme extension stores what the customer chose in the hidden line item
+ * property `_variant_extends`, as JSON mapping each option name to its chosen
+ * value names: `{"Engraving font": ["Script"], "Add-ons": ["Gift wrap"]}`.
+ * Functions can only read attributes by a fixed key, so the choices can't be
+ * read from the visible properties themselves.
+ *
+ * The adjustments come from the product metafield the apply pipeline writes
+ * (`variant_extends.extended_options`), never from the cart, so customers
+ * can only pick values the merchant configured, each value counts once, and
+ * only checkbox add-ons can count more than one value. Prices follow the app's
+ * computeVariantPrice: percentages are taken from the variant price, fixed
+ * amounts and number options' `pricePerUnit × value` are added on top, and
+ * the result is rounded to cents and never below zero.
+ *
+ * Fixed amounts are in the shop's currency and are converted with
+ * `presentmentCurrencyRate` for carts in another currency.
+ *
+ * Lines whose price doesn't change get no operation. Updating line prices
+ * requires a Shopify Plus store.
+ */
+
+/**
+ * @typedef {import("../generated/api").RunInput} RunInput
+ * @typedef {import("../generated/api").FunctionRunResult} FunctionRunResult
+ * @typedef {import("../generated/api").CartOperation} CartOperation
+ */
+
+/**
+ * @type {FunctionRunResult}
+ */
+const NO_CHANGES = {
+  operations: [],
+};
+
+/**
+ * Parse JSON written by the storefront, which may be missing or malformed
+ *
+ * @param {string | null | undefined} value - Raw attribute value
+ * @returns {Object | null} Parsed object, or null when there is none
+ */
+const parseSelection = (value) => {
+  if (!value) return null;
+  try {
+    const selection = JSON.parse(value);
+    return selection && typeof selection === "object" ? selection : null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Sum the adjustments of the chosen values of a line
+ *
+ * @param {Array<Object>} options - Options of the extended options metafield
+ * @param {Object} selection - Chosen value names by option name
+ * @returns {{fixed: number, percentage: number}} Fixed amount (shop currency)
+ *   and percentage of the variant price to add
+ */
+export const sumAdjustments = (options, selection) => {
+  const totals = { fixed: 0, percentage: 0 };
+
+  for (const option of options) {
+    const chosen = selection[option.name];
+    if (!Array.isArray(chosen)) continue;
+
+    // Only configured values count, each once; options other than checkbox
+    // add-ons count their first value only
+    const values = [...new Set(chosen)]
+      .map((name) => option.values?.find((value) => value.name === name))
+      .filter(Boolean)
+      .slice(0, option.displayStyle === "checkboxes" ? undefined : 1);
+
+    for (const value of values) {
+      const amount = parseFloat(value.priceAdjustment) || 0;
+      if (value.priceAdjustmentType === "percentage") {
+        totals.percentage += amount;
+      } else {
+        totals.fixed += amount;
+      }
+
+      const perUnit = parseFloat(option.pricePerUnit) || 0;
+      if (perUnit !== 0) {
+        totals.fixed += perUnit * (parseFloat(value.name) || 0);
+      }
+    }
+  }
+
+  return totals;
+};
+
+/**
+ * Compute the adjusted price of one unit of a line
+ *
+ * @param {number} basePrice - Variant price in the cart's currency
+ * @param {{fixed: number, percentage: number}} adjustments - From sumAdjustments
+ * @param {number} currencyRate - Shop to cart currency rate
+ * @returns {number} Adjusted price rounded to cents, never below zero
+ */
+export const computeLinePrice = (basePrice, adjustments, currencyRate = 1) => {
+  const price =
+    basePrice +
+    (basePrice * adjustments.percentage) / 100 +
+    adjustments.fixed * currencyRate;
+  return Math.max(0, Math.round(price * 100) / 100);
+};
+
+/**
+ * @param {RunInput} input
+ * @returns {FunctionRunResult}
+ */
+export function run(input) {
+  const currencyRate = parseFloat(input.presentmentCurrencyRate) || 1;
+
+  /** @type {CartOperation[]} */
+  const operations = [];
+
+  for (const line of input.cart.lines) {
+    if (line.merchandise.__typename !== "ProductVariant") continue;
+
+    const selection = parseSelection(line.selection?.value);
+    const config = line.merchandise.product.extendedOptions?.jsonValue;
+    if (!selection || !Array.isArray(config?.options)) continue;
+
+    const basePrice = parseFloat(line.cost.amountPerQuantity.amount) || 0;
+    const price = computeLinePrice(
+      basePrice,
+      sumAdjustments(config.options, selection),
+      currencyRate,
+    );
+    if (price === basePrice) continue;
+
+    operations.push({
+      update: {
+        cartLineId: line.id,
+        price: {
+          adjustment: {
+            fixedPricePerUnit: { amount: price.toFixed(2) },
+          },
+        },
+      },
+    });
+  }
+
+  return operations.length > 0 ? { operations } : NO_CHANGES;
+}
@@ -0,0 +1,42 @@
+/**
+ * Fixture-driven tests for the option surcharges function
+ *
+ * Every JSON file in tests/fixtures describes one run:
+ * `{ "description": "...", "input": <RunInput>, "expected": <FunctionRunResult> }`.
+ * The runner passes `input` to `run` and compares the result with `expected`.
+ *
+ * Usage: npm test (from this extension), or `node tests/runFixtures.js <name>`
+ * to run the fixtures whose file name contains <name>.
+ */
+
+import { readdirSync, readFileSync } from "node:fs";
+import { deepStrictEqual } from "node:assert";
+import { run } from "../src/run.js";
+
+const fixturesDir = new URL("./fixtures/", import.meta.url);
+const filter = process.argv[2] || "";
+
+const files = readdirSync(fixturesDir)
+  .filter((file) => file.endsWith(".json") && file.includes(filter))
+  .sort();
+
+let failed = 0;
+
+for (const file of files) {
+  const fixture = JSON.parse(readFileSync(new URL(file, fixturesDir), "utf8"));
+  const label = `${file} - ${fixture.description}`;
+
+  try {
+    deepStrictEqual(run(fixture.input), fixture.expected);
+    console.log(`  ok    ${label}`);
+  } catch (error) {
+    failed += 1;
+    console.log(`  FAIL  ${label}`);
+    console.log(error.message.replace(/^/gm, "        "));
+  }
+}
+
+console.log(`\n${files.length - failed} passed, ${failed} failed`);
+if (files.length === 0 || failed > 0) {
+  process.exitCode = 1;
+}
@@ -0,0 +1,232 @@
+/*
+ * Variant Extends storefront script
+ *
+ * Shared by the "Extended options" and "Option picker" blocks. Every block
+ * renders a `[data-variant-extends]` root with a JSON description of the
+ * product (`[data-variant-extends-data]`); this script wires it up:
+ * - Native options of the option picker select the matching variant in the
+ *   product form
+ * - Conditional options are shown or hidden as choices change
+ * - Required options, checkbox add-ons, sliders and file uploads are checked
+ *   before the product form is submitted
+ * - The chosen values of extended options are copied, as JSON, into the hidden
+ *   `_variant_extends` line item property the option surcharges function
+ *   prices the line from
+ */
+(function () {
+  function init(root) {
+    if (root.dataset.initialized) return;
+    root.dataset.initialized = 'true';
+
+    var product = JSON.parse(root.querySelector('[data-variant-extends-data]').textContent);
+    var form = document.getElementById(root.dataset.formId);
+    var conditional = root.querySelectorAll('[data-visible-when]');
+    var nativeOptions = root.querySelectorAll('[data-native-option]');
+    var selectionInput = root.querySelector('[data-variant-extends-selection]');
+    var translations = product.translations || {};
+
+    // Label of a value in the customer's language
+    function valueLabel(optionName, valueName) {
+      var values = (translations[optionName] || {}).values || {};
+      return values[valueName] || valueName;
+    }
+
+    // The variant currently selected in the product form
+    function currentVariant() {
+      var idInput = form && form.querySelector('[name="id"]');
+      if (!idInput) return null;
+      return product.variants.find(function (v) { return String(v.id) === idInput.value; }) || null;
+    }
+
+    // Value of a native option, read from the variant selected in the product
+    // form. Shopify shows native options in the customer's language while
+    // conditions use the default names, so the value is translated back.
+    function nativeValue(name) {
+      var translation = translations[name] || {};
+      var index = product.optionNames.indexOf(translation.name || name);
+      var variant = currentVariant();
+      if (!variant || index === -1) return null;
+      var values = translation.values || {};
+      var value = variant.options[index];
+      return Object.keys(values).find(function (key) { return values[key] === value; }) || value;
+    }
+
+    // Values chosen for an option (several for checkbox add-ons); hidden
+    // extended options count as unset
+    function currentValues(name) {
+      var option = root.querySelector('[data-option-name="' + CSS.escape(name) + '"]');
+      if (!option) {
+        var value = nativeValue(name);
+        return value === null ? [] : [value];
+      }
+      if (option.hidden) return [];
+      if (option.hasAttribute('data-multi')) {
+        return Array.prototype.map.call(option.querySelectorAll('input[type="checkbox"]:checked'), function (box) {
+          return box.value;
+        });
+      }
+      var input = option.querySelector('select, input[type="radio"]:checked, input[type="hidden"]');
+      return input && input.value ? [input.value] : [];
+    }
+
+    // Show or hide every conditional option once; true when any changed
+    function applyConditions() {
+      var changed = false;
+      conditional.forEach(function (option) {
+        var conditions = JSON.parse(option.dataset.visibleWhen);
+        var visible = conditions.every(function (condition) {
+          return currentValues(condition.optionName).some(function (value) {
+            return condition.values.indexOf(value) !== -1;
+          });
+        });
+        if (option.hidden === visible) changed = true;
+        option.hidden = !visible;
+        option.querySelectorAll('input, select, textarea').forEach(function (input) {
+          input.disabled = !visible;
+        });
+      });
+      return changed;
+    }
+
+    function update() {
+      // Repeat until stable, so chains of conditions settle in any order
+      for (var pass = 0; pass < conditional.length; pass++) {
+        if (!applyConditions()) break;
+      }
+    }
+
+    // Values of every visible extended option by option name; customer-input
+    // options have no values and are left out
+    function syncSelection() {
+      if (!selectionInput) return;
+      var selection = {};
+      root.querySelectorAll('[data-option-name]').forEach(function (option) {
+        var values = currentValues(option.dataset.optionName);
+        if (values.length > 0) selection[option.dataset.optionName] = values;
+      });
+      selectionInput.value = Object.keys(selection).length > 0 ? JSON.stringify(selection) : '';
+    }
+
+    // Native options of the option picker: find the variant matching the
+    // picked values and select it in the product form, the way the theme's
+    // own variant picker would
+    function selectVariant() {
+      var picked = [];
+      nativeOptions.forEach(function (option) {
+        var input = option.querySelector('select, input[type="radio"]:checked');
+        picked[Number(option.dataset.position) - 1] = input ? input.value : null;
+      });
+      var variant = product.variants.find(function (v) {
+        return v.options.every(function (value, index) { return value === picked[index]; });
+      });
+
+      var idInput = form && form.querySelector('[name="id"]');
+      if (idInput && variant) {
+        idInput.value = variant.id;
+        idInput.dispatchEvent(new Event('change', { bubbles: true }));
+      }
+      var submitButton = form && form.querySelector('[type="submit"]');
+      if (submitButton) submitButton.disabled = !variant || !variant.available;
+
+      var status = root.querySelector('[data-variant-status]');
+      if (status) {
+        status.textContent = !variant ? root.dataset.unavailableText : variant.available ? variant.price : root.dataset.soldOutText;
+      }
+      if (variant) {
+        var url = new URL(window.location.href);
+        url.searchParams.set('variant', variant.id);
+        window.history.replaceState({}, '', url.toString());
+      }
+    }
+
+    // Block add to cart while a visible required option has no value.
+    // Runs in the capture phase so it also stops themes' AJAX submit handlers.
+    document.addEventListener('submit', function (event) {
+      if (event.target !== form) return;
+      var invalid = Array.prototype.find.call(root.querySelectorAll('input, select, textarea'), function (input) {
+        return !input.checkValidity();
+      });
+      if (!invalid) return;
+      event.preventDefault();
+      event.stopPropagation();
+      invalid.reportValidity();
+    }, true);
+
+    // Checkbox add-ons are joined into the option's hidden property input;
+    // required ones need at least one ticked box
+    root.querySelectorAll('[data-multi]').forEach(function (option) {
+      var hidden = option.querySelector('input[type="hidden"]');
+      var boxes = option.querySelectorAll('input[type="checkbox"]');
+      function sync() {
+        var picked = Array.prototype.filter.call(boxes, function (box) { return box.checked; }).map(function (box) {
+          return box.value;
+        });
+        hidden.value = picked.join(', ');
+        if (option.dataset.requiredMessage && boxes.length > 0) {
+          boxes[0].setCustomValidity(picked.length > 0 ? '' : option.dataset.requiredMessage);
+        }
+      }
+      boxes.forEach(function (box) { box.addEventListener('change', sync); });
+      sync();
+    });
+
+    // Sliders move through the values in order and submit the name of the
+    // value they rest on
+    root.querySelectorAll('[data-slider]').forEach(function (option) {
+      var range = option.querySelector('input[type="range"]');
+      var output = option.querySelector('output');
+      var hidden = option.querySelector('input[type="hidden"]');
+      var values = JSON.parse(range.dataset.values);
+      var priceLabels = JSON.parse(range.dataset.priceLabels);
+      function sync() {
+        var value = values[Number(range.value)];
+        var priceLabel = priceLabels[Number(range.value)];
+        hidden.value = value.name;
+        output.textContent = valueLabel(option.dataset.optionName, value.name) + (range.dataset.unit ? ' ' + range.dataset.unit : '') +
+          (priceLabel ? ' (' + priceLabel + ')' : '');
+      }
+      range.addEventListener('input', sync);
+      sync();
+    });
+
+    // Uploads only reach the cart when the form is submitted as multipart;
+    // files over the size limit are rejected before the form is submitted
+    var fileInputs = root.querySelectorAll('input[type="file"]');
+    if (fileInputs.length > 0 && form) {
+      form.enctype = 'multipart/form-data';
+    }
+    fileInputs.forEach(function (input) {
+      input.addEventListener('change', function () {
+        var file = input.files[0];
+        input.setCustomValidity(file && file.size > Number(input.dataset.maxSize) ? input.dataset.sizeError : '');
+      });
+    });
+
+    if (nativeOptions.length > 0) {
+      root.addEventListener('change', function (event) {
+        if (event.target.closest('[data-native-option]')) selectVariant();
+      });
+    }
+    if (conditional.length > 0) {
+      document.addEventListener('change', update);
+      update();
+    }
+    // Registered after `update` so hidden options are already left out
+    if (selectionInput) {
+      document.addEventListener('change', syncSelection);
+      syncSelection();
+    }
+  }
+
+  function initAll(scope) {
+    scope.querySelectorAll('[data-variant-extends]').forEach(init);
+  }
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', function () { initAll(document); });
+  } else {
+    initAll(document);
+  }
+  // Blocks added or changed in the theme editor
+  document.addEventListener('shopify:section:load', function (event) { initAll(event.target); });
+})();
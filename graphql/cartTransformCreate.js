@@ -0,0 +1,63 @@
+import { adminRequest, assertNoUserErrors } from "./request.js";
+
+const cartTransformsQuery = `#graphql
+query cartTransforms {
+  cartTransforms(first: 1) {
+    nodes {
+      id
+      functionId
+    }
+  }
+  shopifyFunctions(first: 25, apiType: "cart_transform") {
+    nodes {
+      id
+      title
+    }
+  }
+}`;
+
+const cartTransformCreateMutation = `#graphql
+mutation cartTransformCreate($functionId: String!) {
+  cartTransformCreate(functionId: $functionId) {
+    cartTransform {
+      id
+      functionId
+    }
+    userErrors {
+      field
+      message
+    }
+  }
+}`;
+
+/**
+ * Activate the app's cart transform function on the shop, unless it already is.
+ * A shop runs one cart transform per app, so an existing one is kept.
+ *
+ * @param {Object} admin - The admin API context
+ * @returns {Object|null} The shop's cart transform, or null when the app has
+ *   no cart transform function deployed
+ */
+export async function ensureCartTransform(admin) {
+  const data = await adminRequest(admin, cartTransformsQuery);
+
+  const existing = data.cartTransforms.nodes[0];
+  if (existing) return existing;
+
+  const cartFunction = data.shopifyFunctions.nodes[0];
+  if (!cartFunction) return null;
+
+  const created = await adminRequest(admin, cartTransformCreateMutation, {
+    functionId: cartFunction.id,
+  });
+
+  assertNoUserErrors(created.cartTransformCreate.userErrors);
+
+  return created.cartTransformCreate.cartTransform;
+}
+
+export default {
+  cartTransformsQuery,
+  cartTransformCreateMutation,
+  ensureCartTransform,
+};
@@ -0,0 +1,40 @@
+import { adminRequest, assertNoUserErrors } from "./request.js";
+
+const fileCreateMutation = `#graphql
+mutation fileCreate($files: [FileCreateInput!]!) {
+  fileCreate(files: $files) {
+    files {
+      id
+      fileStatus
+    }
+    userErrors {
+      field
+      message
+    }
+  }
+}`;
+
+/**
+ * Create an image in the shop's Files from a staged upload.
+ * Shopify processes the image asynchronously, so the returned file is usually
+ * not READY yet; poll it with `getImageFile`.
+ *
+ * @param {Object} admin - The admin API context
+ * @param {string} originalSource - `resourceUrl` of the staged upload
+ * @param {string} alt - Alt text for the image
+ * @returns {{id: string, fileStatus: string}} The created file
+ */
+export async function fileCreate(admin, originalSource, alt) {
+  const data = await adminRequest(admin, fileCreateMutation, {
+    files: [{ originalSource, alt, contentType: "IMAGE" }],
+  });
+
+  assertNoUserErrors(data.fileCreate.userErrors);
+
+  return data.fileCreate.files[0];
+}
+
+export default {
+  fileCreateMutation,
+  fileCreate,
+};
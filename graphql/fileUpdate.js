@@ -0,0 +1,38 @@
+import { adminRequest, assertNoUserErrors } from "./request.js";
+
+const fileUpdateMutation = `#graphql
+mutation fileUpdate($files: [FileUpdateInput!]!) {
+  fileUpdate(files: $files) {
+    files {
+      id
+    }
+    userErrors {
+      field
+      message
+    }
+  }
+}`;
+
+/**
+ * Add images from the shop's Files to a product's media, so variants of the
+ * product can use them as their image.
+ *
+ * @param {Object} admin - The admin API context
+ * @param {string} productId - Product GID
+ * @param {Array<string>} fileIds - MediaImage GIDs
+ * @returns {Array<{id: string}>} The updated files
+ */
+export async function attachFilesToProduct(admin, productId, fileIds) {
+  const data = await adminRequest(admin, fileUpdateMutation, {
+    files: fileIds.map((id) => ({ id, referencesToAdd: [productId] })),
+  });
+
+  assertNoUserErrors(data.fileUpdate.userErrors);
+
+  return data.fileUpdate.files;
+}
+
+export default {
+  fileUpdateMutation,
+  attachFilesToProduct,
+};
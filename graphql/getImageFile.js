@@ -0,0 +1,41 @@
+import { adminRequest } from "./request.js";
+
+const getImageFileQuery = `#graphql
+query getImageFile($id: ID!) {
+  node(id: $id) {
+    ... on MediaImage {
+      id
+      fileStatus
+      fileErrors {
+        message
+      }
+      image {
+        url
+      }
+    }
+  }
+}`;
+
+/**
+ * Fetch the processing state of an image file.
+ *
+ * @param {Object} admin - The admin API context
+ * @param {string} fileId - MediaImage GID
+ * @returns {Object} The file with `fileStatus`, `fileErrors` and `image`
+ *   (`image` is null until the file is READY)
+ * @throws {Error} If the file does not exist
+ */
+export async function getImageFile(admin, fileId) {
+  const data = await adminRequest(admin, getImageFileQuery, { id: fileId });
+
+  if (!data.node) {
+    throw new Error(`File ${fileId} not found`);
+  }
+
+  return data.node;
+}
+
+export default {
+  getImageFileQuery,
+  getImageFile,
+};
@@ -0,0 +1,148 @@
+import { adminRequest } from "./request.js";
+
+// Largest page Shopify returns; products can have up to 2048 variants, so
+// further pages are fetched with the queries below
+const PAGE_SIZE = 250;
+
+const variantFields = `#graphql
+fragment ProductOptionsVariant on ProductVariant {
+  id
+  sku
+  price
+  compareAtPrice
+  selectedOptions {
+    name
+    value
+  }
+}`;
+
+const getProductOptionsQuery = `#graphql
+${variantFields}
+query getProductOptions($id: ID!) {
+  product(id: $id) {
+    id
+    title
+    options {
+      id
+      name
+      position
+      optionValues {
+        id
+        name
+      }
+    }
+    media(first: ${PAGE_SIZE}) {
+      nodes {
+        id
+      }
+      pageInfo {
+        hasNextPage
+        endCursor
+      }
+    }
+    variants(first: ${PAGE_SIZE}) {
+      nodes {
+        ...ProductOptionsVariant
+      }
+      pageInfo {
+        hasNextPage
+        endCursor
+      }
+    }
+  }
+}`;
+
+const productVariantsPageQuery = `#graphql
+${variantFields}
+query productVariantsPage($id: ID!, $after: String!) {
+  product(id: $id) {
+    connection: variants(first: ${PAGE_SIZE}, after: $after) {
+      nodes {
+        ...ProductOptionsVariant
+      }
+      pageInfo {
+        hasNextPage
+        endCursor
+      }
+    }
+  }
+}`;
+
+const productMediaPageQuery = `#graphql
+query productMediaPage($id: ID!, $after: String!) {
+  product(id: $id) {
+    connection: media(first: ${PAGE_SIZE}, after: $after) {
+      nodes {
+        id
+      }
+      pageInfo {
+        hasNextPage
+        endCursor
+      }
+    }
+  }
+}`;
+
+/**
+ * Collect every node of a product connection, starting from its first page.
+ *
+ * @param {Object} admin - The admin API context
+ * @param {string} query - Page query selecting the connection as `connection`
+ * @param {string} productId - Product GID
+ * @param {Object} firstPage - The connection's first page (`nodes`, `pageInfo`)
+ * @returns {Array<Object>} Nodes of all pages
+ */
+async function fetchAllNodes(admin, query, productId, firstPage) {
+  const nodes = [...firstPage.nodes];
+  let pageInfo = firstPage.pageInfo;
+
+  while (pageInfo.hasNextPage) {
+    const data = await adminRequest(admin, query, {
+      id: productId,
+      after: pageInfo.endCursor,
+    });
+    nodes.push(...data.product.connection.nodes);
+    pageInfo = data.product.connection.pageInfo;
+  }
+
+  return nodes;
+}
+
+/**
+ * Fetch a product together with its native options, existing variants and
+ * the IDs of its media. Variants and media are paged through, so products
+ * with more than 250 of either are complete.
+ *
+ * @param {Object} admin - The admin API context
+ * @param {string} productId - Product GID (gid://shopify/Product/...)
+ * @returns {Object} The product with `options`, `variants` and `mediaIds`
+ * @throws {Error} If the product does not exist
+ */
+export async function getProductOptions(admin, productId) {
+  const data = await adminRequest(admin, getProductOptionsQuery, {
+    id: productId,
+  });
+
+  if (!data.product) {
+    throw new Error(`Product ${productId} not found`);
+  }
+
+  const { media, variants, ...product } = data.product;
+  const [allVariants, allMedia] = await Promise.all([
+    fetchAllNodes(admin, productVariantsPageQuery, productId, variants),
+    fetchAllNodes(admin, productMediaPageQuery, productId, media),
+  ]);
+
+  return {
+    ...product,
+    variants: allVariants,
+    mediaIds: allMedia.map((node) => node.id),
+  };
+}
+
+export default {
+  getProductOptionsQuery,
+  productVariantsPageQuery,
+  productMediaPageQuery,
+  getProductOptions,
+};
@@ -0,0 +1,84 @@
+import { adminRequest } from "./request.js";
+
+// Products fetched per page when reading the whole catalog
+const CATALOG_PAGE_SIZE = 100;
+
+const productOptionsFields = `
+  id
+  title
+  options {
+    name
+    optionValues {
+      name
+    }
+  }
+`;
+
+const productsOptionsByIdQuery = `#graphql
+query productsOptionsById($ids: [ID!]!) {
+  nodes(ids: $ids) {
+    ... on Product {
+      ${productOptionsFields}
+    }
+  }
+}`;
+
+const catalogOptionsQuery = `#graphql
+query catalogOptions($first: Int!, $after: String) {
+  products(first: $first, after: $after) {
+    nodes {
+      ${productOptionsFields}
+    }
+    pageInfo {
+      hasNextPage
+      endCursor
+    }
+  }
+}`;
+
+/**
+ * Read the native options of specific products.
+ *
+ * @param {Object} admin - The admin API context
+ * @param {Array<string>} productIds - Product GIDs
+ * @returns {Array<Object>} Products with `options` (name + optionValues)
+ */
+export async function getOptionsForProducts(admin, productIds) {
+  const data = await adminRequest(admin, productsOptionsByIdQuery, {
+    ids: productIds,
+  });
+
+  // Unknown or deleted IDs come back as null
+  return data.nodes.filter(Boolean);
+}
+
+/**
+ * Read the native options of every product in the catalog, page by page.
+ *
+ * @param {Object} admin - The admin API context
+ * @returns {Array<Object>} Products with `options` (name + optionValues)
+ */
+export async function getCatalogOptions(admin) {
+  const products = [];
+  let after = null;
+
+  do {
+    const data = await adminRequest(admin, catalogOptionsQuery, {
+      first: CATALOG_PAGE_SIZE,
+      after,
+    });
+    products.push(...data.products.nodes);
+    after = data.products.pageInfo.hasNextPage
+      ? data.products.pageInfo.endCursor
+      : null;
+  } while (after);
+
+  return products;
+}
+
+export default {
+  productsOptionsByIdQuery,
+  catalogOptionsQuery,
+  getOptionsForProducts,
+  getCatalogOptions,
+};
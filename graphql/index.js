@@ -1,7 +1,39 @@
-import productVariantCreation from "./productVariantCreate.js";
-import getProductId from "./getProductId.js";
+import cartTransformCreate from "./cartTransformCreate.js";
+import fileCreate from "./fileCreate.js";
+import fileUpdate from "./fileUpdate.js";
+import getImageFile from "./getImageFile.js";
+import getProductOptions from "./getProductOptions.js";
+import getProductsOptions from "./getProductsOptions.js";
+import inventorySetQuantities from "./inventorySetQuantities.js";
+import metafieldsSet from "./metafieldsSet.js";
+import productOptionsCreate from "./productOptionsCreate.js";
+import productOptionUpdate from "./productOptionUpdate.js";
+import productVariantsBulkCreate from "./productVariantsBulkCreate.js";
+import productVariantsBulkUpdate from "./productVariantsBulkUpdate.js";
+import searchProducts from "./searchProducts.js";
+import stagedUploadsCreate from "./stagedUploadsCreate.js";
+import translationsRegister from "./translationsRegister.js";
 
 export default {
-  productVariantCreate: productVariantCreation.productVariantCreate,
-  getProductId: getProductId.getProductId,
+  ensureCartTransform: cartTransformCreate.ensureCartTransform,
+  fileCreate: fileCreate.fileCreate,
+  attachFilesToProduct: fileUpdate.attachFilesToProduct,
+  getImageFile: getImageFile.getImageFile,
+  getProductOptions: getProductOptions.getProductOptions,
+  getOptionsForProducts: getProductsOptions.getOptionsForProducts,
+  getCatalogOptions: getProductsOptions.getCatalogOptions,
+  getPrimaryLocationId: inventorySetQuantities.getPrimaryLocationId,
+  inventorySetQuantities: inventorySetQuantities.inventorySetQuantities,
+  setJsonMetafield: metafieldsSet.setJsonMetafield,
+  productOptionsCreate: productOptionsCreate.productOptionsCreate,
+  addProductOptionValues: productOptionUpdate.addProductOptionValues,
+  productVariantsBulkCreate:
+    productVariantsBulkCreate.productVariantsBulkCreate,
+  productVariantsBulkUpdate:
+    productVariantsBulkUpdate.productVariantsBulkUpdate,
+  searchProducts: searchProducts.searchProducts,
+  stagedUploadsCreate: stagedUploadsCreate.stagedUploadsCreate,
+  getShopLocales: translationsRegister.getShopLocales,
+  getNameDigests: translationsRegister.getNameDigests,
+  translationsRegister: translationsRegister.translationsRegister,
 };
@@ -0,0 +1,66 @@
+import { adminRequest, assertNoUserErrors } from "./request.js";
+
+const primaryLocationQuery = `#graphql
+query primaryLocation {
+  location {
+    id
+  }
+}`;
+
+const inventorySetQuantitiesMutation = `#graphql
+mutation inventorySetQuantities($input: InventorySetQuantitiesInput!) {
+  inventorySetQuantities(input: $input) {
+    inventoryAdjustmentGroup {
+      id
+    }
+    userErrors {
+      field
+      message
+    }
+  }
+}`;
+
+/**
+ * Get the ID of the shop's primary location.
+ *
+ * @param {Object} admin - The admin API context
+ * @returns {string} Location GID
+ */
+export async function getPrimaryLocationId(admin) {
+  const data = await adminRequest(admin, primaryLocationQuery);
+  return data.location.id;
+}
+
+/**
+ * Set the available quantity of several inventory items at one location.
+ *
+ * @param {Object} admin - The admin API context
+ * @param {string} locationId - Location GID
+ * @param {Array<{inventoryItemId: string, quantity: number}>} quantities - New quantities
+ * @returns {Object} The mutation payload
+ */
+export async function inventorySetQuantities(admin, locationId, quantities) {
+  const data = await adminRequest(admin, inventorySetQuantitiesMutation, {
+    input: {
+      name: "available",
+      reason: "correction",
+      ignoreCompareQuantity: true,
+      quantities: quantities.map((quantity) => ({
+        inventoryItemId: quantity.inventoryItemId,
+        locationId,
+        quantity: quantity.quantity,
+      })),
+    },
+  });
+
+  assertNoUserErrors(data.inventorySetQuantities.userErrors);
+
+  return data.inventorySetQuantities;
+}
+
+export default {
+  primaryLocationQuery,
+  inventorySetQuantitiesMutation,
+  getPrimaryLocationId,
+  inventorySetQuantities,
+};
@@ -0,0 +1,49 @@
+import { adminRequest, assertNoUserErrors } from "./request.js";
+
+const metafieldsSetMutation = `#graphql
+mutation metafieldsSet($metafields: [MetafieldsSetInput!]!) {
+  metafieldsSet(metafields: $metafields) {
+    metafields {
+      id
+      namespace
+      key
+    }
+    userErrors {
+      field
+      message
+    }
+  }
+}`;
+
+/**
+ * Write a JSON metafield on a resource, replacing any previous value.
+ *
+ * @param {Object} admin - The admin API context
+ * @param {string} ownerId - GID of the resource (e.g. a product)
+ * @param {string} namespace - Metafield namespace
+ * @param {string} key - Metafield key
+ * @param {Object} value - Value to store, serialized as JSON
+ * @returns {Object} The stored metafield
+ */
+export async function setJsonMetafield(admin, ownerId, namespace, key, value) {
+  const data = await adminRequest(admin, metafieldsSetMutation, {
+    metafields: [
+      {
+        ownerId,
+        namespace,
+        key,
+        type: "json",
+        value: JSON.stringify(value),
+      },
+    ],
+  });
+
+  assertNoUserErrors(data.metafieldsSet.userErrors);
+
+  return data.metafieldsSet.metafields[0];
+}
+
+export default {
+  metafieldsSetMutation,
+  setJsonMetafield,
+};
@@ -0,0 +1,54 @@
+import { adminRequest, assertNoUserErrors } from "./request.js";
+
+const productOptionUpdateMutation = `#graphql
+mutation productOptionUpdate(
+  $productId: ID!
+  $option: OptionUpdateInput!
+  $optionValuesToAdd: [OptionValueCreateInput!]
+) {
+  productOptionUpdate(
+    productId: $productId
+    option: $option
+    optionValuesToAdd: $optionValuesToAdd
+    variantStrategy: LEAVE_AS_IS
+  ) {
+    product {
+      id
+    }
+    userErrors {
+      field
+      message
+    }
+  }
+}`;
+
+/**
+ * Add values to an option that already exists on a product.
+ *
+ * @param {Object} admin - The admin API context
+ * @param {string} productId - Product GID
+ * @param {string} optionId - ProductOption GID
+ * @param {Array<string>} values - Value names to add
+ * @returns {Object} The mutation payload
+ */
+export async function addProductOptionValues(
+  admin,
+  productId,
+  optionId,
+  values,
+) {
+  const data = await adminRequest(admin, productOptionUpdateMutation, {
+    productId,
+    option: { id: optionId },
+    optionValuesToAdd: values.map((name) => ({ name })),
+  });
+
+  assertNoUserErrors(data.productOptionUpdate.userErrors);
+
+  return data.productOptionUpdate;
+}
+
+export default {
+  productOptionUpdateMutation,
+  addProductOptionValues,
+};
@@ -0,0 +1,57 @@
+import { adminRequest, assertNoUserErrors } from "./request.js";
+
+const productOptionsCreateMutation = `#graphql
+mutation productOptionsCreate($productId: ID!, $options: [OptionCreateInput!]!) {
+  productOptionsCreate(
+    productId: $productId
+    options: $options
+    variantStrategy: LEAVE_AS_IS
+  ) {
+    product {
+      id
+      options {
+        id
+        name
+        position
+        optionValues {
+          id
+          name
+        }
+      }
+    }
+    userErrors {
+      field
+      message
+    }
+  }
+}`;
+
+/**
+ * Add new native options to a product.
+ * Existing variants are left as they are and pick up the first value of each
+ * new option; read them back with getProductOptions, which pages through
+ * every variant.
+ *
+ * @param {Object} admin - The admin API context
+ * @param {string} productId - Product GID
+ * @param {Array<{name: string, values: Array<string>}>} options - Options to create
+ * @returns {Object} The product with its updated `options`
+ */
+export async function productOptionsCreate(admin, productId, options) {
+  const data = await adminRequest(admin, productOptionsCreateMutation, {
+    productId,
+    options: options.map((option) => ({
+      name: option.name,
+      values: option.values.map((name) => ({ name })),
+    })),
+  });
+
+  assertNoUserErrors(data.productOptionsCreate.userErrors);
+
+  return data.productOptionsCreate.product;
+}
+
+export default {
+  productOptionsCreateMutation,
+  productOptionsCreate,
+};
@@ -0,0 +1,72 @@
+import { adminRequest, assertNoUserErrors } from "./request.js";
+
+const productVariantsBulkCreateMutation = `#graphql
+mutation productVariantsBulkCreate(
+  $productId: ID!
+  $variants: [ProductVariantsBulkInput!]!
+  $strategy: ProductVariantsBulkCreateStrategy
+) {
+  productVariantsBulkCreate(
+    productId: $productId
+    variants: $variants
+    strategy: $strategy
+  ) {
+    productVariants {
+      id
+      title
+      sku
+      price
+      compareAtPrice
+      selectedOptions {
+        name
+        value
+      }
+    }
+    userErrors {
+      field
+      message
+    }
+  }
+}`;
+
+/**
+ * Create several variants on a product in one call.
+ *
+ * @param {Object} admin - The admin API context
+ * @param {string} productId - Product GID
+ * @param {Array<Object>} variants - Variant inputs
+ * @param {Array<{optionName: string, name: string}>} variants[].optionValues - Option values of the variant
+ * @param {string} variants[].price - Variant price
+ * @param {string} variants[].compareAtPrice - Variant compare-at price
+ * @param {string} variants[].sku - Variant SKU
+ * @param {string} variants[].mediaId - Product media GID to show for the variant
+ * @param {string} strategy - "DEFAULT" or "REMOVE_STANDALONE_VARIANT"
+ * @returns {Array<Object>} The created variants
+ */
+export async function productVariantsBulkCreate(
+  admin,
+  productId,
+  variants,
+  strategy = "DEFAULT",
+) {
+  const data = await adminRequest(admin, productVariantsBulkCreateMutation, {
+    productId,
+    strategy,
+    variants: variants.map((variant) => ({
+      optionValues: variant.optionValues,
+      price: variant.price,
+      compareAtPrice: variant.compareAtPrice,
+      ...(variant.sku ? { inventoryItem: { sku: variant.sku } } : {}),
+      ...(variant.mediaId ? { mediaId: variant.mediaId } : {}),
+    })),
+  });
+
+  assertNoUserErrors(data.productVariantsBulkCreate.userErrors);
+
+  return data.productVariantsBulkCreate.productVariants;
+}
+
+export default {
+  productVariantsBulkCreateMutation,
+  productVariantsBulkCreate,
+};
@@ -0,0 +1,65 @@
+import { adminRequest, assertNoUserErrors } from "./request.js";
+
+const productVariantsBulkUpdateMutation = `#graphql
+mutation productVariantsBulkUpdate(
+  $productId: ID!
+  $variants: [ProductVariantsBulkInput!]!
+) {
+  productVariantsBulkUpdate(productId: $productId, variants: $variants) {
+    productVariants {
+      id
+      price
+      compareAtPrice
+      inventoryItem {
+        id
+        sku
+      }
+    }
+    userErrors {
+      field
+      message
+    }
+  }
+}`;
+
+/**
+ * Update several variants of a product in one call.
+ *
+ * @param {Object} admin - The admin API context
+ * @param {string} productId - Product GID
+ * @param {Array<Object>} variants - Variant updates
+ * @param {string} variants[].id - ProductVariant GID
+ * @param {string} variants[].price - New price
+ * @param {string|null} variants[].compareAtPrice - New compare-at price, null clears it
+ * @param {string} variants[].sku - New SKU; left unchanged when empty or missing
+ * @param {string} variants[].inventoryPolicy - "DENY" or "CONTINUE"
+ * @param {boolean} variants[].tracked - Whether Shopify tracks the variant's inventory
+ * @returns {Array<Object>} The updated variants with their inventory item IDs
+ */
+export async function productVariantsBulkUpdate(admin, productId, variants) {
+  const data = await adminRequest(admin, productVariantsBulkUpdateMutation, {
+    productId,
+    variants: variants.map((variant) => {
+      const inventoryItem = {
+        ...(variant.sku ? { sku: variant.sku } : {}),
+        ...(variant.tracked != null ? { tracked: variant.tracked } : {}),
+      };
+      return {
+        id: variant.id,
+        price: variant.price,
+        compareAtPrice: variant.compareAtPrice,
+        inventoryPolicy: variant.inventoryPolicy,
+        ...(Object.keys(inventoryItem).length > 0 ? { inventoryItem } : {}),
+      };
+    }),
+  });
+
+  assertNoUserErrors(data.productVariantsBulkUpdate.userErrors);
+
+  return data.productVariantsBulkUpdate.productVariants;
+}
+
+export default {
+  productVariantsBulkUpdateMutation,
+  productVariantsBulkUpdate,
+};
@@ -0,0 +1,39 @@
+/**
+ * Run an Admin GraphQL operation and unwrap its `data` payload.
+ *
+ * `admin.graphql` resolves to a fetch Response, so every helper in this
+ * folder goes through here to parse the body and surface top-level errors.
+ *
+ * @param {Object} admin - The admin API context from `authenticate.admin`
+ * @param {string} query - GraphQL document
+ * @param {Object} variables - Operation variables
+ * @returns {Object} The `data` object of the response
+ * @throws {Error} If the response contains top-level GraphQL errors
+ */
+export async function adminRequest(admin, query, variables = {}) {
+  const response = await admin.graphql(query, { variables });
+  const body = await response.json();
+
+  if (body.errors && body.errors.length > 0) {
+    throw new Error(body.errors[0].message);
+  }
+
+  return body.data;
+}
+
+/**
+ * Throw the first user error returned by a mutation, if any.
+ *
+ * @param {Array} userErrors - The `userErrors` list of a mutation payload
+ * @throws {Error} With the first user error message
+ */
+export function assertNoUserErrors(userErrors = []) {
+  if (userErrors.length > 0) {
+    throw new Error(userErrors[0].message);
+  }
+}
+
+export default {
+  adminRequest,
+  assertNoUserErrors,
+};
@@ -0,0 +1,71 @@
+import { adminRequest } from "./request.js";
+
+// Products returned per page of search results
+export const PRODUCT_SEARCH_PAGE_SIZE = 25;
+
+const searchProductsQuery = `#graphql
+query searchProducts($first: Int!, $after: String, $query: String) {
+  products(first: $first, after: $after, query: $query, sortKey: TITLE) {
+    nodes {
+      id
+      title
+      handle
+      status
+      vendor
+      featuredMedia {
+        preview {
+          image {
+            url(transform: { maxWidth: 80, maxHeight: 80 })
+            altText
+          }
+        }
+      }
+      options {
+        id
+      }
+      variantsCount {
+        count
+      }
+    }
+    pageInfo {
+      hasNextPage
+      endCursor
+    }
+  }
+}`;
+
+/**
+ * Search the shop's products with cursor pagination.
+ *
+ * @param {Object} admin - The admin API context
+ * @param {Object} params - Search parameters
+ * @param {string} params.query - Shopify search syntax (e.g. "shirt", "vendor:Acme"); empty lists all
+ * @param {string} params.after - Cursor of the previous page's last product
+ * @returns {Object} `{ products, pageInfo }` with flattened product summaries
+ */
+export async function searchProducts(admin, { query = "", after = null } = {}) {
+  const data = await adminRequest(admin, searchProductsQuery, {
+    first: PRODUCT_SEARCH_PAGE_SIZE,
+    after,
+    query: query || null,
+  });
+
+  return {
+    products: data.products.nodes.map((product) => ({
+      id: product.id,
+      title: product.title,
+      handle: product.handle,
+      status: product.status,
+      vendor: product.vendor,
+      image: product.featuredMedia?.preview?.image?.url || null,
+      optionsCount: product.options.length,
+      variantsCount: product.variantsCount?.count ?? 0,
+    })),
+    pageInfo: data.products.pageInfo,
+  };
+}
+
+export default {
+  searchProductsQuery,
+  searchProducts,
+};
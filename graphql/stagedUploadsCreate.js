@@ -0,0 +1,57 @@
+import { adminRequest, assertNoUserErrors } from "./request.js";
+
+const stagedUploadsCreateMutation = `#graphql
+mutation stagedUploadsCreate($input: [StagedUploadInput!]!) {
+  stagedUploadsCreate(input: $input) {
+    stagedTargets {
+      url
+      resourceUrl
+      parameters {
+        name
+        value
+      }
+    }
+    userErrors {
+      field
+      message
+    }
+  }
+}`;
+
+/**
+ * Reserve a staged upload target for an image.
+ * The file is then POSTed to `url` with `parameters` as form fields, and
+ * `resourceUrl` is passed to `fileCreate` as the original source.
+ *
+ * @param {Object} admin - The admin API context
+ * @param {Object} file - File to upload
+ * @param {string} file.filename - File name, e.g. "swatch.png"
+ * @param {string} file.mimeType - MIME type, e.g. "image/png"
+ * @param {number} file.fileSize - Size in bytes
+ * @returns {{url: string, resourceUrl: string, parameters: Array<{name: string, value: string}>}} The upload target
+ */
+export async function stagedUploadsCreate(
+  admin,
+  { filename, mimeType, fileSize },
+) {
+  const data = await adminRequest(admin, stagedUploadsCreateMutation, {
+    input: [
+      {
+        filename,
+        mimeType,
+        fileSize: String(fileSize),
+        resource: "IMAGE",
+        httpMethod: "POST",
+      },
+    ],
+  });
+
+  assertNoUserErrors(data.stagedUploadsCreate.userErrors);
+
+  return data.stagedUploadsCreate.stagedTargets[0];
+}
+
+export default {
+  stagedUploadsCreateMutation,
+  stagedUploadsCreate,
+};
@@ -0,0 +1,105 @@
+import { adminRequest, assertNoUserErrors } from "./request.js";
+
+const shopLocalesQuery = `#graphql
+query shopLocales {
+  shop {
+    id
+  }
+  shopLocales {
+    locale
+    name
+    primary
+    published
+  }
+}`;
+
+const translatableResourcesQuery = `#graphql
+query translatableResources($resourceIds: [ID!]!) {
+  translatableResourcesByIds(first: 250, resourceIds: $resourceIds) {
+    nodes {
+      resourceId
+      translatableContent {
+        key
+        digest
+      }
+    }
+  }
+}`;
+
+const translationsRegisterMutation = `#graphql
+mutation translationsRegister($resourceId: ID!, $translations: [TranslationInput!]!) {
+  translationsRegister(resourceId: $resourceId, translations: $translations) {
+    translations {
+      key
+      locale
+    }
+    userErrors {
+      field
+      message
+    }
+  }
+}`;
+
+/**
+ * Get the shop's GID and the locales it has enabled.
+ *
+ * @param {Object} admin - The admin API context
+ * @returns {{shopId: string, locales: Array<{locale: string, name: string, primary: boolean, published: boolean}>}}
+ */
+export async function getShopLocales(admin) {
+  const data = await adminRequest(admin, shopLocalesQuery);
+  return { shopId: data.shop.id, locales: data.shopLocales };
+}
+
+/**
+ * Get the digest of the translatable `name` of several resources, such as
+ * product options and option values. A translation is only accepted with the
+ * digest of the content it translates.
+ *
+ * @param {Object} admin - The admin API context
+ * @param {Array<string>} resourceIds - GIDs of up to 250 resources
+ * @returns {Map<string, string>} Digest of the `name` key per resource GID
+ */
+export async function getNameDigests(admin, resourceIds) {
+  const data = await adminRequest(admin, translatableResourcesQuery, {
+    resourceIds,
+  });
+
+  return new Map(
+    data.translatableResourcesByIds.nodes
+      .map((node) => [
+        node.resourceId,
+        node.translatableContent.find((content) => content.key === "name")
+          ?.digest,
+      ])
+      .filter(([, digest]) => digest),
+  );
+}
+
+/**
+ * Create or update translations of a resource.
+ *
+ * @param {Object} admin - The admin API context
+ * @param {string} resourceId - GID of the translated resource
+ * @param {Array<{locale: string, key: string, value: string, translatableContentDigest: string}>} translations
+ * @returns {Array<Object>} The registered translations
+ */
+export async function translationsRegister(admin, resourceId, translations) {
+  const data = await adminRequest(admin, translationsRegisterMutation, {
+    resourceId,
+    translations,
+  });
+
+  assertNoUserErrors(data.translationsRegister.userErrors);
+
+  return data.translationsRegister.translations;
+}
+
+export default {
+  shopLocalesQuery,
+  translatableResourcesQuery,
+  translationsRegisterMutation,
+  getShopLocales,
+  getNameDigests,
+  translationsRegister,
+};
@@ -0,0 +1,763 @@
+/**
+ * <variant-options> - Framework-free storefront widget
+ *
+ * Renders a product's options from the app proxy config (see
+ * app/routes/proxy.options.jsx) for headless storefronts and custom themes:
+ *
+ *   <form id="product-form" action="/cart/add" method="post">...</form>
+ *   <variant-options product-id="123" form="product-form"></variant-options>
+ *   <script type="module" src="/apps/variant-extends/widget.js"></script>
+ *
+ * Attributes:
+ * - product-id: Numeric product ID or product GID (required)
+ * - form: ID of the product form; defaults to the closest form
+ * - src: Config endpoint, `/apps/variant-extends/options` by default
+ * - currency: ISO currency code prices and price adjustments are formatted in
+ * - locale: Language of the labels; defaults to the page's `lang`
+ *
+ * Every option is drawn in its display style (buttons, swatches, radio list,
+ * dropdown, slider, checkboxes) with native form controls, so the keyboard
+ * works as it does everywhere else: Tab between options, arrow keys within
+ * one. Customer-input options render as text, multiline text, date or file
+ * fields. Labels are shown in the language the config was translated into;
+ * properties keep the default names, so orders read the same in any language. Conditional options stay hidden until their conditions match, and
+ * values that would complete an excluded combination are disabled.
+ *
+ * The widget keeps hidden inputs in the form up to date: `id` with the
+ * variant matching the native options, `properties[<option name>]` for each
+ * extended option and `properties[_variant_extends]` with the choices the
+ * option surcharges function prices the line from. Visible required options
+ * must have a value before the form is submitted.
+ *
+ * Events (bubbling, `detail` as described):
+ * - variant-options:load - `{ config }` once the config is rendered
+ * - variant-options:change - `{ selection, variant, price, valid }` after
+ *   every change
+ * - variant-options:error - `{ error }` when the config can't be loaded
+ *
+ * Markup uses `variant-options__*` classes and no shadow DOM, so themes can
+ * style it; only the minimum needed to work is styled here.
+ */
+
+const DEFAULT_SRC = "/apps/variant-extends/options";
+const SELECTION_PROPERTY = "_variant_extends";
+const CUSTOMER_INPUT_TYPES = ["custom_text", "textarea", "date", "file"];
+
+const BASE_STYLES = `
+:where(variant-options) { display: block; }
+:where(.variant-options__option[hidden]) { display: none; }
+:where(.variant-options__choices) { border: 0; margin: 0 0 1rem; padding: 0; }
+:where(.variant-options__choices--buttons, .variant-options__choices--swatch) .variant-options__choice input {
+  position: absolute; opacity: 0; width: 1px; height: 1px;
+}
+:where(.variant-options__choice) { display: inline-flex; align-items: center; gap: 0.25rem; margin: 0 0.5rem 0.5rem 0; cursor: pointer; }
+:where(.variant-options__choices--buttons) .variant-options__choice { border: 1px solid; border-radius: 4px; padding: 0.4rem 0.8rem; }
+:where(.variant-options__choice:has(:checked)) { outline: 2px solid; outline-offset: 1px; }
+:where(.variant-options__choice:focus-within) { outline: 2px dashed; outline-offset: 2px; }
+:where(.variant-options__choice:has(:disabled)) { opacity: 0.4; cursor: not-allowed; text-decoration: line-through; }
+:where(.variant-options__swatch) { display: inline-block; width: 2rem; height: 2rem; border-radius: 50%; background-size: cover; }
+:where(.variant-options__sr-only) { position: absolute; width: 1px; height: 1px; overflow: hidden; clip: rect(0 0 0 0); white-space: nowrap; }
+`;
+
+let stylesInjected = false;
+let nextInstanceId = 1;
+
+/**
+ * Create an element with attributes and children
+ *
+ * @param {string} tag - Tag name
+ * @param {Object} attributes - Attributes; `false`/`null` ones are skipped
+ * @param {Array<Node|string>} children - Child nodes or text
+ * @returns {HTMLElement} The element
+ */
+const h = (tag, attributes = {}, children = []) => {
+  const element = document.createElement(tag);
+  Object.entries(attributes).forEach(([name, value]) => {
+    if (value === false || value === null || value === undefined) return;
+    element.setAttribute(name, value === true ? "" : String(value));
+  });
+  children.forEach((child) => {
+    if (child !== null && child !== undefined) element.append(child);
+  });
+  return element;
+};
+
+/**
+ * Compute a price from a base price and the chosen values
+ * Same rules as the app and the option surcharges function: percentages of
+ * the base price, fixed amounts and `pricePerUnit × value` added on top.
+ *
+ * @param {number} basePrice - Variant price
+ * @param {Array<{value: Object, option: Object}>} chosen - Chosen values
+ * @returns {number} Price rounded to cents, never below zero
+ */
+export const computePrice = (basePrice, chosen) => {
+  let fixed = 0;
+  let percentage = 0;
+  chosen.forEach(({ value, option }) => {
+    const amount = parseFloat(value.priceAdjustment) || 0;
+    if (value.priceAdjustmentType === "percentage") {
+      percentage += amount;
+    } else {
+      fixed += amount;
+    }
+    fixed +=
+      (parseFloat(option.pricePerUnit) || 0) * (parseFloat(value.name) || 0);
+  });
+  const price = basePrice + (basePrice * percentage) / 100 + fixed;
+  return Math.max(0, Math.round(price * 100) / 100);
+};
+
+export class VariantOptionsElement extends HTMLElement {
+  static get observedAttributes() {
+    return ["product-id", "src", "locale"];
+  }
+
+  constructor() {
+    super();
+    this.config = null;
+    // Chosen value names by option ID; arrays for checkbox options
+    this.selection = {};
+    this.instanceId = nextInstanceId++;
+    this.handleSubmit = this.handleSubmit.bind(this);
+  }
+
+  connectedCallback() {
+    if (!stylesInjected) {
+      document.head.append(h("style", {}, [BASE_STYLES]));
+      stylesInjected = true;
+    }
+    this.form = this.getAttribute("form")
+      ? document.getElementById(this.getAttribute("form"))
+      : this.closest("form");
+    // The element handles its own controls' events in handleEvent
+    this.addEventListener("change", this);
+    this.addEventListener("input", this);
+    // Capture phase, so themes' AJAX add-to-cart handlers are stopped too
+    document.addEventListener("submit", this.handleSubmit, true);
+    this.load();
+  }
+
+  disconnectedCallback() {
+    document.removeEventListener("submit", this.handleSubmit, true);
+    this.abortController?.abort();
+  }
+
+  attributeChangedCallback(name, oldValue, newValue) {
+    if (this.isConnected && oldValue !== null && oldValue !== newValue) {
+      this.load();
+    }
+  }
+
+  /** Fetch the config of the product and render it */
+  async load() {
+    const productId = this.getAttribute("product-id");
+    if (!productId) return;
+
+    this.abortController?.abort();
+    this.abortController = new AbortController();
+    this.setAttribute("aria-busy", "true");
+
+    try {
+      const url = new URL(
+        this.getAttribute("src") || DEFAULT_SRC,
+        window.location.href,
+      );
+      url.searchParams.set("product_id", productId.split("/").pop());
+      const locale =
+        this.getAttribute("locale") || document.documentElement.lang;
+      if (locale) url.searchParams.set("locale", locale);
+      const response = await fetch(url, {
+        headers: { Accept: "application/json" },
+        signal: this.abortController.signal,
+      });
+      if (!response.ok) {
+        throw new Error(`Options could not be loaded (${response.status})`);
+      }
+
+      this.config = await response.json();
+      this.selection = this.initialSelection();
+      this.render();
+      this.emit("load", { config: this.config });
+      this.update();
+    } catch (error) {
+      if (error.name === "AbortError") return;
+      this.emit("error", { error });
+    } finally {
+      this.removeAttribute("aria-busy");
+    }
+  }
+
+  /** Native options start on the first available variant */
+  initialSelection() {
+    const selection = {};
+    const nativeOptions = this.config.options.filter((option) => option.native);
+    const available = Object.entries(this.config.variants).find(
+      ([, variant]) => variant.available,
+    );
+    if (available) {
+      const valueIds = available[0].split("|");
+      nativeOptions.forEach((option) => {
+        const value = option.values.find((candidate) =>
+          valueIds.includes(candidate.id),
+        );
+        if (value) selection[option.id] = value.name;
+      });
+    }
+    // Sliders always rest on a value
+    this.config.options
+      .filter(
+        (option) =>
+          option.displayStyle === "slider" && option.values.length > 0,
+      )
+      .forEach((option) => {
+        selection[option.id] = selection[option.id] ?? option.values[0].name;
+      });
+    return selection;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Rendering
+  // ---------------------------------------------------------------------------
+
+  render() {
+    this.replaceChildren(
+      ...this.config.options.map((option) => this.renderOption(option)),
+      h("p", { class: "variant-options__status", "aria-live": "polite" }),
+    );
+    if (
+      this.config.options.some((option) => option.type === "file") &&
+      this.form
+    ) {
+      this.form.enctype = "multipart/form-data";
+    }
+  }
+
+  /** Translation of an option in the config's locale, if any */
+  translation(option) {
+    return this.config.translations?.[option.name] || {};
+  }
+
+  /** Name of an option as the customer reads it */
+  optionName(option) {
+    return this.translation(option).name || option.name;
+  }
+
+  renderOption(option) {
+    const inputId = `variant-options-${this.instanceId}-${option.id}`;
+    const helpText = this.translation(option).helpText || option.helpText;
+    const helpId = helpText ? `${inputId}-help` : null;
+    const help = helpText
+      ? h("p", { class: "variant-options__help", id: helpId }, [helpText])
+      : null;
+    const name = this.optionName(option);
+    const label = option.required ? `${name} *` : name;
+
+    if (CUSTOMER_INPUT_TYPES.includes(option.type)) {
+      return h(
+        "div",
+        { class: "variant-options__option", "data-option-id": option.id },
+        [
+          h("label", { class: "variant-options__label", for: inputId }, [
+            label,
+          ]),
+          help,
+          this.renderField(option, inputId, helpId),
+        ],
+      );
+    }
+
+    switch (option.displayStyle) {
+      case "dropdown":
+        return h(
+          "div",
+          { class: "variant-options__option", "data-option-id": option.id },
+          [
+            h("label", { class: "variant-options__label", for: inputId }, [
+              label,
+            ]),
+            help,
+            this.renderSelect(option, inputId, helpId),
+          ],
+        );
+      case "slider":
+        return h(
+          "div",
+          { class: "variant-options__option", "data-option-id": option.id },
+          [
+            h("label", { class: "variant-options__label", for: inputId }, [
+              label,
+            ]),
+            help,
+            this.renderSlider(option, inputId, helpId),
+            h("output", {
+              class: "variant-options__range-value",
+              for: inputId,
+            }),
+          ],
+        );
+      default:
+        return h(
+          "fieldset",
+          {
+            class: `variant-options__option variant-options__choices variant-options__choices--${option.displayStyle}`,
+            "data-option-id": option.id,
+            "aria-describedby": helpId,
+          },
+          [
+            h("legend", { class: "variant-options__label" }, [label]),
+            help,
+            ...this.renderChoices(option, inputId),
+          ],
+        );
+    }
+  }
+
+  /** Label of a value, e.g. "25 cm (+$2.00)" */
+  valueLabel(option, value) {
+    const label = this.translation(option).values?.[value.name] || value.name;
+    const name = option.unit ? `${label} ${option.unit}` : label;
+    const adjustment = this.formatPriceAdjustment(value);
+    return adjustment ? `${name} (${adjustment})` : name;
+  }
+
+  /** Price adjustment of a value, e.g. "+$5.00" or "-10%"; empty when none */
+  formatPriceAdjustment(value) {
+    const amount = parseFloat(value.priceAdjustment) || 0;
+    if (amount === 0) return "";
+
+    const sign = amount > 0 ? "+" : "-";
+    return value.priceAdjustmentType === "percentage"
+      ? `${sign}${Math.abs(amount)}%`
+      : `${sign}${this.formatPrice(Math.abs(amount))}`;
+  }
+
+  renderChoices(option, inputId) {
+    const multi = option.displayStyle === "checkboxes";
+    const choices = option.values.map((value) => {
+      const text = this.valueLabel(option, value);
+      const swatch =
+        option.displayStyle === "swatch" && (value.imageUrl || value.swatch)
+          ? h("span", {
+              class: "variant-options__swatch",
+              "aria-hidden": "true",
+              style: value.imageUrl
+                ? `background-image: url("${encodeURI(value.imageUrl)}")`
+                : `background: ${value.swatch}`,
+            })
+          : null;
+
+      return h("label", { class: "variant-options__choice", title: text }, [
+        h("input", {
+          type: multi ? "checkbox" : "radio",
+          name: multi ? null : inputId,
+          // Owned by no form, so the group name isn't posted to /cart/add;
+          // the hidden inputs carry the choice
+          form: "",
+          value: value.name,
+          "data-value-id": value.id,
+          required: !multi && option.required,
+        }),
+        swatch,
+        h(
+          "span",
+          {
+            class: swatch
+              ? "variant-options__sr-only"
+              : "variant-options__choice-label",
+          },
+          [text],
+        ),
+      ]);
+    });
+
+    // Optional single-choice options can be cleared again
+    if (!multi && !option.required && !option.native) {
+      choices.unshift(
+        h(
+          "label",
+          { class: "variant-options__choice variant-options__choice--none" },
+          [
+            h("input", { type: "radio", name: inputId, form: "", value: "" }),
+            h("span", { class: "variant-options__choice-label" }, ["None"]),
+          ],
+        ),
+      );
+    }
+    return choices;
+  }
+
+  renderSelect(option, inputId, helpId) {
+    return h(
+      "select",
+      {
+        id: inputId,
+        class: "variant-options__select",
+        required: option.required,
+        "aria-describedby": helpId,
+      },
+      [
+        option.native
+          ? null
+          : h("option", { value: "", disabled: option.required }, [
+              option.required ? `Choose ${this.optionName(option)}` : "None",
+            ]),
+        ...option.values.map((value) =>
+          h("option", { value: value.name, "data-value-id": value.id }, [
+            this.valueLabel(option, value),
+          ]),
+        ),
+      ],
+    );
+  }
+
+  renderSlider(option, inputId, helpId) {
+    return h("input", {
+      type: "range",
+      id: inputId,
+      class: "variant-options__range",
+      min: 0,
+      max: option.values.length - 1,
+      step: 1,
+      value: 0,
+      "aria-describedby": helpId,
+    });
+  }
+
+  renderField(option, inputId, helpId) {
+    const input = option.input || {};
+    const common = {
+      id: inputId,
+      class: "variant-options__field",
+      name: `properties[${option.name}]`,
+      form: this.form?.id || null,
+      required: option.required,
+      "aria-describedby": helpId,
+    };
+
+    switch (option.type) {
+      case "textarea":
+        return h("textarea", {
+          ...common,
+          rows: 4,
+          maxlength: input.maxLength,
+          placeholder: input.placeholder,
+        });
+      case "date":
+        return h("input", {
+          ...common,
+          type: "date",
+          min: input.minDate,
+          max: input.maxDate,
+        });
+      case "file":
+        return h("input", {
+          ...common,
+          type: "file",
+          accept: input.fileTypes?.length ? input.fileTypes.join(",") : null,
+          "data-max-size": input.maxFileSizeMb
+            ? input.maxFileSizeMb * 1048576
+            : null,
+        });
+      default:
+        return h("input", {
+          ...common,
+          type: "text",
+          maxlength: input.maxLength,
+          pattern: input.pattern,
+          title: input.patternMessage,
+          placeholder: input.placeholder,
+        });
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // State
+  // ---------------------------------------------------------------------------
+
+  /** Record a change of one of the rendered controls */
+  handleEvent(event) {
+    const container = event.target.closest("[data-option-id]");
+    const option =
+      container &&
+      this.config.options.find(
+        (candidate) => candidate.id === container.dataset.optionId,
+      );
+    if (!option || CUSTOMER_INPUT_TYPES.includes(option.type)) {
+      if (option?.type === "file") this.checkFileSize(event.target);
+      return;
+    }
+
+    const target = event.target;
+    if (option.displayStyle === "checkboxes") {
+      this.selection[option.id] = Array.from(
+        container.querySelectorAll("input:checked"),
+        (box) => box.value,
+      );
+    } else if (option.displayStyle === "slider") {
+      this.selection[option.id] = option.values[Number(target.value)]?.name;
+    } else {
+      this.selection[option.id] = target.value || undefined;
+    }
+    this.update();
+  }
+
+  checkFileSize(input) {
+    const file = input.files?.[0];
+    const maxSize = Number(input.dataset.maxSize) || Infinity;
+    input.setCustomValidity(
+      file && file.size > maxSize
+        ? `Choose a file of ${maxSize / 1048576} MB or smaller`
+        : "",
+    );
+  }
+
+  /** Chosen values of an option, as config values */
+  chosenValues(option) {
+    const names = [].concat(this.selection[option.id] ?? []);
+    return option.values.filter((value) => names.includes(value.name));
+  }
+
+  /** Whether every condition of an option matches the current choices */
+  isVisible(option, visibleIds) {
+    return (option.visibleWhen || []).every((condition) => {
+      const controlling = this.config.options.find(
+        (candidate) =>
+          candidate.id === condition.optionId ||
+          candidate.name === condition.optionName,
+      );
+      if (!controlling || !visibleIds.has(controlling.id)) return false;
+      return this.chosenValues(controlling).some((value) =>
+        condition.values.includes(value.name),
+      );
+    });
+  }
+
+  /** IDs of the visible options; repeats until chains of conditions settle */
+  visibleOptionIds(visible = new Set(this.config.options.map((o) => o.id))) {
+    const next = new Set(
+      this.config.options
+        .filter((option) => this.isVisible(option, visible))
+        .map((option) => option.id),
+    );
+    // Hiding an option can only hide more, so an unchanged size means settled
+    return next.size === visible.size ? next : this.visibleOptionIds(next);
+  }
+
+  /** Variant matching the chosen native values, or null */
+  currentVariant() {
+    const nativeOptions = this.config.options.filter((option) => option.native);
+    if (nativeOptions.length === 0) return null;
+    const valueIds = nativeOptions.map(
+      (option) => this.chosenValues(option)[0]?.id,
+    );
+    if (valueIds.some((id) => !id)) return null;
+    return this.config.variants[valueIds.sort().join("|")] || null;
+  }
+
+  /** Values that would complete an excluded combination with the other choices */
+  blockedValueIds(option, chosenIds) {
+    const others = chosenIds.filter(
+      (id) => !option.values.some((value) => value.id === id),
+    );
+    return new Set(
+      option.values
+        .filter((value) =>
+          (this.config.exclusions || []).some((exclusion) =>
+            exclusion.every((id) => id === value.id || others.includes(id)),
+          ),
+        )
+        .map((value) => value.id),
+    );
+  }
+
+  /** Sync the controls, hidden inputs and status with the selection */
+  update() {
+    const visibleIds = this.visibleOptionIds();
+    const visibleOptions = this.config.options.filter((option) =>
+      visibleIds.has(option.id),
+    );
+    const chosenIds = visibleOptions.flatMap((option) =>
+      this.chosenValues(option).map((value) => value.id),
+    );
+
+    this.config.options.forEach((option) => {
+      const container = this.querySelector(
+        `[data-option-id="${CSS.escape(option.id)}"]`,
+      );
+      const visible = visibleIds.has(option.id);
+      container.hidden = !visible;
+      container.querySelectorAll("input, select, textarea").forEach((input) => {
+        input.disabled = !visible;
+      });
+      if (!visible) return;
+
+      const blocked = this.blockedValueIds(option, chosenIds);
+      const names = this.chosenValues(option).map((value) => value.name);
+      container.querySelectorAll("[data-value-id]").forEach((input) => {
+        const isBlocked =
+          blocked.has(input.dataset.valueId) && !names.includes(input.value);
+        input.disabled = isBlocked;
+        if (input.tagName === "OPTION") {
+          input.selected = names.includes(input.value);
+        } else {
+          input.checked = names.includes(input.value);
+        }
+      });
+
+      // Nothing chosen shows the "None" choice or the dropdown's placeholder
+      const none = container.querySelector('input[value=""]');
+      if (none) none.checked = names.length === 0;
+      const select = container.querySelector("select");
+      if (select && names.length === 0) select.value = "";
+
+      if (option.displayStyle === "slider") {
+        const range = container.querySelector("input[type=range]");
+        const index = Math.max(
+          0,
+          option.values.findIndex((value) => value.name === names[0]),
+        );
+        range.value = String(index);
+        const text = option.values[index]
+          ? this.valueLabel(option, option.values[index])
+          : "";
+        range.setAttribute("aria-valuetext", text);
+        container.querySelector("output").textContent = text;
+      }
+      if (option.displayStyle === "checkboxes") {
+        const first = container.querySelector("input[type=checkbox]");
+        first?.setCustomValidity(
+          option.required && names.length === 0
+            ? `Choose ${this.optionName(option)}`
+            : "",
+        );
+      }
+    });
+
+    const variant = this.currentVariant();
+    const extendedChoices = visibleOptions
+      .filter((option) => !option.native)
+      .flatMap((option) =>
+        this.chosenValues(option).map((value) => ({ option, value })),
+      );
+    const price = variant
+      ? computePrice(parseFloat(variant.price) || 0, extendedChoices)
+      : null;
+
+    this.writeHiddenInputs(visibleOptions, variant);
+    this.renderStatus(variant, price);
+
+    const selection = Object.fromEntries(
+      visibleOptions
+        .map((option) => [
+          option.name,
+          this.chosenValues(option).map((value) => value.name),
+        ])
+        .filter(([, names]) => names.length > 0),
+    );
+    this.emit("change", { selection, variant, price, valid: this.isValid() });
+  }
+
+  /** Keep the form's hidden inputs in line with the selection */
+  writeHiddenInputs(visibleOptions, variant) {
+    if (!this.form) return;
+
+    if (this.config.options.some((option) => option.native)) {
+      const idInput =
+        this.form.querySelector('[name="id"]') || this.hiddenInput("id");
+      idInput.value = variant ? variant.id.split("/").pop() : "";
+      idInput.dispatchEvent(new Event("change", { bubbles: true }));
+    }
+
+    const surcharges = {};
+    this.config.options
+      .filter(
+        (option) =>
+          !option.native && !CUSTOMER_INPUT_TYPES.includes(option.type),
+      )
+      .forEach((option) => {
+        const names = visibleOptions.includes(option)
+          ? this.chosenValues(option).map((value) => value.name)
+          : [];
+        this.hiddenInput(`properties[${option.name}]`).value = names.join(", ");
+        if (names.length > 0) surcharges[option.name] = names;
+      });
+    this.hiddenInput(`properties[${SELECTION_PROPERTY}]`).value =
+      Object.keys(surcharges).length > 0 ? JSON.stringify(surcharges) : "";
+  }
+
+  /** Hidden input of the widget with the given name, created on first use */
+  hiddenInput(name) {
+    // Inputs outside the form need the form attribute, which needs an ID;
+    // without one they are placed in the form itself
+    const parent = this.form.id || this.form.contains(this) ? this : this.form;
+    const existing = Array.from(
+      parent.querySelectorAll("input[data-variant-options-hidden]"),
+    ).find((input) => input.name === name);
+    if (existing) return existing;
+
+    const input = h("input", {
+      type: "hidden",
+      name,
+      form: this.form.id || null,
+      "data-variant-options-hidden": true,
+    });
+    parent.append(input);
+    return input;
+  }
+
+  renderStatus(variant, price) {
+    const status = this.querySelector(".variant-options__status");
+    const hasNative = this.config.options.some((option) => option.native);
+    if (!hasNative && price === null) {
+      status.textContent = "";
+      return;
+    }
+    if (!variant) {
+      status.textContent = "Unavailable";
+    } else if (!variant.available) {
+      status.textContent = "Sold out";
+    } else {
+      status.textContent = this.formatPrice(price);
+    }
+
+    const submit = this.form?.querySelector('[type="submit"]');
+    if (submit && hasNative) submit.disabled = !variant || !variant.available;
+  }
+
+  formatPrice(price) {
+    const currency = this.getAttribute("currency");
+    if (!currency) return price.toFixed(2);
+    return new Intl.NumberFormat(document.documentElement.lang || undefined, {
+      style: "currency",
+      currency,
+    }).format(price);
+  }
+
+  isValid() {
+    return Array.from(this.querySelectorAll("input, select, textarea")).every(
+      (input) => input.checkValidity(),
+    );
+  }
+
+  handleSubmit(event) {
+    if (!this.config || event.target !== this.form) return;
+    const invalid = Array.from(
+      this.querySelectorAll("input, select, textarea"),
+    ).find((input) => !input.checkValidity());
+    if (!invalid) return;
+    event.preventDefault();
+    event.stopPropagation();
+    invalid.reportValidity();
+  }
+
+  emit(name, detail) {
+    this.dispatchEvent(
+      new CustomEvent(`variant-options:${name}`, { bubbles: true, detail }),
+    );
+  }
+}
+
+if (!customElements.get("variant-options")) {
+  customElements.define("variant-options", VariantOptionsElement);
+}
@@ -0,0 +1,215 @@
+/**
+ * Tests for the <variant-options> widget in a simulated browser (jsdom)
+ *
+ * The config is served by a stubbed `fetch`; each test renders the widget in
+ * a product form and checks what the form would post to /cart/add.
+ *
+ * Usage: npm test (from this package)
+ */
+
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { JSDOM } from "jsdom";
+
+const dom = new JSDOM('<!doctype html><html lang="fr"><body></body></html>', {
+  url: "https://shop.example/products/tee",
+});
+const { window } = dom;
+Object.assign(global, {
+  window,
+  document: window.document,
+  HTMLElement: window.HTMLElement,
+  customElements: window.customElements,
+  CustomEvent: window.CustomEvent,
+  Event: window.Event,
+  // jsdom has no CSS.escape; the widget only escapes IDs in attribute selectors
+  CSS: { escape: (value) => String(value).replace(/["\\]/g, "\\$&") },
+});
+
+// Size is a native option, the engraving font an extended one
+const CONFIG = {
+  productId: "gid://shopify/Product/123",
+  locale: "fr",
+  translations: {
+    "Engraving font": {
+      name: "Police de gravure",
+      helpText: "",
+      values: { Script: "Cursive" },
+    },
+  },
+  options: [
+    {
+      id: "size",
+      name: "Size",
+      type: "text",
+      required: true,
+      displayStyle: "buttons",
+      helpText: "",
+      visibleWhen: [],
+      native: true,
+      values: [
+        { id: "small", name: "S", priceAdjustment: 0 },
+        { id: "medium", name: "M", priceAdjustment: 0 },
+      ],
+    },
+    {
+      id: "font",
+      name: "Engraving font",
+      type: "text",
+      required: false,
+      displayStyle: "radio",
+      helpText: "",
+      visibleWhen: [],
+      native: false,
+      values: [
+        {
+          id: "script",
+          name: "Script",
+          priceAdjustment: 5,
+          priceAdjustmentType: "fixed",
+        },
+      ],
+    },
+  ],
+  exclusions: [],
+  variants: {
+    small: {
+      id: "gid://shopify/ProductVariant/1",
+      price: 20,
+      compareAtPrice: null,
+      available: true,
+    },
+    medium: {
+      id: "gid://shopify/ProductVariant/2",
+      price: 22,
+      compareAtPrice: null,
+      available: true,
+    },
+  },
+};
+
+const requests = [];
+global.fetch = async (url) => {
+  requests.push(new URL(url));
+  return new Response(JSON.stringify(CONFIG), { status: 200 });
+};
+
+await import("../src/variant-options.js");
+
+/**
+ * Render the widget in a product form and wait for its config
+ *
+ * @param {Object} attributes - Extra attributes of the widget, e.g. `currency`
+ * @returns {Promise<{form: HTMLFormElement, widget: HTMLElement}>}
+ */
+const renderWidget = async (attributes = {}) => {
+  document.body.innerHTML = `
+    <form id="product-form" action="/cart/add" method="post">
+      <input type="hidden" name="id" value="">
+      <button type="submit">Add to cart</button>
+    </form>`;
+  const form = document.getElementById("product-form");
+  const widget = document.createElement("variant-options");
+  widget.setAttribute("product-id", "123");
+  Object.entries(attributes).forEach(([name, value]) =>
+    widget.setAttribute(name, value),
+  );
+  const loaded = new Promise((resolve) =>
+    widget.addEventListener("variant-options:load", resolve, { once: true }),
+  );
+  form.prepend(widget);
+  await loaded;
+  return { form, widget };
+};
+
+/** Pick a value the way a customer does */
+const choose = (widget, optionId, valueName) => {
+  const input = widget.querySelector(
+    `[data-option-id="${optionId}"] input[value="${valueName}"]`,
+  );
+  input.checked = true;
+  input.dispatchEvent(new window.Event("change", { bubbles: true }));
+};
+
+/** Fields the form would post, as `[name, value]` pairs */
+const postedFields = (form) => Array.from(new window.FormData(form).entries());
+
+beforeEach(() => {
+  requests.length = 0;
+});
+
+test("requests the config in the page's language", async () => {
+  await renderWidget();
+
+  assert.equal(requests.length, 1);
+  assert.equal(requests[0].pathname, "/apps/variant-extends/options");
+  assert.equal(requests[0].searchParams.get("product_id"), "123");
+  assert.equal(requests[0].searchParams.get("locale"), "fr");
+});
+
+test("selects the variant matching the native options", async () => {
+  const { form, widget } = await renderWidget();
+  const idInput = form.querySelector('[name="id"]');
+
+  // Starts on the first available variant
+  assert.equal(idInput.value, "1");
+
+  choose(widget, "size", "M");
+  assert.equal(idInput.value, "2");
+  assert.equal(
+    widget.querySelector(".variant-options__status").textContent,
+    "22.00",
+  );
+});
+
+test("keeps the hidden selection input in line with extended options", async () => {
+  const { form, widget } = await renderWidget();
+  const selectionInput = form.querySelector(
+    '[name="properties[_variant_extends]"]',
+  );
+
+  assert.equal(selectionInput.value, "");
+
+  choose(widget, "font", "Script");
+  assert.deepEqual(JSON.parse(selectionInput.value), {
+    "Engraving font": ["Script"],
+  });
+  assert.equal(
+    form.querySelector('[name="properties[Engraving font]"]').value,
+    "Script",
+  );
+
+  choose(widget, "font", "");
+  assert.equal(selectionInput.value, "");
+});
+
+test("posts only the variant and line item properties", async () => {
+  const { form, widget } = await renderWidget();
+  choose(widget, "size", "M");
+  choose(widget, "font", "Script");
+
+  assert.deepEqual(postedFields(form), [
+    ["properties[Engraving font]", "Script"],
+    ["properties[_variant_extends]", '{"Engraving font":["Script"]}'],
+    ["id", "2"],
+  ]);
+});
+
+test("shows labels in the config's language", async () => {
+  const { widget } = await renderWidget();
+  const font = widget.querySelector('[data-option-id="font"]');
+
+  assert.match(
+    font.querySelector(".variant-options__label").textContent,
+    /^Police de gravure/,
+  );
+  assert.match(font.textContent, /Cursive \(\+5\.00\)/);
+});
+
+test("formats price adjustments in the storefront's currency", async () => {
+  const { widget } = await renderWidget({ currency: "EUR" });
+  const font = widget.querySelector('[data-option-id="font"]');
+
+  // French formatting, as the page's language is French
+  assert.match(font.textContent, /Cursive \(\+5,00\s€\)/);
+});
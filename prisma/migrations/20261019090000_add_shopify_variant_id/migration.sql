@@ -0,0 +1,8 @@
+-- AlterTable
+ALTER TABLE "product_variants" ADD COLUMN "shopifyVariantId" TEXT;
+
+-- CreateIndex
+CREATE INDEX "product_variants_shop_productId_idx" ON "product_variants"("shop", "productId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "product_variants_shop_shopifyVariantId_key" ON "product_variants"("shop", "shopifyVariantId");
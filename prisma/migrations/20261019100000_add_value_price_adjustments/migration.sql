@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "variant_option_values" ADD COLUMN "priceAdjustment" REAL NOT NULL DEFAULT 0;
+ALTER TABLE "variant_option_values" ADD COLUMN "priceAdjustmentType" TEXT NOT NULL DEFAULT 'fixed';
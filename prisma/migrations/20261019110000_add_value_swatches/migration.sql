@@ -0,0 +1,4 @@
+-- AlterTable
+ALTER TABLE "variant_option_values" ADD COLUMN "colorHex" TEXT;
+ALTER TABLE "variant_option_values" ADD COLUMN "secondaryColorHex" TEXT;
+ALTER TABLE "variant_option_values" ADD COLUMN "patternImageUrl" TEXT;
@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "variant_option_values" ADD COLUMN "imageFileId" TEXT;
+ALTER TABLE "variant_option_values" ADD COLUMN "imageUrl" TEXT;
@@ -0,0 +1,6 @@
+-- AlterTable
+ALTER TABLE "variant_options" ADD COLUMN "unit" TEXT;
+ALTER TABLE "variant_options" ADD COLUMN "minValue" REAL;
+ALTER TABLE "variant_options" ADD COLUMN "maxValue" REAL;
+ALTER TABLE "variant_options" ADD COLUMN "step" REAL;
+ALTER TABLE "variant_options" ADD COLUMN "pricePerUnit" REAL NOT NULL DEFAULT 0;
@@ -0,0 +1,37 @@
+-- CreateTable
+CREATE TABLE "option_sets" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "name" TEXT NOT NULL,
+    "shop" TEXT NOT NULL,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL
+);
+
+-- CreateTable
+CREATE TABLE "option_set_options" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "position" INTEGER NOT NULL DEFAULT 0,
+    "optionSetId" TEXT NOT NULL,
+    "variantOptionId" TEXT NOT NULL,
+    CONSTRAINT "option_set_options_optionSetId_fkey" FOREIGN KEY ("optionSetId") REFERENCES "option_sets" ("id") ON DELETE CASCADE ON UPDATE CASCADE,
+    CONSTRAINT "option_set_options_variantOptionId_fkey" FOREIGN KEY ("variantOptionId") REFERENCES "variant_options" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateTable
+CREATE TABLE "option_set_values" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "position" INTEGER NOT NULL DEFAULT 0,
+    "optionSetOptionId" TEXT NOT NULL,
+    "variantOptionValueId" TEXT NOT NULL,
+    CONSTRAINT "option_set_values_optionSetOptionId_fkey" FOREIGN KEY ("optionSetOptionId") REFERENCES "option_set_options" ("id") ON DELETE CASCADE ON UPDATE CASCADE,
+    CONSTRAINT "option_set_values_variantOptionValueId_fkey" FOREIGN KEY ("variantOptionValueId") REFERENCES "variant_option_values" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "option_sets_shop_name_key" ON "option_sets"("shop", "name");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "option_set_options_optionSetId_variantOptionId_key" ON "option_set_options"("optionSetId", "variantOptionId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "option_set_values_optionSetOptionId_variantOptionValueId_key" ON "option_set_values"("optionSetOptionId", "variantOptionValueId");
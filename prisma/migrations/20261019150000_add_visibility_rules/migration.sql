@@ -0,0 +1,23 @@
+-- CreateTable
+CREATE TABLE "option_visibility_rules" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "variantOptionId" TEXT NOT NULL,
+    "dependsOnOptionId" TEXT NOT NULL,
+    CONSTRAINT "option_visibility_rules_variantOptionId_fkey" FOREIGN KEY ("variantOptionId") REFERENCES "variant_options" ("id") ON DELETE CASCADE ON UPDATE CASCADE,
+    CONSTRAINT "option_visibility_rules_dependsOnOptionId_fkey" FOREIGN KEY ("dependsOnOptionId") REFERENCES "variant_options" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateTable
+CREATE TABLE "option_visibility_rule_values" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "ruleId" TEXT NOT NULL,
+    "variantOptionValueId" TEXT NOT NULL,
+    CONSTRAINT "option_visibility_rule_values_ruleId_fkey" FOREIGN KEY ("ruleId") REFERENCES "option_visibility_rules" ("id") ON DELETE CASCADE ON UPDATE CASCADE,
+    CONSTRAINT "option_visibility_rule_values_variantOptionValueId_fkey" FOREIGN KEY ("variantOptionValueId") REFERENCES "variant_option_values" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "option_visibility_rules_variantOptionId_dependsOnOptionId_key" ON "option_visibility_rules"("variantOptionId", "dependsOnOptionId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "option_visibility_rule_values_ruleId_variantOptionValueId_key" ON "option_visibility_rule_values"("ruleId", "variantOptionValueId");
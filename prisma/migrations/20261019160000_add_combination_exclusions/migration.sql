@@ -0,0 +1,21 @@
+-- CreateTable
+CREATE TABLE "combination_exclusions" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "shop" TEXT NOT NULL,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- CreateTable
+CREATE TABLE "combination_exclusion_values" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "exclusionId" TEXT NOT NULL,
+    "variantOptionValueId" TEXT NOT NULL,
+    CONSTRAINT "combination_exclusion_values_exclusionId_fkey" FOREIGN KEY ("exclusionId") REFERENCES "combination_exclusions" ("id") ON DELETE CASCADE ON UPDATE CASCADE,
+    CONSTRAINT "combination_exclusion_values_variantOptionValueId_fkey" FOREIGN KEY ("variantOptionValueId") REFERENCES "variant_option_values" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE INDEX "combination_exclusions_shop_idx" ON "combination_exclusions"("shop");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "combination_exclusion_values_exclusionId_variantOptionValueId_key" ON "combination_exclusion_values"("exclusionId", "variantOptionValueId");
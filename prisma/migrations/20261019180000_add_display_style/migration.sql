@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "variant_options" ADD COLUMN "displayStyle" TEXT;
@@ -0,0 +1,29 @@
+-- AlterTable
+ALTER TABLE "variant_options" ADD COLUMN "helpText" TEXT;
+
+-- CreateTable
+CREATE TABLE "option_translations" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "locale" TEXT NOT NULL,
+    "name" TEXT,
+    "helpText" TEXT,
+    "variantOptionId" TEXT NOT NULL,
+    "updatedAt" DATETIME NOT NULL,
+    CONSTRAINT "option_translations_variantOptionId_fkey" FOREIGN KEY ("variantOptionId") REFERENCES "variant_options" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateTable
+CREATE TABLE "option_value_translations" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "locale" TEXT NOT NULL,
+    "value" TEXT NOT NULL,
+    "variantOptionValueId" TEXT NOT NULL,
+    "updatedAt" DATETIME NOT NULL,
+    CONSTRAINT "option_value_translations_variantOptionValueId_fkey" FOREIGN KEY ("variantOptionValueId") REFERENCES "variant_option_values" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "option_translations_variantOptionId_locale_key" ON "option_translations"("variantOptionId", "locale");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "option_value_translations_variantOptionValueId_locale_key" ON "option_value_translations"("variantOptionValueId", "locale");
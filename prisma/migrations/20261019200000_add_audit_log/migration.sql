@@ -0,0 +1,20 @@
+-- CreateTable
+CREATE TABLE "audit_log_entries" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "shop" TEXT NOT NULL,
+    "action" TEXT NOT NULL,
+    "optionId" TEXT,
+    "optionName" TEXT,
+    "userId" TEXT,
+    "userEmail" TEXT,
+    "userName" TEXT,
+    "before" TEXT,
+    "after" TEXT,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- CreateIndex
+CREATE INDEX "audit_log_entries_shop_createdAt_idx" ON "audit_log_entries"("shop", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "audit_log_entries_shop_optionId_idx" ON "audit_log_entries"("shop", "optionId");
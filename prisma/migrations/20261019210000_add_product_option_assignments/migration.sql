@@ -0,0 +1,17 @@
+-- CreateTable
+CREATE TABLE "product_option_assignments" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "shop" TEXT NOT NULL,
+    "productId" TEXT NOT NULL,
+    "isNative" BOOLEAN NOT NULL DEFAULT true,
+    "position" INTEGER NOT NULL DEFAULT 0,
+    "variantOptionId" TEXT NOT NULL,
+    "updatedAt" DATETIME NOT NULL,
+    CONSTRAINT "product_option_assignments_variantOptionId_fkey" FOREIGN KEY ("variantOptionId") REFERENCES "variant_options" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "product_option_assignments_productId_variantOptionId_key" ON "product_option_assignments"("productId", "variantOptionId");
+
+-- CreateIndex
+CREATE INDEX "product_option_assignments_shop_productId_idx" ON "product_option_assignments"("shop", "productId");
@@ -0,0 +1,26 @@
+-- CreateTable
+CREATE TABLE "order_option_selections" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "shop" TEXT NOT NULL,
+    "orderId" TEXT NOT NULL,
+    "orderName" TEXT NOT NULL,
+    "lineItemId" TEXT NOT NULL,
+    "productId" TEXT,
+    "variantId" TEXT,
+    "title" TEXT NOT NULL,
+    "variantTitle" TEXT,
+    "sku" TEXT,
+    "quantity" INTEGER NOT NULL DEFAULT 1,
+    "optionName" TEXT NOT NULL,
+    "value" TEXT NOT NULL,
+    "source" TEXT NOT NULL,
+    "position" INTEGER NOT NULL DEFAULT 0,
+    "orderedAt" DATETIME NOT NULL,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- CreateIndex
+CREATE INDEX "order_option_selections_shop_orderId_idx" ON "order_option_selections"("shop", "orderId");
+
+-- CreateIndex
+CREATE INDEX "order_option_selections_shop_orderedAt_idx" ON "order_option_selections"("shop", "orderedAt");
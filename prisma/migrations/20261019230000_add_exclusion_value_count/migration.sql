@@ -0,0 +1,8 @@
+-- AlterTable
+ALTER TABLE "combination_exclusions" ADD COLUMN "valueCount" INTEGER NOT NULL DEFAULT 0;
+
+-- Existing exclusions keep the values they have now
+UPDATE "combination_exclusions" SET "valueCount" = (
+    SELECT COUNT(*) FROM "combination_exclusion_values"
+    WHERE "combination_exclusion_values"."exclusionId" = "combination_exclusions"."id"
+);
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "order_option_selections" ADD COLUMN "lineItemIndex" INTEGER NOT NULL DEFAULT 0;